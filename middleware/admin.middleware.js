@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Platform admins (the people running DrinkQuick, not bar managers) have their
+// own accounts in platform_admins and their own sessions in admin_sessions.
+const ADMIN_SESSION_HOURS = 8;
+const ADMIN_TOKEN_TYPE = 'platform_admin';
+
+const generateAdminToken = (adminId) => {
+    return jwt.sign({
+        id: adminId,
+        type: ADMIN_TOKEN_TYPE,
+        jti: crypto.randomBytes(16).toString('hex')
+    }, process.env.JWT_SECRET, {
+        expiresIn: `${ADMIN_SESSION_HOURS}h`
+    });
+};
+
+const createAdminSession = async(db, { adminId, ipAddress, userAgent }) => {
+    const token = generateAdminToken(adminId);
+
+    await db.query(
+        `INSERT INTO admin_sessions (admin_id, session_token, ip_address, user_agent, expires_at)
+         VALUES ($1, $2, $3, $4, NOW() + INTERVAL '${ADMIN_SESSION_HOURS} hours')`, [adminId, token, ipAddress, userAgent]
+    );
+
+    return token;
+};
+
+// Protect /api/admin/* and other platform-wide routes
+const verifyAdmin = async(req, res, next) => {
+    try {
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({ success: false, message: 'No token provided' });
+        }
+
+        const token = authHeader.split(' ')[1];
+
+        let decoded;
+        try {
+            decoded = jwt.verify(token, process.env.JWT_SECRET);
+        } catch (error) {
+            return res.status(401).json({ success: false, message: 'Invalid or expired admin token' });
+        }
+
+        if (decoded.type !== ADMIN_TOKEN_TYPE) {
+            return res.status(403).json({ success: false, message: 'Admin access required' });
+        }
+
+        const result = await req.db.query(
+            `SELECT s.id AS session_id, a.id, a.username, a.email, a.totp_enabled
+             FROM admin_sessions s
+             JOIN platform_admins a ON s.admin_id = a.id
+             WHERE s.session_token = $1 AND s.admin_id = $2
+               AND s.is_active = true AND s.expires_at > NOW()
+               AND a.is_active = true`, [token, decoded.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(401).json({ success: false, message: 'Admin session expired. Please login again' });
+        }
+
+        await req.db.query(
+            'UPDATE admin_sessions SET last_activity_at = CURRENT_TIMESTAMP WHERE id = $1', [result.rows[0].session_id]
+        );
+
+        req.adminToken = token;
+        req.admin = result.rows[0];
+        next();
+    } catch (error) {
+        console.error('❌ Admin auth error:', error.message);
+        res.status(500).json({ success: false, message: 'Admin authentication failed' });
+    }
+};
+
+// Record who did what. Never fails the request it is called from.
+// adminId is only needed before req.admin is set (e.g. on login).
+const logAdminAction = async(req, { adminId = null, action, targetType = null, targetId = null, details = null }) => {
+    try {
+        await req.db.query(
+            `INSERT INTO admin_audit_logs (admin_id, action, target_type, target_id, details, ip_address)
+             VALUES ($1, $2, $3, $4, $5, $6)`, [
+                adminId || (req.admin ? req.admin.id : null),
+                action,
+                targetType,
+                targetId !== null ? String(targetId) : null,
+                details ? JSON.stringify(details) : null,
+                req.ip
+            ]
+        );
+    } catch (error) {
+        console.error('⚠️ Admin audit log failed:', error.message);
+    }
+};
+
+module.exports = {
+    ADMIN_SESSION_HOURS,
+    createAdminSession,
+    verifyAdmin,
+    logAdminAction
+};
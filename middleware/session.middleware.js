@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { hasPermission } = require('../utils/permission.service');
+const { isApiKey, findActiveApiKey, touchApiKey } = require('../utils/api-key.service');
+const {
+    isTerminalToken, findTerminal, expireIdleOperator, touchTerminal
+} = require('../utils/terminal.service');
+
+// Sessions on the PostgreSQL stack last 8 hours (matches user_sessions.expires_at)
+const SESSION_DURATION_HOURS = 8;
+
+// Sign a session token. The random jti keeps every token unique, even when
+// the same user logs in twice within the same second.
+const generateSessionToken = (userId) => {
+    return jwt.sign({
+        id: userId,
+        jti: crypto.randomBytes(16).toString('hex')
+    }, process.env.JWT_SECRET, {
+        expiresIn: `${SESSION_DURATION_HOURS}h`
+    });
+};
+
+// Create a new user_sessions row and return its token.
+// mfaSetupRequired limits the session to 2FA enrolment (company policy);
+// outletId is the bar the session works in (see utils/outlet.service.js).
+const createSession = async(db, { userId, deviceId, deviceName, ipAddress = null, userAgent = null, mfaSetupRequired = false, outletId = null }) => {
+    const sessionToken = generateSessionToken(userId);
+
+    await db.query(
+        `INSERT INTO user_sessions (user_id, session_token, device_id, device_name, is_active, expires_at, mfa_setup_required, ip_address, user_agent, outlet_id)
+         VALUES ($1, $2, $3, $4, true, NOW() + INTERVAL '${SESSION_DURATION_HOURS} hours', $5, $6, $7, $8)`, [userId, sessionToken, deviceId, deviceName, mfaSetupRequired, ipAddress, userAgent, outletId]
+    );
+
+    return sessionToken;
+};
+
+// Verify the token signature and load its active session with the user.
+// Returns null when the token is invalid, expired or the session was terminated.
+const findActiveSession = async(db, token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+
+    const result = await db.query(
+        `SELECT s.id AS session_id, s.session_token, s.device_id, s.device_name, s.expires_at, s.mfa_setup_required, s.outlet_id,
+                u.id, u.username, u.email, u.role, u.company_id, u.company_role_id, u.is_active
+         FROM user_sessions s
+         JOIN users u ON s.user_id = u.id
+         LEFT JOIN companies c ON u.company_id = c.id
+         WHERE s.session_token = $1 AND s.user_id = $2
+           AND s.is_active = true AND s.expires_at > NOW()
+           AND (c.id IS NULL OR c.is_active = true)`, [token, decoded.id]
+    );
+
+    return result.rows[0] || null;
+};
+
+// Routes a session may still use while its owner has to enrol in 2FA
+const MFA_SETUP_PATHS = ['/api/auth/2fa', '/api/auth/me', '/api/auth/logout'];
+
+// Routes a company API key may call; everything else needs a person's session.
+// What a key can do on them is limited by its scopes via requirePermission.
+const API_KEY_PATHS = ['/api/drinks', '/api/payment', '/api/company-settings'];
+
+// Routes a shared terminal may call on behalf of its active operator
+const TERMINAL_PATHS = ['/api/drinks', '/api/orders', '/api/payment', '/api/company-settings'];
+
+const getBearerToken = (req) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return authHeader.split(' ')[1];
+    }
+    return null;
+};
+
+// API key branch of verifySession. The key acts as a user with no id whose
+// permissions are exactly the key's scopes.
+const verifyApiKey = async(req, res, next, rawKey) => {
+    if (!API_KEY_PATHS.some(path => req.originalUrl.startsWith(path))) {
+        return res.status(403).json({
+            status: 'error',
+            message: 'API keys cannot be used on this route',
+            code: 'API_KEY_NOT_ALLOWED'
+        });
+    }
+
+    const apiKey = await findActiveApiKey(req.db, rawKey);
+
+    if (!apiKey) {
+        return res.status(401).json({
+            status: 'error',
+            message: 'API key is invalid, expired or revoked',
+            code: 'API_KEY_INVALID'
+        });
+    }
+
+    await touchApiKey(req.db, apiKey.id, req.ip);
+
+    req.apiKey = {
+        id: apiKey.id,
+        name: apiKey.name,
+        scopes: apiKey.scopes
+    };
+    req.user = {
+        id: null,
+        username: `api-key:${apiKey.name}`,
+        email: null,
+        role: null,
+        company_id: apiKey.company_id,
+        company_role_id: null,
+        permissions: apiKey.scopes
+    };
+    next();
+};
+
+// Terminal branch of verifySession. The request acts as the terminal's
+// active operator; a terminal nobody unlocked, or one idle for longer than
+// its idle_lock_minutes, answers 423 so the app shows the PIN pad.
+const verifyTerminal = async(req, res, next, rawToken) => {
+    if (!TERMINAL_PATHS.some(path => req.originalUrl.startsWith(path))) {
+        return res.status(403).json({
+            status: 'error',
+            message: 'Terminals cannot be used on this route',
+            code: 'TERMINAL_NOT_ALLOWED'
+        });
+    }
+
+    const terminal = await findTerminal(req.db, rawToken);
+
+    if (!terminal) {
+        return res.status(401).json({
+            status: 'error',
+            message: 'Terminal is not registered or was revoked',
+            code: 'TERMINAL_INVALID'
+        });
+    }
+
+    await expireIdleOperator(req.db, terminal);
+
+    if (!terminal.active_operator_id) {
+        return res.status(423).json({
+            status: 'error',
+            message: 'Terminal is locked. Enter your PIN to continue',
+            code: 'TERMINAL_LOCKED'
+        });
+    }
+
+    await touchTerminal(req.db, terminal.id, req.ip);
+
+    req.terminal = {
+        id: terminal.id,
+        name: terminal.name,
+        outletId: terminal.outlet_id
+    };
+    req.session = {
+        id: null,
+        deviceId: terminal.device_id,
+        deviceName: terminal.name,
+        expiresAt: null,
+        outletId: terminal.outlet_id
+    };
+    req.user = {
+        id: terminal.active_operator_id,
+        username: terminal.operator_username,
+        email: terminal.operator_email,
+        role: terminal.operator_role,
+        company_id: terminal.company_id,
+        company_role_id: terminal.operator_company_role_id
+    };
+    next();
+};
+
+// Protect PostgreSQL routes: checks signature, expiry and that the session is still active.
+// Company API keys (Bearer dq_... or X-API-Key) are accepted on API_KEY_PATHS,
+// shared terminals (Bearer dqt_... or X-Terminal-Token) on TERMINAL_PATHS.
+const verifySession = async(req, res, next) => {
+    try {
+        const token = getBearerToken(req);
+        const apiKey = req.get('X-API-Key') || (isApiKey(token) ? token : null);
+        const terminalToken = req.get('X-Terminal-Token') || (isTerminalToken(token) ? token : null);
+
+        if (apiKey) {
+            return await verifyApiKey(req, res, next, apiKey);
+        }
+
+        if (terminalToken) {
+            return await verifyTerminal(req, res, next, terminalToken);
+        }
+
+        if (!token) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Not authorized, no token provided'
+            });
+        }
+
+        const session = await findActiveSession(req.db, token);
+
+        if (!session) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Session expired or terminated. Please login again',
+                code: 'SESSION_INVALID'
+            });
+        }
+
+        if (!session.is_active) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'User account is deactivated'
+            });
+        }
+
+        if (session.mfa_setup_required && !MFA_SETUP_PATHS.some(path => req.originalUrl.startsWith(path))) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Your company requires two-factor authentication. Please set it up to continue',
+                code: 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        }
+
+        await req.db.query(
+            `UPDATE user_sessions
+             SET last_activity_at = CURRENT_TIMESTAMP, ip_address = $2, user_agent = COALESCE($3, user_agent)
+             WHERE id = $1`, [session.session_id, req.ip, req.get('User-Agent') || null]
+        );
+
+        req.sessionToken = token;
+        req.session = {
+            id: session.session_id,
+            deviceId: session.device_id,
+            deviceName: session.device_name,
+            expiresAt: session.expires_at,
+            outletId: session.outlet_id
+        };
+        req.user = {
+            id: session.id,
+            username: session.username,
+            email: session.email,
+            role: session.role,
+            company_id: session.company_id,
+            company_role_id: session.company_role_id
+        };
+        next();
+    } catch (error) {
+        console.error('❌ Session verification error:', error.message);
+        return res.status(401).json({
+            status: 'error',
+            message: 'Not authorized'
+        });
+    }
+};
+
+// Restrict a route to the given roles (PostgreSQL counterpart of authorize in auth.middleware.js)
+const authorize = (...roles) => {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res.status(403).json({
+                status: 'error',
+                message: `User role ${req.user ? req.user.role : 'unknown'} is not authorized to access this route`
+            });
+        }
+        next();
+    };
+};
+
+// Require every listed permission (see PERMISSIONS in utils/constants.js)
+const requirePermission = (...permissions) => {
+    return async(req, res, next) => {
+        try {
+            for (const permission of permissions) {
+                if (!req.user || !await hasPermission(req.db, req.user, permission)) {
+                    return res.status(403).json({
+                        status: 'error',
+                        message: `Missing permission: ${permission}`,
+                        code: 'PERMISSION_DENIED'
+                    });
+                }
+            }
+            next();
+        } catch (error) {
+            console.error('❌ Permission check error:', error.message);
+            res.status(500).json({
+                status: 'error',
+                message: 'Server error'
+            });
+        }
+    };
+};
+
+// Load the user named by req.params[paramName] into req.targetUser, but only
+// when they belong to the caller's company. Users of other companies get the
+// same 404 as missing ones so ids cannot be probed across companies.
+const requireSameCompany = (paramName = 'id') => {
+    return async(req, res, next) => {
+        try {
+            const targetId = parseInt(req.params[paramName]);
+
+            if (isNaN(targetId)) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: `Invalid ${paramName}`
+                });
+            }
+
+            const result = await req.db.query(
+                `SELECT id, username, email, role, company_id, is_active
+                 FROM users WHERE id = $1 AND company_id = $2`, [targetId, req.user.company_id]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'User not found'
+                });
+            }
+
+            req.targetUser = result.rows[0];
+            next();
+        } catch (error) {
+            console.error('❌ Company scope error:', error.message);
+            res.status(500).json({
+                status: 'error',
+                message: 'Server error'
+            });
+        }
+    };
+};
+
+module.exports = {
+    SESSION_DURATION_HOURS,
+    generateSessionToken,
+    createSession,
+    findActiveSession,
+    getBearerToken,
+    verifySession,
+    authorize,
+    requirePermission,
+    requireSameCompany
+};
@@ -0,0 +1,64 @@
+const multer = require('multer');
+const { IMAGE_UPLOAD, MENU_FILE } = require('../utils/constants');
+const { menuFileFormat } = require('../utils/menu-file.service');
+const { validateFile } = require('./validation.middleware');
+
+// Uploads stay in memory: they are resized or parsed before anything is stored
+const imageMulter = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMAGE_UPLOAD.MAX_SIZE, files: 1 }
+});
+
+const menuFileMulter = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MENU_FILE.MAX_SIZE, files: 1 }
+});
+
+const multerMessage = (err, maxSize) => ({
+    LIMIT_FILE_SIZE: `File size should not exceed ${maxSize / 1024 / 1024}MB`,
+    LIMIT_FILE_COUNT: 'Only one file can be uploaded',
+    LIMIT_UNEXPECTED_FILE: 'Unexpected file field'
+}[err.code] || 'File upload error');
+
+// Run multer for one file, answering 400 to its limit errors
+const singleFile = (upload, field, maxSize) => (req, res, next) => {
+    upload.single(field)(req, res, (err) => {
+        if (!err) return next();
+
+        if (err instanceof multer.MulterError) {
+            return res.status(400).json({ status: 'error', message: multerMessage(err, maxSize) });
+        }
+        next(err);
+    });
+};
+
+// One image in multipart field `field`, available as req.file.buffer.
+// Missing, oversized or non-image uploads get a 400.
+const imageUpload = (field) => [
+    singleFile(imageMulter, field, IMAGE_UPLOAD.MAX_SIZE),
+    validateFile(field, {
+        required: true,
+        maxSize: IMAGE_UPLOAD.MAX_SIZE,
+        allowedTypes: IMAGE_UPLOAD.ALLOWED_TYPES
+    })
+];
+
+// One menu spreadsheet in multipart field `field`. Browsers and phones
+// disagree on CSV mime types, so the format comes from the file name and is
+// left in req.fileFormat.
+const menuFileUpload = (field) => [
+    singleFile(menuFileMulter, field, MENU_FILE.MAX_SIZE),
+    validateFile(field, { required: true, maxSize: MENU_FILE.MAX_SIZE }),
+    (req, res, next) => {
+        req.fileFormat = menuFileFormat(req.file.originalname);
+        if (!req.fileFormat) {
+            return res.status(400).json({
+                status: 'error',
+                message: `File type not allowed. Allowed types: ${MENU_FILE.FORMATS.join(', ')}`
+            });
+        }
+        next();
+    }
+];
+
+module.exports = { imageUpload, menuFileUpload };
@@ -15,7 +15,8 @@ const drinkSchema = new mongoose.Schema({
     category: {
         type: String,
         required: [true, 'Category is required'],
-        enum: ['Beer', 'Wine', 'Cocktail', 'Soft Drink', 'Other']
+        trim: true,
+        maxlength: [50, 'Category cannot exceed 50 characters']
     },
     imageUrl: {
         type: String,
@@ -0,0 +1,302 @@
+// backend/routes/admin.routes.js
+// Platform-admin accounts: login, sessions, TOTP and the audit trail.
+const express = require('express');
+const router = express.Router();
+const { hashPassword, verifyPassword, validatePasswordStrength } = require('../utils/helpers');
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { countIpFailures, progressiveDelay, recordFailedLogin } = require('../utils/login-protection.service');
+const { LOGIN_PROTECTION } = require('../utils/constants');
+const { createAdminSession, verifyAdmin, logAdminAction } = require('../middleware/admin.middleware');
+
+// ============================================================
+// 🔑 ADMIN LOGIN
+// ============================================================
+router.post('/login', async (req, res) => {
+  try {
+    const { email, username, password, totpCode } = req.body;
+    const identifier = email || username;
+
+    if (!identifier || !password) {
+      return res.status(400).json({ success: false, message: 'Email/username and password required' });
+    }
+
+    const ipFailures = await countIpFailures(req.db, req.ip);
+    if (ipFailures >= LOGIN_PROTECTION.MAX_IP_ATTEMPTS) {
+      return res.status(429).json({ success: false, message: 'Too many failed login attempts. Try again later.' });
+    }
+
+    const result = await req.db.query(
+      `SELECT id, username, email, password, totp_secret, totp_enabled, is_active
+       FROM platform_admins WHERE email = $1 OR username = $1`,
+      [identifier]
+    );
+
+    const admin = result.rows[0];
+    const passwordCheck = admin ? await verifyPassword(password, admin.password) : { match: false };
+
+    if (!admin || !admin.is_active || !passwordCheck.match) {
+      await recordFailedLogin(req.db, { userId: null, identifier: `admin:${identifier}`, ip: req.ip });
+      await progressiveDelay(ipFailures + 1);
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    // ✅ Second step when TOTP is enabled
+    if (admin.totp_enabled) {
+      if (!totpCode) {
+        return res.status(401).json({ success: false, message: 'Authenticator code required', code: 'TOTP_REQUIRED' });
+      }
+      if (!verifyTotp(admin.totp_secret, totpCode)) {
+        await recordFailedLogin(req.db, { userId: null, identifier: `admin:${identifier}`, ip: req.ip });
+        return res.status(401).json({ success: false, message: 'Invalid authenticator code', code: 'TOTP_INVALID' });
+      }
+    }
+
+    const token = await createAdminSession(req.db, {
+      adminId: admin.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent') || null
+    });
+
+    await req.db.query('UPDATE platform_admins SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [admin.id]);
+    await logAdminAction(req, { adminId: admin.id, action: 'admin.login' });
+
+    console.log(`🛡️ Admin login: ${admin.username}`);
+
+    res.json({
+      success: true,
+      token,
+      admin: { id: admin.id, username: admin.username, email: admin.email, totpEnabled: admin.totp_enabled }
+    });
+  } catch (error) {
+    console.error('❌ Admin login error:', error.message);
+    res.status(500).json({ success: false, message: 'Login failed' });
+  }
+});
+
+// ============================================================
+// 🔓 ADMIN LOGOUT
+// ============================================================
+router.post('/logout', verifyAdmin, async (req, res) => {
+  try {
+    await req.db.query(
+      'UPDATE admin_sessions SET is_active = false, terminated_at = NOW() WHERE session_token = $1',
+      [req.adminToken]
+    );
+    await logAdminAction(req, { action: 'admin.logout' });
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================================
+// 👤 CURRENT ADMIN
+// ============================================================
+router.get('/me', verifyAdmin, (req, res) => {
+  res.json({
+    success: true,
+    admin: { id: req.admin.id, username: req.admin.username, email: req.admin.email, totpEnabled: req.admin.totp_enabled }
+  });
+});
+
+// ============================================================
+// 🔐 CHANGE PASSWORD
+// ============================================================
+router.post('/change-password', verifyAdmin, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ success: false, message: 'Current and new password required' });
+    }
+
+    const strength = validatePasswordStrength(newPassword);
+    if (!strength.isValid || strength.level !== 'strong') {
+      return res.status(400).json({ success: false, message: 'Admin passwords must be strong: upper and lower case letters, numbers and symbols' });
+    }
+
+    const result = await req.db.query('SELECT password FROM platform_admins WHERE id = $1', [req.admin.id]);
+    const check = await verifyPassword(currentPassword, result.rows[0].password);
+    if (!check.match) {
+      return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    const hashed = await hashPassword(newPassword);
+    await req.db.query('UPDATE platform_admins SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [hashed, req.admin.id]);
+
+    // ✅ Sign out every other admin session
+    await req.db.query(
+      'UPDATE admin_sessions SET is_active = false, terminated_at = NOW() WHERE admin_id = $1 AND session_token <> $2 AND is_active = true',
+      [req.admin.id, req.adminToken]
+    );
+
+    await logAdminAction(req, { action: 'admin.change_password' });
+    res.json({ success: true, message: 'Password changed' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================================
+// 📱 TOTP SETUP
+// ============================================================
+router.post('/totp/setup', verifyAdmin, async (req, res) => {
+  try {
+    if (req.admin.totp_enabled) {
+      return res.status(400).json({ success: false, message: 'Authenticator already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    await req.db.query('UPDATE platform_admins SET totp_secret = $1 WHERE id = $2', [secret, req.admin.id]);
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: req.admin.email, issuer: 'DrinkQuick Admin' })
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.post('/totp/enable', verifyAdmin, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const result = await req.db.query('SELECT totp_secret FROM platform_admins WHERE id = $1', [req.admin.id]);
+    const secret = result.rows[0].totp_secret;
+
+    if (!secret) {
+      return res.status(400).json({ success: false, message: 'Run TOTP setup first' });
+    }
+    if (!verifyTotp(secret, code)) {
+      return res.status(400).json({ success: false, message: 'Invalid authenticator code' });
+    }
+
+    await req.db.query('UPDATE platform_admins SET totp_enabled = true WHERE id = $1', [req.admin.id]);
+    await logAdminAction(req, { action: 'admin.totp_enabled' });
+    res.json({ success: true, message: 'Authenticator enabled' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.post('/totp/disable', verifyAdmin, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const result = await req.db.query('SELECT password, totp_secret, totp_enabled FROM platform_admins WHERE id = $1', [req.admin.id]);
+    const admin = result.rows[0];
+
+    if (!admin.totp_enabled) {
+      return res.status(400).json({ success: false, message: 'Authenticator is not enabled' });
+    }
+
+    const check = await verifyPassword(password, admin.password);
+    if (!check.match || !verifyTotp(admin.totp_secret, code)) {
+      return res.status(401).json({ success: false, message: 'Password or authenticator code is incorrect' });
+    }
+
+    await req.db.query('UPDATE platform_admins SET totp_enabled = false, totp_secret = NULL WHERE id = $1', [req.admin.id]);
+    await logAdminAction(req, { action: 'admin.totp_disabled' });
+    res.json({ success: true, message: 'Authenticator disabled' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================================
+// 👥 PLATFORM ADMIN ACCOUNTS
+// ============================================================
+router.get('/admins', verifyAdmin, async (req, res) => {
+  try {
+    const result = await req.db.query(
+      'SELECT id, username, email, totp_enabled, is_active, created_at, last_login FROM platform_admins ORDER BY created_at ASC'
+    );
+    res.json({ success: true, admins: result.rows });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.post('/admins', verifyAdmin, async (req, res) => {
+  try {
+    const { username, email, password } = req.body;
+    if (!username || !email || !password) {
+      return res.status(400).json({ success: false, message: 'Username, email and password required' });
+    }
+
+    const strength = validatePasswordStrength(password);
+    if (!strength.isValid || strength.level !== 'strong') {
+      return res.status(400).json({ success: false, message: 'Admin passwords must be strong: upper and lower case letters, numbers and symbols' });
+    }
+
+    const existing = await req.db.query('SELECT id FROM platform_admins WHERE email = $1 OR username = $2', [email, username]);
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ success: false, message: 'Admin with this email or username already exists' });
+    }
+
+    const hashed = await hashPassword(password);
+    const result = await req.db.query(
+      `INSERT INTO platform_admins (username, email, password, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, username, email, is_active, created_at`,
+      [username, email, hashed, req.admin.id]
+    );
+
+    await logAdminAction(req, { action: 'admin.create', targetType: 'platform_admin', targetId: result.rows[0].id, details: { username, email } });
+    res.status(201).json({ success: true, admin: result.rows[0] });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.post('/admins/:id/deactivate', verifyAdmin, async (req, res) => {
+  try {
+    const adminId = parseInt(req.params.id);
+    if (adminId === req.admin.id) {
+      return res.status(400).json({ success: false, message: 'You cannot deactivate yourself' });
+    }
+
+    const result = await req.db.query(
+      'UPDATE platform_admins SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id, username',
+      [adminId]
+    );
+    if (result.rowCount === 0) return res.status(404).json({ success: false, message: 'Admin not found' });
+
+    await req.db.query('UPDATE admin_sessions SET is_active = false, terminated_at = NOW() WHERE admin_id = $1 AND is_active = true', [adminId]);
+    await logAdminAction(req, { action: 'admin.deactivate', targetType: 'platform_admin', targetId: adminId });
+    res.json({ success: true, message: `${result.rows[0].username} deactivated` });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================================
+// 📜 AUDIT LOG
+// ============================================================
+router.get('/audit-logs', verifyAdmin, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, adminId, action } = req.query;
+
+    let query = `
+      SELECT l.id, l.admin_id, a.username AS admin_username, l.action, l.target_type,
+             l.target_id, l.details, l.ip_address, l.created_at
+      FROM admin_audit_logs l
+      LEFT JOIN platform_admins a ON l.admin_id = a.id
+      WHERE 1=1
+    `;
+    const params = [];
+    let p = 1;
+
+    if (adminId) { query += ` AND l.admin_id = $${p}`; params.push(parseInt(adminId)); p++; }
+    if (action) { query += ` AND l.action = $${p}`; params.push(action); p++; }
+
+    query += ` ORDER BY l.created_at DESC LIMIT $${p} OFFSET $${p + 1}`;
+    params.push(Math.min(parseInt(limit), 200), parseInt(offset));
+
+    const result = await req.db.query(query, params);
+    res.json({ success: true, logs: result.rows, limit: parseInt(limit), offset: parseInt(offset) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
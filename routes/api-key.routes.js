@@ -0,0 +1,144 @@
+// backend/routes/api-key.routes.js
+// Company API keys for integrations (accounting tools, websites, menu
+// screens). The full key is shown once at creation; only its hash is kept.
+const express = require('express');
+const router = express.Router();
+const { PERMISSIONS } = require('../utils/constants');
+const { isKnownPermission, getUserPermissions } = require('../utils/permission.service');
+const { generateApiKey } = require('../utils/api-key.service');
+const { verifySession, requirePermission } = require('../middleware/session.middleware');
+
+const MAX_EXPIRY_DAYS = 365;
+
+// ============================================================
+// 📦 HELPERS
+// ============================================================
+
+function formatApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: row.scopes,
+    createdBy: row.created_by_name || row.created_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    revokedAt: row.revoked_at,
+  };
+}
+
+router.use(verifySession, requirePermission(PERMISSIONS.API_KEYS_MANAGE));
+
+router.use((req, res, next) => {
+  if (!req.user.company_id) {
+    return res.status(400).json({ status: 'error', message: 'You do not belong to a company' });
+  }
+  next();
+});
+
+// ============================================================
+// 📋 LIST KEYS (revoked ones included, newest first)
+// ============================================================
+router.get('/', async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `SELECT k.*, u.username AS created_by_name
+       FROM api_keys k
+       LEFT JOIN users u ON k.created_by = u.id
+       WHERE k.company_id = $1
+       ORDER BY k.revoked_at IS NOT NULL, k.created_at DESC`,
+      [req.user.company_id]
+    );
+
+    res.json({ status: 'success', data: { apiKeys: result.rows.map(formatApiKey) } });
+  } catch (error) {
+    console.error('❌ List API keys error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to list API keys' });
+  }
+});
+
+// ============================================================
+// 🔑 CREATE KEY ({ name, scopes, expiresInDays? })
+// ============================================================
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ status: 'error', message: 'Key name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ status: 'error', message: 'At least one scope is required' });
+    }
+
+    const unknown = scopes.filter(scope => !isKnownPermission(scope));
+    if (unknown.length) {
+      return res.status(400).json({ status: 'error', message: `Unknown scope(s): ${unknown.join(', ')}` });
+    }
+
+    // ✅ A key can never do more than the person creating it
+    const callerPermissions = await getUserPermissions(req.db, req.user);
+    const notHeld = scopes.filter(scope => !callerPermissions.includes(scope));
+    if (notHeld.length) {
+      return res.status(403).json({ status: 'error', message: `You cannot grant scope(s) you do not hold: ${notHeld.join(', ')}` });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = parseInt(expiresInDays);
+      if (isNaN(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({ status: 'error', message: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}` });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const generated = generateApiKey();
+    const result = await req.db.query(
+      `INSERT INTO api_keys (company_id, name, key_prefix, key_hash, scopes, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [req.user.company_id, String(name).trim(), generated.prefix, generated.hash, [...new Set(scopes)], req.user.id, expiresAt]
+    );
+
+    console.log(`🔑 API key "${result.rows[0].name}" created by ${req.user.username}`);
+    res.status(201).json({
+      status: 'success',
+      message: 'API key created. Copy it now - it will not be shown again.',
+      data: {
+        apiKey: formatApiKey(result.rows[0]),
+        key: generated.key,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Create API key error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to create API key' });
+  }
+});
+
+// ============================================================
+// ⛔ REVOKE KEY
+// ============================================================
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `UPDATE api_keys SET revoked_at = NOW()
+       WHERE id = $1 AND company_id = $2 AND revoked_at IS NULL
+       RETURNING name`,
+      [parseInt(req.params.id), req.user.company_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'API key not found' });
+    }
+
+    console.log(`⛔ API key "${result.rows[0].name}" revoked by ${req.user.username}`);
+    res.json({ status: 'success', message: 'API key revoked' });
+  } catch (error) {
+    console.error('❌ Revoke API key error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
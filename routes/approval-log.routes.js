@@ -0,0 +1,235 @@
+// backend/routes/approval-log.routes.js
+// Read side of the staff login approval trail: manager decisions and policy
+// decisions from approval_logs, plus login_requests that never got one
+// (timed out, or superseded by a request from another device).
+const express = require('express');
+const PDFDocument = require('pdfkit');
+const router = express.Router();
+const { PAGINATION, PERMISSIONS } = require('../utils/constants');
+const { verifySession, requirePermission } = require('../middleware/session.middleware');
+
+const EXPORT_MAX_ROWS = 5000;
+
+// ============================================================
+// 📦 HELPERS
+// ============================================================
+
+// One row per event, whichever table it comes from. $1 is always the company.
+const ENTRIES_SQL = `
+  SELECT 'approval_log' AS source, al.id, al.request_token, al.action, al.rule, al.details,
+         al.timestamp AS occurred_at, al.staff_id, COALESCE(al.staff_name, s.username) AS staff_name,
+         al.device_name, al.manager_id, m.username AS manager_name
+  FROM approval_logs al
+  JOIN users s ON al.staff_id = s.id
+  LEFT JOIN users m ON al.manager_id = m.id
+  WHERE s.company_id = $1
+
+  UNION ALL
+
+  SELECT 'login_request' AS source, lr.id, lr.request_token,
+         CASE WHEN lr.terminated_at IS NOT NULL THEN 'superseded' ELSE 'expired' END AS action,
+         lr.policy_rule AS rule,
+         CASE WHEN lr.terminated_at IS NOT NULL
+              THEN 'Replaced by a newer request from another device'
+              ELSE 'No manager answered before the request expired' END AS details,
+         COALESCE(lr.terminated_at, lr.expires_at) AS occurred_at, lr.user_id AS staff_id, u.username AS staff_name,
+         lr.device_name, NULL AS manager_id, NULL AS manager_name
+  FROM login_requests lr
+  JOIN users u ON lr.user_id = u.id
+  WHERE u.company_id = $1
+    AND (lr.status = 'expired' OR (lr.status = 'pending' AND lr.expires_at < NOW()))
+`;
+
+// Turns query-string filters into a WHERE clause over ENTRIES_SQL
+function buildFilters(query, companyId) {
+  const conditions = [];
+  const params = [companyId];
+
+  if (query.staffId) {
+    params.push(parseInt(query.staffId));
+    conditions.push(`staff_id = $${params.length}`);
+  }
+  if (query.device) {
+    params.push(`%${query.device}%`);
+    conditions.push(`device_name ILIKE $${params.length}`);
+  }
+  if (query.action) {
+    params.push(String(query.action).split(',').map(a => a.trim()).filter(Boolean));
+    conditions.push(`action = ANY($${params.length})`);
+  }
+  if (query.from) {
+    params.push(new Date(query.from));
+    conditions.push(`occurred_at >= $${params.length}`);
+  }
+  if (query.to) {
+    params.push(new Date(query.to));
+    conditions.push(`occurred_at <= $${params.length}`);
+  }
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+}
+
+// Checks the filters buildFilters() turns into query parameters. Returns a message or null.
+function filterError(query) {
+  if (query.staffId && !/^\d+$/.test(query.staffId)) {
+    return 'staffId must be a user id';
+  }
+  if (['from', 'to'].some(key => query[key] && isNaN(new Date(query[key]).getTime()))) {
+    return 'from and to must be valid dates';
+  }
+  return null;
+}
+
+function formatEntry(row) {
+  return {
+    source: row.source,
+    id: row.id,
+    requestToken: row.request_token,
+    action: row.action,
+    rule: row.rule,
+    details: row.details,
+    occurredAt: row.occurred_at,
+    staffId: row.staff_id,
+    staffName: row.staff_name,
+    deviceName: row.device_name,
+    managerId: row.manager_id,
+    managerName: row.manager_name,
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Device and staff names come from clients; spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+  const columns = ['occurredAt', 'action', 'rule', 'staffName', 'deviceName', 'managerName', 'details', 'requestToken'];
+  const lines = [columns.join(',')];
+  for (const entry of entries) {
+    lines.push(columns.map(col => csvValue(entry[col])).join(','));
+  }
+  return lines.join('\r\n');
+}
+
+function writePdf(res, entries, { companyName, filters }) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(res);
+
+  doc.fontSize(16).text(`Login approval log - ${companyName}`);
+  doc.fontSize(9).fillColor('#555555')
+    .text(`Generated ${new Date().toISOString()}`)
+    .text(filters.length ? `Filters: ${filters.join(', ')}` : 'Filters: none')
+    .text(`${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`);
+  doc.moveDown();
+
+  for (const entry of entries) {
+    doc.fillColor('#000000').fontSize(10)
+      .text(`${new Date(entry.occurredAt).toISOString().replace('T', ' ').slice(0, 19)}  ${entry.action.toUpperCase()}`);
+    doc.fillColor('#333333').fontSize(9)
+      .text(`Staff: ${entry.staffName || '-'}   Device: ${entry.deviceName || '-'}   Manager: ${entry.managerName || '-'}${entry.rule ? `   Rule: ${entry.rule}` : ''}`);
+    if (entry.details) doc.text(entry.details);
+    doc.moveDown(0.5);
+  }
+
+  doc.end();
+}
+
+router.use(verifySession, requirePermission(PERMISSIONS.AUDIT_VIEW));
+
+// ============================================================
+// 📋 LIST (paginated)
+// GET /api/approval-logs?staffId=&device=&action=approved,rejected&from=&to=&page=&limit=
+// ============================================================
+router.get('/', async (req, res) => {
+  try {
+    const invalid = filterError(req.query);
+    if (invalid) {
+      return res.status(400).json({ status: 'error', message: invalid });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT, PAGINATION.MAX_LIMIT);
+    const { where, params } = buildFilters(req.query, req.user.company_id);
+
+    const countResult = await req.db.query(
+      `SELECT COUNT(*) FROM (${ENTRIES_SQL}) entries ${where}`,
+      params
+    );
+    const result = await req.db.query(
+      `SELECT * FROM (${ENTRIES_SQL}) entries ${where}
+       ORDER BY occurred_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const total = parseInt(countResult.rows[0].count);
+    res.json({
+      status: 'success',
+      data: {
+        entries: result.rows.map(formatEntry),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      },
+    });
+  } catch (error) {
+    console.error('❌ Approval log error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load approval log' });
+  }
+});
+
+// ============================================================
+// 📤 EXPORT (same filters) - GET /api/approval-logs/export?format=csv|pdf
+// ============================================================
+router.get('/export', async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!['csv', 'pdf'].includes(format)) {
+      return res.status(400).json({ status: 'error', message: 'format must be csv or pdf' });
+    }
+    const invalid = filterError(req.query);
+    if (invalid) {
+      return res.status(400).json({ status: 'error', message: invalid });
+    }
+
+    const { where, params } = buildFilters(req.query, req.user.company_id);
+    const result = await req.db.query(
+      `SELECT * FROM (${ENTRIES_SQL}) entries ${where}
+       ORDER BY occurred_at DESC
+       LIMIT ${EXPORT_MAX_ROWS}`,
+      params
+    );
+    const entries = result.rows.map(formatEntry);
+    const filename = `approval-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(toCsv(entries));
+    }
+
+    const company = await req.db.query('SELECT name FROM companies WHERE id = $1', [req.user.company_id]);
+    const filters = ['staffId', 'device', 'action', 'from', 'to']
+      .filter(key => req.query[key])
+      .map(key => `${key}=${req.query[key]}`);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    writePdf(res, entries, {
+      companyName: company.rows[0] ? company.rows[0].name : 'Company',
+      filters,
+    });
+  } catch (error) {
+    console.error('❌ Approval log export error:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({ status: 'error', message: 'Failed to export approval log' });
+    }
+  }
+});
+
+module.exports = router;
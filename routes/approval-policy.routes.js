@@ -0,0 +1,257 @@
+// backend/routes/approval-policy.routes.js
+// Per-company rules for Staff device switching: the policy itself,
+// manager-registered trusted devices and weekly staff shifts.
+const express = require('express');
+const router = express.Router();
+const {
+  POLICY_CONDITIONS, POLICY_ACTIONS, TIME_PATTERN, validatePolicy, loadPolicy
+} = require('../utils/approval-policy.service');
+const { PERMISSIONS } = require('../utils/constants');
+const { verifySession, requirePermission, requireSameCompany } = require('../middleware/session.middleware');
+
+// ============================================================
+// 📦 HELPERS
+// ============================================================
+
+function formatTrustedDevice(row) {
+  return {
+    id: row.id,
+    deviceId: row.device_id,
+    deviceName: row.device_name,
+    userId: row.user_id,
+    username: row.username || null,
+    registeredBy: row.registered_by,
+    createdAt: row.created_at,
+  };
+}
+
+function formatShift(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    dayOfWeek: row.day_of_week,
+    start: String(row.start_time).slice(0, 5),
+    end: String(row.end_time).slice(0, 5),
+  };
+}
+
+router.use(verifySession, requirePermission(PERMISSIONS.COMPANY_SETTINGS));
+
+router.use((req, res, next) => {
+  if (!req.user.company_id) {
+    return res.status(400).json({ status: 'error', message: 'You do not belong to a company' });
+  }
+  next();
+});
+
+// ============================================================
+// 📋 CURRENT POLICY
+// ============================================================
+router.get('/', async (req, res) => {
+  try {
+    const policy = await loadPolicy(req.db, req.user.company_id);
+
+    res.json({
+      status: 'success',
+      data: {
+        policy,
+        conditions: Object.values(POLICY_CONDITIONS),
+        actions: Object.values(POLICY_ACTIONS),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Load approval policy error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load approval policy' });
+  }
+});
+
+// ============================================================
+// ✏️ REPLACE POLICY (rules are evaluated top to bottom)
+// ============================================================
+router.put('/', async (req, res) => {
+  try {
+    const { rules, businessHours = null, timezone } = req.body;
+
+    const error = validatePolicy({ rules, businessHours, timezone });
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    // ✅ Keep only known keys
+    const policy = {
+      rules: rules.map(rule => ({ condition: rule.condition, action: rule.action })),
+      businessHours,
+      ...(timezone && { timezone }),
+    };
+
+    await req.db.query(
+      'UPDATE companies SET login_approval_policy = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [JSON.stringify(policy), req.user.company_id]
+    );
+
+    console.log(`📋 Approval policy updated by ${req.user.username} (${policy.rules.length} rule(s))`);
+    res.json({
+      status: 'success',
+      message: 'Approval policy updated',
+      data: { policy: await loadPolicy(req.db, req.user.company_id) },
+    });
+  } catch (error) {
+    console.error('❌ Update approval policy error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to update approval policy' });
+  }
+});
+
+// ============================================================
+// 📱 TRUSTED DEVICES
+// ============================================================
+router.get('/trusted-devices', async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `SELECT td.*, u.username
+       FROM trusted_devices td
+       LEFT JOIN users u ON td.user_id = u.id
+       WHERE td.company_id = $1 AND td.revoked_at IS NULL
+       ORDER BY td.created_at DESC`,
+      [req.user.company_id]
+    );
+
+    res.json({ status: 'success', data: { devices: result.rows.map(formatTrustedDevice) } });
+  } catch (error) {
+    console.error('❌ List trusted devices error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to list trusted devices' });
+  }
+});
+
+// userId is optional: without it the device is trusted for every staff member
+router.post('/trusted-devices', async (req, res) => {
+  try {
+    const { deviceId, deviceName, userId } = req.body;
+
+    if (!deviceId) {
+      return res.status(400).json({ status: 'error', message: 'deviceId is required' });
+    }
+
+    if (userId) {
+      const staff = await req.db.query(
+        'SELECT id FROM users WHERE id = $1 AND company_id = $2',
+        [parseInt(userId), req.user.company_id]
+      );
+      if (staff.rows.length === 0) {
+        return res.status(404).json({ status: 'error', message: 'User not found' });
+      }
+    }
+
+    const result = await req.db.query(
+      `INSERT INTO trusted_devices (company_id, user_id, device_id, device_name, registered_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [req.user.company_id, userId ? parseInt(userId) : null, deviceId, deviceName || null, req.user.id]
+    );
+
+    console.log(`📱 Trusted device ${deviceName || deviceId} registered by ${req.user.username}`);
+    res.status(201).json({
+      status: 'success',
+      message: 'Device trusted',
+      data: { device: formatTrustedDevice(result.rows[0]) },
+    });
+  } catch (error) {
+    console.error('❌ Trust device error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to trust device' });
+  }
+});
+
+router.delete('/trusted-devices/:id', async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `UPDATE trusted_devices SET revoked_at = NOW()
+       WHERE id = $1 AND company_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [parseInt(req.params.id), req.user.company_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Trusted device not found' });
+    }
+
+    res.json({ status: 'success', message: 'Device is no longer trusted' });
+  } catch (error) {
+    console.error('❌ Revoke trusted device error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to revoke trusted device' });
+  }
+});
+
+// ============================================================
+// 🕒 STAFF SHIFTS (weekly schedule, company timezone)
+// ============================================================
+router.get('/shifts', async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    let query = 'SELECT * FROM staff_shifts WHERE company_id = $1';
+    const params = [req.user.company_id];
+
+    if (userId) {
+      query += ' AND user_id = $2';
+      params.push(parseInt(userId));
+    }
+
+    query += ' ORDER BY user_id, day_of_week, start_time';
+    const result = await req.db.query(query, params);
+
+    res.json({ status: 'success', data: { shifts: result.rows.map(formatShift) } });
+  } catch (error) {
+    console.error('❌ List shifts error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to list shifts' });
+  }
+});
+
+// Replaces the staff member's whole week; an empty list clears it
+router.put('/shifts/:id', requireSameCompany('id'), async (req, res) => {
+  const { shifts } = req.body;
+
+  if (!Array.isArray(shifts)) {
+    return res.status(400).json({ status: 'error', message: 'shifts must be an array' });
+  }
+  for (const shift of shifts) {
+    if (!Number.isInteger(shift.dayOfWeek) || shift.dayOfWeek < 0 || shift.dayOfWeek > 6) {
+      return res.status(400).json({ status: 'error', message: 'dayOfWeek must be 0 (Sunday) to 6 (Saturday)' });
+    }
+    if (!TIME_PATTERN.test(shift.start) || !TIME_PATTERN.test(shift.end) || shift.start === shift.end) {
+      return res.status(400).json({ status: 'error', message: 'start and end must be different HH:MM times' });
+    }
+  }
+
+  const client = await req.db.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM staff_shifts WHERE user_id = $1', [req.targetUser.id]);
+
+    for (const shift of shifts) {
+      await client.query(
+        `INSERT INTO staff_shifts (company_id, user_id, day_of_week, start_time, end_time)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [req.user.company_id, req.targetUser.id, shift.dayOfWeek, shift.start, shift.end]
+      );
+    }
+
+    const result = await client.query(
+      'SELECT * FROM staff_shifts WHERE user_id = $1 ORDER BY day_of_week, start_time',
+      [req.targetUser.id]
+    );
+    await client.query('COMMIT');
+
+    res.json({
+      status: 'success',
+      message: `Shifts updated for ${req.targetUser.username}`,
+      data: { shifts: result.rows.map(formatShift) },
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Update shifts error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to update shifts' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
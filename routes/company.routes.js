@@ -0,0 +1,387 @@
+// backend/routes/company.routes.js
+// The signed-in user's company: profile, invite codes, deactivation, and
+// joining one with an invite code for accounts that have none yet.
+// Routes are protected one by one because /api/companies/verify-code
+// (server.js) is public and shares this prefix.
+const express = require('express');
+const router = express.Router();
+const { PERMISSIONS, ROLES } = require('../utils/constants');
+const { verifyPassword } = require('../utils/helpers');
+const { INVITE_ROLES, createInvite, redeemInvite } = require('../utils/company-invite.service');
+const { hasPermission } = require('../utils/permission.service');
+const { notifyUser, disconnectSessions } = require('../utils/realtime.service');
+const { verifySession, requirePermission } = require('../middleware/session.middleware');
+
+const MAX_INVITE_DAYS = 90;
+
+// ============================================================
+// 📦 HELPERS
+// ============================================================
+
+function formatCompany(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    code: row.code,
+    email: row.email,
+    phone: row.phone,
+    timezone: row.timezone,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function formatInvite(row) {
+  const expired = row.expires_at && new Date(row.expires_at) <= new Date();
+  const usedUp = row.max_uses !== null && row.use_count >= row.max_uses;
+
+  return {
+    id: row.id,
+    code: row.code,
+    role: row.role,
+    maxUses: row.max_uses,
+    useCount: row.use_count,
+    expiresAt: row.expires_at,
+    createdBy: row.created_by_name || row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+    usable: !row.revoked_at && !expired && !usedUp,
+  };
+}
+
+// Returns an error message, or null. Fills `values` with parsed fields.
+function parseInviteOptions(body, values) {
+  if (body.maxUses !== undefined) {
+    if (body.maxUses !== null && (!Number.isInteger(body.maxUses) || body.maxUses < 1)) {
+      return 'maxUses must be a positive whole number, or null for unlimited';
+    }
+    values.maxUses = body.maxUses;
+  }
+
+  if (body.expiresInDays !== undefined) {
+    if (body.expiresInDays === null) {
+      values.expiresAt = null;
+    } else {
+      const days = parseInt(body.expiresInDays);
+      if (isNaN(days) || days < 1 || days > MAX_INVITE_DAYS) {
+        return `expiresInDays must be between 1 and ${MAX_INVITE_DAYS}`;
+      }
+      values.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+  }
+
+  return null;
+}
+
+// The clock price rules run on (an IANA name such as Africa/Douala)
+function isKnownTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function findInvite(db, id, companyId) {
+  const result = await db.query(
+    'SELECT * FROM company_invites WHERE id = $1 AND company_id = $2',
+    [parseInt(id), companyId]
+  );
+  return result.rows[0] || null;
+}
+
+function requireCompany(req, res, next) {
+  if (!req.user.company_id) {
+    return res.status(400).json({ status: 'error', message: 'You do not belong to a company' });
+  }
+  next();
+}
+
+const member = [verifySession, requireCompany];
+const canEditCompany = [...member, requirePermission(PERMISSIONS.COMPANY_SETTINGS)];
+const canManageInvites = [...member, requirePermission(PERMISSIONS.STAFF_MANAGE)];
+
+// ============================================================
+// 🏢 MY COMPANY
+// ============================================================
+router.get('/me', ...member, async (req, res) => {
+  try {
+    const result = await req.db.query('SELECT * FROM companies WHERE id = $1', [req.user.company_id]);
+    const counts = await req.db.query(
+      `SELECT role, COUNT(*) FROM users WHERE company_id = $1 AND is_active = true GROUP BY role`,
+      [req.user.company_id]
+    );
+
+    res.json({
+      status: 'success',
+      data: {
+        company: formatCompany(result.rows[0]),
+        members: Object.fromEntries(counts.rows.map(row => [row.role, parseInt(row.count)])),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Get company error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load company' });
+  }
+});
+
+router.patch('/me', ...canEditCompany, async (req, res) => {
+  try {
+    const { name, email, phone, timezone } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ status: 'error', message: 'Company name cannot be empty' });
+    }
+    if (timezone !== undefined && !isKnownTimezone(timezone)) {
+      return res.status(400).json({ status: 'error', message: `Unknown timezone: ${timezone}` });
+    }
+
+    const result = await req.db.query(
+      `UPDATE companies
+       SET name = COALESCE($1, name),
+           email = COALESCE($2, email),
+           phone = COALESCE($3, phone),
+           timezone = COALESCE($4, timezone),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING *`,
+      [name !== undefined ? String(name).trim() : null, email, phone, timezone, req.user.company_id]
+    );
+
+    res.json({ status: 'success', message: 'Company updated', data: { company: formatCompany(result.rows[0]) } });
+  } catch (error) {
+    console.error('❌ Update company error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to update company' });
+  }
+});
+
+// ============================================================
+// 🤝 JOIN A COMPANY (existing accounts; new ones pass inviteCode to register)
+// { inviteCode }
+// ============================================================
+router.post('/join', verifySession, async (req, res) => {
+  if (!req.user.id) {
+    return res.status(403).json({ status: 'error', message: 'Only a signed-in account can join a company' });
+  }
+  if (req.user.company_id) {
+    return res.status(409).json({ status: 'error', message: 'You already belong to a company' });
+  }
+  if (!req.body.inviteCode) {
+    return res.status(400).json({ status: 'error', message: 'inviteCode is required' });
+  }
+
+  const client = await req.db.connect();
+  try {
+    // ✅ The invite use only counts if the account really joins
+    await client.query('BEGIN');
+
+    const invite = await redeemInvite(client, req.body.inviteCode);
+    if (!invite) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: 'Invite code is invalid, expired or already used up' });
+    }
+
+    const joined = await client.query(
+      `UPDATE users SET company_id = $1, role = $2, company_role_id = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND company_id IS NULL
+       RETURNING id`,
+      [invite.company_id, invite.role, req.user.id]
+    );
+    if (joined.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ status: 'error', message: 'You already belong to a company' });
+    }
+
+    await client.query('COMMIT');
+
+    const company = await req.db.query('SELECT * FROM companies WHERE id = $1', [invite.company_id]);
+    console.log(`🤝 ${req.user.username} joined company ${company.rows[0].name} as ${invite.role}`);
+    res.json({
+      status: 'success',
+      message: `Welcome to ${company.rows[0].name}!`,
+      data: { company: formatCompany(company.rows[0]), role: invite.role },
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Join company error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to join company' });
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================================
+// ⛔ DEACTIVATE COMPANY (signs everyone out, blocks logins and API keys)
+// ============================================================
+router.post('/me/deactivate', ...canEditCompany, async (req, res) => {
+  try {
+    const { password, confirmName } = req.body;
+
+    const me = await req.db.query('SELECT password FROM users WHERE id = $1', [req.user.id]);
+    const passwordCheck = await verifyPassword(password, me.rows[0].password);
+    if (!passwordCheck.match) {
+      return res.status(401).json({ status: 'error', message: 'Password is incorrect' });
+    }
+
+    const company = await req.db.query('SELECT name FROM companies WHERE id = $1', [req.user.company_id]);
+    if (confirmName !== company.rows[0].name) {
+      return res.status(400).json({ status: 'error', message: 'Type the company name exactly to confirm' });
+    }
+
+    await req.db.query(
+      `UPDATE companies SET is_active = false, deactivated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [req.user.company_id]
+    );
+    const terminated = await req.db.query(
+      `UPDATE user_sessions SET is_active = false, terminated_at = NOW()
+       WHERE is_active = true AND user_id IN (SELECT id FROM users WHERE company_id = $1)
+       RETURNING id, user_id`,
+      [req.user.company_id]
+    );
+    await req.db.query(
+      `UPDATE company_invites SET revoked_at = NOW() WHERE company_id = $1 AND revoked_at IS NULL`,
+      [req.user.company_id]
+    );
+
+    new Set(terminated.rows.map(row => row.user_id))
+      .forEach(userId => notifyUser(userId, 'session:terminated', { reason: 'company_deactivated' }));
+    disconnectSessions(terminated.rows.map(row => row.id));
+
+    console.log(`⛔ Company ${company.rows[0].name} deactivated by ${req.user.username}`);
+    res.json({ status: 'success', message: 'Company deactivated. All members have been signed out.' });
+  } catch (error) {
+    console.error('❌ Deactivate company error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to deactivate company' });
+  }
+});
+
+// ============================================================
+// 🎟️ INVITE CODES
+// ============================================================
+router.get('/me/invites', ...canManageInvites, async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `SELECT i.*, u.username AS created_by_name
+       FROM company_invites i
+       LEFT JOIN users u ON i.created_by = u.id
+       WHERE i.company_id = $1
+       ORDER BY i.revoked_at IS NOT NULL, i.created_at DESC`,
+      [req.user.company_id]
+    );
+
+    res.json({ status: 'success', data: { invites: result.rows.map(formatInvite) } });
+  } catch (error) {
+    console.error('❌ List invites error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to list invites' });
+  }
+});
+
+// { role?: 'Staff'|'Manager', maxUses?, expiresInDays? }
+router.post('/me/invites', ...canManageInvites, async (req, res) => {
+  try {
+    const role = req.body.role || ROLES.STAFF;
+    const options = { maxUses: null, expiresAt: null };
+
+    if (!INVITE_ROLES.includes(role)) {
+      return res.status(400).json({ status: 'error', message: `role must be one of: ${INVITE_ROLES.join(', ')}` });
+    }
+    if (role === ROLES.MANAGER && !await hasPermission(req.db, req.user, PERMISSIONS.ROLES_MANAGE)) {
+      return res.status(403).json({ status: 'error', message: `Missing permission: ${PERMISSIONS.ROLES_MANAGE}` });
+    }
+
+    const error = parseInviteOptions(req.body, options);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const invite = await createInvite(req.db, {
+      companyId: req.user.company_id,
+      role,
+      maxUses: options.maxUses,
+      expiresAt: options.expiresAt,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({ status: 'success', message: 'Invite created', data: { invite: formatInvite(invite) } });
+  } catch (error) {
+    console.error('❌ Create invite error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to create invite' });
+  }
+});
+
+// Change limits (maxUses, expiresInDays); revoke to stop an invite right away
+router.patch('/me/invites/:id', ...canManageInvites, async (req, res) => {
+  try {
+    const invite = await findInvite(req.db, req.params.id, req.user.company_id);
+    if (!invite || invite.revoked_at) {
+      return res.status(404).json({ status: 'error', message: 'Invite not found' });
+    }
+
+    const options = { maxUses: invite.max_uses, expiresAt: invite.expires_at };
+    const error = parseInviteOptions(req.body, options);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const result = await req.db.query(
+      'UPDATE company_invites SET max_uses = $1, expires_at = $2 WHERE id = $3 RETURNING *',
+      [options.maxUses, options.expiresAt, invite.id]
+    );
+
+    res.json({ status: 'success', message: 'Invite updated', data: { invite: formatInvite(result.rows[0]) } });
+  } catch (error) {
+    console.error('❌ Update invite error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to update invite' });
+  }
+});
+
+// Replace the code, keeping role and limits; the old code stops working
+router.post('/me/invites/:id/rotate', ...canManageInvites, async (req, res) => {
+  try {
+    const invite = await findInvite(req.db, req.params.id, req.user.company_id);
+    if (!invite || invite.revoked_at) {
+      return res.status(404).json({ status: 'error', message: 'Invite not found' });
+    }
+
+    await req.db.query('UPDATE company_invites SET revoked_at = NOW() WHERE id = $1', [invite.id]);
+    const rotated = await createInvite(req.db, {
+      companyId: req.user.company_id,
+      role: invite.role,
+      maxUses: invite.max_uses,
+      expiresAt: invite.expires_at,
+      createdBy: req.user.id,
+    });
+
+    res.json({ status: 'success', message: 'Invite code rotated', data: { invite: formatInvite(rotated) } });
+  } catch (error) {
+    console.error('❌ Rotate invite error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to rotate invite' });
+  }
+});
+
+router.delete('/me/invites/:id', ...canManageInvites, async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `UPDATE company_invites SET revoked_at = NOW()
+       WHERE id = $1 AND company_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [parseInt(req.params.id), req.user.company_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Invite not found' });
+    }
+
+    res.json({ status: 'success', message: 'Invite revoked' });
+  } catch (error) {
+    console.error('❌ Revoke invite error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to revoke invite' });
+  }
+});
+
+module.exports = router;
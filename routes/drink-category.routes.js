@@ -0,0 +1,296 @@
+// backend/routes/drink-category.routes.js
+// Per-company drink categories (name, icon, colour, order, default price).
+// Mounted by drink.routes.js under /api/drinks/categories, after its session
+// and company checks. Categories are archived, never deleted, so past drinks
+// and reports keep their category.
+const express = require('express');
+const router = express.Router();
+const { PERMISSIONS, DRINK_CATEGORY } = require('../utils/constants');
+const { hasPermission } = require('../utils/permission.service');
+const { ensureDefaultCategories } = require('../utils/drink-category.service');
+const { requirePermission } = require('../middleware/session.middleware');
+
+// ============================================================
+// 📦 HELPERS
+// ============================================================
+
+function formatCategory(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    icon: row.icon,
+    color: row.color,
+    defaultPrice: parseFloat(row.default_price),
+    sortOrder: row.sort_order,
+    isArchived: !!row.archived_at,
+    archivedAt: row.archived_at,
+    drinkCount: row.drink_count !== undefined ? row.drink_count : undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Checks the fields present in a create/edit body. Returns a message or null.
+function categoryFieldError({ name, defaultPrice, icon, color }) {
+  if (name !== undefined && (!String(name).trim() || String(name).trim().length > DRINK_CATEGORY.NAME_MAX_LENGTH)) {
+    return `Category name must be 1 to ${DRINK_CATEGORY.NAME_MAX_LENGTH} characters`;
+  }
+  if (defaultPrice !== undefined && (isNaN(parseFloat(defaultPrice)) || parseFloat(defaultPrice) < 0)) {
+    return 'Default price must be a positive number';
+  }
+  if (icon !== undefined && icon !== null && String(icon).length > DRINK_CATEGORY.ICON_MAX_LENGTH) {
+    return `Icon cannot exceed ${DRINK_CATEGORY.ICON_MAX_LENGTH} characters`;
+  }
+  if (color !== undefined && color !== null && !DRINK_CATEGORY.COLOR_PATTERN.test(color)) {
+    return 'Color must be a hex value like #667EEA';
+  }
+  return null;
+}
+
+async function findCategory(db, id, companyId) {
+  const result = await db.query(
+    'SELECT * FROM drink_categories WHERE id = $1 AND company_id = $2',
+    [parseInt(id), companyId]
+  );
+  return result.rows[0] || null;
+}
+
+const canView = requirePermission(PERMISSIONS.DRINKS_VIEW);
+const canManage = requirePermission(PERMISSIONS.DRINKS_MANAGE);
+
+// ============================================================
+// 📋 LIST CATEGORIES (menu order; ?includeArchived=true)
+// ============================================================
+router.get('/', canView, async (req, res) => {
+  try {
+    await ensureDefaultCategories(req.db, req.user.company_id);
+
+    const result = await req.db.query(
+      `SELECT c.*, COUNT(d.id)::int AS drink_count
+       FROM drink_categories c
+       LEFT JOIN drinks d ON d.category_id = c.id AND d.is_active = true
+       WHERE c.company_id = $1 AND ($2::boolean OR c.archived_at IS NULL)
+       GROUP BY c.id
+       ORDER BY c.sort_order, c.name`,
+      [req.user.company_id, req.query.includeArchived === 'true']
+    );
+
+    res.json({ status: 'success', data: { categories: result.rows.map(formatCategory) } });
+  } catch (error) {
+    console.error('❌ Get categories error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load categories' });
+  }
+});
+
+// ============================================================
+// ➕ CREATE CATEGORY ({ name, defaultPrice?, icon?, color? })
+// ============================================================
+router.post('/', canManage, async (req, res) => {
+  try {
+    const { name, defaultPrice = 0, icon, color } = req.body;
+
+    if (name === undefined) {
+      return res.status(400).json({ status: 'error', message: 'Category name is required' });
+    }
+    const fieldError = categoryFieldError({ name, defaultPrice, icon, color });
+    if (fieldError) {
+      return res.status(400).json({ status: 'error', message: fieldError });
+    }
+
+    await ensureDefaultCategories(req.db, req.user.company_id);
+
+    // ✅ New categories go to the end of the menu
+    const result = await req.db.query(
+      `INSERT INTO drink_categories (company_id, name, default_price, icon, color, sort_order, created_by)
+       SELECT $1, $2, $3, $4, $5, COALESCE(MAX(sort_order) + 1, 0), $6
+       FROM drink_categories WHERE company_id = $1
+       RETURNING *`,
+      [req.user.company_id, String(name).trim(), defaultPrice, icon || null, color || null, req.user.id]
+    );
+
+    console.log(`🏷️ Drink category "${result.rows[0].name}" created by ${req.user.username}`);
+    res.status(201).json({ status: 'success', message: 'Category created', data: { category: formatCategory(result.rows[0]) } });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ status: 'error', message: 'A category with this name already exists' });
+    }
+    console.error('❌ Create category error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to create category' });
+  }
+});
+
+// ============================================================
+// ↕️ REORDER ({ categoryIds: [...] } in menu order)
+// ============================================================
+router.put('/order', canManage, async (req, res) => {
+  const client = await req.db.connect();
+
+  try {
+    const { categoryIds } = req.body;
+
+    if (!Array.isArray(categoryIds) || categoryIds.length === 0 || categoryIds.some(id => !Number.isInteger(id))) {
+      return res.status(400).json({ status: 'error', message: 'categoryIds must be an array of category ids' });
+    }
+
+    const uniqueIds = [...new Set(categoryIds)];
+    const owned = await client.query(
+      'SELECT id FROM drink_categories WHERE id = ANY($1::int[]) AND company_id = $2',
+      [uniqueIds, req.user.company_id]
+    );
+    if (owned.rows.length !== uniqueIds.length) {
+      return res.status(400).json({ status: 'error', message: 'Some categories do not belong to your company' });
+    }
+
+    // Listed categories come first, in the given order; the rest keep their relative order after them
+    await client.query('BEGIN');
+    for (const [index, id] of uniqueIds.entries()) {
+      await client.query(
+        'UPDATE drink_categories SET sort_order = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [index, id]
+      );
+    }
+    await client.query(
+      `UPDATE drink_categories c SET sort_order = ranked.position
+       FROM (
+         SELECT id, $3 + ROW_NUMBER() OVER (ORDER BY sort_order, name) - 1 AS position
+         FROM drink_categories
+         WHERE company_id = $1 AND NOT (id = ANY($2::int[]))
+       ) ranked
+       WHERE c.id = ranked.id`,
+      [req.user.company_id, uniqueIds, uniqueIds.length]
+    );
+    await client.query('COMMIT');
+
+    res.json({ status: 'success', message: 'Categories reordered', data: { categoryIds: uniqueIds } });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Reorder categories error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to reorder categories' });
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================================
+// ✏️ EDIT CATEGORY ({ name?, defaultPrice?, icon?, color? })
+// Default price changes need drinks.edit_price
+// ============================================================
+router.patch('/:id', canManage, async (req, res) => {
+  try {
+    const category = await findCategory(req.db, req.params.id, req.user.company_id);
+    if (!category) {
+      return res.status(404).json({ status: 'error', message: 'Category not found' });
+    }
+
+    const { name, defaultPrice, icon, color } = req.body;
+
+    const fieldError = categoryFieldError({ name, defaultPrice, icon, color });
+    if (fieldError) {
+      return res.status(400).json({ status: 'error', message: fieldError });
+    }
+    if (defaultPrice !== undefined && parseFloat(defaultPrice) !== parseFloat(category.default_price)
+        && !await hasPermission(req.db, req.user, PERMISSIONS.DRINKS_EDIT_PRICE)) {
+      return res.status(403).json({ status: 'error', message: `Missing permission: ${PERMISSIONS.DRINKS_EDIT_PRICE}` });
+    }
+
+    const result = await req.db.query(
+      `UPDATE drink_categories
+       SET name = $1, default_price = $2, icon = $3, color = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING *`,
+      [
+        name !== undefined ? String(name).trim() : category.name,
+        defaultPrice !== undefined ? defaultPrice : category.default_price,
+        icon !== undefined ? icon : category.icon,
+        color !== undefined ? color : category.color,
+        category.id,
+      ]
+    );
+
+    if (name !== undefined && result.rows[0].name !== category.name) {
+      console.log(`🏷️ Drink category "${category.name}" renamed to "${result.rows[0].name}" by ${req.user.username}`);
+    }
+    res.json({ status: 'success', message: 'Category updated', data: { category: formatCategory(result.rows[0]) } });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ status: 'error', message: 'A category with this name already exists' });
+    }
+    console.error('❌ Update category error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to update category' });
+  }
+});
+
+// ============================================================
+// 📦 ARCHIVE ({ moveToCategoryId? } - required while drinks still use it)
+// ============================================================
+router.post('/:id/archive', canManage, async (req, res) => {
+  try {
+    const category = await findCategory(req.db, req.params.id, req.user.company_id);
+    if (!category || category.archived_at) {
+      return res.status(404).json({ status: 'error', message: 'Category not found or already archived' });
+    }
+
+    const { moveToCategoryId } = req.body;
+    const drinks = await req.db.query(
+      'SELECT COUNT(*)::int AS count FROM drinks WHERE category_id = $1 AND is_active = true',
+      [category.id]
+    );
+    const drinkCount = drinks.rows[0].count;
+
+    if (drinkCount > 0 && !moveToCategoryId) {
+      return res.status(409).json({
+        status: 'error',
+        message: `${drinkCount} drink(s) still use this category. Move them to another category first.`,
+        data: { drinkCount },
+      });
+    }
+
+    if (drinkCount > 0) {
+      const target = await findCategory(req.db, moveToCategoryId, req.user.company_id);
+      if (!target || target.archived_at || target.id === category.id) {
+        return res.status(400).json({ status: 'error', message: 'Target category not found or archived' });
+      }
+      await req.db.query(
+        'UPDATE drinks SET category_id = $1, updated_at = CURRENT_TIMESTAMP WHERE category_id = $2 AND is_active = true',
+        [target.id, category.id]
+      );
+    }
+
+    const result = await req.db.query(
+      'UPDATE drink_categories SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [category.id]
+    );
+
+    console.log(`📦 Drink category "${category.name}" archived by ${req.user.username}`);
+    res.json({
+      status: 'success',
+      message: 'Category archived',
+      data: { category: formatCategory(result.rows[0]), movedDrinks: drinkCount },
+    });
+  } catch (error) {
+    console.error('❌ Archive category error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to archive category' });
+  }
+});
+
+router.post('/:id/restore', canManage, async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `UPDATE drink_categories SET archived_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND company_id = $2 AND archived_at IS NOT NULL
+       RETURNING *`,
+      [parseInt(req.params.id), req.user.company_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Category not found or not archived' });
+    }
+
+    res.json({ status: 'success', message: 'Category restored', data: { category: formatCategory(result.rows[0]) } });
+  } catch (error) {
+    console.error('❌ Restore category error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to restore category' });
+  }
+});
+
+module.exports = router;
@@ -1,107 +1,884 @@
+// backend/routes/drink.routes.js
+// Company drinks catalog on PostgreSQL (replaces the Mongo drink.controller).
+// Outlets can override a drink's price, track its stock or hide it; lists
+// are priced for the caller's outlet (session outlet or ?outletId=).
 const express = require('express');
 const router = express.Router();
-const drinkController = require('../controllers/drink.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS, PAGINATION, DEFAULT_DRINK_IMAGE, MENU_FILE } = require('../utils/constants');
+const { calculateDrinkStats } = require('../utils/helpers');
+const { hasPermission } = require('../utils/permission.service');
+const { resolveRequestOutlet } = require('../utils/outlet.service');
+const { resolveDrinkCategory } = require('../utils/drink-category.service');
+const { loadDrinkModifierGroups } = require('../utils/modifier.service');
+const { storeImage, removeImage } = require('../utils/image.service');
+const { CONTENT_TYPES, parseMenuFile, writeMenuFile } = require('../utils/menu-file.service');
+const { planMenuImport, applyMenuImport, loadMenuRows } = require('../utils/menu-import.service');
+const {
+  drinkValidation, drinkUpdateValidation, drinkVariantValidation, drinkVariantUpdateValidation
+} = require('../utils/validators');
 const { validate } = require('../middleware/validation.middleware');
-const validators = require('../utils/validators');
+const { imageUpload, menuFileUpload } = require('../middleware/upload.middleware');
+const { verifySession, requirePermission } = require('../middleware/session.middleware');
+const drinkCategoryRoutes = require('./drink-category.routes');
+const priceRuleRoutes = require('./price-rule.routes');
+const modifierGroupRoutes = require('./modifier-group.routes');
 
-// Debug: Check controller functions
-console.log('Drink Controller loaded:', drinkController ? 'YES' : 'NO');
-if (drinkController) {
-    console.log('Available functions:', Object.keys(drinkController));
+// ?sort= values and the column they order by ('-' prefix = descending)
+const SORT_COLUMNS = {
+  name: 'd.name',
+  price: 'd.price',
+  category: 'c.sort_order',
+  createdAt: 'd.created_at',
+  updatedAt: 'd.updated_at',
+};
+
+// Request field → column, for partial updates
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  price: 'price',
+  imageUrl: 'image_url',
+  description: 'description',
+  tags: 'tags',
+  alcoholContent: 'alcohol_content',
+  volume: 'volume',
+  unit: 'unit',
+  isActive: 'is_active',
+};
+
+// Request field → column, for variant updates
+const VARIANT_FIELDS = {
+  name: 'name',
+  size: 'size',
+  unit: 'unit',
+  price: 'price',
+  cost: 'cost',
+  sku: 'sku',
+  sortOrder: 'sort_order',
+};
+
+// ============================================================
+// 📦 HELPERS
+// ============================================================
+
+function formatDrink(row) {
+  const basePrice = parseFloat(row.price);
+  const price = row.outlet_price !== undefined && row.outlet_price !== null ? parseFloat(row.outlet_price) : basePrice;
+
+  return {
+    id: row.id,
+    _id: row.id,
+    name: row.name,
+    price,
+    basePrice,
+    formattedPrice: `${price.toFixed(0)} Frs`,
+    category: row.category_name,
+    categoryId: row.category_id,
+    imageUrl: row.image_url,
+    thumbnailUrl: row.thumbnail_url || row.image_url,
+    description: row.description,
+    isCustom: row.is_custom,
+    isActive: row.is_active,
+    tags: row.tags || [],
+    alcoholContent: row.alcohol_content !== null ? parseFloat(row.alcohol_content) : 0,
+    volume: row.volume !== null ? parseFloat(row.volume) : null,
+    unit: row.unit,
+    stock: row.outlet_stock !== undefined ? row.outlet_stock : undefined,
+    localId: row.local_id,
+    syncStatus: row.sync_status,
+    lastSynced: row.last_synced,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// cost (and the margin it gives) is only shown to people who manage drinks
+function formatVariant(row, withCost = false) {
+  const price = parseFloat(row.price);
+  const cost = row.cost !== null ? parseFloat(row.cost) : null;
+
+  return {
+    id: row.id,
+    drinkId: row.drink_id,
+    name: row.name,
+    size: row.size !== null ? parseFloat(row.size) : null,
+    unit: row.unit,
+    price,
+    formattedPrice: `${price.toFixed(0)} Frs`,
+    cost: withCost ? cost : undefined,
+    margin: withCost && cost !== null ? parseFloat((price - cost).toFixed(2)) : undefined,
+    sku: row.sku,
+    sortOrder: row.sort_order,
+    isActive: row.is_active,
+  };
+}
+
+// Load the active variants of formatted drinks in one query and set drink.variants
+async function attachVariants(req, drinks) {
+  if (drinks.length === 0) return drinks;
+
+  const withCost = !req.apiKey && await hasPermission(req.db, req.user, PERMISSIONS.DRINKS_MANAGE);
+  const result = await req.db.query(
+    `SELECT * FROM drink_variants
+     WHERE drink_id = ANY($1::int[]) AND is_active = true
+     ORDER BY sort_order, price, id`,
+    [drinks.map(drink => drink.id)]
+  );
+
+  for (const drink of drinks) {
+    drink.variants = result.rows.filter(row => row.drink_id === drink.id).map(row => formatVariant(row, withCost));
+  }
+  return drinks;
+}
+
+async function findVariant(db, drinkId, variantId) {
+  const result = await db.query(
+    'SELECT * FROM drink_variants WHERE id = $1 AND drink_id = $2 AND is_active = true',
+    [parseInt(variantId), drinkId]
+  );
+  return result.rows[0] || null;
+}
+
+async function skuTaken(db, companyId, sku, exceptId = null) {
+  if (!sku) return false;
+  const result = await db.query(
+    `SELECT id FROM drink_variants
+     WHERE company_id = $1 AND LOWER(sku) = LOWER($2) AND is_active = true AND ($3::int IS NULL OR id <> $3)`,
+    [companyId, sku, exceptId]
+  );
+  return result.rows.length > 0;
+}
+
+function normalizeTags(tags) {
+  return [...new Set((tags || []).map(tag => String(tag).trim()).filter(Boolean))];
+}
+
+// Base SELECT with the category and outlet override joined in ($2 = outlet id or NULL)
+const DRINK_FROM = `
+  FROM drinks d
+  LEFT JOIN drink_categories c ON c.id = d.category_id
+  LEFT JOIN outlet_drinks od ON od.drink_id = d.id AND od.outlet_id = $2`;
+
+const DRINK_SELECT = `
+  SELECT d.*, c.name AS category_name, od.price AS outlet_price, od.stock AS outlet_stock
+  ${DRINK_FROM}`;
+
+async function findDrink(db, id, companyId, outletId = null) {
+  const result = await db.query(
+    `${DRINK_SELECT} WHERE d.id = $3 AND d.company_id = $1`,
+    [companyId, outletId, parseInt(id)]
+  );
+  return result.rows[0] || null;
 }
 
-// All routes are protected
-router.use(protect);
-
-// Get all drinks
-router.get('/', drinkController.getDrinks || ((req, res) => res.json({ message: 'getDrinks function not available' })));
-
-// Get drink categories
-router.get('/categories', drinkController.getCategories || ((req, res) => res.json({ message: 'getCategories function not available' })));
-
-// Get drink statistics
-router.get('/stats', drinkController.getDrinkStats || ((req, res) => res.json({ message: 'getDrinkStats function not available' })));
-
-// Get single drink
-router.get('/:id', drinkController.getDrinkById || ((req, res) => res.json({ message: 'getDrinkById function not available' })));
-
-// Create drink (staff and above) - FIXED: Check if validation exists
-router.post(
-    '/',
-    authorize('Administrator', 'Manager', 'Staff'),
-    (req, res, next) => {
-        // Safely apply validation if available
-        if (validators && validators.drinkValidation && validate) {
-            return validate(validators.drinkValidation)(req, res, next);
-        }
-        console.log('Validation skipped - proceeding to controller');
-        next();
-    },
-    drinkController.createDrink || ((req, res) => res.status(501).json({ error: 'createDrink function not available' }))
-);
-
-// Update drink - FIXED: Check if validation exists
-router.put(
-    '/:id',
-    (req, res, next) => {
-        // Check if user can update (admin/manager/staff who created it)
-        if (req.user.role === 'Customer') {
-            return res.status(403).json({ error: 'Not authorized to update drinks' });
-        }
-        
-        // Safely apply validation if available
-        if (validators && validators.drinkValidation && validate) {
-            return validate(validators.drinkValidation)(req, res, next);
-        }
-        next();
-    },
-    drinkController.updateDrink || ((req, res) => res.status(501).json({ error: 'updateDrink function not available' }))
-);
-
-// Delete drink
-router.delete('/:id', 
-    authorize('Administrator', 'Manager'), // Only admin and manager can delete
-    drinkController.deleteDrink || ((req, res) => res.status(501).json({ error: 'deleteDrink function not available' }))
-);
-
-// Bulk sync drinks - FIXED: Added proper error handling
-router.post('/sync', 
-    authorize('Administrator', 'Manager'), // Only admin/manager can sync
-    (req, res, next) => {
-        // Safely apply validation if available
-        if (validators && validators.syncValidation && validate) {
-            return validate(validators.syncValidation)(req, res, next);
-        }
-        next();
-    },
-    // Check if syncDrinks function exists, otherwise use fallback
-    drinkController.syncDrinks 
-        ? drinkController.syncDrinks 
-        : (req, res) => {
-            res.status(501).json({ 
-                error: 'syncDrinks function not available',
-                message: 'This feature is temporarily unavailable'
-            });
-        }
-);
-
-// Add a health check route for this specific router
-router.get('/health/route', (req, res) => {
+// Active drinks with their category name, for calculateDrinkStats()
+const ACTIVE_PRICES_SQL = `
+  SELECT d.price, c.name AS category
+  FROM drinks d
+  LEFT JOIN drink_categories c ON c.id = d.category_id
+  WHERE d.company_id = $1 AND d.is_active = true`;
+
+async function nameTaken(db, companyId, name, exceptId = null) {
+  const result = await db.query(
+    `SELECT id FROM drinks
+     WHERE company_id = $1 AND LOWER(name) = LOWER($2) AND is_active = true AND ($3::int IS NULL OR id <> $3)`,
+    [companyId, name, exceptId]
+  );
+  return result.rows.length > 0;
+}
+
+router.use(verifySession);
+
+router.use((req, res, next) => {
+  if (!req.user.company_id) {
+    return res.status(400).json({ status: 'error', message: 'You do not belong to a company' });
+  }
+  next();
+});
+
+router.use('/categories', drinkCategoryRoutes);
+router.use('/price-rules', priceRuleRoutes);
+router.use('/modifier-groups', modifierGroupRoutes);
+
+const canView = requirePermission(PERMISSIONS.DRINKS_VIEW);
+const canManage = requirePermission(PERMISSIONS.DRINKS_MANAGE);
+
+// ============================================================
+// 📋 LIST DRINKS
+// ?categoryId or ?category (name), ?search, ?sort=-createdAt, ?includeInactive=true, ?outletId
+// Paginated when ?page or ?limit is given; the app loads the full menu.
+// ============================================================
+router.get('/', canView, async (req, res) => {
+  try {
+    const outlet = await resolveRequestOutlet(req, req.query.outletId);
+    if (outlet.error) {
+      return res.status(403).json({ status: 'error', message: outlet.error });
+    }
+
+    const { categoryId, category, search, sort = 'name', includeInactive } = req.query;
+    if (typeof sort !== 'string') {
+      return res.status(400).json({ status: 'error', message: 'sort must be a single value' });
+    }
+    const conditions = ['d.company_id = $1'];
+    const params = [req.user.company_id, outlet.outletId];
+
+    if (includeInactive !== 'true') {
+      conditions.push('d.is_active = true', 'c.archived_at IS NULL');
+    }
+    if (outlet.outletId) {
+      conditions.push('COALESCE(od.is_available, true) = true');
+    }
+    if (categoryId) {
+      params.push(parseInt(categoryId));
+      conditions.push(`d.category_id = $${params.length}`);
+    } else if (category) {
+      params.push(category);
+      conditions.push(`LOWER(c.name) = LOWER($${params.length})`);
+    }
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`d.name ILIKE $${params.length}`);
+    }
+
+    const sortKey = sort.replace(/^-/, '');
+    const orderBy = `${SORT_COLUMNS[sortKey] || SORT_COLUMNS.name} ${sort.startsWith('-') ? 'DESC' : 'ASC'}, d.id`;
+    const where = conditions.join(' AND ');
+
+    let pagination = null;
+    let pageSql = '';
+    if (req.query.page || req.query.limit) {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT, PAGINATION.MAX_LIMIT);
+      const count = await req.db.query(
+        `SELECT COUNT(*) ${DRINK_FROM} WHERE ${where}`,
+        params
+      );
+      const total = parseInt(count.rows[0].count);
+
+      pagination = { page, limit, total, pages: Math.ceil(total / limit) };
+      pageSql = ` LIMIT ${limit} OFFSET ${(page - 1) * limit}`;
+    }
+
+    const result = await req.db.query(`${DRINK_SELECT} WHERE ${where} ORDER BY ${orderBy}${pageSql}`, params);
+    const drinks = await attachVariants(req, result.rows.map(formatDrink));
+
+    const all = await req.db.query(ACTIVE_PRICES_SQL, [req.user.company_id]);
+
+    // ✅ success/count/drinks is what the app has always read from this endpoint
+    res.json({
+      success: true,
+      count: drinks.length,
+      drinks,
+      outletId: outlet.outletId,
+      pagination,
+      stats: calculateDrinkStats(all.rows.map(row => ({ price: parseFloat(row.price), category: row.category }))),
+    });
+  } catch (error) {
+    console.error('❌ Get drinks error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load drinks' });
+  }
+});
+
+// ============================================================
+// 🔍 SEARCH (?query= on name, category, description and tags)
+// ============================================================
+router.get('/search', canView, async (req, res) => {
+  try {
+    const { query } = req.query;
+    if (!query) {
+      return res.status(400).json({ status: 'error', message: 'Search query is required' });
+    }
+
+    const outlet = await resolveRequestOutlet(req, req.query.outletId);
+    if (outlet.error) {
+      return res.status(403).json({ status: 'error', message: outlet.error });
+    }
+
+    const result = await req.db.query(
+      `${DRINK_SELECT}
+       WHERE d.company_id = $1 AND d.is_active = true AND COALESCE(od.is_available, true) = true
+         AND c.archived_at IS NULL
+         AND (d.name ILIKE $3 OR c.name ILIKE $3 OR d.description ILIKE $3
+              OR EXISTS (SELECT 1 FROM unnest(d.tags) tag WHERE tag ILIKE $3))
+       ORDER BY d.name
+       LIMIT 20`,
+      [req.user.company_id, outlet.outletId, `%${query}%`]
+    );
+
+    res.json({ status: 'success', data: { drinks: await attachVariants(req, result.rows.map(formatDrink)) } });
+  } catch (error) {
+    console.error('❌ Search drinks error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to search drinks' });
+  }
+});
+
+// ============================================================
+// 📊 STATS (overview, per category, five most recent)
+// ?breakdown=variant adds every serving size with its price (and margin)
+// ============================================================
+router.get('/stats', canView, async (req, res) => {
+  try {
+    const companyId = req.user.company_id;
+
+    const all = await req.db.query(ACTIVE_PRICES_SQL, [companyId]);
+    const categories = await req.db.query(
+      `SELECT c.name AS _id, c.id AS "categoryId", COUNT(*)::int AS count,
+              SUM(d.price)::float AS "totalValue", AVG(d.price)::float AS "avgPrice"
+       FROM drinks d
+       LEFT JOIN drink_categories c ON c.id = d.category_id
+       WHERE d.company_id = $1 AND d.is_active = true
+       GROUP BY c.id, c.name
+       ORDER BY count DESC`,
+      [companyId]
+    );
+    const recent = await req.db.query(
+      `${DRINK_SELECT} WHERE d.company_id = $1 AND d.is_active = true ORDER BY d.created_at DESC LIMIT 5`,
+      [companyId, null]
+    );
+
+    let variants;
+    if (req.query.breakdown === 'variant') {
+      const withCost = !req.apiKey && await hasPermission(req.db, req.user, PERMISSIONS.DRINKS_MANAGE);
+      const result = await req.db.query(
+        `SELECT v.*, d.name AS drink_name, c.name AS category_name
+         FROM drink_variants v
+         JOIN drinks d ON d.id = v.drink_id
+         LEFT JOIN drink_categories c ON c.id = d.category_id
+         WHERE v.company_id = $1 AND v.is_active = true AND d.is_active = true
+         ORDER BY d.name, v.sort_order, v.price`,
+        [companyId]
+      );
+      variants = result.rows.map(row => ({
+        ...formatVariant(row, withCost),
+        drinkName: row.drink_name,
+        category: row.category_name,
+      }));
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        overview: calculateDrinkStats(all.rows.map(row => ({ price: parseFloat(row.price), category: row.category }))),
+        categories: categories.rows,
+        recentDrinks: recent.rows.map(formatDrink),
+        variants,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Get drink stats error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load drink stats' });
+  }
+});
+
+// ============================================================
+// 📤 EXPORT MENU (?format=csv|xlsx, default csv)
+// Same columns the import reads, so a menu can be edited and uploaded again
+// ============================================================
+router.get('/export', canManage, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!MENU_FILE.FORMATS.includes(format)) {
+      return res.status(400).json({ status: 'error', message: `Format must be one of ${MENU_FILE.FORMATS.join(', ')}` });
+    }
+
+    const rows = await loadMenuRows(req.db, req.user.company_id);
+    const file = await writeMenuFile(rows, format);
+    const filename = `menu-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(file);
+  } catch (error) {
+    console.error('❌ Export menu error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to export menu' });
+  }
+});
+
+// ============================================================
+// 📥 IMPORT MENU (multipart field "file": .csv or .xlsx)
+// ?dryRun=true only reports what would be created or changed, row by row.
+// Rows with errors block the import unless ?skipInvalid=true, which imports
+// the other rows. Everything is written in one transaction.
+// ============================================================
+router.post('/import', canManage, menuFileUpload('file'), async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+  const skipInvalid = req.query.skipInvalid === 'true';
+  const client = await req.db.connect();
+
+  try {
+    const rows = await parseMenuFile(req.file.buffer, req.fileFormat);
+    if (rows.length === 0) {
+      return res.status(400).json({ status: 'error', message: 'The file has no drinks in it' });
+    }
+
+    const canEditPrice = await hasPermission(req.db, req.user, PERMISSIONS.DRINKS_EDIT_PRICE);
+
+    await client.query('BEGIN');
+    const plan = await planMenuImport(client, req.user.company_id, rows, { canEditPrice });
+    const data = { dryRun, summary: plan.summary, rows: plan.rows };
+
+    if (dryRun) {
+      await client.query('ROLLBACK');
+      return res.json({ status: 'success', message: 'Import preview', data });
+    }
+    if (plan.summary.errors > 0 && !skipInvalid) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        status: 'error',
+        message: `${plan.summary.errors} row(s) have errors. Fix them, or import with skipInvalid=true to leave them out`,
+        data,
+      });
+    }
+
+    await applyMenuImport(client, { companyId: req.user.company_id, userId: req.user.id }, plan.operations);
+    await client.query('COMMIT');
+
+    const { summary } = plan;
+    console.log(`📥 Menu imported by ${req.user.username}: ${summary.drinksCreated} drinks created, ${summary.drinksUpdated} updated`);
+    res.json({ status: 'success', message: 'Menu imported', data });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (error.invalidFile) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+    console.error('❌ Import menu error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to import menu' });
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================================
+// 🍹 SINGLE DRINK
+// ============================================================
+router.get('/:id', canView, async (req, res) => {
+  try {
+    const outlet = await resolveRequestOutlet(req, req.query.outletId);
+    if (outlet.error) {
+      return res.status(403).json({ status: 'error', message: outlet.error });
+    }
+
+    const drink = await findDrink(req.db, req.params.id, req.user.company_id, outlet.outletId);
+    if (!drink) {
+      return res.status(404).json({ status: 'error', message: 'Drink not found' });
+    }
+
+    const [formatted] = await attachVariants(req, [formatDrink(drink)]);
+    formatted.modifierGroups = await loadDrinkModifierGroups(req.db, {
+      companyId: req.user.company_id,
+      drinkId: drink.id,
+      categoryId: drink.category_id,
+    });
+    res.json({ status: 'success', data: { drink: formatted } });
+  } catch (error) {
+    console.error('❌ Get drink error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load drink' });
+  }
+});
+
+// ============================================================
+// ➕ CREATE DRINK (categoryId, or category name; price defaults to the category's)
+// ============================================================
+router.post('/', canManage, validate(drinkValidation), async (req, res) => {
+  try {
+    const { name, imageUrl, description, tags, alcoholContent, volume, unit, localId } = req.body;
+
+    const resolved = await resolveDrinkCategory(req.db, req.user.company_id, req.body);
+    if (resolved.error) {
+      return res.status(400).json({ status: 'error', message: resolved.error });
+    }
+    const { category } = resolved;
+    const price = req.body.price !== undefined ? req.body.price : category.default_price;
+
+    if (await nameTaken(req.db, req.user.company_id, name)) {
+      return res.status(400).json({ status: 'error', message: 'Drink with this name already exists' });
+    }
+
+    const result = await req.db.query(
+      `INSERT INTO drinks (company_id, name, price, category_id, image_url, description, tags, alcohol_content, volume, unit, local_id, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [req.user.company_id, name, price, category.id, imageUrl || DEFAULT_DRINK_IMAGE, description || null, normalizeTags(tags),
+       alcoholContent || 0, volume || null, unit || 'ml', localId || null, req.user.id]
+    );
+
+    console.log(`🍹 Drink "${name}" created by ${req.user.username}`);
+    res.status(201).json({
+      status: 'success',
+      message: 'Drink created successfully',
+      data: { drink: formatDrink({ ...result.rows[0], category_name: category.name }) },
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ status: 'error', message: 'A drink with this local id already exists' });
+    }
+    console.error('❌ Create drink error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to create drink' });
+  }
+});
+
+// ============================================================
+// ✏️ UPDATE DRINK (partial; price changes need drinks.edit_price)
+// ============================================================
+router.put('/:id', canManage, validate(drinkUpdateValidation), async (req, res) => {
+  try {
+    const drink = await findDrink(req.db, req.params.id, req.user.company_id);
+    if (!drink) {
+      return res.status(404).json({ status: 'error', message: 'Drink not found' });
+    }
+
+    if (req.body.price !== undefined && parseFloat(req.body.price) !== parseFloat(drink.price)
+        && !await hasPermission(req.db, req.user, PERMISSIONS.DRINKS_EDIT_PRICE)) {
+      return res.status(403).json({ status: 'error', message: `Missing permission: ${PERMISSIONS.DRINKS_EDIT_PRICE}` });
+    }
+
+    if (req.body.name !== undefined && await nameTaken(req.db, req.user.company_id, req.body.name, drink.id)) {
+      return res.status(400).json({ status: 'error', message: 'Drink with this name already exists' });
+    }
+
+    const sets = [];
+    const params = [];
+    for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+      if (req.body[field] === undefined) continue;
+      params.push(field === 'tags' ? normalizeTags(req.body.tags) : req.body[field]);
+      sets.push(`${column} = $${params.length}`);
+    }
+
+    if (req.body.categoryId !== undefined || req.body.category !== undefined) {
+      const resolved = await resolveDrinkCategory(req.db, req.user.company_id, req.body);
+      if (resolved.error) {
+        return res.status(400).json({ status: 'error', message: resolved.error });
+      }
+      params.push(resolved.category.id);
+      sets.push(`category_id = $${params.length}`);
+    }
+
+    // A plain URL replaces any uploaded image
+    if (req.body.imageUrl !== undefined) {
+      sets.push('thumbnail_url = NULL', 'image_key = NULL');
+    }
+
+    if (sets.length === 0) {
+      return res.status(400).json({ status: 'error', message: 'Nothing to update' });
+    }
+
+    params.push(drink.id);
+    await req.db.query(
+      `UPDATE drinks SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${params.length}`,
+      params
+    );
+
+    if (req.body.imageUrl !== undefined) {
+      await removeImage(drink.image_key);
+    }
+
+    const updated = await findDrink(req.db, drink.id, req.user.company_id);
+    res.json({ status: 'success', message: 'Drink updated successfully', data: { drink: formatDrink(updated) } });
+  } catch (error) {
+    console.error('❌ Update drink error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to update drink' });
+  }
+});
+
+// ============================================================
+// 🗑️ DELETE DRINK (soft delete, past orders keep pointing at it)
+// ============================================================
+router.delete('/:id', canManage, async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `UPDATE drinks SET is_active = false, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND company_id = $2 AND is_active = true
+       RETURNING name`,
+      [parseInt(req.params.id), req.user.company_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Drink not found' });
+    }
+
+    res.json({ status: 'success', message: 'Drink deleted successfully' });
+  } catch (error) {
+    console.error('❌ Delete drink error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to delete drink' });
+  }
+});
+
+// ============================================================
+// 🖼️ IMAGE (multipart field "image": JPEG, PNG or WebP up to 5MB)
+// Stored resized with a square thumbnail; the previous upload is removed
+// ============================================================
+router.post('/:id/image', canManage, imageUpload('image'), async (req, res) => {
+  try {
+    const drink = await findDrink(req.db, req.params.id, req.user.company_id);
+    if (!drink) {
+      return res.status(404).json({ status: 'error', message: 'Drink not found' });
+    }
+
+    const stored = await storeImage(req.file.buffer, { folder: `drinks/${req.user.company_id}` });
+
+    await req.db.query(
+      `UPDATE drinks SET image_url = $1, thumbnail_url = $2, image_key = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [stored.imageUrl, stored.thumbnailUrl, stored.key, drink.id]
+    );
+    await removeImage(drink.image_key);
+
+    const updated = await findDrink(req.db, drink.id, req.user.company_id);
+    res.json({ status: 'success', message: 'Drink image uploaded', data: { drink: formatDrink(updated) } });
+  } catch (error) {
+    if (error.invalidImage) {
+      return res.status(400).json({ status: 'error', message: 'The file is not a readable image' });
+    }
+    console.error('❌ Upload drink image error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to upload image' });
+  }
+});
+
+router.delete('/:id/image', canManage, async (req, res) => {
+  try {
+    const drink = await findDrink(req.db, req.params.id, req.user.company_id);
+    if (!drink) {
+      return res.status(404).json({ status: 'error', message: 'Drink not found' });
+    }
+
+    await req.db.query(
+      `UPDATE drinks SET image_url = $1, thumbnail_url = NULL, image_key = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [DEFAULT_DRINK_IMAGE, drink.id]
+    );
+    await removeImage(drink.image_key);
+
+    res.json({ status: 'success', message: 'Drink image removed' });
+  } catch (error) {
+    console.error('❌ Remove drink image error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to remove image' });
+  }
+});
+
+// ============================================================
+// 📏 VARIANTS (serving sizes with their own price, cost and SKU)
+// ============================================================
+router.get('/:id/variants', canView, async (req, res) => {
+  try {
+    const drink = await findDrink(req.db, req.params.id, req.user.company_id);
+    if (!drink) {
+      return res.status(404).json({ status: 'error', message: 'Drink not found' });
+    }
+
+    const [formatted] = await attachVariants(req, [formatDrink(drink)]);
+    res.json({ status: 'success', data: { drinkId: drink.id, variants: formatted.variants } });
+  } catch (error) {
+    console.error('❌ Get drink variants error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load variants' });
+  }
+});
+
+// { name, price, cost?, size?, unit?, sku?, sortOrder? }; pricing a size needs drinks.edit_price
+router.post('/:id/variants', canManage, validate(drinkVariantValidation), async (req, res) => {
+  try {
+    const drink = await findDrink(req.db, req.params.id, req.user.company_id);
+    if (!drink || !drink.is_active) {
+      return res.status(404).json({ status: 'error', message: 'Drink not found' });
+    }
+
+    if (!await hasPermission(req.db, req.user, PERMISSIONS.DRINKS_EDIT_PRICE)) {
+      return res.status(403).json({ status: 'error', message: `Missing permission: ${PERMISSIONS.DRINKS_EDIT_PRICE}` });
+    }
+
+    const { name, price, cost, size, unit, sku, sortOrder } = req.body;
+
+    if (await skuTaken(req.db, req.user.company_id, sku)) {
+      return res.status(409).json({ status: 'error', message: 'Another variant already uses this SKU' });
+    }
+
+    const result = await req.db.query(
+      `INSERT INTO drink_variants (drink_id, company_id, name, size, unit, price, cost, sku, sort_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+               COALESCE($9, (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM drink_variants WHERE drink_id = $1 AND is_active = true)))
+       RETURNING *`,
+      [drink.id, req.user.company_id, name, size !== undefined ? size : null, unit || drink.unit, price,
+       cost !== undefined ? cost : null, sku || null, sortOrder !== undefined ? sortOrder : null]
+    );
+
+    console.log(`📏 Variant "${name}" added to "${drink.name}" by ${req.user.username}`);
+    res.status(201).json({ status: 'success', message: 'Variant created', data: { variant: formatVariant(result.rows[0], true) } });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ status: 'error', message: 'This drink already has a variant with this name' });
+    }
+    console.error('❌ Create drink variant error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to create variant' });
+  }
+});
+
+// Partial; price and cost changes need drinks.edit_price
+router.patch('/:id/variants/:variantId', canManage, validate(drinkVariantUpdateValidation), async (req, res) => {
+  try {
+    const drink = await findDrink(req.db, req.params.id, req.user.company_id);
+    const variant = drink && await findVariant(req.db, drink.id, req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({ status: 'error', message: 'Variant not found' });
+    }
+
+    const priceChanged = req.body.price !== undefined && parseFloat(req.body.price) !== parseFloat(variant.price);
+    const costChanged = req.body.cost !== undefined
+      && (req.body.cost === null ? null : parseFloat(req.body.cost)) !== (variant.cost === null ? null : parseFloat(variant.cost));
+    if ((priceChanged || costChanged) && !await hasPermission(req.db, req.user, PERMISSIONS.DRINKS_EDIT_PRICE)) {
+      return res.status(403).json({ status: 'error', message: `Missing permission: ${PERMISSIONS.DRINKS_EDIT_PRICE}` });
+    }
+
+    if (req.body.sku && await skuTaken(req.db, req.user.company_id, req.body.sku, variant.id)) {
+      return res.status(409).json({ status: 'error', message: 'Another variant already uses this SKU' });
+    }
+
+    const sets = [];
+    const params = [];
+    for (const [field, column] of Object.entries(VARIANT_FIELDS)) {
+      if (req.body[field] === undefined) continue;
+      params.push(req.body[field] === '' ? null : req.body[field]);
+      sets.push(`${column} = $${params.length}`);
+    }
+
+    if (sets.length === 0) {
+      return res.status(400).json({ status: 'error', message: 'Nothing to update' });
+    }
+
+    params.push(variant.id);
+    const result = await req.db.query(
+      `UPDATE drink_variants SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${params.length} RETURNING *`,
+      params
+    );
+
+    res.json({ status: 'success', message: 'Variant updated', data: { variant: formatVariant(result.rows[0], true) } });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ status: 'error', message: 'This drink already has a variant with this name' });
+    }
+    console.error('❌ Update drink variant error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to update variant' });
+  }
+});
+
+// Soft delete, past order lines keep pointing at it
+router.delete('/:id/variants/:variantId', canManage, async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `UPDATE drink_variants v SET is_active = false, updated_at = CURRENT_TIMESTAMP
+       FROM drinks d
+       WHERE v.id = $1 AND v.drink_id = $2 AND v.is_active = true AND d.id = v.drink_id AND d.company_id = $3
+       RETURNING v.name`,
+      [parseInt(req.params.variantId), parseInt(req.params.id), req.user.company_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Variant not found' });
+    }
+
+    res.json({ status: 'success', message: 'Variant deleted' });
+  } catch (error) {
+    console.error('❌ Delete drink variant error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to delete variant' });
+  }
+});
+
+// ============================================================
+// 🏪 OUTLET OVERRIDES (price, stock, availability per outlet)
+// ============================================================
+router.get('/:id/outlets', canManage, async (req, res) => {
+  try {
+    const drink = await findDrink(req.db, req.params.id, req.user.company_id);
+    if (!drink) {
+      return res.status(404).json({ status: 'error', message: 'Drink not found' });
+    }
+
+    const result = await req.db.query(
+      `SELECT o.id AS outlet_id, o.name AS outlet_name, od.price, od.stock,
+              COALESCE(od.is_available, true) AS is_available, od.updated_at
+       FROM outlets o
+       LEFT JOIN outlet_drinks od ON od.outlet_id = o.id AND od.drink_id = $1
+       WHERE o.company_id = $2 AND o.is_active = true
+       ORDER BY o.name`,
+      [drink.id, req.user.company_id]
+    );
+
     res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        routes: [
-            'GET /',
-            'GET /categories',
-            'GET /stats',
-            'GET /:id',
-            'POST /',
-            'PUT /:id',
-            'DELETE /:id',
-            'POST /sync'
-        ]
+      status: 'success',
+      data: {
+        drink: formatDrink(drink),
+        outlets: result.rows.map(row => ({
+          outletId: row.outlet_id,
+          outletName: row.outlet_name,
+          price: row.price !== null ? parseFloat(row.price) : null,
+          effectivePrice: parseFloat(row.price !== null ? row.price : drink.price),
+          stock: row.stock,
+          isAvailable: row.is_available,
+          updatedAt: row.updated_at,
+        })),
+      },
     });
+  } catch (error) {
+    console.error('❌ Get drink outlets error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load outlet overrides' });
+  }
+});
+
+// { price?: number|null, stock?: int|null, isAvailable?: bool } - null clears a field
+router.put('/:id/outlets/:outletId', canManage, async (req, res) => {
+  try {
+    const drink = await findDrink(req.db, req.params.id, req.user.company_id);
+    if (!drink) {
+      return res.status(404).json({ status: 'error', message: 'Drink not found' });
+    }
+
+    const outlet = await req.db.query(
+      'SELECT id FROM outlets WHERE id = $1 AND company_id = $2',
+      [parseInt(req.params.outletId), req.user.company_id]
+    );
+    if (outlet.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Outlet not found' });
+    }
+
+    const { price, stock, isAvailable } = req.body;
+
+    if (price !== undefined && price !== null && (isNaN(parseFloat(price)) || parseFloat(price) < 0)) {
+      return res.status(400).json({ status: 'error', message: 'Price must be a positive number' });
+    }
+    if (stock !== undefined && stock !== null && (!Number.isInteger(stock) || stock < 0)) {
+      return res.status(400).json({ status: 'error', message: 'Stock must be a whole number of 0 or more' });
+    }
+    if (isAvailable !== undefined && typeof isAvailable !== 'boolean') {
+      return res.status(400).json({ status: 'error', message: 'isAvailable must be true or false' });
+    }
+    if (price !== undefined && !await hasPermission(req.db, req.user, PERMISSIONS.DRINKS_EDIT_PRICE)) {
+      return res.status(403).json({ status: 'error', message: `Missing permission: ${PERMISSIONS.DRINKS_EDIT_PRICE}` });
+    }
+
+    const existing = await req.db.query(
+      'SELECT * FROM outlet_drinks WHERE outlet_id = $1 AND drink_id = $2',
+      [outlet.rows[0].id, drink.id]
+    );
+    const current = existing.rows[0] || { price: null, stock: null, is_available: true };
+
+    const result = await req.db.query(
+      `INSERT INTO outlet_drinks (outlet_id, drink_id, price, stock, is_available, updated_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+       ON CONFLICT (outlet_id, drink_id)
+       DO UPDATE SET price = $3, stock = $4, is_available = $5, updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [
+        outlet.rows[0].id,
+        drink.id,
+        price !== undefined ? price : current.price,
+        stock !== undefined ? stock : current.stock,
+        isAvailable !== undefined ? isAvailable : current.is_available,
+      ]
+    );
+
+    res.json({ status: 'success', message: 'Outlet override saved', data: { override: result.rows[0] } });
+  } catch (error) {
+    console.error('❌ Save drink outlet override error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to save outlet override' });
+  }
 });
 
 module.exports = router;
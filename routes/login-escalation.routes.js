@@ -0,0 +1,215 @@
+// backend/routes/login-escalation.routes.js
+// Who answers a Staff login request when the managers don't: escalation
+// timing, shift leads and date-bounded approval delegations.
+const express = require('express');
+const router = express.Router();
+const { PERMISSIONS } = require('../utils/constants');
+const { verifySession, requirePermission } = require('../middleware/session.middleware');
+const { findShiftLeads } = require('../utils/login-escalation.service');
+
+// Pending requests expire after 15 minutes, so later steps would never fire
+const REQUEST_LIFETIME_MINUTES = 15;
+
+// ============================================================
+// 📦 HELPERS
+// ============================================================
+
+function formatDelegation(row) {
+  return {
+    id: row.id,
+    delegatorId: row.delegator_id,
+    delegatorName: row.delegator_name,
+    delegateId: row.delegate_id,
+    delegateName: row.delegate_name,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    reason: row.reason,
+    active: !row.revoked_at && new Date(row.starts_at) <= new Date() && new Date(row.ends_at) > new Date(),
+    createdAt: row.created_at,
+  };
+}
+
+function validMinutes(value) {
+  return value === null || (Number.isInteger(value) && value > 0 && value < REQUEST_LIFETIME_MINUTES);
+}
+
+const canConfigure = requirePermission(PERMISSIONS.COMPANY_SETTINGS);
+const canApprove = requirePermission(PERMISSIONS.STAFF_APPROVE_LOGIN);
+
+router.use(verifySession);
+
+router.use((req, res, next) => {
+  if (!req.user.company_id) {
+    return res.status(400).json({ status: 'error', message: 'You do not belong to a company' });
+  }
+  next();
+});
+
+// ============================================================
+// ⏫ ESCALATION SETTINGS
+// ============================================================
+router.get('/settings', canConfigure, async (req, res) => {
+  try {
+    const result = await req.db.query(
+      'SELECT escalate_to_deputy_after, escalate_to_admin_after FROM companies WHERE id = $1',
+      [req.user.company_id]
+    );
+    const company = result.rows[0] || {};
+
+    res.json({
+      status: 'success',
+      data: {
+        deputyAfterMinutes: company.escalate_to_deputy_after || null,
+        administratorAfterMinutes: company.escalate_to_admin_after || null,
+        requestLifetimeMinutes: REQUEST_LIFETIME_MINUTES,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Escalation settings error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load escalation settings' });
+  }
+});
+
+// null switches a step off
+router.put('/settings', canConfigure, async (req, res) => {
+  try {
+    const { deputyAfterMinutes = null, administratorAfterMinutes = null } = req.body;
+
+    if (!validMinutes(deputyAfterMinutes) || !validMinutes(administratorAfterMinutes)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Escalation times must be whole minutes below ${REQUEST_LIFETIME_MINUTES}, or null`,
+      });
+    }
+    if (deputyAfterMinutes && administratorAfterMinutes && administratorAfterMinutes <= deputyAfterMinutes) {
+      return res.status(400).json({ status: 'error', message: 'Administrators must be reached after shift leads' });
+    }
+
+    await req.db.query(
+      `UPDATE companies
+       SET escalate_to_deputy_after = $1, escalate_to_admin_after = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [deputyAfterMinutes, administratorAfterMinutes, req.user.company_id]
+    );
+
+    res.json({
+      status: 'success',
+      message: 'Escalation settings updated',
+      data: { deputyAfterMinutes, administratorAfterMinutes },
+    });
+  } catch (error) {
+    console.error('❌ Update escalation settings error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to update escalation settings' });
+  }
+});
+
+// ============================================================
+// 🧑‍✈️ SHIFT LEADS (granted through a role holding staff.shift_lead)
+// ============================================================
+router.get('/shift-leads', canConfigure, async (req, res) => {
+  try {
+    const shiftLeads = await findShiftLeads(req.db, req.user.company_id);
+
+    res.json({
+      status: 'success',
+      data: { shiftLeads: shiftLeads.map(({ id, username, email }) => ({ id, username, email })) },
+    });
+  } catch (error) {
+    console.error('❌ List shift leads error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to list shift leads' });
+  }
+});
+
+// ============================================================
+// 🤝 DELEGATIONS (approval rights for a date range)
+// ============================================================
+router.get('/delegations', canApprove, async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `SELECT d.*, dr.username AS delegator_name, de.username AS delegate_name
+       FROM approval_delegations d
+       JOIN users dr ON d.delegator_id = dr.id
+       JOIN users de ON d.delegate_id = de.id
+       WHERE d.company_id = $1 AND d.revoked_at IS NULL AND d.ends_at > NOW()
+       ORDER BY d.starts_at`,
+      [req.user.company_id]
+    );
+
+    res.json({ status: 'success', data: { delegations: result.rows.map(formatDelegation) } });
+  } catch (error) {
+    console.error('❌ List delegations error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to list delegations' });
+  }
+});
+
+router.post('/delegations', canApprove, async (req, res) => {
+  try {
+    const { delegateId, startsAt, endsAt, reason } = req.body;
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+
+    if (!delegateId || isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({ status: 'error', message: 'delegateId, startsAt and endsAt are required' });
+    }
+    if (end <= start || end <= new Date()) {
+      return res.status(400).json({ status: 'error', message: 'endsAt must be after startsAt and in the future' });
+    }
+    if (parseInt(delegateId) === req.user.id) {
+      return res.status(400).json({ status: 'error', message: 'You cannot delegate to yourself' });
+    }
+
+    const delegate = await req.db.query(
+      `SELECT id, username FROM users
+       WHERE id = $1 AND company_id = $2 AND is_active = true AND role <> 'Customer'`,
+      [parseInt(delegateId), req.user.company_id]
+    );
+    if (delegate.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    const result = await req.db.query(
+      `INSERT INTO approval_delegations (company_id, delegator_id, delegate_id, starts_at, ends_at, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [req.user.company_id, req.user.id, delegate.rows[0].id, start, end, reason || null]
+    );
+
+    console.log(`🤝 ${req.user.username} delegated login approvals to ${delegate.rows[0].username}`);
+    res.status(201).json({
+      status: 'success',
+      message: `Login approvals delegated to ${delegate.rows[0].username}`,
+      data: {
+        delegation: formatDelegation({
+          ...result.rows[0],
+          delegator_name: req.user.username,
+          delegate_name: delegate.rows[0].username,
+        }),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Create delegation error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to create delegation' });
+  }
+});
+
+router.delete('/delegations/:id', canApprove, async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `UPDATE approval_delegations SET revoked_at = NOW()
+       WHERE id = $1 AND company_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [parseInt(req.params.id), req.user.company_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Delegation not found' });
+    }
+
+    res.json({ status: 'success', message: 'Delegation revoked' });
+  } catch (error) {
+    console.error('❌ Revoke delegation error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to revoke delegation' });
+  }
+});
+
+module.exports = router;
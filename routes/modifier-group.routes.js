@@ -0,0 +1,407 @@
+// backend/routes/modifier-group.routes.js
+// Modifier groups ("Ice", "Temperature", "Extras") with their options and
+// the drinks or categories they apply to. Mounted by drink.routes.js under
+// /api/drinks/modifier-groups, after its session and company checks.
+const express = require('express');
+const router = express.Router();
+const { PERMISSIONS } = require('../utils/constants');
+const { hasPermission } = require('../utils/permission.service');
+const { formatModifierGroup } = require('../utils/modifier.service');
+const { requirePermission } = require('../middleware/session.middleware');
+
+// ============================================================
+// 📦 HELPERS
+// ============================================================
+
+// Checks selection rules. Returns a message or null.
+function selectionRulesError(minSelect, maxSelect) {
+  if (!Number.isInteger(minSelect) || minSelect < 0) {
+    return 'minSelect must be a whole number of 0 or more';
+  }
+  if (maxSelect !== null && (!Number.isInteger(maxSelect) || maxSelect < 1)) {
+    return 'maxSelect must be a whole number of 1 or more, or null for no limit';
+  }
+  if (maxSelect !== null && minSelect > maxSelect) {
+    return 'minSelect cannot be more than maxSelect';
+  }
+  return null;
+}
+
+function modifierError({ name, surcharge }) {
+  if (name !== undefined && (!String(name).trim() || String(name).trim().length > 50)) {
+    return 'Modifier name must be 1 to 50 characters';
+  }
+  if (surcharge !== undefined && (isNaN(parseFloat(surcharge)) || parseFloat(surcharge) < 0)) {
+    return 'Surcharge must be a positive number';
+  }
+  return null;
+}
+
+// Surcharges are prices: setting one needs drinks.edit_price
+async function surchargeDenied(req, surcharges) {
+  if (!surcharges.some(surcharge => parseFloat(surcharge) > 0)) return false;
+  return !await hasPermission(req.db, req.user, PERMISSIONS.DRINKS_EDIT_PRICE);
+}
+
+async function findGroup(db, id, companyId) {
+  const result = await db.query(
+    'SELECT * FROM modifier_groups WHERE id = $1 AND company_id = $2',
+    [parseInt(id), companyId]
+  );
+  return result.rows[0] || null;
+}
+
+// Groups with their active options and where they apply
+async function loadGroups(db, companyId, { groupId = null, includeInactive = false } = {}) {
+  const groups = await db.query(
+    `SELECT * FROM modifier_groups
+     WHERE company_id = $1 AND ($2::int IS NULL OR id = $2) AND ($3::boolean OR is_active = true)
+     ORDER BY sort_order, name`,
+    [companyId, groupId, includeInactive]
+  );
+  const ids = groups.rows.map(group => group.id);
+
+  const modifiers = await db.query(
+    'SELECT * FROM modifiers WHERE group_id = ANY($1::int[]) AND is_active = true ORDER BY sort_order, name',
+    [ids]
+  );
+  const targets = await db.query(
+    'SELECT * FROM modifier_group_targets WHERE group_id = ANY($1::int[])',
+    [ids]
+  );
+
+  return groups.rows.map(group => ({
+    ...formatModifierGroup(group, modifiers.rows),
+    isActive: group.is_active,
+    drinkIds: targets.rows.filter(t => t.group_id === group.id && t.drink_id).map(t => t.drink_id),
+    categoryIds: targets.rows.filter(t => t.group_id === group.id && t.category_id).map(t => t.category_id),
+  }));
+}
+
+// Replace where a group applies. Runs on a transaction client.
+// Returns a message when some ids are not the company's, or null.
+async function setTargets(client, companyId, groupId, { drinkIds = [], categoryIds = [] }) {
+  if (!Array.isArray(drinkIds) || !Array.isArray(categoryIds)
+      || [...drinkIds, ...categoryIds].some(id => !Number.isInteger(id))) {
+    return 'drinkIds and categoryIds must be arrays of ids';
+  }
+
+  const uniqueDrinks = [...new Set(drinkIds)];
+  const uniqueCategories = [...new Set(categoryIds)];
+
+  const drinks = await client.query(
+    'SELECT id FROM drinks WHERE id = ANY($1::int[]) AND company_id = $2',
+    [uniqueDrinks, companyId]
+  );
+  const categories = await client.query(
+    'SELECT id FROM drink_categories WHERE id = ANY($1::int[]) AND company_id = $2',
+    [uniqueCategories, companyId]
+  );
+  if (drinks.rows.length !== uniqueDrinks.length || categories.rows.length !== uniqueCategories.length) {
+    return 'Some drinks or categories do not belong to your company';
+  }
+
+  await client.query('DELETE FROM modifier_group_targets WHERE group_id = $1', [groupId]);
+  for (const drinkId of uniqueDrinks) {
+    await client.query('INSERT INTO modifier_group_targets (group_id, drink_id) VALUES ($1, $2)', [groupId, drinkId]);
+  }
+  for (const categoryId of uniqueCategories) {
+    await client.query('INSERT INTO modifier_group_targets (group_id, category_id) VALUES ($1, $2)', [groupId, categoryId]);
+  }
+  return null;
+}
+
+const canView = requirePermission(PERMISSIONS.DRINKS_VIEW);
+const canManage = requirePermission(PERMISSIONS.DRINKS_MANAGE);
+
+// ============================================================
+// 📋 LIST GROUPS (?includeInactive=true)
+// ============================================================
+router.get('/', canView, async (req, res) => {
+  try {
+    const groups = await loadGroups(req.db, req.user.company_id, { includeInactive: req.query.includeInactive === 'true' });
+    res.json({ status: 'success', data: { groups } });
+  } catch (error) {
+    console.error('❌ Get modifier groups error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load modifier groups' });
+  }
+});
+
+// ============================================================
+// ➕ CREATE GROUP
+// { name, minSelect?, maxSelect?, modifiers?: [{ name, surcharge? }], drinkIds?, categoryIds? }
+// ============================================================
+router.post('/', canManage, async (req, res) => {
+  const client = await req.db.connect();
+
+  try {
+    const { name, minSelect = 0, maxSelect = null, modifiers = [], drinkIds, categoryIds } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ status: 'error', message: 'Group name is required' });
+    }
+    const rulesError = selectionRulesError(minSelect, maxSelect);
+    if (rulesError) {
+      return res.status(400).json({ status: 'error', message: rulesError });
+    }
+    if (!Array.isArray(modifiers) || modifiers.some(modifier => !modifier || modifier.name === undefined || modifierError(modifier))) {
+      return res.status(400).json({ status: 'error', message: 'Each modifier needs a name (1 to 50 characters) and an optional positive surcharge' });
+    }
+    if (await surchargeDenied(req, modifiers.map(modifier => modifier.surcharge || 0))) {
+      return res.status(403).json({ status: 'error', message: `Missing permission: ${PERMISSIONS.DRINKS_EDIT_PRICE}` });
+    }
+
+    await client.query('BEGIN');
+    const group = await client.query(
+      `INSERT INTO modifier_groups (company_id, name, min_select, max_select, sort_order)
+       SELECT $1, $2, $3, $4, COALESCE(MAX(sort_order) + 1, 0)
+       FROM modifier_groups WHERE company_id = $1
+       RETURNING *`,
+      [req.user.company_id, String(name).trim(), minSelect, maxSelect]
+    );
+    const groupId = group.rows[0].id;
+
+    for (const [index, modifier] of modifiers.entries()) {
+      await client.query(
+        'INSERT INTO modifiers (group_id, name, surcharge, sort_order) VALUES ($1, $2, $3, $4)',
+        [groupId, String(modifier.name).trim(), modifier.surcharge || 0, index]
+      );
+    }
+
+    const targetsError = await setTargets(client, req.user.company_id, groupId, { drinkIds, categoryIds });
+    if (targetsError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: targetsError });
+    }
+    await client.query('COMMIT');
+
+    const [created] = await loadGroups(req.db, req.user.company_id, { groupId });
+    console.log(`🧊 Modifier group "${created.name}" created by ${req.user.username}`);
+    res.status(201).json({ status: 'success', message: 'Modifier group created', data: { group: created } });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (error.code === '23505') {
+      return res.status(409).json({ status: 'error', message: 'A modifier group with this name already exists' });
+    }
+    console.error('❌ Create modifier group error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to create modifier group' });
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================================
+// ✏️ EDIT GROUP ({ name?, minSelect?, maxSelect?, sortOrder?, isActive? })
+// ============================================================
+router.patch('/:id', canManage, async (req, res) => {
+  try {
+    const group = await findGroup(req.db, req.params.id, req.user.company_id);
+    if (!group) {
+      return res.status(404).json({ status: 'error', message: 'Modifier group not found' });
+    }
+
+    const { name, sortOrder, isActive } = req.body;
+    const minSelect = req.body.minSelect !== undefined ? req.body.minSelect : group.min_select;
+    const maxSelect = req.body.maxSelect !== undefined ? req.body.maxSelect : group.max_select;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ status: 'error', message: 'Group name cannot be empty' });
+    }
+    const rulesError = selectionRulesError(minSelect, maxSelect);
+    if (rulesError) {
+      return res.status(400).json({ status: 'error', message: rulesError });
+    }
+    if (sortOrder !== undefined && (!Number.isInteger(sortOrder) || sortOrder < 0)) {
+      return res.status(400).json({ status: 'error', message: 'sortOrder must be a whole number' });
+    }
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({ status: 'error', message: 'isActive must be true or false' });
+    }
+
+    await req.db.query(
+      `UPDATE modifier_groups
+       SET name = $1, min_select = $2, max_select = $3, sort_order = $4, is_active = $5, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6`,
+      [
+        name !== undefined ? String(name).trim() : group.name,
+        minSelect,
+        maxSelect,
+        sortOrder !== undefined ? sortOrder : group.sort_order,
+        isActive !== undefined ? isActive : group.is_active,
+        group.id,
+      ]
+    );
+
+    const [updated] = await loadGroups(req.db, req.user.company_id, { groupId: group.id, includeInactive: true });
+    res.json({ status: 'success', message: 'Modifier group updated', data: { group: updated } });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ status: 'error', message: 'A modifier group with this name already exists' });
+    }
+    console.error('❌ Update modifier group error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to update modifier group' });
+  }
+});
+
+// ============================================================
+// 🎯 WHERE IT APPLIES ({ drinkIds: [...], categoryIds: [...] })
+// ============================================================
+router.put('/:id/targets', canManage, async (req, res) => {
+  const client = await req.db.connect();
+
+  try {
+    const group = await findGroup(client, req.params.id, req.user.company_id);
+    if (!group) {
+      return res.status(404).json({ status: 'error', message: 'Modifier group not found' });
+    }
+
+    await client.query('BEGIN');
+    const targetsError = await setTargets(client, req.user.company_id, group.id, req.body);
+    if (targetsError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: targetsError });
+    }
+    await client.query('COMMIT');
+
+    const [updated] = await loadGroups(req.db, req.user.company_id, { groupId: group.id, includeInactive: true });
+    res.json({ status: 'success', message: 'Modifier group targets updated', data: { group: updated } });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Set modifier group targets error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to update modifier group targets' });
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================================
+// 🧊 OPTIONS ({ name, surcharge?, sortOrder? })
+// ============================================================
+router.post('/:id/modifiers', canManage, async (req, res) => {
+  try {
+    const group = await findGroup(req.db, req.params.id, req.user.company_id);
+    if (!group || !group.is_active) {
+      return res.status(404).json({ status: 'error', message: 'Modifier group not found' });
+    }
+
+    const { name, surcharge = 0, sortOrder } = req.body;
+
+    const invalid = name === undefined ? 'Modifier name is required' : modifierError({ name, surcharge });
+    if (invalid) {
+      return res.status(400).json({ status: 'error', message: invalid });
+    }
+    if (await surchargeDenied(req, [surcharge])) {
+      return res.status(403).json({ status: 'error', message: `Missing permission: ${PERMISSIONS.DRINKS_EDIT_PRICE}` });
+    }
+
+    const result = await req.db.query(
+      `INSERT INTO modifiers (group_id, name, surcharge, sort_order)
+       VALUES ($1, $2, $3, COALESCE($4, (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM modifiers WHERE group_id = $1)))
+       RETURNING *`,
+      [group.id, String(name).trim(), surcharge, Number.isInteger(sortOrder) ? sortOrder : null]
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Modifier added',
+      data: { modifier: formatModifierGroup(group, result.rows).modifiers[0] },
+    });
+  } catch (error) {
+    console.error('❌ Create modifier error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to add modifier' });
+  }
+});
+
+router.patch('/:id/modifiers/:modifierId', canManage, async (req, res) => {
+  try {
+    const group = await findGroup(req.db, req.params.id, req.user.company_id);
+    const existing = group && await req.db.query(
+      'SELECT * FROM modifiers WHERE id = $1 AND group_id = $2 AND is_active = true',
+      [parseInt(req.params.modifierId), group.id]
+    );
+    if (!existing || existing.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Modifier not found' });
+    }
+
+    const modifier = existing.rows[0];
+    const { name, surcharge, sortOrder } = req.body;
+
+    const invalid = modifierError({ name, surcharge });
+    if (invalid) {
+      return res.status(400).json({ status: 'error', message: invalid });
+    }
+    if (surcharge !== undefined && parseFloat(surcharge) !== parseFloat(modifier.surcharge)
+        && !await hasPermission(req.db, req.user, PERMISSIONS.DRINKS_EDIT_PRICE)) {
+      return res.status(403).json({ status: 'error', message: `Missing permission: ${PERMISSIONS.DRINKS_EDIT_PRICE}` });
+    }
+
+    const result = await req.db.query(
+      `UPDATE modifiers SET name = $1, surcharge = $2, sort_order = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [
+        name !== undefined ? String(name).trim() : modifier.name,
+        surcharge !== undefined ? surcharge : modifier.surcharge,
+        Number.isInteger(sortOrder) ? sortOrder : modifier.sort_order,
+        modifier.id,
+      ]
+    );
+
+    res.json({
+      status: 'success',
+      message: 'Modifier updated',
+      data: { modifier: formatModifierGroup(group, result.rows).modifiers[0] },
+    });
+  } catch (error) {
+    console.error('❌ Update modifier error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to update modifier' });
+  }
+});
+
+// Soft delete, order lines keep the name they were sold with
+router.delete('/:id/modifiers/:modifierId', canManage, async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `UPDATE modifiers m SET is_active = false, updated_at = CURRENT_TIMESTAMP
+       FROM modifier_groups g
+       WHERE m.id = $1 AND m.group_id = $2 AND m.is_active = true AND g.id = m.group_id AND g.company_id = $3
+       RETURNING m.name`,
+      [parseInt(req.params.modifierId), parseInt(req.params.id), req.user.company_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Modifier not found' });
+    }
+
+    res.json({ status: 'success', message: 'Modifier removed' });
+  } catch (error) {
+    console.error('❌ Delete modifier error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to remove modifier' });
+  }
+});
+
+// ============================================================
+// 🗑️ DELETE GROUP (soft delete)
+// ============================================================
+router.delete('/:id', canManage, async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `UPDATE modifier_groups SET is_active = false, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND company_id = $2 AND is_active = true
+       RETURNING name`,
+      [parseInt(req.params.id), req.user.company_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Modifier group not found' });
+    }
+
+    console.log(`🗑️ Modifier group "${result.rows[0].name}" deleted by ${req.user.username}`);
+    res.json({ status: 'success', message: 'Modifier group deleted' });
+  } catch (error) {
+    console.error('❌ Delete modifier group error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to delete modifier group' });
+  }
+});
+
+module.exports = router;
@@ -1,107 +1,569 @@
+// backend/routes/order.routes.js
+// Orders on PostgreSQL (replaces the Mongo order.controller). An order is
+// rung up in an outlet - the session's, or an outletId the caller may use -
+// and sells from its tracked stock. A line sells a drink or one of its
+// variants (drink_variants) with the modifiers picked for it, and is priced
+// like a quote (see utils/order-pricing.service.js), keeping the price rule
+// that priced it and each modifier's surcharge at the time.
+// Each order records who rang it up and, on a shared terminal, which terminal.
 const express = require('express');
 const router = express.Router();
-const orderController = require('../controllers/order.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const crypto = require('crypto');
+const { PERMISSIONS, PAGINATION, ORDER_STATUS } = require('../utils/constants');
+const { hasPermission } = require('../utils/permission.service');
+const { resolveRequestOutlet } = require('../utils/outlet.service');
+const { priceOrderLines } = require('../utils/order-pricing.service');
+const { orderValidation } = require('../utils/validators');
 const { validate } = require('../middleware/validation.middleware');
-const validators = require('../utils/validators');
-
-// All routes are protected
-router.use(protect);
-
-// ====================
-// ORDER ROUTES
-// ====================
-
-// @desc    Get all orders
-// @route   GET /api/orders
-// @access  Private
-router.get('/', orderController.getOrders);
-
-// @desc    Get order statistics
-// @route   GET /api/orders/stats
-// @access  Private
-router.get('/stats', orderController.getOrderStats);
-
-// @desc    Get single order
-// @route   GET /api/orders/:id
-// @access  Private
-router.get('/:id', orderController.getOrderById);
-
-// @desc    Create new order
-// @route   POST /api/orders
-// @access  Private
-router.post(
-    '/',
-    validate(validators.orderValidation),
-    orderController.createOrder
-);
-
-// @desc    Update order
-// @route   PUT /api/orders/:id
-// @access  Private
-router.put('/:id', orderController.updateOrder);
-
-// @desc    Delete order (admin only)
-// @route   DELETE /api/orders/:id
-// @access  Private/Admin
-router.delete(
-    '/:id',
-    authorize('Administrator'),
-    orderController.deleteOrder
-);
-
-// @desc    Generate invoice PDF
-// @route   POST /api/orders/:id/invoice
-// @access  Private
-router.post('/:id/invoice', orderController.generateInvoice);
-
-// @desc    Send order confirmation email
-// @route   POST /api/orders/:id/send-email
-// @access  Private
-router.post('/:id/send-email', orderController.sendOrderEmail);
-
-// @desc    Get orders by date range
-// @route   GET /api/orders/filter/date
-// @access  Private
-router.get('/filter/date', orderController.getOrdersByDateRange);
-
-// @desc    Get orders by status
-// @route   GET /api/orders/filter/status/:status
-// @access  Private
-router.get('/filter/status/:status', orderController.getOrdersByStatus);
-
-// @desc    Get orders summary for dashboard
-// @route   GET /api/orders/dashboard/summary
-// @access  Private
-router.get('/dashboard/summary', orderController.getDashboardSummary);
-
-// @desc    Export orders to CSV/Excel
-// @route   GET /api/orders/export/:format
-// @access  Private
-router.get('/export/:format', orderController.exportOrders);
-
-// ====================
-// OFFLINE SYNC ROUTES
-// ====================
-
-// @desc    Bulk sync orders from offline
-// @route   POST /api/orders/sync/bulk
-// @access  Private
-router.post('/sync/bulk', orderController.syncBulkOrders);
-
-// @desc    Get pending sync orders
-// @route   GET /api/orders/sync/pending
-// @access  Private
-router.get('/sync/pending', orderController.getPendingSyncOrders);
-
-// @desc    Mark orders as synced
-// @route   POST /api/orders/sync/mark-synced
-// @access  Private
-router.post('/sync/mark-synced', orderController.markOrdersAsSynced);
-
-// @desc    Resolve sync conflicts
-// @route   POST /api/orders/sync/resolve-conflicts
-// @access  Private
-router.post('/sync/resolve-conflicts', orderController.resolveSyncConflicts);
+const { verifySession, requirePermission } = require('../middleware/session.middleware');
+
+// What a pending or completed order can be voided to
+const VOID_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED];
+
+// ============================================================
+// 📦 HELPERS
+// ============================================================
+
+function generateOrderNumber() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `ORD-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function formatOrderItem(row, modifiers = []) {
+  return {
+    id: row.id,
+    drinkId: row.drink_id,
+    drinkName: row.drink_name,
+    variantId: row.variant_id,
+    variantName: row.variant_name,
+    sku: row.sku,
+    quantity: row.quantity,
+    basePrice: parseFloat(row.base_price),
+    pricePerUnit: parseFloat(row.price_per_unit),
+    priceRule: row.price_rule_id ? { id: row.price_rule_id, name: row.price_rule_name } : null,
+    modifiers: modifiers
+      .filter(modifier => modifier.order_item_id === row.id)
+      .map(modifier => ({
+        modifierId: modifier.modifier_id,
+        name: modifier.name,
+        group: modifier.group_name,
+        surcharge: parseFloat(modifier.surcharge),
+      })),
+    modifierSurcharge: parseFloat(row.modifier_surcharge),
+    totalPrice: parseFloat(row.total_price),
+  };
+}
+
+function formatOrder(row, items = [], modifiers = []) {
+  const totalAmount = parseFloat(row.total_amount);
+  const amountPaid = parseFloat(row.amount_paid);
+
+  return {
+    id: row.id,
+    orderNumber: row.order_number,
+    outletId: row.outlet_id,
+    outletName: row.outlet_name,
+    operatorId: row.operator_id,
+    operatorName: row.operator_name,
+    terminalId: row.terminal_id,
+    terminalName: row.terminal_name,
+    customerName: row.customer_name,
+    customerEmail: row.customer_email,
+    items: items.filter(item => item.order_id === row.id).map(item => formatOrderItem(item, modifiers)),
+    subtotal: parseFloat(row.subtotal),
+    discount: parseFloat(row.discount),
+    tax: parseFloat(row.tax),
+    totalAmount,
+    amountPaid,
+    balance: roundMoney(amountPaid - totalAmount),
+    paymentMethod: row.payment_method,
+    status: row.status,
+    notes: row.notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Orders with their outlet, operator and terminal names joined in
+const ORDER_SELECT = `
+  SELECT o.*, ou.name AS outlet_name, u.username AS operator_name, t.name AS terminal_name
+  FROM orders o
+  LEFT JOIN outlets ou ON ou.id = o.outlet_id
+  LEFT JOIN users u ON u.id = o.operator_id
+  LEFT JOIN terminals t ON t.id = o.terminal_id`;
+
+// Format order rows with their lines and the lines' modifiers
+async function withItems(db, rows) {
+  if (rows.length === 0) return [];
+
+  const items = await db.query(
+    `SELECT i.*, r.name AS price_rule_name
+     FROM order_items i
+     LEFT JOIN price_rules r ON r.id = i.price_rule_id
+     WHERE i.order_id = ANY($1::int[])
+     ORDER BY i.id`,
+    [rows.map(row => row.id)]
+  );
+  const modifiers = await db.query(
+    'SELECT * FROM order_item_modifiers WHERE order_item_id = ANY($1::int[]) ORDER BY id',
+    [items.rows.map(item => item.id)]
+  );
+  return rows.map(row => formatOrder(row, items.rows, modifiers.rows));
+}
+
+// Conditions on orders (alias o) the caller may see: the company's, only
+// the ones they rang up without orders.view_all, and one outlet when ?outletId is given.
+// Resolves to { conditions, params } or { error }.
+async function orderScope(req) {
+  const params = [req.user.company_id];
+  const conditions = ['o.company_id = $1'];
+
+  if (!await hasPermission(req.db, req.user, PERMISSIONS.ORDERS_VIEW_ALL)) {
+    params.push(req.user.id);
+    conditions.push(`o.operator_id = $${params.length}`);
+  }
+  if (req.query.outletId) {
+    const outlet = await resolveRequestOutlet(req, req.query.outletId);
+    if (outlet.error) return { error: outlet.error };
+
+    params.push(outlet.outletId);
+    conditions.push(`o.outlet_id = $${params.length}`);
+  }
+
+  return { conditions, params };
+}
+
+async function findVisibleOrder(req, id) {
+  const scope = await orderScope(req);
+  if (scope.error) return null;
+
+  scope.params.push(parseInt(id));
+
+  const result = await req.db.query(
+    `${ORDER_SELECT} WHERE ${scope.conditions.join(' AND ')} AND o.id = $${scope.params.length}`,
+    scope.params
+  );
+  return result.rows[0] || null;
+}
+
+router.use(verifySession);
+
+router.use((req, res, next) => {
+  if (!req.user.company_id) {
+    return res.status(400).json({ status: 'error', message: 'You do not belong to a company' });
+  }
+  next();
+});
+
+const canCreate = requirePermission(PERMISSIONS.ORDERS_CREATE);
+
+// ============================================================
+// 📋 LIST ORDERS (?page, ?limit, ?status, ?outletId, ?operatorId, ?terminalId,
+// ?startDate, ?endDate)
+// ============================================================
+router.get('/', async (req, res) => {
+  try {
+    const scope = await orderScope(req);
+    if (scope.error) {
+      return res.status(403).json({ status: 'error', message: scope.error });
+    }
+
+    const { conditions, params } = scope;
+    const { status, operatorId, terminalId, startDate, endDate } = req.query;
+
+    if (status) {
+      params.push(status);
+      conditions.push(`o.status = $${params.length}`);
+    }
+    if (operatorId) {
+      params.push(parseInt(operatorId) || 0);
+      conditions.push(`o.operator_id = $${params.length}`);
+    }
+    if (terminalId) {
+      params.push(parseInt(terminalId) || 0);
+      conditions.push(`o.terminal_id = $${params.length}`);
+    }
+    if (startDate) {
+      params.push(new Date(startDate));
+      conditions.push(`o.created_at >= $${params.length}`);
+    }
+    if (endDate) {
+      params.push(new Date(endDate));
+      conditions.push(`o.created_at <= $${params.length}`);
+    }
+    if (params.some(param => param instanceof Date && isNaN(param.getTime()))) {
+      return res.status(400).json({ status: 'error', message: 'startDate and endDate must be dates' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT, PAGINATION.MAX_LIMIT);
+    const where = conditions.join(' AND ');
+
+    const count = await req.db.query(`SELECT COUNT(*) FROM orders o WHERE ${where}`, params);
+    const total = parseInt(count.rows[0].count);
+
+    const result = await req.db.query(
+      `${ORDER_SELECT} WHERE ${where} ORDER BY o.created_at DESC, o.id DESC LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+      params
+    );
+
+    res.json({
+      status: 'success',
+      data: {
+        orders: await withItems(req.db, result.rows),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      },
+    });
+  } catch (error) {
+    console.error('❌ Get orders error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load orders' });
+  }
+});
+
+// ============================================================
+// 📊 STATS (overall, today, this week, this month, per outlet,
+// best sellers and recent orders; ?outletId for one outlet)
+// ?breakdown=variant ranks best sellers per serving size
+// Voided orders are left out of the figures.
+// ============================================================
+router.get('/stats', async (req, res) => {
+  try {
+    const scope = await orderScope(req);
+    if (scope.error) {
+      return res.status(403).json({ status: 'error', message: scope.error });
+    }
+
+    const params = [...scope.params, ORDER_STATUS.COMPLETED];
+    const where = [...scope.conditions, `o.status = $${params.length}`].join(' AND ');
+
+    const totals = await req.db.query(
+      `SELECT
+         COUNT(*)::int AS total_orders,
+         COALESCE(SUM(o.total_amount), 0)::float AS total_revenue,
+         COALESCE(AVG(o.total_amount), 0)::float AS avg_order_value,
+         COUNT(*) FILTER (WHERE o.created_at >= CURRENT_DATE)::int AS today_orders,
+         COALESCE(SUM(o.total_amount) FILTER (WHERE o.created_at >= CURRENT_DATE), 0)::float AS today_revenue,
+         COUNT(*) FILTER (WHERE o.created_at >= DATE_TRUNC('week', CURRENT_DATE))::int AS weekly_orders,
+         COALESCE(SUM(o.total_amount) FILTER (WHERE o.created_at >= DATE_TRUNC('week', CURRENT_DATE)), 0)::float AS weekly_revenue,
+         COUNT(*) FILTER (WHERE o.created_at >= DATE_TRUNC('month', CURRENT_DATE))::int AS monthly_orders,
+         COALESCE(SUM(o.total_amount) FILTER (WHERE o.created_at >= DATE_TRUNC('month', CURRENT_DATE)), 0)::float AS monthly_revenue
+       FROM orders o
+       WHERE ${where}`,
+      params
+    );
+    const items = await req.db.query(
+      `SELECT COALESCE(SUM(i.quantity), 0)::int AS total_items
+       FROM order_items i JOIN orders o ON o.id = i.order_id
+       WHERE ${where}`,
+      params
+    );
+    const byOutlet = await req.db.query(
+      `SELECT o.outlet_id, COALESCE(ou.name, 'Unassigned') AS outlet_name,
+              COUNT(*)::int AS total_orders, SUM(o.total_amount)::float AS total_revenue
+       FROM orders o
+       LEFT JOIN outlets ou ON ou.id = o.outlet_id
+       WHERE ${where}
+       GROUP BY o.outlet_id, ou.name
+       ORDER BY o.outlet_id IS NULL, ou.name`,
+      params
+    );
+    const byVariant = req.query.breakdown === 'variant';
+    const popularDrinks = await req.db.query(
+      `SELECT i.drink_id, i.drink_name,
+              ${byVariant ? 'i.variant_id, i.variant_name,' : ''}
+              SUM(i.quantity)::int AS total_quantity, SUM(i.total_price)::float AS total_revenue
+       FROM order_items i JOIN orders o ON o.id = i.order_id
+       WHERE ${where}
+       GROUP BY i.drink_id, i.drink_name${byVariant ? ', i.variant_id, i.variant_name' : ''}
+       ORDER BY total_quantity DESC
+       LIMIT 10`,
+      params
+    );
+    const popularModifiers = await req.db.query(
+      `SELECT m.name, m.group_name, SUM(i.quantity)::int AS total_quantity,
+              SUM(m.surcharge * i.quantity)::float AS total_revenue
+       FROM order_item_modifiers m
+       JOIN order_items i ON i.id = m.order_item_id
+       JOIN orders o ON o.id = i.order_id
+       WHERE ${where}
+       GROUP BY m.name, m.group_name
+       ORDER BY total_quantity DESC
+       LIMIT 10`,
+      params
+    );
+    const recent = await req.db.query(
+      `${ORDER_SELECT} WHERE ${scope.conditions.join(' AND ')} ORDER BY o.created_at DESC, o.id DESC LIMIT 5`,
+      scope.params
+    );
+
+    const row = totals.rows[0];
+    res.json({
+      status: 'success',
+      data: {
+        overall: {
+          totalOrders: row.total_orders,
+          totalRevenue: row.total_revenue,
+          totalItems: items.rows[0].total_items,
+          avgOrderValue: row.avg_order_value,
+        },
+        today: { totalOrders: row.today_orders, totalRevenue: row.today_revenue },
+        weekly: { totalOrders: row.weekly_orders, totalRevenue: row.weekly_revenue },
+        monthly: { totalOrders: row.monthly_orders, totalRevenue: row.monthly_revenue },
+        byOutlet: byOutlet.rows.map(outlet => ({
+          outletId: outlet.outlet_id,
+          outletName: outlet.outlet_name,
+          totalOrders: outlet.total_orders,
+          totalRevenue: outlet.total_revenue,
+        })),
+        popularDrinks: popularDrinks.rows.map(drink => ({
+          drinkId: drink.drink_id,
+          name: drink.drink_name,
+          variantId: byVariant ? drink.variant_id : undefined,
+          variantName: byVariant ? drink.variant_name : undefined,
+          totalQuantity: drink.total_quantity,
+          totalRevenue: drink.total_revenue,
+        })),
+        popularModifiers: popularModifiers.rows.map(modifier => ({
+          name: modifier.name,
+          group: modifier.group_name,
+          totalQuantity: modifier.total_quantity,
+          totalRevenue: modifier.total_revenue,
+        })),
+        recentOrders: recent.rows.map(order => ({
+          id: order.id,
+          orderNumber: order.order_number,
+          outletName: order.outlet_name,
+          operatorName: order.operator_name,
+          totalAmount: parseFloat(order.total_amount),
+          status: order.status,
+          createdAt: order.created_at,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Order stats error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load order stats' });
+  }
+});
+
+// ============================================================
+// 🔍 GET ONE ORDER
+// ============================================================
+router.get('/:id', async (req, res) => {
+  try {
+    const order = await findVisibleOrder(req, req.params.id);
+    if (!order) {
+      return res.status(404).json({ status: 'error', message: 'Order not found' });
+    }
+
+    const [formatted] = await withItems(req.db, [order]);
+    res.json({ status: 'success', data: { order: formatted } });
+  } catch (error) {
+    console.error('❌ Get order error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load order' });
+  }
+});
+
+// ============================================================
+// 🧾 RECEIPT (lines as printed)
+// ============================================================
+router.get('/:id/receipt', async (req, res) => {
+  try {
+    const order = await findVisibleOrder(req, req.params.id);
+    if (!order) {
+      return res.status(404).json({ status: 'error', message: 'Order not found' });
+    }
+
+    const [formatted] = await withItems(req.db, [order]);
+    res.json({
+      status: 'success',
+      data: {
+        receipt: {
+          orderNumber: formatted.orderNumber,
+          date: formatted.createdAt,
+          outlet: formatted.outletName,
+          servedBy: formatted.operatorName,
+          terminal: formatted.terminalName,
+          customer: formatted.customerName,
+          items: formatted.items.map(item => ({
+            name: item.variantName ? `${item.drinkName} ${item.variantName}` : item.drinkName,
+            quantity: item.quantity,
+            pricePerUnit: item.pricePerUnit,
+            priceRule: item.priceRule ? item.priceRule.name : null,
+            modifiers: item.modifiers.map(modifier => ({ name: modifier.name, surcharge: modifier.surcharge })),
+            totalPrice: item.totalPrice,
+          })),
+          subtotal: formatted.subtotal,
+          discount: formatted.discount,
+          tax: formatted.tax,
+          total: formatted.totalAmount,
+          amountPaid: formatted.amountPaid,
+          change: formatted.balance,
+          paymentMethod: formatted.paymentMethod,
+          status: formatted.status,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('❌ Receipt error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to build receipt' });
+  }
+});
+
+// ============================================================
+// ➕ CREATE ORDER
+// { items: [{ drinkId, variantId?, modifierIds?, quantity }], amountPaid, outletId?, customerName?,
+//   customerEmail?, paymentMethod?, notes?, discount?, tax? }
+// ============================================================
+router.post('/', canCreate, validate(orderValidation), async (req, res) => {
+  const client = await req.db.connect();
+
+  try {
+    const { items, customerName, customerEmail, paymentMethod, notes } = req.body;
+    const amountPaid = parseFloat(req.body.amountPaid);
+    const discount = parseFloat(req.body.discount) || 0;
+    const tax = parseFloat(req.body.tax) || 0;
+
+    const outlet = await resolveRequestOutlet(req, req.body.outletId);
+    if (outlet.error) {
+      return res.status(403).json({ status: 'error', message: outlet.error });
+    }
+
+    // ✅ Same pricing as the quote endpoint: outlet or variant price, live price rule, modifiers
+    const priced = await priceOrderLines(client, { companyId: req.user.company_id, outletId: outlet.outletId, items });
+    if (priced.error) {
+      return res.status(priced.status).json({ status: 'error', message: priced.error });
+    }
+    const { lines } = priced;
+
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.totalPrice, 0));
+    const totalAmount = roundMoney(subtotal - discount + tax);
+
+    if (totalAmount < 0) {
+      return res.status(400).json({ status: 'error', message: 'Discount cannot be more than the order' });
+    }
+    if (amountPaid < totalAmount) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Insufficient payment. Required: ${totalAmount}, Paid: ${amountPaid}`,
+      });
+    }
+
+    await client.query('BEGIN');
+
+    // ✅ Sell from the outlet's stock where it is tracked
+    for (const line of lines.filter(line => line.outletStock !== null)) {
+      const taken = await client.query(
+        `UPDATE outlet_drinks SET stock = stock - $3, updated_at = CURRENT_TIMESTAMP
+         WHERE outlet_id = $1 AND drink_id = $2 AND stock >= $3
+         RETURNING stock`,
+        [outlet.outletId, line.drinkId, line.quantity]
+      );
+      if (taken.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ status: 'error', message: `Not enough ${line.drinkName} in stock` });
+      }
+    }
+
+    const order = await client.query(
+      `INSERT INTO orders (company_id, outlet_id, operator_id, terminal_id, order_number, customer_name, customer_email,
+                           subtotal, discount, tax, total_amount, amount_paid, payment_method, status, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       RETURNING *`,
+      [
+        req.user.company_id, outlet.outletId, req.user.id, req.terminal ? req.terminal.id : null, generateOrderNumber(),
+        customerName || req.user.username, customerEmail || null, subtotal, discount, tax, totalAmount,
+        amountPaid, paymentMethod || 'cash', ORDER_STATUS.COMPLETED, notes || null,
+      ]
+    );
+
+    for (const line of lines) {
+      const item = await client.query(
+        `INSERT INTO order_items (order_id, drink_id, drink_name, variant_id, variant_name, sku, unit_cost,
+                                  quantity, base_price, price_rule_id, price_per_unit, modifier_surcharge, total_price)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING id`,
+        [
+          order.rows[0].id, line.drinkId, line.drinkName, line.variantId, line.variantName, line.sku, line.unitCost,
+          line.quantity, line.basePrice, line.rule ? line.rule.id : null, line.pricePerUnit, line.modifierSurcharge,
+          line.totalPrice,
+        ]
+      );
+
+      for (const modifier of line.modifiers) {
+        await client.query(
+          `INSERT INTO order_item_modifiers (order_item_id, modifier_id, name, group_name, surcharge)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [item.rows[0].id, modifier.modifierId, modifier.name, modifier.group, modifier.surcharge]
+        );
+      }
+    }
+
+    await client.query('COMMIT');
+
+    const [formatted] = await withItems(req.db, [order.rows[0]]);
+    console.log(`🧾 Order ${formatted.orderNumber} (${totalAmount}) by ${req.user.username}`);
+    res.status(201).json({ status: 'success', message: 'Order created successfully', data: { order: formatted } });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Create order error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to create order' });
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================================
+// ⛔ VOID ORDER ({ status: 'cancelled' | 'refunded' })
+// A cancelled order's drinks go back into tracked outlet stock.
+// ============================================================
+router.patch('/:id/status', requirePermission(PERMISSIONS.ORDERS_VOID), async (req, res) => {
+  const client = await req.db.connect();
+
+  try {
+    const { status } = req.body;
+    if (!VOID_STATUSES.includes(status)) {
+      return res.status(400).json({ status: 'error', message: `status must be one of: ${VOID_STATUSES.join(', ')}` });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND company_id = $3 AND status = ANY($4)
+       RETURNING *`,
+      [status, parseInt(req.params.id), req.user.company_id, [ORDER_STATUS.PENDING, ORDER_STATUS.COMPLETED]]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'Order not found or already voided' });
+    }
+
+    const order = result.rows[0];
+    if (status === ORDER_STATUS.CANCELLED && order.outlet_id) {
+      await client.query(
+        `UPDATE outlet_drinks od SET stock = od.stock + i.quantity, updated_at = CURRENT_TIMESTAMP
+         FROM (SELECT drink_id, SUM(quantity) AS quantity FROM order_items WHERE order_id = $1 GROUP BY drink_id) i
+         WHERE od.outlet_id = $2 AND od.drink_id = i.drink_id AND od.stock IS NOT NULL`,
+        [order.id, order.outlet_id]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    console.log(`⛔ Order ${order.order_number} ${status} by ${req.user.username}`);
+    res.json({ status: 'success', message: `Order ${status}`, data: { id: order.id, status } });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Void order error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to void order' });
+  } finally {
+    client.release();
+  }
+});
 
 module.exports = router;
\ No newline at end of file
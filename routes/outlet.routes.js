@@ -0,0 +1,350 @@
+// backend/routes/outlet.routes.js
+// Outlets (bars/branches) of a company: setup, staff assignment, switching
+// the current session's outlet and per-outlet / company-wide reports.
+const express = require('express');
+const router = express.Router();
+const { PERMISSIONS } = require('../utils/constants');
+const { getAccessibleOutlets, canUseOutlet } = require('../utils/outlet.service');
+const { verifySession, requirePermission } = require('../middleware/session.middleware');
+
+const REPORT_PERIODS = {
+  today: "AND p.created_at::date = CURRENT_DATE",
+  week: "AND p.created_at >= CURRENT_DATE - INTERVAL '7 days'",
+  month: "AND p.created_at >= CURRENT_DATE - INTERVAL '30 days'",
+  all: '',
+};
+
+// ============================================================
+// 📦 HELPERS
+// ============================================================
+
+function formatOutlet(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    code: row.code,
+    address: row.address,
+    phone: row.phone,
+    isActive: row.is_active,
+    staffCount: row.staff_count !== undefined ? parseInt(row.staff_count) : undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+async function findOutlet(db, id, companyId) {
+  const result = await db.query(
+    'SELECT * FROM outlets WHERE id = $1 AND company_id = $2',
+    [parseInt(id), companyId]
+  );
+  return result.rows[0] || null;
+}
+
+const canManage = requirePermission(PERMISSIONS.OUTLETS_MANAGE);
+
+router.use(verifySession);
+
+router.use((req, res, next) => {
+  if (!req.user.company_id) {
+    return res.status(400).json({ status: 'error', message: 'You do not belong to a company' });
+  }
+  next();
+});
+
+// ============================================================
+// 📋 MY OUTLETS (the ones this user can work in)
+// ============================================================
+router.get('/', async (req, res) => {
+  try {
+    const outlets = await getAccessibleOutlets(req.db, req.user);
+
+    res.json({
+      status: 'success',
+      data: {
+        outlets: outlets.map(formatOutlet),
+        currentOutletId: req.session ? req.session.outletId : null,
+      },
+    });
+  } catch (error) {
+    console.error('❌ List outlets error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to list outlets' });
+  }
+});
+
+// ============================================================
+// 📋 ALL OUTLETS (closed ones included)
+// ============================================================
+router.get('/all', canManage, async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `SELECT o.*, (SELECT COUNT(*) FROM outlet_staff os WHERE os.outlet_id = o.id) AS staff_count
+       FROM outlets o
+       WHERE o.company_id = $1
+       ORDER BY o.is_active DESC, o.name`,
+      [req.user.company_id]
+    );
+
+    res.json({ status: 'success', data: { outlets: result.rows.map(formatOutlet) } });
+  } catch (error) {
+    console.error('❌ List all outlets error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to list outlets' });
+  }
+});
+
+// ============================================================
+// ➕ CREATE OUTLET ({ name, code?, address?, phone? })
+// ============================================================
+router.post('/', canManage, async (req, res) => {
+  try {
+    const { name, code, address, phone } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ status: 'error', message: 'Outlet name is required' });
+    }
+
+    const result = await req.db.query(
+      `INSERT INTO outlets (company_id, name, code, address, phone)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (company_id, name) DO NOTHING
+       RETURNING *`,
+      [req.user.company_id, String(name).trim(), code || null, address || null, phone || null]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ status: 'error', message: 'An outlet with this name already exists' });
+    }
+
+    console.log(`🏪 Outlet "${result.rows[0].name}" created by ${req.user.username}`);
+    res.status(201).json({ status: 'success', message: 'Outlet created', data: { outlet: formatOutlet(result.rows[0]) } });
+  } catch (error) {
+    console.error('❌ Create outlet error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to create outlet' });
+  }
+});
+
+// ============================================================
+// ✏️ EDIT OUTLET (isActive: false closes it)
+// ============================================================
+router.patch('/:id', canManage, async (req, res) => {
+  try {
+    const outlet = await findOutlet(req.db, req.params.id, req.user.company_id);
+    if (!outlet) {
+      return res.status(404).json({ status: 'error', message: 'Outlet not found' });
+    }
+
+    const { name, code, address, phone, isActive } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ status: 'error', message: 'Outlet name cannot be empty' });
+    }
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({ status: 'error', message: 'isActive must be true or false' });
+    }
+
+    const result = await req.db.query(
+      `UPDATE outlets
+       SET name = $1, code = $2, address = $3, phone = $4, is_active = $5, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6
+       RETURNING *`,
+      [
+        name !== undefined ? String(name).trim() : outlet.name,
+        code !== undefined ? code : outlet.code,
+        address !== undefined ? address : outlet.address,
+        phone !== undefined ? phone : outlet.phone,
+        isActive !== undefined ? isActive : outlet.is_active,
+        outlet.id,
+      ]
+    );
+
+    // ✅ Sessions working in a closed outlet drop back to "no outlet"
+    if (isActive === false && outlet.is_active) {
+      await req.db.query(
+        'UPDATE user_sessions SET outlet_id = NULL WHERE outlet_id = $1 AND is_active = true',
+        [outlet.id]
+      );
+      console.log(`⛔ Outlet "${outlet.name}" deactivated by ${req.user.username}`);
+    }
+
+    res.json({ status: 'success', message: 'Outlet updated', data: { outlet: formatOutlet(result.rows[0]) } });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ status: 'error', message: 'An outlet with this name already exists' });
+    }
+    console.error('❌ Update outlet error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to update outlet' });
+  }
+});
+
+// ============================================================
+// 👥 OUTLET STAFF
+// ============================================================
+router.get('/:id/staff', canManage, async (req, res) => {
+  try {
+    const outlet = await findOutlet(req.db, req.params.id, req.user.company_id);
+    if (!outlet) {
+      return res.status(404).json({ status: 'error', message: 'Outlet not found' });
+    }
+
+    const result = await req.db.query(
+      `SELECT u.id, u.username, u.email, u.role, u.is_active, os.assigned_at
+       FROM outlet_staff os
+       JOIN users u ON os.user_id = u.id
+       WHERE os.outlet_id = $1
+       ORDER BY u.username`,
+      [outlet.id]
+    );
+
+    res.json({ status: 'success', data: { outlet: formatOutlet(outlet), staff: result.rows } });
+  } catch (error) {
+    console.error('❌ Get outlet staff error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load outlet staff' });
+  }
+});
+
+// Replaces the outlet's staff with { userIds: [...] }
+router.put('/:id/staff', canManage, async (req, res) => {
+  const client = await req.db.connect();
+
+  try {
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.some(id => !Number.isInteger(id))) {
+      return res.status(400).json({ status: 'error', message: 'userIds must be an array of user ids' });
+    }
+
+    const outlet = await findOutlet(client, req.params.id, req.user.company_id);
+    if (!outlet) {
+      return res.status(404).json({ status: 'error', message: 'Outlet not found' });
+    }
+
+    const uniqueIds = [...new Set(userIds)];
+    const members = await client.query(
+      'SELECT id FROM users WHERE id = ANY($1::int[]) AND company_id = $2',
+      [uniqueIds, req.user.company_id]
+    );
+    if (members.rows.length !== uniqueIds.length) {
+      return res.status(400).json({ status: 'error', message: 'Some users do not belong to your company' });
+    }
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM outlet_staff WHERE outlet_id = $1', [outlet.id]);
+    for (const userId of uniqueIds) {
+      await client.query('INSERT INTO outlet_staff (outlet_id, user_id) VALUES ($1, $2)', [outlet.id, userId]);
+    }
+    await client.query('COMMIT');
+
+    console.log(`👥 Outlet "${outlet.name}" staff set to ${uniqueIds.length} user(s) by ${req.user.username}`);
+    res.json({ status: 'success', message: 'Outlet staff updated', data: { outletId: outlet.id, userIds: uniqueIds } });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Set outlet staff error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to update outlet staff' });
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================================
+// 🔀 SWITCH THE CURRENT SESSION'S OUTLET ({ outletId })
+// ============================================================
+router.post('/switch', async (req, res) => {
+  try {
+    if (!req.session) {
+      return res.status(400).json({ status: 'error', message: 'Only signed-in sessions can switch outlet' });
+    }
+
+    const outletId = parseInt(req.body.outletId);
+    if (isNaN(outletId) || !await canUseOutlet(req.db, req.user, outletId)) {
+      return res.status(403).json({ status: 'error', message: 'You are not assigned to this outlet', code: 'OUTLET_NOT_ALLOWED' });
+    }
+
+    await req.db.query('UPDATE user_sessions SET outlet_id = $1 WHERE id = $2', [outletId, req.session.id]);
+
+    res.json({ status: 'success', message: 'Outlet switched', data: { outletId } });
+  } catch (error) {
+    console.error('❌ Switch outlet error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to switch outlet' });
+  }
+});
+
+// ============================================================
+// 📊 REPORTS (?period=today|week|month|all)
+// ============================================================
+router.get('/reports/summary', requirePermission(PERMISSIONS.PAYMENTS_VIEW_STATS), async (req, res) => {
+  try {
+    const period = req.query.period || 'today';
+    if (REPORT_PERIODS[period] === undefined) {
+      return res.status(400).json({ status: 'error', message: `period must be one of: ${Object.keys(REPORT_PERIODS).join(', ')}` });
+    }
+
+    // ✅ One row per outlet, plus payments and orders taken before outlets existed (outlet_id NULL)
+    const result = await req.db.query(
+      `SELECT
+         o.id AS outlet_id,
+         COALESCE(o.name, 'Unassigned') AS outlet_name,
+         o.is_active,
+         COUNT(p.id) AS transactions,
+         COUNT(CASE WHEN p.status = 'completed' THEN 1 END) AS completed,
+         COALESCE(SUM(CASE WHEN p.status = 'completed' THEN p.amount ELSE 0 END), 0) AS total_amount,
+         COALESCE(SUM(CASE WHEN p.status = 'completed' AND p.payment_method = 'mtn' THEN p.amount ELSE 0 END), 0) AS mtn_amount,
+         COALESCE(SUM(CASE WHEN p.status = 'completed' AND p.payment_method = 'orange' THEN p.amount ELSE 0 END), 0) AS orange_amount,
+         (SELECT COUNT(*) FROM user_sessions s
+          WHERE s.outlet_id = o.id AND s.is_active = true AND s.expires_at > NOW()) AS active_sessions
+       FROM outlets o
+       FULL JOIN (
+         SELECT * FROM payment_transactions p WHERE p.company_id = $1 ${REPORT_PERIODS[period]}
+       ) p ON p.outlet_id = o.id
+       WHERE o.company_id = $1 OR (o.id IS NULL AND p.outlet_id IS NULL)
+       GROUP BY o.id, o.name, o.is_active
+       ORDER BY o.id IS NULL, o.name`,
+      [req.user.company_id]
+    );
+
+    // ✅ Completed orders per outlet (voided ones are left out)
+    const orders = await req.db.query(
+      `SELECT p.outlet_id, COUNT(*) AS orders, COALESCE(SUM(p.total_amount), 0) AS order_amount
+       FROM orders p
+       WHERE p.company_id = $1 AND p.status = 'completed' ${REPORT_PERIODS[period]}
+       GROUP BY p.outlet_id`,
+      [req.user.company_id]
+    );
+    const outletOrders = (outletId) => orders.rows.find(row => row.outlet_id === outletId) || { orders: 0, order_amount: 0 };
+
+    const rows = result.rows;
+    if (!rows.some(row => row.outlet_id === null) && orders.rows.some(row => row.outlet_id === null)) {
+      rows.push({ outlet_id: null, outlet_name: 'Unassigned', is_active: null, transactions: 0, completed: 0,
+        total_amount: 0, mtn_amount: 0, orange_amount: 0, active_sessions: 0 });
+    }
+
+    const outlets = rows.map(row => ({
+      outletId: row.outlet_id,
+      outletName: row.outlet_name,
+      isActive: row.is_active,
+      transactions: parseInt(row.transactions),
+      completed: parseInt(row.completed),
+      totalAmount: parseFloat(row.total_amount),
+      mtnAmount: parseFloat(row.mtn_amount),
+      orangeAmount: parseFloat(row.orange_amount),
+      orders: parseInt(outletOrders(row.outlet_id).orders),
+      orderAmount: parseFloat(outletOrders(row.outlet_id).order_amount),
+      activeSessions: parseInt(row.active_sessions),
+    }));
+
+    const company = outlets.reduce((sum, outlet) => ({
+      transactions: sum.transactions + outlet.transactions,
+      completed: sum.completed + outlet.completed,
+      totalAmount: sum.totalAmount + outlet.totalAmount,
+      mtnAmount: sum.mtnAmount + outlet.mtnAmount,
+      orangeAmount: sum.orangeAmount + outlet.orangeAmount,
+      orders: sum.orders + outlet.orders,
+      orderAmount: sum.orderAmount + outlet.orderAmount,
+    }), { transactions: 0, completed: 0, totalAmount: 0, mtnAmount: 0, orangeAmount: 0, orders: 0, orderAmount: 0 });
+
+    res.json({ status: 'success', data: { period, company, outlets } });
+  } catch (error) {
+    console.error('❌ Outlet report error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to build outlet report' });
+  }
+});
+
+module.exports = router;
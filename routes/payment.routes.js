@@ -2,6 +2,10 @@
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
+const { PERMISSIONS } = require('../utils/constants');
+const { hasPermission } = require('../utils/permission.service');
+const { canUseOutlet } = require('../utils/outlet.service');
+const { verifySession, requirePermission } = require('../middleware/session.middleware');
 
 // ============================================================
 // 📦 HELPERS
@@ -21,40 +25,35 @@ function validatePhoneNumber(phone, provider) {
   return false;
 }
 
+// Outlet a payment is taken in: the session's outlet, or an explicit
+// outletId (API keys and sessions opened before the company had outlets).
+// Returns { outletId } or { error }.
+async function resolvePaymentOutlet(req) {
+  if (req.session && req.session.outletId) {
+    return { outletId: req.session.outletId };
+  }
+  if (!req.body.outletId) {
+    return { outletId: null };
+  }
+
+  const outletId = parseInt(req.body.outletId);
+  const allowed = req.apiKey
+    ? (await req.db.query(
+        'SELECT id FROM outlets WHERE id = $1 AND company_id = $2 AND is_active = true',
+        [outletId, req.user.company_id]
+      )).rows.length > 0
+    : await canUseOutlet(req.db, req.user, outletId);
+
+  return allowed ? { outletId } : { error: 'You cannot take payments for this outlet' };
+}
+
 // ============================================================
 // 💰 GET Company Payment Settings
 // ============================================================
-router.get('/company-settings', async (req, res) => {
+router.get('/company-settings', verifySession, async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const token = authHeader.split(' ')[1];
-    const tokenParts = token.split('_');
-    if (tokenParts.length < 2) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    const userId = parseInt(tokenParts[1]);
-    if (isNaN(userId)) {
-      return res.status(401).json({ error: 'Invalid user' });
-    }
-
-    // ✅ Get user info
-    const userResult = await req.db.query(
-      'SELECT id, company_id, role FROM users WHERE id = $1',
-      [userId]
-    );
-
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const user = userResult.rows[0];
-    const companyId = user.company_id;
-    const role = user.role;
+    const companyId = req.user.company_id;
+    const role = req.user.role;
 
     if (!companyId) {
       return res.status(400).json({ 
@@ -89,7 +88,7 @@ router.get('/company-settings', async (req, res) => {
     }
 
     const company = result.rows[0];
-    const isManager = ['Manager', 'Administrator', 'Admin'].includes(role);
+    const isManager = await hasPermission(req.db, req.user, PERMISSIONS.PAYMENTS_CONFIGURE);
 
     // ✅ Build response
     const response = {
@@ -100,7 +99,7 @@ router.get('/company-settings', async (req, res) => {
       orangeEnabled: company.orange_enabled || false,
     };
 
-    // ✅ Only Managers get sensitive data
+    // ✅ Only users who may configure payments get sensitive data
     if (isManager) {
       response.mtnMerchantPhone = company.mtn_merchant_phone || '';
       response.orangeMerchantPhone = company.orange_merchant_phone || '';
@@ -138,47 +137,11 @@ router.get('/company-settings', async (req, res) => {
 });
 
 // ============================================================
-// 💾 UPDATE Company Payment Settings (Manager only)
+// 💾 UPDATE Company Payment Settings (payments.configure)
 // ============================================================
-router.patch('/company-settings', async (req, res) => {
+router.patch('/company-settings', verifySession, requirePermission(PERMISSIONS.PAYMENTS_CONFIGURE), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const token = authHeader.split(' ')[1];
-    const tokenParts = token.split('_');
-    if (tokenParts.length < 2) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    const userId = parseInt(tokenParts[1]);
-    if (isNaN(userId)) {
-      return res.status(401).json({ error: 'Invalid user' });
-    }
-
-    // ✅ Get user info
-    const userResult = await req.db.query(
-      'SELECT id, company_id, role FROM users WHERE id = $1',
-      [userId]
-    );
-
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const user = userResult.rows[0];
-    const companyId = user.company_id;
-    const role = user.role;
-
-    // ✅ Only Managers can update
-    const isManager = ['Manager', 'Administrator', 'Admin'].includes(role);
-    if (!isManager) {
-      return res.status(403).json({ 
-        error: 'Only managers can update payment settings' 
-      });
-    }
+    const companyId = req.user.company_id;
 
     const {
       businessPaymentsEnabled,
@@ -272,37 +235,10 @@ router.patch('/company-settings', async (req, res) => {
 // ============================================================
 // 💰 INITIATE PAYMENT
 // ============================================================
-router.post('/payment/initiate', async (req, res) => {
+router.post('/payment/initiate', verifySession, requirePermission(PERMISSIONS.PAYMENTS_CREATE), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const token = authHeader.split(' ')[1];
-    const tokenParts = token.split('_');
-    if (tokenParts.length < 2) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    const userId = parseInt(tokenParts[1]);
-    if (isNaN(userId)) {
-      return res.status(401).json({ error: 'Invalid user' });
-    }
-
-    // ✅ Get user info
-    const userResult = await req.db.query(
-      'SELECT id, company_id, role FROM users WHERE id = $1',
-      [userId]
-    );
-
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const user = userResult.rows[0];
-    const companyId = user.company_id;
-    const role = user.role;
+    const companyId = req.user.company_id;
+    const role = req.user.role;
 
     const { amount, customerPhone, paymentMethod, orderId } = req.body;
 
@@ -385,15 +321,22 @@ router.post('/payment/initiate', async (req, res) => {
       }
     }
 
+    // ✅ Outlet the payment is taken in
+    const outlet = await resolvePaymentOutlet(req);
+    if (outlet.error) {
+      return res.status(403).json({ error: outlet.error });
+    }
+
     // ✅ Generate transaction ID
     const transactionId = generateTransactionId();
 
     // ✅ Save transaction to database
     await req.db.query(
       `INSERT INTO payment_transactions 
-       (order_id, company_id, customer_phone, amount, payment_method, transaction_id, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-      [orderId, companyId, customerPhone, amount, paymentMethod, transactionId, 'pending']
+       (order_id, company_id, customer_phone, amount, payment_method, transaction_id, status, outlet_id, operator_id, terminal_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [orderId, companyId, customerPhone, amount, paymentMethod, transactionId, 'pending', outlet.outletId,
+       req.user.id, req.terminal ? req.terminal.id : null]
     );
 
     // ✅ Log the payment initiation
@@ -404,6 +347,8 @@ router.post('/payment/initiate', async (req, res) => {
     console.log(`   Method: ${paymentMethod}`);
     console.log(`   Transaction: ${transactionId}`);
     console.log(`   Order ID: ${orderId}`);
+    console.log(`   Outlet: ${outlet.outletId || '-'}`);
+    console.log(`   Operator: ${req.user.username}${req.terminal ? ` on terminal ${req.terminal.name}` : ''}`);
 
     // ✅ Return success with transaction ID
     res.json({
@@ -426,37 +371,11 @@ router.post('/payment/initiate', async (req, res) => {
 // ============================================================
 // 🔍 CHECK PAYMENT STATUS
 // ============================================================
-router.get('/payment/status/:transactionId', async (req, res) => {
+router.get('/payment/status/:transactionId', verifySession, requirePermission(PERMISSIONS.PAYMENTS_CREATE), async (req, res) => {
   try {
     const { transactionId } = req.params;
 
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const token = authHeader.split(' ')[1];
-    const tokenParts = token.split('_');
-    if (tokenParts.length < 2) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    const userId = parseInt(tokenParts[1]);
-    if (isNaN(userId)) {
-      return res.status(401).json({ error: 'Invalid user' });
-    }
-
-    // ✅ Get user info
-    const userResult = await req.db.query(
-      'SELECT company_id FROM users WHERE id = $1',
-      [userId]
-    );
-
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const companyId = userResult.rows[0].company_id;
+    const companyId = req.user.company_id;
 
     // ✅ Get from database
     const result = await req.db.query(
@@ -534,37 +453,11 @@ router.get('/payment/status/:transactionId', async (req, res) => {
 // ============================================================
 // ❌ CANCEL PAYMENT
 // ============================================================
-router.post('/payment/cancel', async (req, res) => {
+router.post('/payment/cancel', verifySession, requirePermission(PERMISSIONS.PAYMENTS_CREATE), async (req, res) => {
   try {
     const { transactionId } = req.body;
 
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const token = authHeader.split(' ')[1];
-    const tokenParts = token.split('_');
-    if (tokenParts.length < 2) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    const userId = parseInt(tokenParts[1]);
-    if (isNaN(userId)) {
-      return res.status(401).json({ error: 'Invalid user' });
-    }
-
-    // ✅ Get user info
-    const userResult = await req.db.query(
-      'SELECT company_id FROM users WHERE id = $1',
-      [userId]
-    );
-
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const companyId = userResult.rows[0].company_id;
+    const companyId = req.user.company_id;
 
     // ✅ Update transaction status in database
     const result = await req.db.query(
@@ -599,50 +492,17 @@ router.post('/payment/cancel', async (req, res) => {
 });
 
 // ============================================================
-// 📊 GET PAYMENT HISTORY (Manager only)
+// 📊 GET PAYMENT HISTORY (payments.view_history)
 // ============================================================
-router.get('/payment/history', async (req, res) => {
+router.get('/payment/history', verifySession, requirePermission(PERMISSIONS.PAYMENTS_VIEW_HISTORY), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const token = authHeader.split(' ')[1];
-    const tokenParts = token.split('_');
-    if (tokenParts.length < 2) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    const userId = parseInt(tokenParts[1]);
-    if (isNaN(userId)) {
-      return res.status(401).json({ error: 'Invalid user' });
-    }
-
-    // ✅ Get user info
-    const userResult = await req.db.query(
-      'SELECT company_id, role FROM users WHERE id = $1',
-      [userId]
-    );
+    const companyId = req.user.company_id;
 
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    const { limit = 50, offset = 0, status, outletId } = req.query;
+    if (outletId && !/^[1-9]\d*$/.test(outletId)) {
+      return res.status(400).json({ error: 'outletId must be an outlet id' });
     }
 
-    const user = userResult.rows[0];
-    const companyId = user.company_id;
-    const role = user.role;
-
-    // ✅ Only Managers can view payment history
-    const isManager = ['Manager', 'Administrator', 'Admin'].includes(role);
-    if (!isManager) {
-      return res.status(403).json({ 
-        error: 'Only managers can view payment history' 
-      });
-    }
-
-    const { limit = 50, offset = 0, status } = req.query;
-
     let query = `
       SELECT 
         id,
@@ -654,7 +514,10 @@ router.get('/payment/history', async (req, res) => {
         transaction_id,
         created_at,
         confirmed_at,
-        error_message
+        error_message,
+        outlet_id,
+        operator_id,
+        terminal_id
       FROM payment_transactions 
       WHERE company_id = $1
     `;
@@ -667,6 +530,12 @@ router.get('/payment/history', async (req, res) => {
       paramIndex++;
     }
 
+    if (outletId) {
+      query += ` AND outlet_id = $${paramIndex}`;
+      params.push(parseInt(outletId));
+      paramIndex++;
+    }
+
     query += ` ORDER BY created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
     params.push(parseInt(limit), parseInt(offset));
 
@@ -674,8 +543,8 @@ router.get('/payment/history', async (req, res) => {
 
     // ✅ Get total count
     const countResult = await req.db.query(
-      `SELECT COUNT(*) FROM payment_transactions WHERE company_id = $1`,
-      [companyId]
+      `SELECT COUNT(*) FROM payment_transactions WHERE company_id = $1${outletId ? ' AND outlet_id = $2' : ''}`,
+      outletId ? [companyId, parseInt(outletId)] : [companyId]
     );
 
     res.json({
@@ -693,50 +562,17 @@ router.get('/payment/history', async (req, res) => {
 });
 
 // ============================================================
-// 📊 GET PAYMENT STATS (Manager only)
+// 📊 GET PAYMENT STATS (payments.view_stats)
 // ============================================================
-router.get('/payment/stats', async (req, res) => {
+router.get('/payment/stats', verifySession, requirePermission(PERMISSIONS.PAYMENTS_VIEW_STATS), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const token = authHeader.split(' ')[1];
-    const tokenParts = token.split('_');
-    if (tokenParts.length < 2) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
+    const companyId = req.user.company_id;
 
-    const userId = parseInt(tokenParts[1]);
-    if (isNaN(userId)) {
-      return res.status(401).json({ error: 'Invalid user' });
+    const { period = 'today', outletId } = req.query;
+    if (outletId && !/^[1-9]\d*$/.test(outletId)) {
+      return res.status(400).json({ error: 'outletId must be an outlet id' });
     }
 
-    // ✅ Get user info
-    const userResult = await req.db.query(
-      'SELECT company_id, role FROM users WHERE id = $1',
-      [userId]
-    );
-
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const user = userResult.rows[0];
-    const companyId = user.company_id;
-    const role = user.role;
-
-    // ✅ Only Managers can view stats
-    const isManager = ['Manager', 'Administrator', 'Admin'].includes(role);
-    if (!isManager) {
-      return res.status(403).json({ 
-        error: 'Only managers can view payment stats' 
-      });
-    }
-
-    const { period = 'today' } = req.query;
-
     let dateFilter = '';
     if (period === 'today') {
       dateFilter = "AND created_at::date = CURRENT_DATE";
@@ -746,6 +582,12 @@ router.get('/payment/stats', async (req, res) => {
       dateFilter = "AND created_at >= CURRENT_DATE - INTERVAL '30 days'";
     }
 
+    const params = [companyId];
+    if (outletId) {
+      dateFilter += ' AND outlet_id = $2';
+      params.push(parseInt(outletId));
+    }
+
     const result = await req.db.query(`
       SELECT 
         COUNT(*) as total_transactions,
@@ -758,12 +600,26 @@ router.get('/payment/stats', async (req, res) => {
         COALESCE(SUM(CASE WHEN status = 'completed' AND payment_method = 'orange' THEN amount ELSE 0 END), 0) as orange_amount
       FROM payment_transactions 
       WHERE company_id = $1 ${dateFilter}
-    `, [companyId]);
+    `, params);
+
+    // ✅ Completed amount per outlet (payments without an outlet under null)
+    const byOutlet = await req.db.query(`
+      SELECT 
+        p.outlet_id,
+        o.name as outlet_name,
+        COUNT(CASE WHEN p.status = 'completed' THEN 1 END) as completed,
+        COALESCE(SUM(CASE WHEN p.status = 'completed' THEN p.amount ELSE 0 END), 0) as total_amount
+      FROM (SELECT * FROM payment_transactions WHERE company_id = $1 ${dateFilter}) p
+      LEFT JOIN outlets o ON p.outlet_id = o.id
+      GROUP BY p.outlet_id, o.name
+      ORDER BY total_amount DESC
+    `, params);
 
     res.json({
       success: true,
-      data: result.rows[0],
+      data: { ...result.rows[0], by_outlet: byOutlet.rows },
       period: period,
+      outletId: outletId ? parseInt(outletId) : null,
     });
 
   } catch (error) {
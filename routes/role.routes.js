@@ -0,0 +1,242 @@
+// backend/routes/role.routes.js
+// Per-company roles as editable bundles of named permissions.
+// Manager and Staff bundles can be edited; custom roles (e.g. "Senior
+// Bartender") are assigned to a user on top of their base role.
+const express = require('express');
+const router = express.Router();
+const { ROLES, PERMISSIONS } = require('../utils/constants');
+const {
+  ALL_PERMISSIONS, checkPermissionList, ensureSystemRoles, getUserPermissions
+} = require('../utils/permission.service');
+const { verifySession, requirePermission, requireSameCompany } = require('../middleware/session.middleware');
+
+// ============================================================
+// 📦 HELPERS
+// ============================================================
+
+function formatRole(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    permissions: row.permissions,
+    isSystem: row.is_system,
+    userCount: row.user_count !== undefined ? parseInt(row.user_count) : undefined,
+    updatedAt: row.updated_at,
+  };
+}
+
+async function findCompanyRole(db, id, companyId) {
+  const result = await db.query(
+    'SELECT * FROM company_roles WHERE id = $1 AND company_id = $2',
+    [parseInt(id), companyId]
+  );
+  return result.rows[0] || null;
+}
+
+router.use(verifySession, requirePermission(PERMISSIONS.ROLES_MANAGE));
+
+router.use((req, res, next) => {
+  if (!req.user.company_id) {
+    return res.status(400).json({ status: 'error', message: 'You do not belong to a company' });
+  }
+  next();
+});
+
+// ============================================================
+// 📖 PERMISSION CATALOGUE
+// ============================================================
+router.get('/permissions', (req, res) => {
+  res.json({ status: 'success', data: { permissions: ALL_PERMISSIONS } });
+});
+
+// ============================================================
+// 📋 LIST ROLES
+// ============================================================
+router.get('/', async (req, res) => {
+  try {
+    await ensureSystemRoles(req.db, req.user.company_id);
+
+    const result = await req.db.query(
+      `SELECT r.*,
+              (SELECT COUNT(*) FROM users u
+               WHERE u.company_id = r.company_id
+                 AND (u.company_role_id = r.id OR (r.is_system AND u.company_role_id IS NULL AND u.role = r.name))
+              ) AS user_count
+       FROM company_roles r
+       WHERE r.company_id = $1
+       ORDER BY r.is_system DESC, r.name`,
+      [req.user.company_id]
+    );
+
+    res.json({
+      status: 'success',
+      data: {
+        roles: [
+          // Administrators always hold every permission and cannot be edited
+          { id: null, name: ROLES.ADMIN, description: null, permissions: ALL_PERMISSIONS, isSystem: true, readOnly: true },
+          ...result.rows.map(formatRole),
+        ],
+      },
+    });
+  } catch (error) {
+    console.error('❌ List roles error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to list roles' });
+  }
+});
+
+// ============================================================
+// ➕ CREATE CUSTOM ROLE
+// ============================================================
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+    const trimmed = String(name || '').trim();
+
+    if (!trimmed || trimmed.length > 50) {
+      return res.status(400).json({ status: 'error', message: 'Role name is required (max 50 characters)' });
+    }
+    if (Object.values(ROLES).includes(trimmed)) {
+      return res.status(400).json({ status: 'error', message: `${trimmed} is a built-in role` });
+    }
+
+    const error = checkPermissionList(permissions, await getUserPermissions(req.db, req.user));
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const result = await req.db.query(
+      `INSERT INTO company_roles (company_id, name, description, permissions)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (company_id, name) DO NOTHING
+       RETURNING *`,
+      [req.user.company_id, trimmed, description || null, permissions]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ status: 'error', message: 'A role with this name already exists' });
+    }
+
+    res.status(201).json({ status: 'success', message: 'Role created', data: { role: formatRole(result.rows[0]) } });
+  } catch (error) {
+    console.error('❌ Create role error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to create role' });
+  }
+});
+
+// ============================================================
+// ✏️ EDIT ROLE (built-in roles keep their name)
+// ============================================================
+router.patch('/:id', async (req, res) => {
+  try {
+    const role = await findCompanyRole(req.db, req.params.id, req.user.company_id);
+    if (!role) {
+      return res.status(404).json({ status: 'error', message: 'Role not found' });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    const newName = name !== undefined ? String(name).trim() : null;
+
+    if (newName !== null && role.is_system && newName !== role.name) {
+      return res.status(400).json({ status: 'error', message: 'Built-in roles cannot be renamed' });
+    }
+    if (newName !== null && !role.is_system && (!newName || newName.length > 50 || Object.values(ROLES).includes(newName))) {
+      return res.status(400).json({ status: 'error', message: 'Invalid role name' });
+    }
+    if (permissions !== undefined) {
+      const error = checkPermissionList(permissions, await getUserPermissions(req.db, req.user));
+      if (error) {
+        return res.status(400).json({ status: 'error', message: error });
+      }
+    }
+
+    const result = await req.db.query(
+      `UPDATE company_roles
+       SET name = COALESCE($1, name),
+           description = COALESCE($2, description),
+           permissions = COALESCE($3, permissions),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [newName, description, permissions, role.id]
+    );
+
+    console.log(`🛡️ Role ${result.rows[0].name} updated by ${req.user.username}`);
+    res.json({ status: 'success', message: 'Role updated', data: { role: formatRole(result.rows[0]) } });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ status: 'error', message: 'A role with this name already exists' });
+    }
+    console.error('❌ Update role error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to update role' });
+  }
+});
+
+// ============================================================
+// 🗑️ DELETE CUSTOM ROLE (its users fall back to their base role)
+// ============================================================
+router.delete('/:id', async (req, res) => {
+  try {
+    const role = await findCompanyRole(req.db, req.params.id, req.user.company_id);
+    if (!role) {
+      return res.status(404).json({ status: 'error', message: 'Role not found' });
+    }
+    if (role.is_system) {
+      return res.status(400).json({ status: 'error', message: 'Built-in roles cannot be deleted' });
+    }
+
+    await req.db.query('DELETE FROM company_roles WHERE id = $1', [role.id]);
+
+    res.json({ status: 'success', message: 'Role deleted' });
+  } catch (error) {
+    console.error('❌ Delete role error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to delete role' });
+  }
+});
+
+// ============================================================
+// 👤 ASSIGN A CUSTOM ROLE ({ roleId: null } restores the base role bundle)
+// ============================================================
+router.put('/users/:id', requireSameCompany('id'), async (req, res) => {
+  try {
+    const { roleId } = req.body;
+
+    if (req.targetUser.role === ROLES.ADMIN) {
+      return res.status(400).json({ status: 'error', message: 'Administrators always hold every permission' });
+    }
+    if (req.targetUser.id === req.user.id) {
+      return res.status(400).json({ status: 'error', message: 'You cannot change your own role' });
+    }
+
+    let role = null;
+    if (roleId !== null && roleId !== undefined) {
+      role = await findCompanyRole(req.db, roleId, req.user.company_id);
+      if (!role || role.is_system) {
+        return res.status(404).json({ status: 'error', message: 'Custom role not found' });
+      }
+
+      const error = checkPermissionList(role.permissions, await getUserPermissions(req.db, req.user));
+      if (error) {
+        return res.status(403).json({ status: 'error', message: error });
+      }
+    }
+
+    await req.db.query(
+      'UPDATE users SET company_role_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [role ? role.id : null, req.targetUser.id]
+    );
+
+    res.json({
+      status: 'success',
+      message: role
+        ? `${req.targetUser.username} now has the ${role.name} role`
+        : `${req.targetUser.username} is back to the ${req.targetUser.role} role`,
+    });
+  } catch (error) {
+    console.error('❌ Assign role error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to assign role' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+// backend/routes/session.routes.js
+// Device and session management on top of user_sessions.
+const express = require('express');
+const router = express.Router();
+const { PERMISSIONS } = require('../utils/constants');
+const { disconnectSessions } = require('../utils/realtime.service');
+const { verifySession, requirePermission } = require('../middleware/session.middleware');
+
+// ============================================================
+// 📦 HELPERS
+// ============================================================
+
+function formatSession(row, currentSessionId) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    username: row.username,
+    deviceId: row.device_id,
+    deviceName: row.device_name,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    createdAt: row.created_at,
+    lastActivityAt: row.last_activity_at,
+    expiresAt: row.expires_at,
+    current: row.id === currentSessionId,
+  };
+}
+
+// Ends the matching sessions and drops their live sockets; resolves to how many ended
+async function terminateSessions(db, whereClause, params) {
+  const result = await db.query(
+    `UPDATE user_sessions
+     SET is_active = false, terminated_at = NOW()
+     WHERE is_active = true AND ${whereClause}
+     RETURNING id`,
+    params
+  );
+  disconnectSessions(result.rows.map(row => row.id));
+  return result.rowCount;
+}
+
+router.use(verifySession);
+
+// ============================================================
+// 📱 MY ACTIVE SESSIONS
+// ============================================================
+router.get('/', async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `SELECT s.*, u.username
+       FROM user_sessions s
+       JOIN users u ON s.user_id = u.id
+       WHERE s.user_id = $1 AND s.is_active = true AND s.expires_at > NOW()
+       ORDER BY s.last_activity_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      status: 'success',
+      data: { sessions: result.rows.map(row => formatSession(row, req.session.id)) },
+    });
+  } catch (error) {
+    console.error('❌ List sessions error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to list sessions' });
+  }
+});
+
+// ============================================================
+// 🚪 SIGN OUT ALL MY OTHER DEVICES
+// ============================================================
+router.post('/revoke-others', async (req, res) => {
+  try {
+    const count = await terminateSessions(req.db, 'user_id = $1 AND id <> $2', [req.user.id, req.session.id]);
+
+    res.json({ status: 'success', message: `${count} other session(s) signed out`, data: { revoked: count } });
+  } catch (error) {
+    console.error('❌ Revoke sessions error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to revoke sessions' });
+  }
+});
+
+// ============================================================
+// 👥 STAFF SESSIONS IN MY COMPANY (Manager)
+// ============================================================
+router.get('/staff', requirePermission(PERMISSIONS.STAFF_MANAGE_SESSIONS), async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    let query = `
+      SELECT s.*, u.username, u.role
+      FROM user_sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE u.company_id = $1 AND s.is_active = true AND s.expires_at > NOW()
+    `;
+    const params = [req.user.company_id];
+
+    if (userId) {
+      query += ' AND s.user_id = $2';
+      params.push(parseInt(userId));
+    }
+
+    query += ' ORDER BY s.last_activity_at DESC';
+    const result = await req.db.query(query, params);
+
+    res.json({
+      status: 'success',
+      data: {
+        sessions: result.rows.map(row => ({ ...formatSession(row, req.session.id), role: row.role })),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Staff sessions error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to list staff sessions' });
+  }
+});
+
+// ============================================================
+// ⛔ TERMINATE A STAFF SESSION (Manager)
+// ============================================================
+router.delete('/staff/:id', requirePermission(PERMISSIONS.STAFF_MANAGE_SESSIONS), async (req, res) => {
+  try {
+    const count = await terminateSessions(
+      req.db,
+      'id = $1 AND user_id IN (SELECT id FROM users WHERE company_id = $2)',
+      [parseInt(req.params.id), req.user.company_id]
+    );
+
+    if (count === 0) {
+      return res.status(404).json({ status: 'error', message: 'Session not found' });
+    }
+
+    console.log(`⛔ Session ${req.params.id} terminated by ${req.user.username}`);
+    res.json({ status: 'success', message: 'Session terminated' });
+  } catch (error) {
+    console.error('❌ Terminate staff session error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to terminate session' });
+  }
+});
+
+// ============================================================
+// 🚪 SIGN OUT ONE OF MY SESSIONS
+// ============================================================
+router.delete('/:id', async (req, res) => {
+  try {
+    const count = await terminateSessions(req.db, 'id = $1 AND user_id = $2', [parseInt(req.params.id), req.user.id]);
+
+    if (count === 0) {
+      return res.status(404).json({ status: 'error', message: 'Session not found' });
+    }
+
+    res.json({ status: 'success', message: 'Session signed out' });
+  } catch (error) {
+    console.error('❌ Revoke session error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to revoke session' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,206 @@
+// backend/routes/staff-invitation.routes.js
+// Email invitations for new staff. The invitee opens the link, picks a
+// username and password (POST /api/auth/accept-invitation in server.js) and
+// joins the inviting company. Managers never choose or see the password.
+const express = require('express');
+const router = express.Router();
+const { PERMISSIONS, ROLES } = require('../utils/constants');
+const { isValidEmail } = require('../utils/helpers');
+const { INVITE_ROLES } = require('../utils/company-invite.service');
+const { hasPermission } = require('../utils/permission.service');
+const { createInvitation, resendInvitation } = require('../utils/staff-invitation.service');
+const { verifySession, requirePermission } = require('../middleware/session.middleware');
+
+// ============================================================
+// 📦 HELPERS
+// ============================================================
+
+function invitationStatus(row) {
+  if (row.accepted_at) return 'accepted';
+  if (row.revoked_at) return 'revoked';
+  if (new Date(row.expires_at) <= new Date()) return 'expired';
+  return 'pending';
+}
+
+function formatInvitation(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    outletId: row.outlet_id,
+    status: invitationStatus(row),
+    invitedBy: row.invited_by_name || row.invited_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    sentCount: row.sent_count,
+    lastSentAt: row.last_sent_at,
+    acceptedAt: row.accepted_at,
+    acceptedUser: row.accepted_username || row.accepted_user_id,
+    revokedAt: row.revoked_at,
+  };
+}
+
+async function findInvitation(db, id, companyId) {
+  const result = await db.query(
+    'SELECT * FROM staff_invitations WHERE id = $1 AND company_id = $2',
+    [parseInt(id), companyId]
+  );
+  return result.rows[0] || null;
+}
+
+async function emailContext(db, user) {
+  const company = await db.query('SELECT name FROM companies WHERE id = $1', [user.company_id]);
+  return { companyName: company.rows[0].name, inviterName: user.username };
+}
+
+router.use(verifySession, requirePermission(PERMISSIONS.STAFF_MANAGE));
+
+router.use((req, res, next) => {
+  if (!req.user.company_id) {
+    return res.status(400).json({ status: 'error', message: 'You do not belong to a company' });
+  }
+  next();
+});
+
+// ============================================================
+// 📋 LIST INVITATIONS (?status=pending|accepted|revoked|expired)
+// ============================================================
+router.get('/', async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `SELECT i.*, inviter.username AS invited_by_name, accepted.username AS accepted_username
+       FROM staff_invitations i
+       LEFT JOIN users inviter ON i.invited_by = inviter.id
+       LEFT JOIN users accepted ON i.accepted_user_id = accepted.id
+       WHERE i.company_id = $1
+       ORDER BY i.created_at DESC`,
+      [req.user.company_id]
+    );
+
+    let invitations = result.rows.map(formatInvitation);
+    if (req.query.status) {
+      invitations = invitations.filter(invitation => invitation.status === req.query.status);
+    }
+
+    res.json({ status: 'success', data: { invitations } });
+  } catch (error) {
+    console.error('❌ List staff invitations error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to list invitations' });
+  }
+});
+
+// ============================================================
+// ✉️ INVITE ({ email, role?: 'Staff'|'Manager', outletId? })
+// ============================================================
+router.post('/', async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const role = req.body.role || ROLES.STAFF;
+    const outletId = req.body.outletId ? parseInt(req.body.outletId) : null;
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ status: 'error', message: 'A valid email is required' });
+    }
+    if (!INVITE_ROLES.includes(role)) {
+      return res.status(400).json({ status: 'error', message: `role must be one of: ${INVITE_ROLES.join(', ')}` });
+    }
+    if (role === ROLES.MANAGER && !await hasPermission(req.db, req.user, PERMISSIONS.ROLES_MANAGE)) {
+      return res.status(403).json({ status: 'error', message: `Missing permission: ${PERMISSIONS.ROLES_MANAGE}` });
+    }
+
+    if (outletId) {
+      const outlet = await req.db.query(
+        'SELECT id FROM outlets WHERE id = $1 AND company_id = $2 AND is_active = true',
+        [outletId, req.user.company_id]
+      );
+      if (outlet.rows.length === 0) {
+        return res.status(400).json({ status: 'error', message: 'Outlet not found' });
+      }
+    }
+
+    const existingUser = await req.db.query('SELECT id FROM users WHERE LOWER(email) = $1', [email]);
+    if (existingUser.rows.length > 0) {
+      return res.status(400).json({ status: 'error', message: 'An account with this email already exists' });
+    }
+
+    const pending = await req.db.query(
+      `SELECT id FROM staff_invitations
+       WHERE company_id = $1 AND LOWER(email) = $2 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+      [req.user.company_id, email]
+    );
+    if (pending.rows.length > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This email already has a pending invitation. Resend it instead.',
+        data: { invitationId: pending.rows[0].id },
+      });
+    }
+
+    const { invitation, emailSent } = await createInvitation(req.db, {
+      companyId: req.user.company_id,
+      email,
+      role,
+      outletId,
+      invitedBy: req.user.id,
+      ...await emailContext(req.db, req.user),
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: emailSent ? `Invitation sent to ${email}` : 'Invitation created, but the email could not be sent. Try resending it.',
+      data: { invitation: formatInvitation(invitation), emailSent },
+    });
+  } catch (error) {
+    console.error('❌ Create staff invitation error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to create invitation' });
+  }
+});
+
+// ============================================================
+// 🔁 RESEND (new link, previous one stops working)
+// ============================================================
+router.post('/:id/resend', async (req, res) => {
+  try {
+    const existing = await findInvitation(req.db, req.params.id, req.user.company_id);
+    if (!existing || existing.accepted_at || existing.revoked_at) {
+      return res.status(404).json({ status: 'error', message: 'Invitation not found or no longer open' });
+    }
+
+    const { invitation, emailSent } = await resendInvitation(req.db, existing, await emailContext(req.db, req.user));
+
+    res.json({
+      status: 'success',
+      message: emailSent ? `Invitation resent to ${invitation.email}` : 'The email could not be sent. Please try again later.',
+      data: { invitation: formatInvitation(invitation), emailSent },
+    });
+  } catch (error) {
+    console.error('❌ Resend staff invitation error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to resend invitation' });
+  }
+});
+
+// ============================================================
+// ⛔ REVOKE
+// ============================================================
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `UPDATE staff_invitations SET revoked_at = NOW()
+       WHERE id = $1 AND company_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING email`,
+      [parseInt(req.params.id), req.user.company_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Invitation not found or no longer open' });
+    }
+
+    console.log(`⛔ Staff invitation for ${result.rows[0].email} revoked by ${req.user.username}`);
+    res.json({ status: 'success', message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('❌ Revoke staff invitation error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to revoke invitation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,439 @@
+// backend/routes/terminal.routes.js
+// Shared bar terminals. Managers register a device once; staff then switch
+// the active operator with their PIN instead of logging in, so the
+// one-session-per-staff approval flow does not get in the way. The device
+// itself calls /current/* with its X-Terminal-Token.
+const express = require('express');
+const router = express.Router();
+const { PERMISSIONS, TERMINAL } = require('../utils/constants');
+const { hashPassword, verifyPassword } = require('../utils/helpers');
+const { canUseOutlet } = require('../utils/outlet.service');
+const { findUsersWithPermission } = require('../utils/permission.service');
+const {
+  TERMINAL_EVENTS, isTerminalToken, generateTerminalToken, findTerminal, lockTerminal,
+  expireIdleOperator, setActiveOperator, recordFailedPin
+} = require('../utils/terminal.service');
+const {
+  verifySession, requirePermission, requireSameCompany, getBearerToken
+} = require('../middleware/session.middleware');
+
+// ============================================================
+// 📦 HELPERS
+// ============================================================
+
+function formatTerminal(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    outletId: row.outlet_id,
+    outletName: row.outlet_name,
+    deviceId: row.device_id,
+    idleLockMinutes: row.idle_lock_minutes,
+    activeOperator: row.active_operator_id
+      ? { id: row.active_operator_id, username: row.operator_username, since: row.operator_since }
+      : null,
+    lastActivityAt: row.last_activity_at,
+    lastIp: row.last_ip,
+    registeredBy: row.registered_by_name || row.registered_by,
+    createdAt: row.created_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+// Returns an error message, or null. Fills `values` with parsed fields.
+async function parseTerminalOptions(db, body, companyId, values) {
+  if (body.name !== undefined) {
+    if (!String(body.name).trim()) return 'Terminal name is required';
+    values.name = String(body.name).trim();
+  }
+
+  if (body.outletId !== undefined) {
+    if (body.outletId === null) {
+      values.outletId = null;
+    } else {
+      const outlet = await db.query(
+        'SELECT id FROM outlets WHERE id = $1 AND company_id = $2 AND is_active = true',
+        [parseInt(body.outletId), companyId]
+      );
+      if (outlet.rows.length === 0) return 'Outlet not found';
+      values.outletId = outlet.rows[0].id;
+    }
+  }
+
+  if (body.idleLockMinutes !== undefined) {
+    const minutes = parseInt(body.idleLockMinutes);
+    if (isNaN(minutes) || minutes < 1 || minutes > TERMINAL.MAX_IDLE_LOCK_MINUTES) {
+      return `idleLockMinutes must be between 1 and ${TERMINAL.MAX_IDLE_LOCK_MINUTES}`;
+    }
+    values.idleLockMinutes = minutes;
+  }
+
+  return null;
+}
+
+async function findCompanyTerminal(db, id, companyId) {
+  const result = await db.query(
+    `SELECT t.*, u.username AS operator_username
+     FROM terminals t
+     LEFT JOIN users u ON t.active_operator_id = u.id
+     WHERE t.id = $1 AND t.company_id = $2 AND t.revoked_at IS NULL`,
+    [parseInt(id), companyId]
+  );
+  return result.rows[0] || null;
+}
+
+// The device's own calls: authenticates the terminal, not a person
+async function requireTerminal(req, res, next) {
+  try {
+    const token = req.get('X-Terminal-Token') || getBearerToken(req);
+    const terminal = isTerminalToken(token) ? await findTerminal(req.db, token) : null;
+
+    if (!terminal) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Terminal is not registered or was revoked',
+        code: 'TERMINAL_INVALID',
+      });
+    }
+
+    await expireIdleOperator(req.db, terminal);
+    req.terminal = terminal;
+    next();
+  } catch (error) {
+    console.error('❌ Terminal auth error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+}
+
+function requireCompany(req, res, next) {
+  if (!req.user.company_id) {
+    return res.status(400).json({ status: 'error', message: 'You do not belong to a company' });
+  }
+  next();
+}
+
+const canManage = [verifySession, requireCompany, requirePermission(PERMISSIONS.TERMINALS_MANAGE)];
+
+// ============================================================
+// 📟 ON THE TERMINAL (X-Terminal-Token)
+// ============================================================
+
+// Lock state and the people who can unlock it (those with a PIN)
+router.get('/current', requireTerminal, async (req, res) => {
+  try {
+    const terminal = req.terminal;
+    // Holders of outlets.manage work in every outlet
+    const outletManagers = await findUsersWithPermission(req.db, terminal.company_id, PERMISSIONS.OUTLETS_MANAGE);
+    const operators = await req.db.query(
+      `SELECT u.id, u.username, u.role
+       FROM users u
+       WHERE u.company_id = $1 AND u.is_active = true AND u.pin_hash IS NOT NULL AND u.role <> 'Customer'
+         AND ($2::int IS NULL OR u.id = ANY($3)
+              OR EXISTS (SELECT 1 FROM outlet_staff os WHERE os.outlet_id = $2 AND os.user_id = u.id))
+       ORDER BY u.username`,
+      [terminal.company_id, terminal.outlet_id, outletManagers.map(user => user.id)]
+    );
+
+    res.json({
+      status: 'success',
+      data: {
+        terminal: {
+          id: terminal.id,
+          name: terminal.name,
+          outletId: terminal.outlet_id,
+          idleLockMinutes: terminal.idle_lock_minutes,
+        },
+        locked: !terminal.active_operator_id,
+        activeOperator: terminal.active_operator_id
+          ? { id: terminal.active_operator_id, username: terminal.operator_username, role: terminal.operator_role }
+          : null,
+        operators: operators.rows,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Terminal status error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load terminal' });
+  }
+});
+
+// { userId, pin } - makes userId the active operator
+router.post('/current/unlock', requireTerminal, async (req, res) => {
+  try {
+    const terminal = req.terminal;
+    const userId = parseInt(req.body.userId);
+    const pin = String(req.body.pin || '');
+
+    if (terminal.pin_locked_until && new Date(terminal.pin_locked_until) > new Date()) {
+      return res.status(429).json({
+        status: 'error',
+        message: `Too many wrong PINs. Try again in ${TERMINAL.PIN_LOCK_MINUTES} minutes.`,
+        code: 'TERMINAL_PIN_LOCKED',
+      });
+    }
+
+    if (isNaN(userId) || !TERMINAL.PIN_PATTERN.test(pin)) {
+      return res.status(400).json({ status: 'error', message: 'Pick your name and enter your 4-6 digit PIN' });
+    }
+
+    const result = await req.db.query(
+      `SELECT id, username, email, role, company_id, company_role_id, pin_hash
+       FROM users
+       WHERE id = $1 AND company_id = $2 AND is_active = true AND pin_hash IS NOT NULL AND role <> 'Customer'`,
+      [userId, terminal.company_id]
+    );
+    const operator = result.rows[0];
+    const pinCheck = operator ? await verifyPassword(pin, operator.pin_hash) : { match: false };
+
+    if (!pinCheck.match) {
+      const failure = await recordFailedPin(req.db, terminal, operator ? operator.id : null);
+      if (failure.locked) {
+        return res.status(429).json({
+          status: 'error',
+          message: `Too many wrong PINs. Try again in ${TERMINAL.PIN_LOCK_MINUTES} minutes.`,
+          code: 'TERMINAL_PIN_LOCKED',
+        });
+      }
+      return res.status(401).json({
+        status: 'error',
+        message: 'Wrong PIN',
+        code: 'INVALID_PIN',
+        attemptsLeft: failure.attemptsLeft,
+      });
+    }
+
+    if (terminal.outlet_id && !await canUseOutlet(req.db, operator, terminal.outlet_id)) {
+      return res.status(403).json({ status: 'error', message: 'You are not assigned to this outlet', code: 'OUTLET_NOT_ALLOWED' });
+    }
+
+    await setActiveOperator(req.db, terminal, operator.id);
+    console.log(`📟 ${operator.username} is now operating terminal ${terminal.name}`);
+
+    res.json({
+      status: 'success',
+      message: `Hello ${operator.username}`,
+      data: {
+        activeOperator: { id: operator.id, username: operator.username, role: operator.role },
+        idleLockMinutes: terminal.idle_lock_minutes,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Terminal unlock error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to unlock terminal' });
+  }
+});
+
+router.post('/current/lock', requireTerminal, async (req, res) => {
+  try {
+    await lockTerminal(req.db, req.terminal, TERMINAL_EVENTS.LOCK);
+    res.json({ status: 'success', message: 'Terminal locked' });
+  } catch (error) {
+    console.error('❌ Terminal lock error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to lock terminal' });
+  }
+});
+
+// ============================================================
+// 🔢 PINS (set your own; managers can clear someone else's)
+// ============================================================
+
+// { pin, password } - the account password confirms it is really you
+router.put('/pin', verifySession, requireCompany, async (req, res) => {
+  try {
+    const { pin, password } = req.body;
+
+    if (!TERMINAL.PIN_PATTERN.test(String(pin || ''))) {
+      return res.status(400).json({ status: 'error', message: 'PIN must be 4 to 6 digits' });
+    }
+
+    const me = await req.db.query('SELECT password FROM users WHERE id = $1', [req.user.id]);
+    const passwordCheck = await verifyPassword(password, me.rows[0].password);
+    if (!passwordCheck.match) {
+      return res.status(401).json({ status: 'error', message: 'Password is incorrect' });
+    }
+
+    await req.db.query(
+      'UPDATE users SET pin_hash = $1, pin_set_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [await hashPassword(String(pin)), req.user.id]
+    );
+
+    res.json({ status: 'success', message: 'Terminal PIN saved' });
+  } catch (error) {
+    console.error('❌ Set PIN error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to save PIN' });
+  }
+});
+
+router.delete('/pin/:id', verifySession, requireCompany, requirePermission(PERMISSIONS.STAFF_MANAGE), requireSameCompany('id'), async (req, res) => {
+  try {
+    const userId = req.targetUser.id;
+
+    await req.db.query('UPDATE users SET pin_hash = NULL, pin_set_at = NULL WHERE id = $1', [userId]);
+
+    // ✅ Whoever loses their PIN also stops operating any terminal
+    const operated = await req.db.query(
+      'SELECT id, active_operator_id FROM terminals WHERE active_operator_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+    for (const terminal of operated.rows) {
+      await lockTerminal(req.db, terminal, TERMINAL_EVENTS.LOCK);
+    }
+
+    res.json({ status: 'success', message: `PIN of ${req.targetUser.username} cleared` });
+  } catch (error) {
+    console.error('❌ Clear PIN error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to clear PIN' });
+  }
+});
+
+// ============================================================
+// 📋 MANAGE TERMINALS (terminals.manage)
+// ============================================================
+router.get('/', ...canManage, async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `SELECT t.*, o.name AS outlet_name, op.username AS operator_username, r.username AS registered_by_name
+       FROM terminals t
+       LEFT JOIN outlets o ON t.outlet_id = o.id
+       LEFT JOIN users op ON t.active_operator_id = op.id
+       LEFT JOIN users r ON t.registered_by = r.id
+       WHERE t.company_id = $1
+       ORDER BY t.revoked_at IS NOT NULL, t.name`,
+      [req.user.company_id]
+    );
+
+    res.json({ status: 'success', data: { terminals: result.rows.map(formatTerminal) } });
+  } catch (error) {
+    console.error('❌ List terminals error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to list terminals' });
+  }
+});
+
+// { name, outletId?, deviceId?, idleLockMinutes? } - the token is shown once
+router.post('/', ...canManage, async (req, res) => {
+  try {
+    const options = { name: null, outletId: null, idleLockMinutes: TERMINAL.DEFAULT_IDLE_LOCK_MINUTES };
+    const error = await parseTerminalOptions(req.db, req.body, req.user.company_id, options);
+    if (error || !options.name) {
+      return res.status(400).json({ status: 'error', message: error || 'Terminal name is required' });
+    }
+
+    const generated = generateTerminalToken();
+    const result = await req.db.query(
+      `INSERT INTO terminals (company_id, outlet_id, name, device_id, token_hash, idle_lock_minutes, registered_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [req.user.company_id, options.outletId, options.name, req.body.deviceId || null,
+       generated.hash, options.idleLockMinutes, req.user.id]
+    );
+
+    console.log(`📟 Terminal "${result.rows[0].name}" registered by ${req.user.username}`);
+    res.status(201).json({
+      status: 'success',
+      message: 'Terminal registered. Store the token on the device now - it will not be shown again.',
+      data: {
+        terminal: formatTerminal(result.rows[0]),
+        token: generated.token,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Register terminal error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to register terminal' });
+  }
+});
+
+router.patch('/:id', ...canManage, async (req, res) => {
+  try {
+    const terminal = await findCompanyTerminal(req.db, req.params.id, req.user.company_id);
+    if (!terminal) {
+      return res.status(404).json({ status: 'error', message: 'Terminal not found' });
+    }
+
+    const options = { name: terminal.name, outletId: terminal.outlet_id, idleLockMinutes: terminal.idle_lock_minutes };
+    const error = await parseTerminalOptions(req.db, req.body, req.user.company_id, options);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const result = await req.db.query(
+      `UPDATE terminals SET name = $1, outlet_id = $2, idle_lock_minutes = $3
+       WHERE id = $4
+       RETURNING *`,
+      [options.name, options.outletId, options.idleLockMinutes, terminal.id]
+    );
+
+    // ✅ Moving a terminal to another outlet signs its operator out
+    if (options.outletId !== terminal.outlet_id) {
+      await lockTerminal(req.db, terminal, TERMINAL_EVENTS.LOCK);
+    }
+
+    res.json({ status: 'success', message: 'Terminal updated', data: { terminal: formatTerminal(result.rows[0]) } });
+  } catch (error) {
+    console.error('❌ Update terminal error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to update terminal' });
+  }
+});
+
+// Lock from the back office (e.g. someone walked away from the bar)
+router.post('/:id/lock', ...canManage, async (req, res) => {
+  try {
+    const terminal = await findCompanyTerminal(req.db, req.params.id, req.user.company_id);
+    if (!terminal) {
+      return res.status(404).json({ status: 'error', message: 'Terminal not found' });
+    }
+
+    await lockTerminal(req.db, terminal, TERMINAL_EVENTS.LOCK);
+    res.json({ status: 'success', message: 'Terminal locked' });
+  } catch (error) {
+    console.error('❌ Remote lock error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to lock terminal' });
+  }
+});
+
+// Who operated the terminal, newest first (?limit=, max 500)
+router.get('/:id/activity', ...canManage, async (req, res) => {
+  try {
+    const terminal = await findCompanyTerminal(req.db, req.params.id, req.user.company_id);
+    if (!terminal) {
+      return res.status(404).json({ status: 'error', message: 'Terminal not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const result = await req.db.query(
+      `SELECT l.event, l.created_at, l.user_id, u.username
+       FROM terminal_operator_log l
+       LEFT JOIN users u ON l.user_id = u.id
+       WHERE l.terminal_id = $1
+       ORDER BY l.created_at DESC
+       LIMIT $2`,
+      [terminal.id, limit]
+    );
+
+    res.json({ status: 'success', data: { activity: result.rows } });
+  } catch (error) {
+    console.error('❌ Terminal activity error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load terminal activity' });
+  }
+});
+
+router.delete('/:id', ...canManage, async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `UPDATE terminals SET revoked_at = NOW(), active_operator_id = NULL, operator_since = NULL
+       WHERE id = $1 AND company_id = $2 AND revoked_at IS NULL
+       RETURNING name`,
+      [parseInt(req.params.id), req.user.company_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Terminal not found' });
+    }
+
+    console.log(`⛔ Terminal "${result.rows[0].name}" revoked by ${req.user.username}`);
+    res.json({ status: 'success', message: 'Terminal revoked' });
+  } catch (error) {
+    console.error('❌ Revoke terminal error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to revoke terminal' });
+  }
+});
+
+module.exports = router;
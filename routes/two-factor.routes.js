@@ -0,0 +1,212 @@
+// backend/routes/two-factor.routes.js
+// TOTP two-factor authentication for Managers and Administrators.
+const express = require('express');
+const router = express.Router();
+const { verifyPassword } = require('../utils/helpers');
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const {
+  TWO_FACTOR_ROLES, generateRecoveryCodes, verifySecondFactor, isTwoFactorRequired
+} = require('../utils/two-factor.service');
+const { PERMISSIONS } = require('../utils/constants');
+const { verifySession, authorize, requirePermission } = require('../middleware/session.middleware');
+
+// Enrolment is for the roles 2FA applies to; the company policy is a company setting
+const canEnrol = authorize(...TWO_FACTOR_ROLES);
+
+router.use(verifySession);
+
+// ============================================================
+// 📋 2FA STATUS
+// ============================================================
+router.get('/status', canEnrol, async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `SELECT totp_enabled, COALESCE(array_length(totp_recovery_codes, 1), 0) AS recovery_codes_left
+       FROM users WHERE id = $1`,
+      [req.user.id]
+    );
+    const required = await isTwoFactorRequired(req.db, req.user);
+
+    res.json({
+      status: 'success',
+      data: {
+        enabled: result.rows[0].totp_enabled || false,
+        recoveryCodesLeft: parseInt(result.rows[0].recovery_codes_left),
+        requiredByCompany: required
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// ============================================================
+// 📱 START ENROLMENT (returns secret + otpauth:// URI for the QR code)
+// ============================================================
+router.post('/setup', canEnrol, async (req, res) => {
+  try {
+    const current = await req.db.query('SELECT totp_enabled FROM users WHERE id = $1', [req.user.id]);
+    if (current.rows[0].totp_enabled) {
+      return res.status(400).json({ status: 'error', message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    await req.db.query('UPDATE users SET totp_secret = $1 WHERE id = $2', [secret, req.user.id]);
+
+    res.json({
+      status: 'success',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: req.user.email })
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// ============================================================
+// ✅ CONFIRM ENROLMENT
+// ============================================================
+router.post('/enable', canEnrol, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const result = await req.db.query('SELECT totp_secret, totp_enabled FROM users WHERE id = $1', [req.user.id]);
+    const user = result.rows[0];
+
+    if (user.totp_enabled) {
+      return res.status(400).json({ status: 'error', message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.totp_secret) {
+      return res.status(400).json({ status: 'error', message: 'Start setup first' });
+    }
+    if (!verifyTotp(user.totp_secret, code)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid authenticator code' });
+    }
+
+    const recovery = generateRecoveryCodes();
+    await req.db.query(
+      'UPDATE users SET totp_enabled = true, totp_recovery_codes = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [recovery.hashes, req.user.id]
+    );
+
+    // ✅ Lift the "enrol first" restriction from this user's sessions
+    await req.db.query(
+      'UPDATE user_sessions SET mfa_setup_required = false WHERE user_id = $1 AND is_active = true',
+      [req.user.id]
+    );
+
+    console.log(`🔐 2FA enabled for ${req.user.username}`);
+
+    res.json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes: recovery.codes }
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// ============================================================
+// 🔁 NEW RECOVERY CODES (old ones stop working)
+// ============================================================
+router.post('/recovery-codes', canEnrol, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const result = await req.db.query('SELECT totp_secret, totp_enabled FROM users WHERE id = $1', [req.user.id]);
+    const user = result.rows[0];
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ status: 'error', message: 'Two-factor authentication is not enabled' });
+    }
+    if (!verifyTotp(user.totp_secret, code)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid authenticator code' });
+    }
+
+    const recovery = generateRecoveryCodes();
+    await req.db.query('UPDATE users SET totp_recovery_codes = $1 WHERE id = $2', [recovery.hashes, req.user.id]);
+
+    res.json({ status: 'success', data: { recoveryCodes: recovery.codes } });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// ============================================================
+// ❌ DISABLE
+// ============================================================
+router.post('/disable', canEnrol, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (await isTwoFactorRequired(req.db, req.user)) {
+      return res.status(403).json({ status: 'error', message: 'Your company requires two-factor authentication for managers' });
+    }
+
+    const result = await req.db.query(
+      'SELECT id, password, totp_secret, totp_enabled FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ status: 'error', message: 'Two-factor authentication is not enabled' });
+    }
+
+    const passwordCheck = await verifyPassword(password, user.password);
+    const secondFactor = passwordCheck.match
+      ? await verifySecondFactor(req.db, user, { totpCode: code, recoveryCode })
+      : { valid: false };
+
+    if (!secondFactor.valid) {
+      return res.status(401).json({ status: 'error', message: 'Password or authenticator code is incorrect' });
+    }
+
+    await req.db.query(
+      `UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_recovery_codes = '{}', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [req.user.id]
+    );
+
+    console.log(`🔓 2FA disabled for ${req.user.username}`);
+    res.json({ status: 'success', message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// ============================================================
+// 🏢 COMPANY POLICY (make 2FA mandatory for managers)
+// ============================================================
+router.patch('/company-policy', requirePermission(PERMISSIONS.COMPANY_SETTINGS), async (req, res) => {
+  try {
+    const { requireManager2fa } = req.body;
+
+    if (typeof requireManager2fa !== 'boolean') {
+      return res.status(400).json({ status: 'error', message: 'requireManager2fa must be true or false' });
+    }
+    if (!req.user.company_id) {
+      return res.status(400).json({ status: 'error', message: 'You do not belong to a company' });
+    }
+
+    // ✅ Whoever switches the policy on must already be enrolled
+    if (requireManager2fa) {
+      const me = await req.db.query('SELECT totp_enabled FROM users WHERE id = $1', [req.user.id]);
+      if (!me.rows[0].totp_enabled) {
+        return res.status(400).json({ status: 'error', message: 'Enable two-factor authentication on your own account first' });
+      }
+    }
+
+    await req.db.query(
+      'UPDATE companies SET require_manager_2fa = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [requireManager2fa, req.user.company_id]
+    );
+
+    res.json({ status: 'success', message: `Two-factor authentication is now ${requireManager2fa ? 'mandatory' : 'optional'} for managers` });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,47 @@
 const express = require('express');
+const http = require('http');
 const cors = require('cors');
 const path = require('path');
 const { Pool } = require('pg');
 require('dotenv').config();
 
+// Every login and every session check signs or verifies a JWT: refuse to start without the secret
+if (!process.env.JWT_SECRET) {
+  console.error('❌ JWT_SECRET is not set - session tokens cannot be signed');
+  process.exit(1);
+}
+
 const app = express();
 
+// Render sits behind a proxy; trust it so req.ip is the real client address
+app.set('trust proxy', 1);
+
 // ========== EMAIL SERVICE ==========
-const { sendResetCodeEmail, sendWelcomeEmail, sendVerificationEmail } = require('./utils/email.service');
+const { sendResetCodeEmail, sendWelcomeEmail, sendVerificationEmail, sendAccountLockedEmail } = require('./utils/email.service');
+const crypto = require('crypto');
+const { hashPassword, verifyPassword, validatePasswordStrength } = require('./utils/helpers');
+const { issueAuthCode, checkAuthCode, authCodeErrorMessage } = require('./utils/auth-code.service');
+const { verifyAdmin, logAdminAction } = require('./middleware/admin.middleware');
+const {
+  initRealtime, notifyCompanyManagers, notifyUser, notifyLoginRequest, disconnectSessions, countOnlineManagers
+} = require('./utils/realtime.service');
+const {
+  countIpFailures, lockMinutesRemaining, progressiveDelay, recordFailedLogin, resetLoginAttempts
+} = require('./utils/login-protection.service');
+const { TWO_FACTOR_ROLES, verifySecondFactor, isTwoFactorRequired } = require('./utils/two-factor.service');
+const { POLICY_ACTIONS, evaluateLoginPolicy, recordPolicyDecision } = require('./utils/approval-policy.service');
+const { getApprovalLevel, notifyDelegates, startEscalationJob } = require('./utils/login-escalation.service');
+const { createInvite, findUsableInvite, redeemInvite } = require('./utils/company-invite.service');
+const { resolveSessionOutlet } = require('./utils/outlet.service');
+const { hasPermission, findUsersWithPermission } = require('./utils/permission.service');
+const { findPendingInvitation } = require('./utils/staff-invitation.service');
+const { LOCAL_UPLOAD_DIR, LOCAL_PUBLIC_PATH } = require('./utils/storage.service');
+const { storeImage, removeImage } = require('./utils/image.service');
+const { imageUpload } = require('./middleware/upload.middleware');
+const { AUTH_CODE_PURPOSES, LOGIN_PROTECTION, PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('./utils/constants');
+const {
+  createSession, findActiveSession, getBearerToken, verifySession, requirePermission, requireSameCompany
+} = require('./middleware/session.middleware');
 
 // ========== POSTGRESQL SETUP ==========
 console.log('🔌 Connecting to PostgreSQL (Supabase)...');
@@ -209,6 +243,893 @@ app.use(async (req, res, next) => {
         console.log('✅ approval_logs table already exists');
       }
       
+      // Check auth_codes table
+      const authCodesCheck = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables 
+          WHERE table_schema = 'public' AND table_name = 'auth_codes'
+        );
+      `);
+      
+      const authCodesExist = authCodesCheck.rows[0].exists;
+      
+      if (!authCodesExist) {
+        console.log('📦 Creating auth_codes table...');
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS auth_codes (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            email VARCHAR(100) NOT NULL,
+            purpose VARCHAR(30) NOT NULL,
+            code_hash TEXT NOT NULL,
+            attempts INTEGER DEFAULT 0,
+            consumed BOOLEAN DEFAULT false,
+            expires_at TIMESTAMP NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            consumed_at TIMESTAMP
+          )
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_auth_codes_lookup ON auth_codes (email, purpose, consumed)');
+        console.log('✅ auth_codes table created');
+      } else {
+        console.log('✅ auth_codes table already exists');
+      }
+      
+      // Login lockout columns
+      await pool.query(`
+        ALTER TABLE users
+          ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS lock_until TIMESTAMP
+      `);
+      
+      // Two-factor authentication columns
+      await pool.query(`
+        ALTER TABLE users
+          ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+          ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false,
+          ADD COLUMN IF NOT EXISTS totp_recovery_codes TEXT[] DEFAULT '{}'
+      `);
+      await pool.query('ALTER TABLE companies ADD COLUMN IF NOT EXISTS require_manager_2fa BOOLEAN DEFAULT false');
+      await pool.query('ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS mfa_setup_required BOOLEAN DEFAULT false');
+      
+      // Last-seen network details for session management
+      await pool.query(`
+        ALTER TABLE user_sessions
+          ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64),
+          ADD COLUMN IF NOT EXISTS user_agent TEXT
+      `);
+      await pool.query(`
+        ALTER TABLE login_requests
+          ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64),
+          ADD COLUMN IF NOT EXISTS user_agent TEXT
+      `);
+      
+      // Staff login approval policies
+      await pool.query('ALTER TABLE companies ADD COLUMN IF NOT EXISTS login_approval_policy JSONB');
+      await pool.query('ALTER TABLE login_requests ADD COLUMN IF NOT EXISTS policy_rule VARCHAR(50)');
+      await pool.query('ALTER TABLE approval_logs ADD COLUMN IF NOT EXISTS rule VARCHAR(50)');
+      
+      // Check trusted_devices table
+      const trustedDevicesCheck = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables 
+          WHERE table_schema = 'public' AND table_name = 'trusted_devices'
+        );
+      `);
+      
+      const trustedDevicesExist = trustedDevicesCheck.rows[0].exists;
+      
+      if (!trustedDevicesExist) {
+        console.log('📦 Creating trusted_devices table...');
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS trusted_devices (
+            id SERIAL PRIMARY KEY,
+            company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            device_id TEXT NOT NULL,
+            device_name TEXT,
+            registered_by INTEGER REFERENCES users(id),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            revoked_at TIMESTAMP
+          )
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_trusted_devices_lookup ON trusted_devices (company_id, device_id)');
+        console.log('✅ trusted_devices table created');
+      } else {
+        console.log('✅ trusted_devices table already exists');
+      }
+      
+      // Check staff_shifts table
+      const shiftsCheck = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables 
+          WHERE table_schema = 'public' AND table_name = 'staff_shifts'
+        );
+      `);
+      
+      const shiftsExist = shiftsCheck.rows[0].exists;
+      
+      if (!shiftsExist) {
+        console.log('📦 Creating staff_shifts table...');
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS staff_shifts (
+            id SERIAL PRIMARY KEY,
+            company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+            start_time TIME NOT NULL,
+            end_time TIME NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_staff_shifts_user ON staff_shifts (user_id)');
+        console.log('✅ staff_shifts table created');
+      } else {
+        console.log('✅ staff_shifts table already exists');
+      }
+      
+      // Escalation of unanswered login requests
+      await pool.query(`
+        ALTER TABLE companies
+          ADD COLUMN IF NOT EXISTS escalate_to_deputy_after INTEGER,
+          ADD COLUMN IF NOT EXISTS escalate_to_admin_after INTEGER
+      `);
+      await pool.query(`
+        ALTER TABLE login_requests
+          ADD COLUMN IF NOT EXISTS escalation_level SMALLINT DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP
+      `);
+      
+      // Check approval_delegations table
+      const delegationsCheck = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables 
+          WHERE table_schema = 'public' AND table_name = 'approval_delegations'
+        );
+      `);
+      
+      const delegationsExist = delegationsCheck.rows[0].exists;
+      
+      if (!delegationsExist) {
+        console.log('📦 Creating approval_delegations table...');
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS approval_delegations (
+            id SERIAL PRIMARY KEY,
+            company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+            delegator_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            delegate_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            starts_at TIMESTAMP NOT NULL,
+            ends_at TIMESTAMP NOT NULL,
+            reason TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            revoked_at TIMESTAMP
+          )
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_approval_delegations_company ON approval_delegations (company_id, starts_at, ends_at)');
+        console.log('✅ approval_delegations table created');
+      } else {
+        console.log('✅ approval_delegations table already exists');
+      }
+      
+      // Check company_roles table
+      const rolesCheck = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables 
+          WHERE table_schema = 'public' AND table_name = 'company_roles'
+        );
+      `);
+      
+      const rolesExist = rolesCheck.rows[0].exists;
+      
+      if (!rolesExist) {
+        console.log('📦 Creating company_roles table...');
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS company_roles (
+            id SERIAL PRIMARY KEY,
+            company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+            name VARCHAR(50) NOT NULL,
+            description TEXT,
+            permissions TEXT[] NOT NULL DEFAULT '{}',
+            is_system BOOLEAN DEFAULT false,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (company_id, name)
+          )
+        `);
+        console.log('✅ company_roles table created');
+      } else {
+        console.log('✅ company_roles table already exists');
+      }
+      
+      // Custom role replacing the permission bundle of the user's base role
+      await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS company_role_id INTEGER REFERENCES company_roles(id) ON DELETE SET NULL');
+      
+      // Shift leads used to be a flag on users: give flagged Staff a "Shift Lead"
+      // role (their Staff bundle plus staff.shift_lead), then drop the flag
+      const shiftLeadColumn = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.columns 
+          WHERE table_schema = 'public' AND table_name = 'users' AND column_name = 'is_shift_lead'
+        );
+      `);
+      
+      if (shiftLeadColumn.rows[0].exists) {
+        await pool.query(`
+          INSERT INTO company_roles (company_id, name, description, permissions)
+          SELECT DISTINCT u.company_id, 'Shift Lead', 'Staff who receive escalated login requests',
+                 array_append(COALESCE(r.permissions, $1::text[]), $2)
+          FROM users u
+          LEFT JOIN company_roles r ON r.company_id = u.company_id AND r.is_system AND r.name = u.role
+          WHERE u.is_shift_lead = true AND u.company_id IS NOT NULL AND u.company_role_id IS NULL
+          ON CONFLICT (company_id, name) DO NOTHING
+        `, [DEFAULT_ROLE_PERMISSIONS.Staff, PERMISSIONS.STAFF_SHIFT_LEAD]);
+        const assigned = await pool.query(`
+          UPDATE users u SET company_role_id = r.id
+          FROM company_roles r
+          WHERE u.is_shift_lead = true AND u.company_role_id IS NULL
+            AND r.company_id = u.company_id AND r.name = 'Shift Lead' AND $1 = ANY(r.permissions)
+          RETURNING u.id
+        `, [PERMISSIONS.STAFF_SHIFT_LEAD]);
+        const unassigned = await pool.query(
+          'SELECT username FROM users WHERE is_shift_lead = true AND id <> ALL($1)',
+          [assigned.rows.map(row => row.id)]
+        );
+        if (unassigned.rows.length > 0) {
+          console.log(`⚠️ Grant staff.shift_lead through a role to these former shift leads: ${unassigned.rows.map(row => row.username).join(', ')}`);
+        }
+        await pool.query('ALTER TABLE users DROP COLUMN is_shift_lead');
+        console.log(`✅ ${assigned.rowCount} shift lead(s) moved to the Shift Lead role`);
+      }
+      
+      // Check api_keys table
+      const apiKeysCheck = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables 
+          WHERE table_schema = 'public' AND table_name = 'api_keys'
+        );
+      `);
+      
+      const apiKeysExist = apiKeysCheck.rows[0].exists;
+      
+      if (!apiKeysExist) {
+        console.log('📦 Creating api_keys table...');
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS api_keys (
+            id SERIAL PRIMARY KEY,
+            company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+            name VARCHAR(100) NOT NULL,
+            key_prefix VARCHAR(20) NOT NULL,
+            key_hash TEXT NOT NULL UNIQUE,
+            scopes TEXT[] NOT NULL DEFAULT '{}',
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP,
+            last_used_at TIMESTAMP,
+            last_used_ip VARCHAR(64),
+            revoked_at TIMESTAMP
+          )
+        `);
+        console.log('✅ api_keys table created');
+      } else {
+        console.log('✅ api_keys table already exists');
+      }
+      
+      // Check company_invites table
+      const invitesCheck = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables 
+          WHERE table_schema = 'public' AND table_name = 'company_invites'
+        );
+      `);
+      
+      const invitesExist = invitesCheck.rows[0].exists;
+      
+      if (!invitesExist) {
+        console.log('📦 Creating company_invites table...');
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS company_invites (
+            id SERIAL PRIMARY KEY,
+            company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+            code VARCHAR(50) NOT NULL UNIQUE,
+            role VARCHAR(50) DEFAULT 'Staff',
+            max_uses INTEGER,
+            use_count INTEGER DEFAULT 0,
+            expires_at TIMESTAMP,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_used_at TIMESTAMP,
+            revoked_at TIMESTAMP
+          )
+        `);
+        
+        // Existing invite codes keep working until a manager rotates them
+        await pool.query(`
+          INSERT INTO company_invites (company_id, code)
+          SELECT id, invite_code FROM companies WHERE invite_code IS NOT NULL
+          ON CONFLICT (code) DO NOTHING
+        `);
+        console.log('✅ company_invites table created');
+      } else {
+        console.log('✅ company_invites table already exists');
+      }
+      await pool.query('ALTER TABLE companies ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP');
+      
+      // Check outlets table
+      const outletsCheck = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables 
+          WHERE table_schema = 'public' AND table_name = 'outlets'
+        );
+      `);
+      
+      const outletsExist = outletsCheck.rows[0].exists;
+      
+      if (!outletsExist) {
+        console.log('📦 Creating outlets tables...');
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS outlets (
+            id SERIAL PRIMARY KEY,
+            company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+            name VARCHAR(100) NOT NULL,
+            code VARCHAR(20),
+            address TEXT,
+            phone VARCHAR(50),
+            is_active BOOLEAN DEFAULT true,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (company_id, name)
+          )
+        `);
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS outlet_staff (
+            outlet_id INTEGER NOT NULL REFERENCES outlets(id) ON DELETE CASCADE,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (outlet_id, user_id)
+          )
+        `);
+        console.log('✅ outlets tables created');
+      } else {
+        console.log('✅ outlets tables already exist');
+      }
+      
+      // Outlet a session (or a pending login) works in, and where a payment was taken
+      await pool.query('ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS outlet_id INTEGER REFERENCES outlets(id) ON DELETE SET NULL');
+      await pool.query('ALTER TABLE login_requests ADD COLUMN IF NOT EXISTS outlet_id INTEGER REFERENCES outlets(id) ON DELETE SET NULL');
+      await pool.query('ALTER TABLE IF EXISTS payment_transactions ADD COLUMN IF NOT EXISTS outlet_id INTEGER REFERENCES outlets(id) ON DELETE SET NULL');
+      
+      // Orders and their lines (drink name and price copied so catalog edits keep history)
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS orders (
+          id SERIAL PRIMARY KEY,
+          company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+          outlet_id INTEGER REFERENCES outlets(id) ON DELETE SET NULL,
+          operator_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          order_number VARCHAR(30) NOT NULL UNIQUE,
+          customer_name VARCHAR(100),
+          customer_email VARCHAR(255),
+          subtotal NUMERIC(12, 2) NOT NULL CHECK (subtotal >= 0),
+          discount NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (discount >= 0),
+          tax NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (tax >= 0),
+          total_amount NUMERIC(12, 2) NOT NULL CHECK (total_amount >= 0),
+          amount_paid NUMERIC(12, 2) NOT NULL CHECK (amount_paid >= 0),
+          payment_method VARCHAR(20) NOT NULL DEFAULT 'cash',
+          status VARCHAR(20) NOT NULL DEFAULT 'completed',
+          notes VARCHAR(500),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await pool.query('CREATE INDEX IF NOT EXISTS idx_orders_company ON orders (company_id, created_at)');
+      await pool.query('CREATE INDEX IF NOT EXISTS idx_orders_outlet ON orders (outlet_id, created_at)');
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS order_items (
+          id SERIAL PRIMARY KEY,
+          order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+          drink_id INTEGER,
+          drink_name VARCHAR(100) NOT NULL,
+          quantity INTEGER NOT NULL CHECK (quantity >= 1),
+          price_per_unit NUMERIC(12, 2) NOT NULL CHECK (price_per_unit >= 0),
+          total_price NUMERIC(12, 2) NOT NULL CHECK (total_price >= 0)
+        )
+      `);
+      await pool.query('CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items (order_id)');
+      
+      // Check staff_invitations table
+      const staffInvitationsCheck = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables 
+          WHERE table_schema = 'public' AND table_name = 'staff_invitations'
+        );
+      `);
+      
+      const staffInvitationsExist = staffInvitationsCheck.rows[0].exists;
+      
+      if (!staffInvitationsExist) {
+        console.log('📦 Creating staff_invitations table...');
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS staff_invitations (
+            id SERIAL PRIMARY KEY,
+            company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+            email VARCHAR(255) NOT NULL,
+            role VARCHAR(50) DEFAULT 'Staff',
+            outlet_id INTEGER REFERENCES outlets(id) ON DELETE SET NULL,
+            token_hash TEXT NOT NULL UNIQUE,
+            invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NOT NULL,
+            sent_count INTEGER DEFAULT 0,
+            last_sent_at TIMESTAMP,
+            accepted_at TIMESTAMP,
+            accepted_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            revoked_at TIMESTAMP
+          )
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_staff_invitations_company ON staff_invitations (company_id, email)');
+        console.log('✅ staff_invitations table created');
+      } else {
+        console.log('✅ staff_invitations table already exists');
+      }
+      
+      // Check terminals table
+      const terminalsCheck = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables 
+          WHERE table_schema = 'public' AND table_name = 'terminals'
+        );
+      `);
+      
+      const terminalsExist = terminalsCheck.rows[0].exists;
+      
+      if (!terminalsExist) {
+        console.log('📦 Creating terminals tables...');
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS terminals (
+            id SERIAL PRIMARY KEY,
+            company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+            outlet_id INTEGER REFERENCES outlets(id) ON DELETE SET NULL,
+            name VARCHAR(100) NOT NULL,
+            device_id TEXT,
+            token_hash TEXT NOT NULL UNIQUE,
+            idle_lock_minutes INTEGER DEFAULT 5,
+            active_operator_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            operator_since TIMESTAMP,
+            last_activity_at TIMESTAMP,
+            last_ip VARCHAR(64),
+            failed_pin_attempts INTEGER DEFAULT 0,
+            pin_locked_until TIMESTAMP,
+            registered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            revoked_at TIMESTAMP
+          )
+        `);
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS terminal_operator_log (
+            id SERIAL PRIMARY KEY,
+            terminal_id INTEGER NOT NULL REFERENCES terminals(id) ON DELETE CASCADE,
+            user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            event VARCHAR(20) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_terminal_operator_log_terminal ON terminal_operator_log (terminal_id, created_at)');
+        console.log('✅ terminals tables created');
+      } else {
+        console.log('✅ terminals tables already exist');
+      }
+      
+      // Check drink_categories table
+      const drinkCategoriesCheck = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables 
+          WHERE table_schema = 'public' AND table_name = 'drink_categories'
+        );
+      `);
+      
+      if (!drinkCategoriesCheck.rows[0].exists) {
+        console.log('📦 Creating drink_categories table...');
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS drink_categories (
+            id SERIAL PRIMARY KEY,
+            company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+            name VARCHAR(50) NOT NULL,
+            icon VARCHAR(16),
+            color VARCHAR(7),
+            default_price NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (default_price >= 0),
+            sort_order INTEGER NOT NULL DEFAULT 0,
+            archived_at TIMESTAMP,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        await pool.query(
+          'CREATE UNIQUE INDEX IF NOT EXISTS idx_drink_categories_name ON drink_categories (company_id, LOWER(name))'
+        );
+        console.log('✅ drink_categories table created');
+      } else {
+        console.log('✅ drink_categories table already exists');
+      }
+      
+      // Check drinks table
+      const drinksCheck = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables 
+          WHERE table_schema = 'public' AND table_name = 'drinks'
+        );
+      `);
+      
+      const drinksExist = drinksCheck.rows[0].exists;
+      
+      if (!drinksExist) {
+        console.log('📦 Creating drinks table...');
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS drinks (
+            id SERIAL PRIMARY KEY,
+            company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+            name VARCHAR(100) NOT NULL,
+            price NUMERIC(12, 2) NOT NULL CHECK (price >= 0),
+            category_id INTEGER REFERENCES drink_categories(id) ON DELETE SET NULL,
+            image_url TEXT,
+            description VARCHAR(500),
+            is_custom BOOLEAN DEFAULT true,
+            is_active BOOLEAN DEFAULT true,
+            tags TEXT[] DEFAULT '{}',
+            alcohol_content NUMERIC(5, 2) DEFAULT 0,
+            volume NUMERIC(10, 2),
+            unit VARCHAR(5) DEFAULT 'ml',
+            local_id VARCHAR(100) UNIQUE,
+            last_synced TIMESTAMP,
+            sync_status VARCHAR(20) DEFAULT 'synced',
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        console.log('✅ drinks table created');
+      } else {
+        // Hand-made drinks tables from before the catalog get the missing columns
+        await pool.query(`
+          ALTER TABLE drinks
+            ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+            ADD COLUMN IF NOT EXISTS image_url TEXT,
+            ADD COLUMN IF NOT EXISTS description VARCHAR(500),
+            ADD COLUMN IF NOT EXISTS is_custom BOOLEAN DEFAULT true,
+            ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true,
+            ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}',
+            ADD COLUMN IF NOT EXISTS alcohol_content NUMERIC(5, 2) DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS volume NUMERIC(10, 2),
+            ADD COLUMN IF NOT EXISTS unit VARCHAR(5) DEFAULT 'ml',
+            ADD COLUMN IF NOT EXISTS local_id VARCHAR(100) UNIQUE,
+            ADD COLUMN IF NOT EXISTS last_synced TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS sync_status VARCHAR(20) DEFAULT 'synced',
+            ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        `);
+        console.log('✅ drinks table already exists');
+      }
+      await pool.query(`
+        ALTER TABLE drinks
+          ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES drink_categories(id) ON DELETE SET NULL
+      `);
+      await pool.query('CREATE INDEX IF NOT EXISTS idx_drinks_company ON drinks (company_id, is_active, name)');
+      await pool.query('CREATE INDEX IF NOT EXISTS idx_drinks_category ON drinks (category_id)');
+      
+      // Drinks from before company categories carry a free-text category:
+      // turn each distinct name into a company category and point the drinks at it
+      const legacyCategoryColumn = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.columns 
+          WHERE table_schema = 'public' AND table_name = 'drinks' AND column_name = 'category'
+        );
+      `);
+      
+      if (legacyCategoryColumn.rows[0].exists) {
+        await pool.query('ALTER TABLE drinks ALTER COLUMN category DROP NOT NULL');
+        const migrated = await pool.query(`
+          INSERT INTO drink_categories (company_id, name, default_price)
+          SELECT company_id, MIN(TRIM(category)), ROUND(AVG(price))
+          FROM drinks
+          WHERE category_id IS NULL AND company_id IS NOT NULL AND TRIM(COALESCE(category, '')) <> ''
+          GROUP BY company_id, LOWER(TRIM(category))
+          ON CONFLICT DO NOTHING
+        `);
+        const linked = await pool.query(`
+          UPDATE drinks d SET category_id = c.id
+          FROM drink_categories c
+          WHERE d.category_id IS NULL AND c.company_id = d.company_id AND LOWER(c.name) = LOWER(TRIM(d.category))
+        `);
+        if (linked.rowCount > 0) {
+          console.log(`✅ ${linked.rowCount} drink(s) linked to ${migrated.rowCount} new company categories`);
+        }
+      }
+      
+      // Per-outlet price, stock and availability of a drink
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS outlet_drinks (
+          outlet_id INTEGER NOT NULL REFERENCES outlets(id) ON DELETE CASCADE,
+          drink_id INTEGER NOT NULL REFERENCES drinks(id) ON DELETE CASCADE,
+          price NUMERIC(12, 2) CHECK (price >= 0),
+          stock INTEGER CHECK (stock >= 0),
+          is_available BOOLEAN DEFAULT true,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (outlet_id, drink_id)
+        )
+      `);
+      
+      // Serving sizes of a drink (33cl / 65cl, shot / double / bottle), each priced on its own
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS drink_variants (
+          id SERIAL PRIMARY KEY,
+          drink_id INTEGER NOT NULL REFERENCES drinks(id) ON DELETE CASCADE,
+          company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+          name VARCHAR(50) NOT NULL,
+          size NUMERIC(10, 2) CHECK (size >= 0),
+          unit VARCHAR(5),
+          price NUMERIC(12, 2) NOT NULL CHECK (price >= 0),
+          cost NUMERIC(12, 2) CHECK (cost >= 0),
+          sku VARCHAR(64),
+          sort_order INTEGER NOT NULL DEFAULT 0,
+          is_active BOOLEAN DEFAULT true,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await pool.query('CREATE INDEX IF NOT EXISTS idx_drink_variants_drink ON drink_variants (drink_id)');
+      await pool.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_drink_variants_name
+        ON drink_variants (drink_id, LOWER(name)) WHERE is_active = true
+      `);
+      await pool.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_drink_variants_sku
+        ON drink_variants (company_id, LOWER(sku)) WHERE sku IS NOT NULL AND is_active = true
+      `);
+      
+      // Order lines keep the variant they sold, with its name, SKU and cost at the time
+      await pool.query(`
+        ALTER TABLE order_items
+          ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES drink_variants(id) ON DELETE SET NULL,
+          ADD COLUMN IF NOT EXISTS variant_name VARCHAR(50),
+          ADD COLUMN IF NOT EXISTS sku VARCHAR(64),
+          ADD COLUMN IF NOT EXISTS unit_cost NUMERIC(12, 2) CHECK (unit_cost >= 0)
+      `);
+      
+      // Happy hours and price schedules (see utils/price-rule.service.js)
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS price_rules (
+          id SERIAL PRIMARY KEY,
+          company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+          outlet_id INTEGER REFERENCES outlets(id) ON DELETE CASCADE,
+          name VARCHAR(100) NOT NULL,
+          target_type VARCHAR(20) NOT NULL DEFAULT 'all',
+          target_id INTEGER,
+          adjustment_type VARCHAR(20) NOT NULL,
+          value NUMERIC(12, 2) NOT NULL,
+          days SMALLINT[],
+          start_time TIME,
+          end_time TIME,
+          starts_on DATE,
+          ends_on DATE,
+          priority INTEGER NOT NULL DEFAULT 0,
+          is_active BOOLEAN DEFAULT true,
+          created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await pool.query('CREATE INDEX IF NOT EXISTS idx_price_rules_company ON price_rules (company_id, is_active)');
+      
+      // Price windows are read on the company's clock. Companies that named a
+      // timezone in their login approval policy start with that one.
+      const companyTimezoneCheck = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.columns 
+          WHERE table_schema = 'public' AND table_name = 'companies' AND column_name = 'timezone'
+        );
+      `);
+      
+      if (!companyTimezoneCheck.rows[0].exists) {
+        await pool.query(`ALTER TABLE companies ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'Africa/Douala'`);
+        await pool.query(`
+          UPDATE companies SET timezone = login_approval_policy->>'timezone'
+          WHERE login_approval_policy->>'timezone' IS NOT NULL
+        `);
+      }
+      
+      // A line's price_per_unit is its base_price after the price rule that applied
+      await pool.query(`
+        ALTER TABLE order_items
+          ADD COLUMN IF NOT EXISTS base_price NUMERIC(12, 2) CHECK (base_price >= 0),
+          ADD COLUMN IF NOT EXISTS price_rule_id INTEGER REFERENCES price_rules(id) ON DELETE SET NULL
+      `);
+      await pool.query('UPDATE order_items SET base_price = price_per_unit WHERE base_price IS NULL');
+      await pool.query('ALTER TABLE order_items ALTER COLUMN base_price SET NOT NULL');
+      
+      // Modifier groups ("Ice", "Extras") and their options, attached to drinks or categories
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS modifier_groups (
+          id SERIAL PRIMARY KEY,
+          company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+          name VARCHAR(50) NOT NULL,
+          min_select INTEGER NOT NULL DEFAULT 0 CHECK (min_select >= 0),
+          max_select INTEGER CHECK (max_select >= 1),
+          sort_order INTEGER NOT NULL DEFAULT 0,
+          is_active BOOLEAN DEFAULT true,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await pool.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_modifier_groups_name
+        ON modifier_groups (company_id, LOWER(name)) WHERE is_active = true
+      `);
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS modifiers (
+          id SERIAL PRIMARY KEY,
+          group_id INTEGER NOT NULL REFERENCES modifier_groups(id) ON DELETE CASCADE,
+          name VARCHAR(50) NOT NULL,
+          surcharge NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (surcharge >= 0),
+          sort_order INTEGER NOT NULL DEFAULT 0,
+          is_active BOOLEAN DEFAULT true,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS modifier_group_targets (
+          group_id INTEGER NOT NULL REFERENCES modifier_groups(id) ON DELETE CASCADE,
+          drink_id INTEGER REFERENCES drinks(id) ON DELETE CASCADE,
+          category_id INTEGER REFERENCES drink_categories(id) ON DELETE CASCADE,
+          CHECK ((drink_id IS NULL) <> (category_id IS NULL)),
+          UNIQUE (group_id, drink_id),
+          UNIQUE (group_id, category_id)
+        )
+      `);
+      
+      // Modifiers picked on a line, named and priced as they were when ordered;
+      // a line's total_price adds their modifier_surcharge to its price_per_unit
+      await pool.query(`
+        ALTER TABLE order_items
+          ADD COLUMN IF NOT EXISTS modifier_surcharge NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (modifier_surcharge >= 0)
+      `);
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS order_item_modifiers (
+          id SERIAL PRIMARY KEY,
+          order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+          modifier_id INTEGER REFERENCES modifiers(id) ON DELETE SET NULL,
+          name VARCHAR(50) NOT NULL,
+          group_name VARCHAR(50) NOT NULL,
+          surcharge NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (surcharge >= 0)
+        )
+      `);
+      await pool.query('CREATE INDEX IF NOT EXISTS idx_order_item_modifiers_item ON order_item_modifiers (order_item_id)');
+      
+      // Terminal PINs, and who took a payment or an order on which terminal
+      await pool.query(`
+        ALTER TABLE users
+          ADD COLUMN IF NOT EXISTS pin_hash TEXT,
+          ADD COLUMN IF NOT EXISTS pin_set_at TIMESTAMP
+      `);
+      await pool.query(`
+        ALTER TABLE IF EXISTS payment_transactions
+          ADD COLUMN IF NOT EXISTS operator_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          ADD COLUMN IF NOT EXISTS terminal_id INTEGER REFERENCES terminals(id) ON DELETE SET NULL
+      `);
+      await pool.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS terminal_id INTEGER REFERENCES terminals(id) ON DELETE SET NULL');
+      
+      // Uploaded images: the thumbnail and the storage key both files were saved under
+      await pool.query(`
+        ALTER TABLE users
+          ADD COLUMN IF NOT EXISTS profile_thumbnail TEXT,
+          ADD COLUMN IF NOT EXISTS profile_image_key TEXT
+      `);
+      await pool.query(`
+        ALTER TABLE drinks
+          ADD COLUMN IF NOT EXISTS thumbnail_url TEXT,
+          ADD COLUMN IF NOT EXISTS image_key TEXT
+      `);
+      
+      // Check login_attempts table
+      const attemptsCheck = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables 
+          WHERE table_schema = 'public' AND table_name = 'login_attempts'
+        );
+      `);
+      
+      const attemptsExist = attemptsCheck.rows[0].exists;
+      
+      if (!attemptsExist) {
+        console.log('📦 Creating login_attempts table...');
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS login_attempts (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            identifier VARCHAR(100),
+            ip_address VARCHAR(64),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ip_address, created_at)');
+        console.log('✅ login_attempts table created');
+      } else {
+        console.log('✅ login_attempts table already exists');
+      }
+      
+      // Check platform_admins table
+      const adminsCheck = await pool.query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables 
+          WHERE table_schema = 'public' AND table_name = 'platform_admins'
+        );
+      `);
+      
+      const adminsExist = adminsCheck.rows[0].exists;
+      
+      if (!adminsExist) {
+        console.log('📦 Creating platform admin tables...');
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS platform_admins (
+            id SERIAL PRIMARY KEY,
+            username VARCHAR(50) UNIQUE NOT NULL,
+            email VARCHAR(100) UNIQUE NOT NULL,
+            password TEXT NOT NULL,
+            totp_secret TEXT,
+            totp_enabled BOOLEAN DEFAULT false,
+            is_active BOOLEAN DEFAULT true,
+            created_by INTEGER REFERENCES platform_admins(id),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_login TIMESTAMP
+          )
+        `);
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS admin_sessions (
+            id SERIAL PRIMARY KEY,
+            admin_id INTEGER NOT NULL REFERENCES platform_admins(id) ON DELETE CASCADE,
+            session_token TEXT NOT NULL UNIQUE,
+            ip_address VARCHAR(64),
+            user_agent TEXT,
+            is_active BOOLEAN DEFAULT true,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_activity_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NOT NULL,
+            terminated_at TIMESTAMP
+          )
+        `);
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS admin_audit_logs (
+            id SERIAL PRIMARY KEY,
+            admin_id INTEGER REFERENCES platform_admins(id) ON DELETE SET NULL,
+            action VARCHAR(50) NOT NULL,
+            target_type VARCHAR(50),
+            target_id VARCHAR(50),
+            details TEXT,
+            ip_address VARCHAR(64),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        console.log('✅ Platform admin tables created');
+      } else {
+        console.log('✅ Platform admin tables already exist');
+      }
+      
+      // ✅ Bootstrap the first platform admin from the environment
+      const adminCount = await pool.query('SELECT COUNT(*) FROM platform_admins');
+      if (parseInt(adminCount.rows[0].count) === 0) {
+        if (process.env.ADMIN_EMAIL && process.env.ADMIN_INITIAL_PASSWORD) {
+          const hashedAdminPassword = await hashPassword(process.env.ADMIN_INITIAL_PASSWORD);
+          await pool.query(
+            'INSERT INTO platform_admins (username, email, password) VALUES ($1, $2, $3)',
+            [process.env.ADMIN_USERNAME || 'admin', process.env.ADMIN_EMAIL, hashedAdminPassword]
+          );
+          console.log(`🛡️ First platform admin created: ${process.env.ADMIN_EMAIL} (change the password after first login)`);
+        } else {
+          console.warn('⚠️ No platform admin exists. Set ADMIN_EMAIL and ADMIN_INITIAL_PASSWORD to create one.');
+        }
+      }
+      
       const countResult = await pool.query('SELECT COUNT(*) FROM users');
       const userCount = parseInt(countResult.rows[0].count);
       console.log(`📊 Database has ${userCount} users`);
@@ -233,6 +1154,8 @@ app.use(async (req, res, next) => {
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
+// Images saved by the local storage backend (STORAGE_DRIVER=local)
+app.use(LOCAL_PUBLIC_PATH, express.static(LOCAL_UPLOAD_DIR));
 // ✅ Database connection middleware - MUST BE BEFORE ROUTES
 app.use(async (req, res, next) => {
   try {
@@ -248,25 +1171,24 @@ app.use(async (req, res, next) => {
   }
 });
 // ========== ADMIN AUTH ==========
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
+// Platform admins log in through /api/admin/login (routes/admin.routes.js);
+// verifyAdmin lives in middleware/admin.middleware.js
+if (process.env.ADMIN_PASSWORD) {
+  console.warn('⚠️ ADMIN_PASSWORD is no longer used. Create platform admin accounts instead.');
+}
 
-const verifyAdmin = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ success: false, message: 'No token provided' });
-  }
-  
-  const token = authHeader.split(' ')[1];
-  if (token === ADMIN_PASSWORD) {
-    next();
-  } else {
-    res.status(403).json({ success: false, message: 'Wrong admin password' });
+// ========== PASSWORD RULES ==========
+// Returns an error message when the password is too weak, otherwise null
+const checkPasswordStrength = (password) => {
+  const strength = validatePasswordStrength(String(password || ''));
+  if (!strength.isValid || strength.level === 'weak') {
+    return 'Password is too weak. Use at least 6 characters mixing upper and lower case letters, numbers or symbols.';
   }
+  return null;
 };
 
 // ========== PASSWORD RESET WITH EMAIL CODE ==========
-const resetCodes = {};
-const generateResetCode = () => Math.floor(100000 + Math.random() * 900000).toString();
+// Codes live in the auth_codes table (see utils/auth-code.service.js)
 
 // SEND RESET CODE TO EMAIL
 app.post('/api/auth/send-reset-code', async (req, res) => {
@@ -280,8 +1202,12 @@ app.post('/api/auth/send-reset-code', async (req, res) => {
     }
     
     const user = result.rows[0];
-    const code = generateResetCode();
-    resetCodes[email] = { code, userId: user.id, expiresAt: Date.now() + 10 * 60 * 1000 };
+    const code = await issueAuthCode(pool, {
+      userId: user.id,
+      email,
+      purpose: AUTH_CODE_PURPOSES.PASSWORD_RESET,
+      ttlMinutes: 10
+    });
     
     await sendResetCodeEmail(email, code, user.username);
     console.log(`📧 Reset code sent to ${email}`);
@@ -299,10 +1225,14 @@ app.post('/api/auth/verify-reset-code', async (req, res) => {
     const { email, code } = req.body;
     if (!email || !code) return res.status(400).json({ status: 'error', message: 'Email and code required' });
     
-    const stored = resetCodes[email];
-    if (!stored) return res.status(400).json({ status: 'error', message: 'No reset code found' });
-    if (Date.now() > stored.expiresAt) { delete resetCodes[email]; return res.status(400).json({ status: 'error', message: 'Code expired' }); }
-    if (stored.code !== code) return res.status(400).json({ status: 'error', message: 'Invalid code' });
+    const check = await checkAuthCode(pool, { email, purpose: AUTH_CODE_PURPOSES.PASSWORD_RESET, code });
+    if (!check.valid) {
+      return res.status(check.reason === 'too_many_attempts' ? 429 : 400).json({
+        status: 'error',
+        message: authCodeErrorMessage(check),
+        attemptsLeft: check.attemptsLeft
+      });
+    }
     
     res.json({ status: 'success', message: 'Code verified' });
   } catch (error) {
@@ -316,13 +1246,21 @@ app.post('/api/auth/reset-password-code', async (req, res) => {
     const { email, code, newPassword } = req.body;
     if (!email || !code || !newPassword) return res.status(400).json({ status: 'error', message: 'All fields required' });
     
-    const stored = resetCodes[email];
-    if (!stored || stored.code !== code || Date.now() > stored.expiresAt) {
-      return res.status(400).json({ status: 'error', message: 'Invalid or expired code' });
+    // ✅ Check strength first so a weak password does not burn the code
+    const weakPassword = checkPasswordStrength(newPassword);
+    if (weakPassword) return res.status(400).json({ status: 'error', message: weakPassword });
+    
+    const check = await checkAuthCode(pool, { email, purpose: AUTH_CODE_PURPOSES.PASSWORD_RESET, code, consume: true });
+    if (!check.valid) {
+      return res.status(check.reason === 'too_many_attempts' ? 429 : 400).json({
+        status: 'error',
+        message: authCodeErrorMessage(check),
+        attemptsLeft: check.attemptsLeft
+      });
     }
     
-    await pool.query('UPDATE users SET password = $1 WHERE id = $2', [newPassword, stored.userId]);
-    delete resetCodes[email];
+    const hashedPassword = await hashPassword(newPassword);
+    await pool.query('UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [hashedPassword, check.userId]);
     
     res.json({ status: 'success', message: 'Password reset successfully!' });
   } catch (error) {
@@ -334,14 +1272,19 @@ app.post('/api/auth/reset-password-code', async (req, res) => {
 
 // REGISTER
 app.post('/api/auth/register', async (req, res) => {
+  const client = await pool.connect();
+  
   try {
-    const { username, email, password, phone, securityQuestions, registerAsManager, companyId, companyName, companyCode } = req.body;
+    const { username, email, password, phone, securityQuestions, registerAsManager, companyId, companyName, companyCode, inviteCode } = req.body;
     console.log(`👤 New registration: ${username}`);
     
     if (!username || !email || !password) {
       return res.status(400).json({ status: 'error', message: 'Username, email, and password are required' });
     }
     
+    const weakPassword = checkPasswordStrength(password);
+    if (weakPassword) return res.status(400).json({ status: 'error', message: weakPassword });
+    
     const existingEmail = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
     if (existingEmail.rows.length > 0) {
       return res.status(400).json({ status: 'error', message: 'Email already registered' });
@@ -352,46 +1295,65 @@ app.post('/api/auth/register', async (req, res) => {
       return res.status(400).json({ status: 'error', message: 'Username already taken' });
     }
     
+    if (!inviteCode && registerAsManager && companyId) {
+      return res.status(400).json({ status: 'error', message: 'An invite code is required to join an existing company' });
+    }
+    
+    const hashedPassword = await hashPassword(password);
     let finalCompanyId = null;
     let userRole = 'Customer';
     
-    if (registerAsManager) {
+    // ✅ The invite use (or the new company) only counts if the account is created
+    await client.query('BEGIN');
+    
+    if (inviteCode) {
+      // ✅ Joining an existing company always goes through an invite
+      const invite = await redeemInvite(client, inviteCode);
+      if (!invite) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ status: 'error', message: 'Invite code is invalid, expired or already used up' });
+      }
+      finalCompanyId = invite.company_id;
+      userRole = invite.role;
+    } else if (registerAsManager) {
       userRole = 'Manager';
-      if (companyId) {
-        // Joining existing company
-        finalCompanyId = companyId;
-        await pool.query(
-          'UPDATE companies SET email = COALESCE(email, $1), phone = COALESCE(phone, $2) WHERE id = $3',
-          [email, phone || null, companyId]
-        );
-      } else if (companyName && companyCode) {
+      if (companyName && companyCode) {
         // Creating new company
-        const companyResult = await pool.query(
-          `INSERT INTO companies (name, code, invite_code, email, phone) 
-           VALUES ($1, $2, $2, $3, $4) 
+        const companyResult = await client.query(
+          `INSERT INTO companies (name, code, email, phone) 
+           VALUES ($1, $2, $3, $4) 
            ON CONFLICT (code) DO NOTHING
            RETURNING id`,
           [companyName, companyCode.toUpperCase(), email, phone || null]
         );
-        if (companyResult.rows.length > 0) {
-          finalCompanyId = companyResult.rows[0].id;
+        if (companyResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ status: 'error', message: 'Company code already taken' });
         }
+        finalCompanyId = companyResult.rows[0].id;
+        await createInvite(client, { companyId: finalCompanyId });
       }
     }
     
-    const result = await pool.query(
+    const result = await client.query(
       `INSERT INTO users (username, email, password, phone, role, company_id, security_question1, security_question2, email_verified) 
        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, false) 
        RETURNING id, username, email, phone, role, company_id, is_active, created_at`,
-      [username, email, password, phone || null, userRole, finalCompanyId, 
+      [username, email, hashedPassword, phone || null, userRole, finalCompanyId, 
        securityQuestions?.question1 || '', securityQuestions?.question2 || '']
     );
     
+    await client.query('COMMIT');
+    
     const newUser = result.rows[0];
     
     // Send verification email
-    const verifyCode = Math.floor(100000 + Math.random() * 900000).toString();
-    resetCodes[email] = { code: verifyCode, userId: newUser.id, expiresAt: Date.now() + 30 * 60 * 1000, type: 'verify' };
+    const verifyCode = await issueAuthCode(pool, {
+      userId: newUser.id,
+      email,
+      purpose: AUTH_CODE_PURPOSES.VERIFY_EMAIL,
+      ttlMinutes: 30
+    });
     
     try {
       await sendVerificationEmail(email, verifyCode, username);
@@ -402,26 +1364,30 @@ app.post('/api/auth/register', async (req, res) => {
     
     res.status(201).json({
       status: 'success',
-      message: registerAsManager ? 'Business account created! Check email to verify.' : 'Account created! Check email to verify.',
+      message: registerAsManager && !inviteCode ? 'Business account created! Check email to verify.' : 'Account created! Check email to verify.',
       data: {
         user: {
           id: newUser.id, _id: newUser.id, username: newUser.username,
           email: newUser.email, phone: newUser.phone, role: newUser.role,
           companyId: newUser.company_id, isActive: newUser.is_active, emailVerified: false
         },
-        token: 'token_' + newUser.id
+        // No session until the email is verified and the user logs in
+        token: null
       }
     });
   } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
     console.error('❌ Registration error:', error.message);
     res.status(500).json({ status: 'error', message: error.message });
+  } finally {
+    client.release();
   }
 });
 
 // ✅ LOGIN - Updated with Staff Approval System
 app.post('/api/auth/login', async (req, res) => {
   try {
-    const { username, email, password, deviceId, deviceName } = req.body;
+    const { username, email, password, deviceId, deviceName, totpCode, recoveryCode, outletId } = req.body;
     console.log(`🔑 Login: ${email || username}`);
     console.log(`📱 Device ID: ${deviceId}`);
     console.log(`📱 Device Name: ${deviceName}`);
@@ -430,25 +1396,55 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(400).json({ status: 'error', message: 'Email/username and password required' });
     }
     
+    const identifier = email || username;
+    const clientIp = req.ip;
+    
+    // ✅ Per-IP limit across all accounts
+    const ipFailures = await countIpFailures(pool, clientIp);
+    if (ipFailures >= LOGIN_PROTECTION.MAX_IP_ATTEMPTS) {
+      return res.status(429).json({
+        status: 'error',
+        message: `Too many failed login attempts. Try again in ${LOGIN_PROTECTION.WINDOW_MINUTES} minutes.`,
+        code: 'TOO_MANY_ATTEMPTS'
+      });
+    }
+    
     let result;
     if (email) {
       result = await pool.query(
-        'SELECT id, username, email, password, role, email_verified, company_id, is_active FROM users WHERE email = $1',
+        `SELECT id, username, email, password, role, email_verified, company_id, company_role_id, is_active, failed_login_attempts, lock_until, totp_enabled, totp_secret,
+                (SELECT is_active FROM companies WHERE id = users.company_id) AS company_active
+         FROM users WHERE email = $1`,
         [email]
       );
     } else {
       result = await pool.query(
-        'SELECT id, username, email, password, role, email_verified, company_id, is_active FROM users WHERE username = $1',
+        `SELECT id, username, email, password, role, email_verified, company_id, company_role_id, is_active, failed_login_attempts, lock_until, totp_enabled, totp_secret,
+                (SELECT is_active FROM companies WHERE id = users.company_id) AS company_active
+         FROM users WHERE username = $1`,
         [username]
       );
     }
     
     if (result.rows.length === 0) {
+      await recordFailedLogin(pool, { userId: null, identifier, ip: clientIp });
+      await progressiveDelay(ipFailures + 1);
       return res.status(401).json({ status: 'error', message: 'Invalid credentials' });
     }
     
     const user = result.rows[0];
     
+    // ✅ Locked accounts are refused before the password is checked
+    const lockedMinutes = lockMinutesRemaining(user);
+    if (lockedMinutes > 0) {
+      return res.status(423).json({
+        status: 'error',
+        message: `Account is locked. Try again in ${lockedMinutes} minutes`,
+        code: 'ACCOUNT_LOCKED',
+        lockedMinutes
+      });
+    }
+    
     if (!user.is_active) {
       return res.status(403).json({ status: 'error', message: 'Account is deactivated.' });
     }
@@ -461,14 +1457,90 @@ app.post('/api/auth/login', async (req, res) => {
       });
     }
     
-    if (password !== user.password) {
-      return res.status(401).json({ status: 'error', message: 'Invalid credentials' });
+    const passwordCheck = await verifyPassword(password, user.password);
+    if (!passwordCheck.match) {
+      const failure = await recordFailedLogin(pool, { userId: user.id, identifier, ip: clientIp });
+      
+      if (failure.locked) {
+        console.log(`🔒 Account locked after ${failure.attempts} failed attempts: ${user.username}`);
+        sendAccountLockedEmail(user.email, user.username, LOGIN_PROTECTION.LOCK_MINUTES)
+          .catch(e => console.log('⚠️ Lock notice email failed:', e.message));
+        return res.status(423).json({
+          status: 'error',
+          message: `Too many failed attempts. Account locked for ${LOGIN_PROTECTION.LOCK_MINUTES} minutes`,
+          code: 'ACCOUNT_LOCKED',
+          lockedMinutes: LOGIN_PROTECTION.LOCK_MINUTES
+        });
+      }
+      
+      await progressiveDelay(Math.max(failure.attempts, ipFailures + 1));
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid credentials',
+        attemptsLeft: LOGIN_PROTECTION.MAX_ACCOUNT_ATTEMPTS - failure.attempts
+      });
+    }
+    
+    if (user.company_id && user.company_active === false) {
+      return res.status(403).json({ status: 'error', message: 'This company has been deactivated.', code: 'COMPANY_DEACTIVATED' });
+    }
+    
+    // ✅ Second step for Managers/Administrators with 2FA enabled
+    if (user.totp_enabled && TWO_FACTOR_ROLES.includes(user.role)) {
+      if (!totpCode && !recoveryCode) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Enter the code from your authenticator app',
+          code: 'TOTP_REQUIRED'
+        });
+      }
+      
+      const secondFactor = await verifySecondFactor(pool, user, { totpCode, recoveryCode });
+      if (!secondFactor.valid) {
+        const failure = await recordFailedLogin(pool, { userId: user.id, identifier, ip: clientIp });
+        if (failure.locked) {
+          sendAccountLockedEmail(user.email, user.username, LOGIN_PROTECTION.LOCK_MINUTES)
+            .catch(e => console.log('⚠️ Lock notice email failed:', e.message));
+          return res.status(423).json({
+            status: 'error',
+            message: `Too many failed attempts. Account locked for ${LOGIN_PROTECTION.LOCK_MINUTES} minutes`,
+            code: 'ACCOUNT_LOCKED',
+            lockedMinutes: LOGIN_PROTECTION.LOCK_MINUTES
+          });
+        }
+        return res.status(401).json({ status: 'error', message: 'Invalid authenticator code', code: 'TOTP_INVALID' });
+      }
+      
+      if (secondFactor.method === 'recovery_code') {
+        console.log(`🔑 Recovery code used by ${user.username}`);
+      }
+    }
+    
+    // ✅ Company policy: managers without 2FA only get an enrolment session
+    const mfaSetupRequired = !user.totp_enabled && await isTwoFactorRequired(pool, user);
+    
+    if (user.failed_login_attempts > 0 || user.lock_until) {
+      await resetLoginAttempts(pool, user.id);
+    }
+    
+    // ✅ Upgrade legacy plaintext passwords on first successful login
+    if (passwordCheck.needsRehash) {
+      const upgradedPassword = await hashPassword(password);
+      await pool.query('UPDATE users SET password = $1 WHERE id = $2', [upgradedPassword, user.id]);
+      console.log(`🔐 Password hash upgraded for user ID: ${user.id}`);
     }
     
     const userRole = user.role;
     const finalDeviceId = deviceId || req.headers['user-agent'] || 'unknown';
     const finalDeviceName = deviceName || 'Unknown Device';
     
+    // ✅ Outlet the session works in (the only assigned one when none is picked)
+    const outletChoice = await resolveSessionOutlet(pool, user, outletId);
+    if (outletChoice.error) {
+      return res.status(403).json({ status: 'error', message: outletChoice.error, code: 'OUTLET_NOT_ALLOWED' });
+    }
+    const sessionOutletId = outletChoice.outletId;
+    
     // ✅ Clean expired sessions
     await pool.query(
       `UPDATE user_sessions 
@@ -483,14 +1555,56 @@ app.post('/api/auth/login', async (req, res) => {
       [user.id]
     );
     
-    // ✅ If no existing session → Login normally
-    if (existingSession.rows.length === 0) {
-      const sessionToken = 'token_' + user.id + '_' + Date.now();
-      await pool.query(
-        `INSERT INTO user_sessions (user_id, session_token, device_id, device_name, is_active, expires_at)
-         VALUES ($1, $2, $3, $4, true, NOW() + INTERVAL '8 hours')`,
-        [user.id, sessionToken, finalDeviceId, finalDeviceName]
+    const activeSession = existingSession.rows[0] || null;
+    
+    // ✅ Company users who cannot approve logins themselves need someone who can
+    const approvesLogins = await hasPermission(pool, user, PERMISSIONS.STAFF_APPROVE_LOGIN);
+    const needsApproval = userRole !== 'Customer' && !approvesLogins;
+    
+    // ✅ Those users → the company's approval policy decides
+    const policyDecision = needsApproval
+      ? await evaluateLoginPolicy(pool, { user, deviceId: finalDeviceId, hasActiveSession: !!activeSession })
+      : null;
+    
+    if (policyDecision && policyDecision.action === POLICY_ACTIONS.BLOCK) {
+      await recordPolicyDecision(pool, { user, deviceName: finalDeviceName, action: policyDecision.action, rule: policyDecision.rule });
+      console.log(`⛔ Login blocked for ${user.username} on ${finalDeviceName} (rule: ${policyDecision.rule})`);
+      
+      return res.status(403).json({
+        status: 'error',
+        code: 'LOGIN_BLOCKED',
+        message: 'Your company does not allow logins from this device right now. Please contact your manager.',
+        rule: policyDecision.rule
+      });
+    }
+    
+    const autoApproved = !!policyDecision && policyDecision.action === POLICY_ACTIONS.AUTO_APPROVE;
+    
+    if (autoApproved && activeSession) {
+      const ended = await pool.query(
+        'UPDATE user_sessions SET is_active = false, terminated_at = NOW() WHERE user_id = $1 AND is_active = true RETURNING id',
+        [user.id]
       );
+      notifyUser(user.id, 'session:terminated', { reason: 'auto_approved_on_other_device', deviceName: finalDeviceName });
+      disconnectSessions(ended.rows.map(row => row.id));
+    }
+    
+    // ✅ Only switches and explicit rule decisions are worth an audit entry
+    if (autoApproved && (activeSession || policyDecision.rule !== 'default')) {
+      await recordPolicyDecision(pool, { user, deviceName: finalDeviceName, action: policyDecision.action, rule: policyDecision.rule });
+    }
+    
+    // ✅ If no existing session (or the policy let a Staff switch through) → Login normally
+    if (autoApproved || (!activeSession && !policyDecision)) {
+      const sessionToken = await createSession(pool, {
+        userId: user.id,
+        deviceId: finalDeviceId,
+        deviceName: finalDeviceName,
+        ipAddress: clientIp,
+        userAgent: req.get('User-Agent') || null,
+        mfaSetupRequired,
+        outletId: sessionOutletId
+      });
       
       await pool.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
       
@@ -510,26 +1624,31 @@ app.post('/api/auth/login', async (req, res) => {
           },
           sessionToken: sessionToken,
           deviceId: finalDeviceId,
-          deviceName: finalDeviceName
+          deviceName: finalDeviceName,
+          previousDeviceTerminated: !!activeSession,
+          twoFactorSetupRequired: mfaSetupRequired,
+          outletId: sessionOutletId
         }
       });
     }
     
-    const activeSession = existingSession.rows[0];
-    
-    // ✅ If Manager or Admin → Auto-terminate old session (always allowed)
-    if (userRole === 'Manager' || userRole === 'Administrator') {
-      await pool.query(
-        'UPDATE user_sessions SET is_active = false, terminated_at = NOW() WHERE user_id = $1 AND is_active = true',
+    // ✅ If they approve logins → Auto-terminate old session (always allowed)
+    if (approvesLogins) {
+      const ended = await pool.query(
+        'UPDATE user_sessions SET is_active = false, terminated_at = NOW() WHERE user_id = $1 AND is_active = true RETURNING id',
         [user.id]
       );
+      disconnectSessions(ended.rows.map(row => row.id));
       
-      const sessionToken = 'token_' + user.id + '_' + Date.now();
-      await pool.query(
-        `INSERT INTO user_sessions (user_id, session_token, device_id, device_name, is_active, expires_at)
-         VALUES ($1, $2, $3, $4, true, NOW() + INTERVAL '8 hours')`,
-        [user.id, sessionToken, finalDeviceId, finalDeviceName]
-      );
+      const sessionToken = await createSession(pool, {
+        userId: user.id,
+        deviceId: finalDeviceId,
+        deviceName: finalDeviceName,
+        ipAddress: clientIp,
+        userAgent: req.get('User-Agent') || null,
+        mfaSetupRequired,
+        outletId: sessionOutletId
+      });
       
       await pool.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
       
@@ -551,12 +1670,14 @@ app.post('/api/auth/login', async (req, res) => {
           deviceId: finalDeviceId,
           deviceName: finalDeviceName,
           previousDeviceTerminated: true,
+          twoFactorSetupRequired: mfaSetupRequired,
+          outletId: sessionOutletId,
         }
       });
     }
     
-    // ✅ If Staff → Needs Manager Approval
-    if (userRole === 'Staff') {
+    // ✅ Otherwise → Needs Manager Approval
+    if (needsApproval) {
       // Check if there's already a pending request
       const pendingRequest = await pool.query(
         `SELECT * FROM login_requests 
@@ -582,10 +1703,12 @@ app.post('/api/auth/login', async (req, res) => {
           `UPDATE login_requests SET status = 'expired', terminated_at = NOW() WHERE request_token = $1`,
           [existing.request_token]
         );
+        notifyLoginRequest(existing.request_token, 'login-request:decision', { requestToken: existing.request_token, status: 'expired' });
+        notifyCompanyManagers(user.company_id, 'login-request:resolved', { requestToken: existing.request_token, status: 'expired' });
       }
       
       // ✅ Create a pending session request
-      const requestToken = 'request_' + user.id + '_' + Date.now();
+      const requestToken = 'request_' + crypto.randomBytes(24).toString('hex');
       
       await pool.query(
         `INSERT INTO login_requests (
@@ -596,38 +1719,74 @@ app.post('/api/auth/login', async (req, res) => {
           status,
           request_time,
           expires_at,
-          existing_session_token
-        ) VALUES ($1, $2, $3, $4, 'pending', CURRENT_TIMESTAMP, NOW() + INTERVAL '15 minutes', $5)`,
-        [user.id, requestToken, finalDeviceId, finalDeviceName, activeSession.session_token]
+          existing_session_token,
+          ip_address,
+          user_agent,
+          policy_rule,
+          outlet_id
+        ) VALUES ($1, $2, $3, $4, 'pending', CURRENT_TIMESTAMP, NOW() + INTERVAL '15 minutes', $5, $6, $7, $8, $9)`,
+        [
+          user.id,
+          requestToken,
+          finalDeviceId,
+          finalDeviceName,
+          activeSession ? activeSession.session_token : null,
+          clientIp,
+          req.get('User-Agent') || null,
+          policyDecision.rule,
+          sessionOutletId
+        ]
       );
       
       // Get managers for notification
-      const managers = await pool.query(
-        `SELECT id, username FROM users 
-         WHERE company_id = $1 AND (role = 'Manager' OR role = 'Administrator')`,
-        [user.company_id]
-      );
+      const managers = (await findUsersWithPermission(pool, user.company_id, PERMISSIONS.STAFF_APPROVE_LOGIN))
+        .map(manager => ({ id: manager.id, username: manager.username }));
       
       console.log(`📢 Login request from ${user.username} on ${finalDeviceName}`);
-      console.log(`👥 Notify managers: ${managers.rows.map(m => m.username).join(', ')}`);
+      
+      // ✅ Push to managers who are online right now
+      notifyCompanyManagers(user.company_id, 'login-request:new', {
+        requestToken,
+        staffId: user.id,
+        staffUsername: user.username,
+        deviceId: finalDeviceId,
+        deviceName: finalDeviceName,
+        currentDeviceName: activeSession ? activeSession.device_name : null,
+        policyRule: policyDecision.rule,
+        requestTime: new Date().toISOString(),
+      });
+      await notifyDelegates(pool, user.company_id, 'login-request:new', {
+        requestToken,
+        staffId: user.id,
+        staffUsername: user.username,
+        deviceId: finalDeviceId,
+        deviceName: finalDeviceName,
+        requestTime: new Date().toISOString(),
+      });
+      const onlineManagers = await countOnlineManagers(user.company_id);
+      console.log(`👥 Notified ${onlineManagers} online manager(s) of ${managers.length}`);
       
       return res.json({
         status: 'pending',
         message: 'Approval request sent to manager. Please wait.',
         requestToken: requestToken,
         deviceName: finalDeviceName,
-        managers: managers.rows,
+        managers,
+        onlineManagers,
       });
     }
     
     // ✅ Customer login with existing session - create new session (allow multiple devices)
     if (userRole === 'Customer') {
-      const sessionToken = 'token_' + user.id + '_' + Date.now();
-      await pool.query(
-        `INSERT INTO user_sessions (user_id, session_token, device_id, device_name, is_active, expires_at)
-         VALUES ($1, $2, $3, $4, true, NOW() + INTERVAL '8 hours')`,
-        [user.id, sessionToken, finalDeviceId, finalDeviceName]
-      );
+      const sessionToken = await createSession(pool, {
+        userId: user.id,
+        deviceId: finalDeviceId,
+        deviceName: finalDeviceName,
+        ipAddress: clientIp,
+        userAgent: req.get('User-Agent') || null,
+        mfaSetupRequired,
+        outletId: sessionOutletId
+      });
       
       await pool.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
       
@@ -647,7 +1806,9 @@ app.post('/api/auth/login', async (req, res) => {
           },
           sessionToken: sessionToken,
           deviceId: finalDeviceId,
-          deviceName: finalDeviceName
+          deviceName: finalDeviceName,
+          twoFactorSetupRequired: mfaSetupRequired,
+          outletId: sessionOutletId
         }
       });
     }
@@ -680,8 +1841,12 @@ app.post('/api/auth/resend-verification', async (req, res) => {
       return res.json({ status: 'success', message: 'Email already verified' });
     }
     
-    const code = Math.floor(100000 + Math.random() * 900000).toString();
-    resetCodes[email] = { code, userId: user.id, expiresAt: Date.now() + 10 * 60 * 1000, type: 'verify' };
+    const code = await issueAuthCode(pool, {
+      userId: user.id,
+      email,
+      purpose: AUTH_CODE_PURPOSES.VERIFY_EMAIL,
+      ttlMinutes: 10
+    });
     await sendVerificationEmail(email, code, user.username);
     console.log(`📧 Verification email resent to ${email}`);
     
@@ -692,13 +1857,13 @@ app.post('/api/auth/resend-verification', async (req, res) => {
 });
 
 // GET PROFILE
-app.get('/api/auth/me', async (req, res) => {
+app.get('/api/auth/me', verifySession, async (req, res) => {
   try {
-    const userId = req.headers['user-id'] || req.query.userId;
-    if (!userId) return res.status(400).json({ status: 'error', message: 'User ID required' });
+    const userId = req.user.id;
     
     const result = await pool.query(
-      'SELECT id, username, email, role, company_id, is_active, last_login, created_at FROM users WHERE id = $1',
+      `SELECT id, username, email, role, company_id, is_active, last_login, created_at, profile_image, profile_thumbnail
+       FROM users WHERE id = $1`,
       [userId]
     );
     
@@ -711,7 +1876,9 @@ app.get('/api/auth/me', async (req, res) => {
         user: {
           id: user.id, _id: user.id, username: user.username,
           email: user.email, role: user.role, companyId: user.company_id,
-          isActive: user.is_active, lastLogin: user.last_login, createdAt: user.created_at
+          isActive: user.is_active, lastLogin: user.last_login, createdAt: user.created_at,
+          profileImage: user.profile_image || null,
+          profileThumbnail: user.profile_thumbnail || user.profile_image || null
         }
       }
     });
@@ -727,10 +1894,11 @@ app.post('/api/auth/logout', async (req, res) => {
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.split(' ')[1];
       if (token) {
-        await pool.query(
-          'UPDATE user_sessions SET is_active = false, expires_at = NOW(), terminated_at = NOW() WHERE session_token = $1',
+        const ended = await pool.query(
+          'UPDATE user_sessions SET is_active = false, expires_at = NOW(), terminated_at = NOW() WHERE session_token = $1 RETURNING id',
           [token]
         );
+        disconnectSessions(ended.rows.map(row => row.id));
         console.log('🔓 Session invalidated:', token.substring(0, 20) + '...');
       }
     }
@@ -743,34 +1911,38 @@ app.post('/api/auth/logout', async (req, res) => {
 });
 
 // CREATE STAFF (Admin & Manager)
-app.post('/api/auth/create-staff', async (req, res) => {
+// Manager-chosen password; new staff should get an email invitation instead
+// (POST /api/staff-invitations). Kept for older app versions.
+app.post('/api/auth/create-staff', verifySession, requirePermission(PERMISSIONS.STAFF_MANAGE), async (req, res) => {
   try {
     const { username, email, password, securityQuestions } = req.body;
-    const creatorId = req.headers['user-id'];
+    const creatorId = req.user.id;
     console.log(`👤 Creating staff: ${username} by user ID: ${creatorId}`);
     
+    if (!username || !email || !password) {
+      return res.status(400).json({ status: 'error', message: 'Username, email, and password are required' });
+    }
+    
+    const weakPassword = checkPasswordStrength(password);
+    if (weakPassword) return res.status(400).json({ status: 'error', message: weakPassword });
+    
     const existing = await pool.query('SELECT id FROM users WHERE username = $1 OR email = $2', [username, email]);
     if (existing.rows.length > 0) {
       return res.status(400).json({ status: 'error', message: 'Username or email already exists' });
     }
     
-    let companyId = null;
-    if (creatorId) {
-      const creator = await pool.query(
-        'SELECT company_id, role FROM users WHERE id = $1', 
-        [parseInt(creatorId)]
-      );
-      if (creator.rows.length > 0) {
-        companyId = creator.rows[0].company_id;
-        console.log(`🏢 Creator company_id: ${companyId}`);
-      }
+    const companyId = req.user.company_id;
+    if (!companyId) {
+      return res.status(400).json({ status: 'error', message: 'You must belong to a company to create staff' });
     }
+    console.log(`🏢 Creator company_id: ${companyId}`);
     
+    const hashedPassword = await hashPassword(password);
     const result = await pool.query(
       `INSERT INTO users (username, email, password, role, company_id, security_question1, security_question2) 
        VALUES ($1, $2, $3, 'Staff', $4, $5, $6) 
        RETURNING id, username, email, role, company_id, is_active, created_at`,
-      [username, email, password, companyId, 
+      [username, email, hashedPassword, companyId, 
        securityQuestions?.question1 || '', securityQuestions?.question2 || '']
     );
     
@@ -794,14 +1966,123 @@ app.post('/api/auth/create-staff', async (req, res) => {
   }
 });
 
-// BLOCK USER
-app.post('/api/auth/block-user/:id', async (req, res) => {
+// ✉️ STAFF INVITATION - what the acceptance page shows before the form
+app.get('/api/auth/invitation', async (req, res) => {
   try {
-    const userId = req.params.id;
-    const userResult = await pool.query('SELECT id, username, role FROM users WHERE id = $1', [userId]);
-    if (userResult.rowCount === 0) return res.status(404).json({ status: 'error', message: 'User not found' });
+    const invitation = await findPendingInvitation(pool, req.query.token);
+    if (!invitation) {
+      return res.status(404).json({ status: 'error', message: 'This invitation is invalid, expired or has been revoked', code: 'INVITATION_INVALID' });
+    }
     
-    const user = userResult.rows[0];
+    res.json({
+      status: 'success',
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        companyName: invitation.company_name,
+        invitedBy: invitation.invited_by_name,
+        expiresAt: invitation.expires_at
+      }
+    });
+  } catch (error) {
+    console.error('❌ Invitation lookup error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to load invitation' });
+  }
+});
+
+// ✉️ STAFF INVITATION - invitee picks username and password, joins the company
+app.post('/api/auth/accept-invitation', async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    const { token, username, password, phone } = req.body;
+    
+    if (!token || !username || !password) {
+      return res.status(400).json({ status: 'error', message: 'Token, username and password are required' });
+    }
+    
+    const weakPassword = checkPasswordStrength(password);
+    if (weakPassword) return res.status(400).json({ status: 'error', message: weakPassword });
+    
+    const invitation = await findPendingInvitation(client, token);
+    if (!invitation) {
+      return res.status(404).json({ status: 'error', message: 'This invitation is invalid, expired or has been revoked', code: 'INVITATION_INVALID' });
+    }
+    
+    const existing = await client.query(
+      'SELECT id FROM users WHERE username = $1 OR LOWER(email) = LOWER($2)',
+      [username, invitation.email]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ status: 'error', message: 'Username or email already exists' });
+    }
+    
+    const hashedPassword = await hashPassword(password);
+    
+    await client.query('BEGIN');
+    
+    // ✅ Claim the invitation first so a double submit cannot create two accounts
+    const claimed = await client.query(
+      `UPDATE staff_invitations SET accepted_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [invitation.id]
+    );
+    if (claimed.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ status: 'error', message: 'This invitation has already been used', code: 'INVITATION_INVALID' });
+    }
+    
+    // ✅ The link went to this address, so the email counts as verified
+    const result = await client.query(
+      `INSERT INTO users (username, email, password, phone, role, company_id, email_verified) 
+       VALUES ($1, $2, $3, $4, $5, $6, true) 
+       RETURNING id, username, email, role, company_id, is_active`,
+      [username, invitation.email, hashedPassword, phone || null, invitation.role, invitation.company_id]
+    );
+    const newUser = result.rows[0];
+    
+    await client.query('UPDATE staff_invitations SET accepted_user_id = $1 WHERE id = $2', [newUser.id, invitation.id]);
+    if (invitation.outlet_id) {
+      await client.query(
+        'INSERT INTO outlet_staff (outlet_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [invitation.outlet_id, newUser.id]
+      );
+    }
+    
+    await client.query('COMMIT');
+    
+    console.log(`✅ Invitation accepted: ${newUser.username} joined company ${invitation.company_name} as ${newUser.role}`);
+    sendWelcomeEmail(newUser.email, newUser.username)
+      .catch(e => console.log('⚠️ Welcome email failed:', e.message));
+    
+    res.status(201).json({
+      status: 'success',
+      message: `Welcome to ${invitation.company_name}! You can now log in.`,
+      data: {
+        user: {
+          id: newUser.id, _id: newUser.id,
+          username: newUser.username, email: newUser.email,
+          role: newUser.role, companyId: newUser.company_id,
+          isActive: newUser.is_active, emailVerified: true
+        }
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Accept invitation error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to accept invitation' });
+  } finally {
+    client.release();
+  }
+});
+
+// BLOCK USER
+app.post('/api/auth/block-user/:id', verifySession, requirePermission(PERMISSIONS.STAFF_MANAGE), requireSameCompany('id'), async (req, res) => {
+  try {
+    const userId = req.targetUser.id;
+    const user = req.targetUser;
+    if (user.id === req.user.id) return res.status(400).json({ status: 'error', message: 'You cannot block yourself' });
     if (user.role === 'Administrator') return res.status(403).json({ status: 'error', message: 'Cannot block Administrator' });
     
     const result = await pool.query(
@@ -809,6 +2090,13 @@ app.post('/api/auth/block-user/:id', async (req, res) => {
       [userId]
     );
     
+    // ✅ End any session the blocked user still has open
+    const ended = await pool.query(
+      'UPDATE user_sessions SET is_active = false, terminated_at = NOW() WHERE user_id = $1 AND is_active = true RETURNING id',
+      [userId]
+    );
+    disconnectSessions(ended.rows.map(row => row.id));
+    
     res.json({ status: 'success', message: `${result.rows[0].username} blocked`, data: { user: { id: result.rows[0].id, username: result.rows[0].username, role: result.rows[0].role, isActive: false } } });
   } catch (error) {
     res.status(500).json({ status: 'error', message: error.message });
@@ -816,11 +2104,9 @@ app.post('/api/auth/block-user/:id', async (req, res) => {
 });
 
 // UNBLOCK USER
-app.post('/api/auth/unblock-user/:id', async (req, res) => {
+app.post('/api/auth/unblock-user/:id', verifySession, requirePermission(PERMISSIONS.STAFF_MANAGE), requireSameCompany('id'), async (req, res) => {
   try {
-    const userId = req.params.id;
-    const userResult = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
-    if (userResult.rowCount === 0) return res.status(404).json({ status: 'error', message: 'User not found' });
+    const userId = req.targetUser.id;
     
     const result = await pool.query(
       'UPDATE users SET is_active = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id, username, email, role, is_active',
@@ -833,6 +2119,18 @@ app.post('/api/auth/unblock-user/:id', async (req, res) => {
   }
 });
 
+// UNLOCK USER (clear a login lockout early)
+app.post('/api/auth/unlock-user/:id', verifySession, requirePermission(PERMISSIONS.STAFF_MANAGE), requireSameCompany('id'), async (req, res) => {
+  try {
+    await resetLoginAttempts(pool, req.targetUser.id);
+    console.log(`🔓 ${req.targetUser.username} unlocked by ${req.user.username}`);
+    
+    res.json({ status: 'success', message: `${req.targetUser.username} unlocked`, data: { user: { id: req.targetUser.id, username: req.targetUser.username, role: req.targetUser.role } } });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
 // DELETE USER (Admin)
 app.delete('/api/auth/users/:id', verifyAdmin, async (req, res) => {
   try {
@@ -844,6 +2142,7 @@ app.delete('/api/auth/users/:id', verifyAdmin, async (req, res) => {
     if (user.role === 'Administrator') return res.status(403).json({ status: 'error', message: 'Cannot delete Administrator' });
     
     await pool.query('DELETE FROM users WHERE id = $1', [userId]);
+    await logAdminAction(req, { action: 'user.delete', targetType: 'user', targetId: user.id, details: { username: user.username, role: user.role } });
     
     res.json({ status: 'success', message: `${user.username} deleted permanently`, data: { deletedUser: { id: user.id, username: user.username, role: user.role } } });
   } catch (error) {
@@ -852,28 +2151,16 @@ app.delete('/api/auth/users/:id', verifyAdmin, async (req, res) => {
 });
 
 // GET USERS
-app.get('/api/users', async (req, res) => {
+app.get('/api/users', verifySession, requirePermission(PERMISSIONS.STAFF_VIEW), async (req, res) => {
   try {
     const { role, search } = req.query;
-    const requesterId = req.headers['user-id'];
-    let query = 'SELECT id, username, email, role, company_id, is_active, created_at, last_login FROM users WHERE 1=1';
-    const params = [];
-    let p = 1;
+    // ✅ Always scoped to the caller's company
+    let query = 'SELECT id, username, email, role, company_id, is_active, created_at, last_login FROM users WHERE company_id = $1';
+    const params = [req.user.company_id];
+    let p = 2;
     
     if (role) { query += ` AND role = $${p}`; params.push(role); p++; }
     if (search) { query += ` AND (username ILIKE $${p} OR email ILIKE $${p})`; params.push(`%${search}%`); p++; }
-    if (requesterId) {
-      const requester = await pool.query('SELECT role, company_id FROM users WHERE id = $1', [parseInt(requesterId)]);
-      if (requester.rows.length > 0 && requester.rows[0].role === 'Manager') {
-        const managerCompanyId = requester.rows[0].company_id;
-        if (managerCompanyId) {
-          query += ` AND company_id = $${p}`;
-          params.push(managerCompanyId);
-          p++;
-          console.log(`🔒 Filtering by company_id: ${managerCompanyId}`);
-        }
-      }
-    }
 
     query += ' ORDER BY created_at DESC';
     const result = await pool.query(query, params);
@@ -897,18 +2184,124 @@ app.put('/api/users/:id', verifyAdmin, async (req, res) => {
       [role, company_id, id]
     );
     if (result.rowCount === 0) return res.status(404).json({ status: 'error', message: 'User not found' });
+    await logAdminAction(req, { action: 'user.update', targetType: 'user', targetId: id, details: { role, company_id } });
     res.json({ status: 'success', message: 'User updated', data: { user: result.rows[0] } });
   } catch (error) {
     res.status(500).json({ status: 'error', message: error.message });
   }
 });
 
+// UPLOAD PROFILE IMAGE (multipart field "image": JPEG, PNG or WebP up to 5MB)
+app.post('/api/users/upload-image', verifySession, imageUpload('image'), async (req, res) => {
+  try {
+    const current = await pool.query('SELECT profile_image_key FROM users WHERE id = $1', [req.user.id]);
+    const stored = await storeImage(req.file.buffer, { folder: `profiles/${req.user.id}` });
+
+    await pool.query(
+      `UPDATE users SET profile_image = $1, profile_thumbnail = $2, profile_image_key = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [stored.imageUrl, stored.thumbnailUrl, stored.key, req.user.id]
+    );
+    await removeImage(current.rows[0] && current.rows[0].profile_image_key);
+
+    res.json({
+      status: 'success',
+      message: 'Profile image updated successfully',
+      data: { profileImage: stored.imageUrl, profileThumbnail: stored.thumbnailUrl }
+    });
+  } catch (error) {
+    if (error.invalidImage) {
+      return res.status(400).json({ status: 'error', message: 'The file is not a readable image' });
+    }
+    console.error('❌ Profile image upload error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to upload image' });
+  }
+});
+
+// REMOVE PROFILE IMAGE
+app.delete('/api/users/upload-image', verifySession, async (req, res) => {
+  try {
+    const current = await pool.query('SELECT profile_image_key FROM users WHERE id = $1', [req.user.id]);
+
+    await pool.query(
+      `UPDATE users SET profile_image = '', profile_thumbnail = NULL, profile_image_key = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [req.user.id]
+    );
+    await removeImage(current.rows[0] && current.rows[0].profile_image_key);
+
+    res.json({ status: 'success', message: 'Profile image removed' });
+  } catch (error) {
+    console.error('❌ Profile image remove error:', error.message);
+    res.status(500).json({ status: 'error', message: 'Failed to remove image' });
+  }
+});
+
+// ========== SESSIONS & DEVICES ==========
+const sessionRoutes = require('./routes/session.routes');
+app.use('/api/sessions', sessionRoutes);
+
+// ========== TWO-FACTOR AUTHENTICATION ==========
+const twoFactorRoutes = require('./routes/two-factor.routes');
+app.use('/api/auth/2fa', twoFactorRoutes);
+
+// ========== STAFF LOGIN APPROVAL POLICY ==========
+const approvalPolicyRoutes = require('./routes/approval-policy.routes');
+app.use('/api/approval-policy', approvalPolicyRoutes);
+
+// ========== STAFF LOGIN APPROVAL LOG ==========
+const approvalLogRoutes = require('./routes/approval-log.routes');
+app.use('/api/approval-logs', approvalLogRoutes);
+
+// ========== ROLES & PERMISSIONS ==========
+const roleRoutes = require('./routes/role.routes');
+app.use('/api/roles', roleRoutes);
+
+// ========== API KEYS ==========
+const apiKeyRoutes = require('./routes/api-key.routes');
+app.use('/api/api-keys', apiKeyRoutes);
+
+// ========== COMPANY MANAGEMENT ==========
+const companyRoutes = require('./routes/company.routes');
+app.use('/api/companies', companyRoutes);
+
+// ========== LOGIN REQUEST ESCALATION & DELEGATION ==========
+const loginEscalationRoutes = require('./routes/login-escalation.routes');
+app.use('/api/login-escalation', loginEscalationRoutes);
+
+// ========== OUTLETS ==========
+const outletRoutes = require('./routes/outlet.routes');
+app.use('/api/outlets', outletRoutes);
+
+// ========== ORDERS ==========
+const orderRoutes = require('./routes/order.routes');
+app.use('/api/orders', orderRoutes);
+      
+// ========== STAFF INVITATIONS ==========
+const staffInvitationRoutes = require('./routes/staff-invitation.routes');
+app.use('/api/staff-invitations', staffInvitationRoutes);
+
+// ========== SHARED TERMINALS ==========
+const terminalRoutes = require('./routes/terminal.routes');
+app.use('/api/terminals', terminalRoutes);
+
+// ========== DRINKS CATALOG ==========
+const drinkRoutes = require('./routes/drink.routes');
+app.use('/api/drinks', drinkRoutes);
+
 // ========== ADMIN ROUTES ==========
+const adminRoutes = require('./routes/admin.routes');
+app.use('/api/admin', adminRoutes);
 
 app.get('/api/admin/users', verifyAdmin, async (req, res) => {
   try {
-    const result = await pool.query('SELECT id, username, email, role, company_id, created_at, last_login, is_active FROM users ORDER BY created_at DESC');
-    const users = result.rows.map(u => ({ _id: u.id, id: u.id, name: u.username, username: u.username, email: u.email, role: u.role, companyId: u.company_id, createdAt: u.created_at, lastLogin: u.last_login, isActive: u.is_active, isAdmin: u.role === 'Administrator' }));
+    const result = await pool.query(`
+      SELECT u.id, u.username, u.email, u.role, u.company_id, u.created_at, u.last_login, u.is_active,
+             (SELECT MAX(s.last_activity_at) FROM user_sessions s
+              WHERE s.user_id = u.id AND s.is_active = true AND s.expires_at > NOW()) AS last_active
+      FROM users u ORDER BY u.created_at DESC
+    `);
+    const users = result.rows.map(u => ({ _id: u.id, id: u.id, name: u.username, username: u.username, email: u.email, role: u.role, companyId: u.company_id, createdAt: u.created_at, lastLogin: u.last_login, lastActive: u.last_active, isActive: u.is_active, isAdmin: u.role === 'Administrator' }));
     res.json({ success: true, count: users.length, users, status: 'success', data: { users } });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -927,10 +2320,39 @@ app.get('/api/admin/stats', verifyAdmin, async (req, res) => {
   }
 });
 
+// Users with an active session seen in the last 5 minutes
+app.get('/api/admin/online-users', verifyAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT s.id, s.user_id, u.username, u.email, u.role, u.company_id, s.device_name,
+             s.ip_address, s.user_agent, s.last_activity_at
+      FROM user_sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.is_active = true AND s.expires_at > NOW()
+        AND s.last_activity_at > NOW() - INTERVAL '5 minutes'
+      ORDER BY s.last_activity_at DESC
+    `);
+    const onlineUsers = [...new Set(result.rows.map(row => row.user_id))];
+    res.json({
+      success: true,
+      count: onlineUsers.length,
+      onlineUsers,
+      sessions: result.rows.map(row => ({
+        id: row.id, userId: row.user_id, username: row.username, email: row.email, role: row.role,
+        companyId: row.company_id, deviceName: row.device_name, ipAddress: row.ip_address,
+        userAgent: row.user_agent, lastActivityAt: row.last_activity_at
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 app.delete('/api/admin/users/:id', verifyAdmin, async (req, res) => {
   try {
     const result = await pool.query('DELETE FROM users WHERE id = $1 RETURNING username, email, role', [req.params.id]);
     if (result.rowCount === 0) return res.status(404).json({ success: false, message: 'User not found' });
+    await logAdminAction(req, { action: 'user.delete', targetType: 'user', targetId: req.params.id, details: result.rows[0] });
     res.json({ success: true, message: 'User deleted', deletedUser: result.rows[0] });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -939,28 +2361,6 @@ app.delete('/api/admin/users/:id', verifyAdmin, async (req, res) => {
 
 // ========== OTHER ROUTES ==========
 
-// GET DRINKS FROM DATABASE
-app.get('/api/drinks', async (req, res) => {
-  try {
-    const result = await pool.query(
-      'SELECT * FROM drinks WHERE is_active = true ORDER BY name ASC'
-    );
-    
-    res.json({
-      success: true,
-      count: result.rows.length,
-      drinks: result.rows
-    });
-  } catch (error) {
-    res.json({ 
-      success: true, 
-      count: 0, 
-      drinks: [],
-      message: 'No drinks table yet. Create one or use the app to add drinks.'
-    });
-  }
-});
-
 app.get('/api/test', (req, res) => {
   res.json({ success: true, message: 'DrinkQuick API v3.0', working: true, database: 'Supabase PostgreSQL', email: 'Enabled' });
 });
@@ -1018,24 +2418,14 @@ app.get('/api/auth/confirm-email', async (req, res) => {
       `);
     }
     
-    const stored = resetCodes[email];
-    
-    if (!stored) {
-      console.log(`❌ No verification code found for: ${email}`);
-      return res.status(400).send(`
-        <!DOCTYPE html>
-        <html>
-          <head><title>Code Expired</title></head>
-          <body style="font-family:Arial;text-align:center;padding:50px;">
-            <h2 style="color:orange;">⏳ Code Expired</h2>
-            <p>No verification code found. Please request a new one.</p>
-            <a href="https://drink-quick-cal-kja1.onrender.com" style="color:#667EEA;">Go to App</a>
-          </body>
-        </html>
-      `);
-    }
+    const check = await checkAuthCode(pool, {
+      email,
+      purpose: AUTH_CODE_PURPOSES.VERIFY_EMAIL,
+      code,
+      consume: true
+    });
     
-    if (stored.code !== code) {
+    if (!check.valid && check.reason === 'invalid') {
       console.log(`❌ Invalid code for: ${email}`);
       return res.status(400).send(`
         <!DOCTYPE html>
@@ -1043,38 +2433,35 @@ app.get('/api/auth/confirm-email', async (req, res) => {
           <head><title>Invalid Code</title></head>
           <body style="font-family:Arial;text-align:center;padding:50px;">
             <h2 style="color:red;">❌ Invalid Code</h2>
-            <p>The verification code is incorrect.</p>
+            <p>The verification code is incorrect. ${check.attemptsLeft} attempt(s) left.</p>
             <a href="https://drink-quick-cal-kja1.onrender.com" style="color:#667EEA;">Go to App</a>
           </body>
         </html>
       `);
     }
     
-    if (Date.now() > stored.expiresAt) {
-      console.log(`❌ Code expired for: ${email}`);
-      delete resetCodes[email];
-      return res.status(400).send(`
+    if (!check.valid) {
+      console.log(`❌ Verification code unusable for ${email}: ${check.reason}`);
+      return res.status(check.reason === 'too_many_attempts' ? 429 : 400).send(`
         <!DOCTYPE html>
         <html>
           <head><title>Code Expired</title></head>
           <body style="font-family:Arial;text-align:center;padding:50px;">
             <h2 style="color:orange;">⏳ Code Expired</h2>
-            <p>The verification code has expired (10 minutes). Please request a new one.</p>
+            <p>${authCodeErrorMessage(check)}</p>
             <a href="https://drink-quick-cal-kja1.onrender.com" style="color:#667EEA;">Go to App</a>
           </body>
         </html>
       `);
     }
     
-    console.log(`✅ Verifying email for user ID: ${stored.userId}`);
+    console.log(`✅ Verifying email for user ID: ${check.userId}`);
     
     await pool.query(
       'UPDATE users SET email_verified = true WHERE id = $1',
-      [stored.userId]
+      [check.userId]
     );
     
-    delete resetCodes[email];
-    
     console.log(`✅ Email verified for: ${email}`);
     
     res.send(`
@@ -1144,16 +2531,19 @@ app.post('/api/companies/verify-code', async (req, res) => {
     const { code } = req.body;
     if (!code) return res.status(400).json({ status: 'error', message: 'Invite code required' });
     
-    const result = await pool.query(
-      'SELECT id, name, code FROM companies WHERE (invite_code = $1 OR code = $1) AND is_active = true',
-      [code.toUpperCase()]
-    );
+    const invite = await findUsableInvite(pool, code);
     
-    if (result.rows.length === 0) {
+    if (!invite) {
       return res.status(404).json({ status: 'error', message: 'Invalid invite code. Company not found.' });
     }
     
-    res.json({ status: 'success', data: { company: result.rows[0] } });
+    res.json({
+      status: 'success',
+      data: {
+        company: { id: invite.company_id, name: invite.company_name, code: invite.company_code },
+        role: invite.role
+      }
+    });
   } catch (error) {
     res.status(500).json({ status: 'error', message: error.message });
   }
@@ -1162,12 +2552,7 @@ app.post('/api/companies/verify-code', async (req, res) => {
 // ========== SESSION VALIDATION ==========
 app.post('/api/auth/validate-session', async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.json({ valid: false, terminated: false });
-    }
-    
-    const token = authHeader.split(' ')[1];
+    const token = getBearerToken(req);
     if (!token) {
       return res.json({ valid: false, terminated: false });
     }
@@ -1181,21 +2566,15 @@ app.post('/api/auth/validate-session', async (req, res) => {
        WHERE expires_at < NOW() AND is_active = true`
     );
     
-    // Check in database
-    const session = await pool.query(
-      `SELECT s.*, u.username 
-       FROM user_sessions s
-       JOIN users u ON s.user_id = u.id
-       WHERE s.session_token = $1 AND s.is_active = true AND s.expires_at > NOW()`,
-      [token]
-    );
+    // Check signature, expiry and the session row
+    const session = await findActiveSession(pool, token);
     
-    if (session.rows.length > 0) {
-      console.log('✅ Session found in database for user:', session.rows[0].username);
+    if (session && session.is_active) {
+      console.log('✅ Session found in database for user:', session.username);
       
       await pool.query(
-        'UPDATE user_sessions SET last_activity_at = CURRENT_TIMESTAMP WHERE session_token = $1',
-        [token]
+        'UPDATE user_sessions SET last_activity_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [session.session_id]
       );
       
       return res.json({ 
@@ -1205,22 +2584,14 @@ app.post('/api/auth/validate-session', async (req, res) => {
       });
     }
     
-    // Check token format as fallback
-    const tokenParts = token.split('_');
-    if (tokenParts.length >= 2 && tokenParts[0] === 'token') {
-      const userId = parseInt(tokenParts[1]);
-      if (!isNaN(userId) && userId > 0) {
-        console.log('⚠️ Token format valid but not in database');
-        return res.json({ 
-          valid: false, 
-          terminated: false,
-          message: 'Session not found in database'
-        });
-      }
-    }
+    // A correctly signed token whose session row was closed was terminated
+    const terminated = await pool.query(
+      'SELECT device_name FROM user_sessions WHERE session_token = $1 AND is_active = false AND terminated_at IS NOT NULL',
+      [token]
+    );
     
     console.log('❌ Invalid session token');
-    res.json({ valid: false, terminated: false });
+    res.json({ valid: false, terminated: terminated.rows.length > 0 });
     
   } catch (error) {
     console.error('❌ Validate session error:', error);
@@ -1231,38 +2602,15 @@ app.post('/api/auth/validate-session', async (req, res) => {
 // ========== MANAGER APPROVAL SYSTEM ==========
 
 // ✅ Get pending requests (for Manager)
-app.get('/api/auth/pending-requests', async (req, res) => {
+app.get('/api/auth/pending-requests', verifySession, async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ status: 'error', message: 'Unauthorized' });
-    }
-    
-    const token = authHeader.split(' ')[1];
-    const tokenParts = token.split('_');
-    if (tokenParts.length < 2) {
-      return res.status(401).json({ status: 'error', message: 'Invalid token' });
-    }
-    
-    const managerId = parseInt(tokenParts[1]);
-    if (isNaN(managerId)) {
-      return res.status(401).json({ status: 'error', message: 'Invalid user' });
-    }
-    
-    const manager = await pool.query(
-      'SELECT id, username, company_id, role FROM users WHERE id = $1',
-      [managerId]
-    );
-    
-    if (manager.rows.length === 0) {
-      return res.status(404).json({ status: 'error', message: 'User not found' });
-    }
-    
-    if (manager.rows[0].role !== 'Manager' && manager.rows[0].role !== 'Administrator') {
+    // ✅ Managers and delegates see everything, shift leads only escalated requests
+    const approvalLevel = await getApprovalLevel(pool, req.user);
+    if (approvalLevel === null) {
       return res.status(403).json({ status: 'error', message: 'Only managers can view pending requests' });
     }
     
-    const companyId = manager.rows[0].company_id;
+    const companyId = req.user.company_id;
     
     // ✅ Get pending requests with staff info
     const pendingRequests = await pool.query(
@@ -1275,8 +2623,10 @@ app.get('/api/auth/pending-requests', async (req, res) => {
        WHERE lr.status = 'pending' 
          AND lr.expires_at > NOW()
          AND u.company_id = $1
+         AND lr.escalation_level >= $2
+         AND lr.user_id <> $3
        ORDER BY lr.request_time DESC`,
-      [companyId]
+      [companyId, approvalLevel, req.user.id]
     );
     
     res.json({
@@ -1330,30 +2680,23 @@ app.get('/api/auth/check-approval', async (req, res) => {
 });
 
 // ✅ Approve or reject login (Manager) - FIXED
-app.post('/api/auth/approve-login', async (req, res) => {
+app.post('/api/auth/approve-login', verifySession, async (req, res) => {
   try {
-    const { requestToken, approved, managerId } = req.body;
+    const { requestToken, approved } = req.body;
     
-    if (!requestToken || approved === undefined || !managerId) {
+    if (!requestToken || approved === undefined) {
       return res.status(400).json({ status: 'error', message: 'Missing required fields' });
     }
     
-    // ✅ Get manager info FIRST
-    const managerCheck = await pool.query(
-      'SELECT id, username, role, company_id FROM users WHERE id = $1',
-      [managerId]
-    );
-    
-    if (managerCheck.rows.length === 0) {
-      return res.status(404).json({ status: 'error', message: 'Manager not found' });
-    }
-    
-    const manager = managerCheck.rows[0];
-    if (manager.role !== 'Manager' && manager.role !== 'Administrator') {
+    // ✅ The approver is always the caller: a manager, a delegate or (once escalated) a shift lead
+    const manager = req.user;
+    const managerId = manager.id;
+    const approvalLevel = await getApprovalLevel(pool, manager);
+    if (approvalLevel === null) {
       return res.status(403).json({ status: 'error', message: 'Only managers can approve logins' });
     }
     
-    // ✅ Get the pending request with staff info
+    // ✅ Get the pending request with staff info (same company only)
     const request = await pool.query(
       `SELECT 
         lr.*, 
@@ -1361,12 +2704,13 @@ app.post('/api/auth/approve-login', async (req, res) => {
         u.username as staff_username
        FROM login_requests lr
        JOIN users u ON lr.user_id = u.id
-       WHERE lr.request_token = $1 AND lr.status = 'pending'`,
-      [requestToken]
+       WHERE lr.request_token = $1 AND lr.status = 'pending' AND lr.expires_at > NOW() AND u.company_id = $2
+         AND lr.escalation_level >= $3 AND lr.user_id <> $4`,
+      [requestToken, manager.company_id, approvalLevel, managerId]
     );
     
     if (request.rows.length === 0) {
-      return res.status(404).json({ status: 'error', message: 'Request not found or already processed' });
+      return res.status(404).json({ status: 'error', message: 'Request not found, expired or already processed' });
     }
     
     const requestData = request.rows[0];
@@ -1383,33 +2727,62 @@ app.post('/api/auth/approve-login', async (req, res) => {
     console.log(`📝 Action: ${approved ? 'APPROVED' : 'REJECTED'}`);
 
     if (approved) {
-      // ✅ TERMINATE the existing session
-      if (existingSessionToken) {
-        await pool.query(
-          'UPDATE user_sessions SET is_active = false, terminated_at = NOW() WHERE session_token = $1',
-          [existingSessionToken]
+      // ✅ Claim the request, terminate the old session and create the new one in one
+      // transaction: a second approver waits on the row lock, then finds nothing pending
+      const client = await pool.connect();
+      let newSessionToken;
+      let endedSessionIds = [];
+      try {
+        await client.query('BEGIN');
+        
+        const claimed = await client.query(
+          `UPDATE login_requests 
+           SET status = 'approved', 
+               approved_by = $1,
+               approved_at = CURRENT_TIMESTAMP
+           WHERE request_token = $2 AND status = 'pending' AND expires_at > NOW()
+           RETURNING id`,
+          [managerId, requestToken]
         );
-        console.log(`🔒 Session terminated: ${existingSessionToken}`);
+        if (claimed.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ status: 'error', message: 'Request expired or was already processed' });
+        }
+        
+        if (existingSessionToken) {
+          const ended = await client.query(
+            'UPDATE user_sessions SET is_active = false, terminated_at = NOW() WHERE session_token = $1 RETURNING id',
+            [existingSessionToken]
+          );
+          endedSessionIds = ended.rows.map(row => row.id);
+        }
+        
+        newSessionToken = await createSession(client, {
+          userId,
+          deviceId: requestData.device_id,
+          deviceName: requestData.device_name,
+          ipAddress: requestData.ip_address,
+          userAgent: requestData.user_agent,
+          outletId: requestData.outlet_id
+        });
+        
+        await client.query(
+          'UPDATE login_requests SET new_session_token = $1 WHERE request_token = $2',
+          [newSessionToken, requestToken]
+        );
+        
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+      } finally {
+        client.release();
       }
       
-      // ✅ Create NEW session
-      const newSessionToken = 'token_' + userId + '_' + Date.now();
-      await pool.query(
-        `INSERT INTO user_sessions (user_id, session_token, device_id, device_name, is_active, expires_at)
-         VALUES ($1, $2, $3, $4, true, NOW() + INTERVAL '8 hours')`,
-        [userId, newSessionToken, requestData.device_id, requestData.device_name]
-      );
-      
-      // ✅ Mark request as approved
-      await pool.query(
-        `UPDATE login_requests 
-         SET status = 'approved', 
-             approved_by = $1,
-             approved_at = CURRENT_TIMESTAMP,
-             new_session_token = $2
-         WHERE request_token = $3`,
-        [managerId, newSessionToken, requestToken]
-      );
+      if (existingSessionToken) {
+        disconnectSessions(endedSessionIds);
+        console.log(`🔒 Session terminated: ${existingSessionToken}`);
+      }
       
       // ✅ Log the approval with ALL data
       await pool.query(
@@ -1420,19 +2793,35 @@ app.post('/api/auth/approve-login', async (req, res) => {
           staff_name, 
           device_name, 
           action, 
+          rule,
           details, 
           timestamp
-        ) VALUES ($1, $2, $3, $4, $5, 'approved', $6, CURRENT_TIMESTAMP)`,
+        ) VALUES ($1, $2, $3, $4, $5, 'approved', $6, $7, CURRENT_TIMESTAMP)`,
         [
           requestToken,
           managerId,           // ✅ Manager ID
           staffId,             // ✅ Staff ID (FIXED)
           staffName,           // ✅ Staff Name
           deviceName,          // ✅ Device Name
+          requestData.policy_rule,
           `✅ Approved by ${managerName} - Staff ${staffName} on ${deviceName}`
         ]
       );
       
+      // ✅ Push the decision to the waiting device and the old one
+      notifyLoginRequest(requestToken, 'login-request:decision', {
+        requestToken,
+        status: 'approved',
+        sessionToken: newSessionToken,
+        deviceName: requestData.device_name,
+        managerName,
+      });
+      notifyUser(userId, 'session:terminated', {
+        reason: 'approved_on_other_device',
+        deviceName: requestData.device_name,
+      });
+      notifyCompanyManagers(manager.company_id, 'login-request:resolved', { requestToken, status: 'approved', managerName });
+      
       return res.json({
         status: 'success',
         message: '✅ Login approved! Old session terminated.',
@@ -1443,15 +2832,19 @@ app.post('/api/auth/approve-login', async (req, res) => {
       });
       
     } else {
-      // ❌ Reject the request
-      await pool.query(
+      // ❌ Reject the request (only while it is still pending)
+      const rejected = await pool.query(
         `UPDATE login_requests 
          SET status = 'rejected', 
              approved_by = $1,
              approved_at = CURRENT_TIMESTAMP
-         WHERE request_token = $2`,
+         WHERE request_token = $2 AND status = 'pending' AND expires_at > NOW()
+         RETURNING id`,
         [managerId, requestToken]
       );
+      if (rejected.rowCount === 0) {
+        return res.status(409).json({ status: 'error', message: 'Request expired or was already processed' });
+      }
       
       // ✅ Log the rejection with ALL data
       await pool.query(
@@ -1462,19 +2855,24 @@ app.post('/api/auth/approve-login', async (req, res) => {
           staff_name, 
           device_name, 
           action, 
+          rule,
           details, 
           timestamp
-        ) VALUES ($1, $2, $3, $4, $5, 'rejected', $6, CURRENT_TIMESTAMP)`,
+        ) VALUES ($1, $2, $3, $4, $5, 'rejected', $6, $7, CURRENT_TIMESTAMP)`,
         [
           requestToken,
           managerId,           // ✅ Manager ID
           staffId,             // ✅ Staff ID (FIXED)
           staffName,           // ✅ Staff Name
           deviceName,          // ✅ Device Name
+          requestData.policy_rule,
           `❌ Rejected by ${managerName} - Staff ${staffName} on ${deviceName}`
         ]
       );
       
+      notifyLoginRequest(requestToken, 'login-request:decision', { requestToken, status: 'rejected', managerName });
+      notifyCompanyManagers(manager.company_id, 'login-request:resolved', { requestToken, status: 'rejected', managerName });
+      
       return res.json({
         status: 'success',
         message: '❌ Login request rejected',
@@ -1498,12 +2896,18 @@ app.use((req, res) => {
 
 // ========== START ==========
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, '0.0.0.0', () => {
+const server = http.createServer(app);
+initRealtime(server, pool);
+startEscalationJob(pool);
+
+server.listen(PORT, '0.0.0.0', () => {
   console.log(`\n🚀 DRINKQUICK SERVER v3.0 🚀`);
   console.log(`📍 Port: ${PORT}`);
   console.log('🗄️  Database: Supabase PostgreSQL');
   console.log('📧 Email: Password Reset Codes Enabled');
   console.log('✅ Session Management: Enabled');
   console.log('✅ Staff Approval System: Enabled');
-  console.log('✅ Approval Logging: Enabled\n');
+  console.log('✅ Approval Logging: Enabled');
+  console.log('✅ Approval Escalation: Enabled');
+  console.log('✅ Real-time Approvals: Socket.IO\n');
 });
@@ -0,0 +1,111 @@
+const { isApiKey, generateApiKey } = require('../utils/api-key.service');
+const { verifySession, requirePermission } = require('../middleware/session.middleware');
+const { hashToken } = require('../utils/helpers');
+const { PERMISSIONS } = require('../utils/constants');
+
+// One active key of company 3; other hashes are unknown, revoked or expired
+const fakeDb = (key) => {
+    const db = {
+        touched: [],
+        query: async(sql, params) => {
+            if (sql.includes('FROM api_keys')) {
+                return {
+                    rows: params[0] === hashToken(key) ?
+                        [{ id: 5, name: 'Till export', company_id: 3, scopes: [PERMISSIONS.PAYMENTS_VIEW_STATS], expires_at: null }] :
+                        []
+                };
+            }
+            if (sql.includes('UPDATE api_keys SET last_used_at')) {
+                db.touched.push(params);
+                return { rows: [] };
+            }
+            throw new Error(`Unexpected query: ${sql}`);
+        }
+    };
+    return db;
+};
+
+const request = (db, url, headers) => ({
+    db,
+    ip: '10.0.0.1',
+    originalUrl: url,
+    headers,
+    get: (name) => headers[name.toLowerCase()]
+});
+
+const response = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+});
+
+// Runs the middlewares in order, like Express; resolves to the response and whether the route was reached
+const run = async(middlewares, req) => {
+    const res = response();
+    for (const middleware of middlewares) {
+        let nextCalled = false;
+        await middleware(req, res, () => { nextCalled = true; });
+        if (!nextCalled) return { res, reached: false };
+    }
+    return { res, reached: true };
+};
+
+describe('generateApiKey', () => {
+    it('makes a dq_ key, a display prefix and the hash to store', () => {
+        const { key, prefix, hash } = generateApiKey();
+
+        expect(key).toMatch(/^dq_[0-9a-f]{64}$/);
+        expect(key.startsWith(prefix)).toBe(true);
+        expect(prefix).toHaveLength(10);
+        expect(hash).toBe(hashToken(key));
+        expect(isApiKey(key)).toBe(true);
+        expect(isApiKey('eyJhbGciOiJIUzI1NiJ9.x.y')).toBe(false);
+    });
+});
+
+describe('verifySession with an API key', () => {
+    const { key } = generateApiKey();
+    const stats = [verifySession, requirePermission(PERMISSIONS.PAYMENTS_VIEW_STATS)];
+
+    it('acts as a user without id whose permissions are the key scopes', async() => {
+        const db = fakeDb(key);
+        const req = request(db, '/api/payment/stats', { 'x-api-key': key });
+        const { reached } = await run(stats, req);
+
+        expect(reached).toBe(true);
+        expect(req.user).toMatchObject({ id: null, company_id: 3, permissions: [PERMISSIONS.PAYMENTS_VIEW_STATS] });
+        expect(req.apiKey).toMatchObject({ id: 5, name: 'Till export' });
+        expect(db.touched).toEqual([[5, '10.0.0.1']]);
+    });
+
+    it('takes the key as a bearer token too', async() => {
+        const { reached } = await run(stats, request(fakeDb(key), '/api/payment/stats', { authorization: `Bearer ${key}` }));
+
+        expect(reached).toBe(true);
+    });
+
+    it('stops at the scopes of the key', async() => {
+        const history = [verifySession, requirePermission(PERMISSIONS.PAYMENTS_VIEW_HISTORY)];
+        const { res, reached } = await run(history, request(fakeDb(key), '/api/payment/history', { 'x-api-key': key }));
+
+        expect(reached).toBe(false);
+        expect(res.statusCode).toBe(403);
+        expect(res.body.code).toBe('PERMISSION_DENIED');
+    });
+
+    it('refuses unknown, revoked or expired keys', async() => {
+        const { key: other } = generateApiKey();
+        const { res } = await run(stats, request(fakeDb(key), '/api/payment/stats', { 'x-api-key': other }));
+
+        expect(res.statusCode).toBe(401);
+        expect(res.body.code).toBe('API_KEY_INVALID');
+    });
+
+    it('keeps keys off the routes meant for people', async() => {
+        const { res } = await run([verifySession], request(fakeDb(key), '/api/users', { 'x-api-key': key }));
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body.code).toBe('API_KEY_NOT_ALLOWED');
+    });
+});
@@ -0,0 +1,115 @@
+const { issueAuthCode, checkAuthCode, authCodeErrorMessage } = require('../utils/auth-code.service');
+const { AUTH_CODE_PURPOSES, AUTH_CODE_MAX_ATTEMPTS } = require('../utils/constants');
+
+// Keeps auth_codes rows in memory and answers the queries the service makes
+const fakeDb = () => {
+    const codes = [];
+    const byId = (id) => codes.find(row => row.id === id);
+
+    return {
+        codes,
+        query: async(sql, params) => {
+            if (sql.includes('INSERT INTO auth_codes')) {
+                const [userId, email, purpose, codeHash, ttlMinutes] = params;
+                codes.push({
+                    id: codes.length + 1, user_id: userId, email, purpose, code_hash: codeHash, attempts: 0,
+                    consumed: false, expires_at: new Date(Date.now() + ttlMinutes * 60000)
+                });
+                return { rows: [] };
+            }
+            if (sql.includes('WHERE user_id = $1 AND purpose = $2')) {
+                codes.filter(row => row.user_id === params[0] && row.purpose === params[1]).forEach(row => { row.consumed = true; });
+                return { rows: [] };
+            }
+            if (sql.includes('SELECT id, user_id, code_hash')) {
+                const open = codes.filter(row => row.email === params[0] && row.purpose === params[1] && !row.consumed);
+                return { rows: open.slice(-1) };
+            }
+            if (sql.includes('SET attempts = attempts + 1')) {
+                const row = byId(params[0]);
+                if (row.consumed || row.attempts >= params[1]) return { rows: [] };
+                row.attempts += 1;
+                return { rows: [{ attempts: row.attempts }] };
+            }
+            if (sql.includes('SET consumed = true') && sql.includes('WHERE id = $1')) {
+                byId(params[0]).consumed = true;
+                return { rows: [] };
+            }
+            throw new Error(`Unexpected query: ${sql}`);
+        }
+    };
+};
+
+const issue = (db, purpose = AUTH_CODE_PURPOSES.VERIFY_EMAIL) =>
+    issueAuthCode(db, { userId: 7, email: 'ama@bar.cm', purpose, ttlMinutes: 30 });
+
+const check = (db, code, consume = true, purpose = AUTH_CODE_PURPOSES.VERIFY_EMAIL) =>
+    checkAuthCode(db, { email: 'ama@bar.cm', purpose, code, consume });
+
+describe('issueAuthCode', () => {
+    it('issues a 6-digit code and stores only its hash', async() => {
+        const db = fakeDb();
+        const code = await issue(db);
+
+        expect(code).toMatch(/^\d{6}$/);
+        expect(db.codes[0].code_hash).not.toContain(code);
+    });
+
+    it('retires the open code of the same purpose only', async() => {
+        const db = fakeDb();
+        await issue(db);
+        const reset = await issue(db, AUTH_CODE_PURPOSES.PASSWORD_RESET);
+        const latest = await issue(db);
+
+        expect(db.codes.map(row => row.consumed)).toEqual([true, false, false]);
+        expect(await check(db, latest)).toEqual({ valid: true, userId: 7 });
+        expect(await check(db, reset, true, AUTH_CODE_PURPOSES.PASSWORD_RESET)).toEqual({ valid: true, userId: 7 });
+    });
+});
+
+describe('checkAuthCode', () => {
+    it('accepts the right code once when consuming it', async() => {
+        const db = fakeDb();
+        const code = await issue(db);
+
+        expect(await check(db, code, false)).toEqual({ valid: true, userId: 7 });
+        expect(await check(db, code)).toEqual({ valid: true, userId: 7 });
+        expect(await check(db, code)).toEqual({ valid: false, reason: 'not_found' });
+    });
+
+    it(`burns the code after ${AUTH_CODE_MAX_ATTEMPTS} wrong guesses`, async() => {
+        const db = fakeDb();
+        const code = await issue(db);
+        const wrong = code === '000000' ? '111111' : '000000';
+
+        for (let left = AUTH_CODE_MAX_ATTEMPTS - 1; left > 0; left--) {
+            expect(await check(db, wrong)).toEqual({ valid: false, reason: 'invalid', attemptsLeft: left });
+        }
+        expect(await check(db, wrong)).toEqual({ valid: false, reason: 'too_many_attempts', attemptsLeft: 0 });
+        expect(await check(db, code)).toEqual({ valid: false, reason: 'not_found' });
+    });
+
+    it('refuses even the right code once the attempts are used up', async() => {
+        const db = fakeDb();
+        const code = await issue(db);
+        db.codes[0].attempts = AUTH_CODE_MAX_ATTEMPTS;
+
+        expect(await check(db, code)).toEqual({ valid: false, reason: 'too_many_attempts', attemptsLeft: 0 });
+    });
+
+    it('refuses and retires an expired code', async() => {
+        const db = fakeDb();
+        const code = await issue(db);
+        db.codes[0].expires_at = new Date(Date.now() - 1000);
+
+        expect(await check(db, code)).toEqual({ valid: false, reason: 'expired' });
+        expect(db.codes[0].consumed).toBe(true);
+    });
+});
+
+describe('authCodeErrorMessage', () => {
+    it('explains each failure', () => {
+        expect(authCodeErrorMessage({ reason: 'expired' })).toBe('Code expired. Please request a new one.');
+        expect(authCodeErrorMessage({ reason: 'invalid', attemptsLeft: 2 })).toBe('Invalid code. 2 attempt(s) left.');
+    });
+});
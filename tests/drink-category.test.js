@@ -0,0 +1,70 @@
+const { ensureDefaultCategories, resolveDrinkCategory } = require('../utils/drink-category.service');
+const { STARTER_DRINK_CATEGORIES } = require('../utils/constants');
+
+// Keeps drink_categories rows in memory and answers the queries the service makes
+const fakeDb = (categories = []) => ({
+    categories,
+    query: async(sql, params) => {
+        const active = (companyId) => categories.filter(row => row.company_id === companyId && !row.archived_at);
+
+        if (sql.includes('SELECT 1 FROM drink_categories')) {
+            return { rows: categories.filter(row => row.company_id === params[0]).slice(0, 1) };
+        }
+        if (sql.includes('INSERT INTO drink_categories')) {
+            const [companyId, name, defaultPrice, icon, color, sortOrder] = params;
+            categories.push({ id: categories.length + 1, company_id: companyId, name, default_price: defaultPrice, icon, color, sort_order: sortOrder, archived_at: null });
+            return { rows: [] };
+        }
+        if (sql.includes('WHERE id = $1')) {
+            return { rows: active(params[1]).filter(row => row.id === params[0]) };
+        }
+        if (sql.includes('LOWER(name) = LOWER($1)')) {
+            return { rows: active(params[1]).filter(row => row.name.toLowerCase() === params[0].toLowerCase()) };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    }
+});
+
+describe('ensureDefaultCategories', () => {
+    it('gives a new company the starter categories in order', async() => {
+        const db = fakeDb();
+        await ensureDefaultCategories(db, 3);
+        await ensureDefaultCategories(db, 3);
+
+        expect(db.categories.map(row => row.name)).toEqual(STARTER_DRINK_CATEGORIES.map(category => category.name));
+        expect(db.categories.map(row => row.sort_order)).toEqual(STARTER_DRINK_CATEGORIES.map((category, index) => index));
+    });
+
+    it('leaves a company that already has categories alone, even archived ones', async() => {
+        const db = fakeDb([{ id: 1, company_id: 3, name: 'Old', archived_at: new Date() }]);
+        await ensureDefaultCategories(db, 3);
+
+        expect(db.categories).toHaveLength(1);
+    });
+});
+
+describe('resolveDrinkCategory', () => {
+    const categories = () => [
+        { id: 1, company_id: 3, name: 'Beer', archived_at: null },
+        { id: 2, company_id: 3, name: 'Palm wine', archived_at: new Date() },
+        { id: 3, company_id: 4, name: 'Cocktail', archived_at: null }
+    ];
+
+    it('finds a category by id, or by name the way older apps send it', async() => {
+        const db = fakeDb(categories());
+
+        expect((await resolveDrinkCategory(db, 3, { categoryId: '1' })).category.name).toBe('Beer');
+        expect((await resolveDrinkCategory(db, 3, { category: ' beer ' })).category.id).toBe(1);
+    });
+
+    it('refuses archived categories and those of other companies', async() => {
+        const db = fakeDb(categories());
+
+        expect(await resolveDrinkCategory(db, 3, { categoryId: 2 })).toEqual({ error: 'Category not found or archived' });
+        expect(await resolveDrinkCategory(db, 3, { categoryId: 3 })).toEqual({ error: 'Category not found or archived' });
+    });
+
+    it('needs one or the other', async() => {
+        expect(await resolveDrinkCategory(fakeDb(), 3, {})).toEqual({ error: 'Category is required' });
+    });
+});
@@ -0,0 +1,94 @@
+const { validationResult } = require('express-validator');
+const {
+    drinkValidation, drinkUpdateValidation, drinkVariantValidation, drinkVariantUpdateValidation
+} = require('../utils/validators');
+
+// Messages the rules give for a request body, in field order
+const errors = async(rules, body) => {
+    const req = { body };
+    for (const rule of rules) await rule.run(req);
+    return validationResult(req).array().map(error => error.msg);
+};
+
+describe('drinkValidation', () => {
+    it('takes a drink with a category id or a category name', async() => {
+        expect(await errors(drinkValidation, { name: 'Castel', price: 800, categoryId: 1 })).toEqual([]);
+        expect(await errors(drinkValidation, { name: 'Castel', category: 'Beer' })).toEqual([]);
+    });
+
+    it('needs a name and a category', async() => {
+        expect(await errors(drinkValidation, { name: '  ', price: 800 }))
+            .toEqual(['Drink name is required', 'Category is required']);
+    });
+
+    it('checks the numbers and the unit', async() => {
+        const body = { name: 'Castel', categoryId: 1, price: -1, alcoholContent: 120, volume: -5, unit: 'pint' };
+
+        expect(await errors(drinkValidation, body)).toEqual([
+            'Price must be a positive number',
+            'Alcohol content must be between 0 and 100',
+            'Volume cannot be negative',
+            'Invalid unit'
+        ]);
+    });
+});
+
+describe('drinkUpdateValidation', () => {
+    it('takes any subset of the fields', async() => {
+        expect(await errors(drinkUpdateValidation, {})).toEqual([]);
+        expect(await errors(drinkUpdateValidation, { price: '950', description: null, tags: ['cold'] })).toEqual([]);
+    });
+
+    it('refuses an empty name or category', async() => {
+        expect(await errors(drinkUpdateValidation, { name: '', category: ' ' }))
+            .toEqual(['Drink name cannot be empty', 'Invalid category']);
+    });
+
+    it('takes an http(s) image link only', async() => {
+        expect(await errors(drinkUpdateValidation, { imageUrl: 'https://cdn.example.com/castel.webp' })).toEqual([]);
+        expect(await errors(drinkUpdateValidation, { imageUrl: 'http://localhost:5000/uploads/drinks/castel.webp' })).toEqual([]);
+        expect(await errors(drinkUpdateValidation, { imageUrl: 'javascript:alert(1)' })).toEqual(['Image URL must be an http(s) link']);
+        expect(await errors(drinkUpdateValidation, { imageUrl: ['https://a.cm/x.png'] })).toEqual(['Image URL must be an http(s) link']);
+    });
+
+    it('takes isActive as a boolean only', async() => {
+        expect(await errors(drinkUpdateValidation, { isActive: false })).toEqual([]);
+        expect(await errors(drinkUpdateValidation, { isActive: 'no' })).toEqual(['isActive must be true or false']);
+    });
+});
+
+describe('drinkVariantValidation', () => {
+    it('takes a named, priced size', async() => {
+        expect(await errors(drinkVariantValidation, { name: 'Large', price: 1200 })).toEqual([]);
+        expect(await errors(drinkVariantValidation, { name: '1 L', price: '1200', cost: null, size: 1, unit: 'l', sku: 'CAS-1L' })).toEqual([]);
+    });
+
+    it('needs a name and a price', async() => {
+        expect(await errors(drinkVariantValidation, { cost: 500 }))
+            .toEqual(['Variant name is required', 'Price must be a positive number']);
+    });
+
+    it('checks cost, size, unit, SKU and sort order', async() => {
+        const body = { name: 'Large', price: 1200, cost: -1, size: -1, unit: 'pint', sku: 'x'.repeat(65), sortOrder: 1.5 };
+
+        expect(await errors(drinkVariantValidation, body)).toEqual([
+            'Cost must be a positive number',
+            'Size cannot be negative',
+            'Invalid unit',
+            'SKU must be 1 to 64 characters',
+            'Sort order must be a whole number'
+        ]);
+    });
+});
+
+describe('drinkVariantUpdateValidation', () => {
+    it('takes any subset of the fields and clears the cost with null', async() => {
+        expect(await errors(drinkVariantUpdateValidation, {})).toEqual([]);
+        expect(await errors(drinkVariantUpdateValidation, { cost: null, sku: null })).toEqual([]);
+    });
+
+    it('refuses an empty name or a negative price', async() => {
+        expect(await errors(drinkVariantUpdateValidation, { name: ' ', price: -3 }))
+            .toEqual(['Variant name cannot be empty', 'Price must be a positive number']);
+    });
+});
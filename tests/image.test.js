@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// Local storage in a temporary folder, set before the storage service reads it
+const UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dq-uploads-'));
+process.env.UPLOAD_DIR = UPLOAD_DIR;
+process.env.STORAGE_DRIVER = 'local';
+process.env.PUBLIC_BASE_URL = 'https://api.bar.cm';
+
+const { storeImage, removeImage } = require('../utils/image.service');
+const { IMAGE_UPLOAD } = require('../utils/constants');
+
+const png = (width, height) => sharp({
+    create: { width, height, channels: 3, background: { r: 102, g: 126, b: 234 } }
+}).png().toBuffer();
+
+const stored = (url) => path.join(UPLOAD_DIR, url.replace('https://api.bar.cm/uploads/', ''));
+
+afterAll(() => fs.rmSync(UPLOAD_DIR, { recursive: true, force: true }));
+
+describe('storeImage', () => {
+    it('stores a WebP image and a square thumbnail under one key', async() => {
+        const { imageUrl, thumbnailUrl, key } = await storeImage(await png(3000, 1500), { folder: 'drinks/3' });
+
+        expect(key).toMatch(/^drinks\/3\/\d+-[0-9a-f]{8}$/);
+        expect(imageUrl).toBe(`https://api.bar.cm/uploads/${key}.webp`);
+        expect(thumbnailUrl).toBe(`https://api.bar.cm/uploads/${key}_thumb.webp`);
+
+        const full = await sharp(stored(imageUrl)).metadata();
+        expect(full).toMatchObject({ format: 'webp', width: IMAGE_UPLOAD.FULL_SIZE, height: IMAGE_UPLOAD.FULL_SIZE / 2 });
+
+        const thumbnail = await sharp(stored(thumbnailUrl)).metadata();
+        expect(thumbnail).toMatchObject({ width: IMAGE_UPLOAD.THUMBNAIL_SIZE, height: IMAGE_UPLOAD.THUMBNAIL_SIZE });
+    });
+
+    it('does not enlarge small images', async() => {
+        const { imageUrl } = await storeImage(await png(300, 200), { folder: 'drinks/3' });
+
+        expect(await sharp(stored(imageUrl)).metadata()).toMatchObject({ width: 300, height: 200 });
+    });
+
+    it('flags bytes that are not an image', async() => {
+        await expect(storeImage(Buffer.from('not an image'), { folder: 'drinks/3' }))
+            .rejects.toMatchObject({ invalidImage: true });
+    });
+});
+
+describe('removeImage', () => {
+    it('deletes both files of a key', async() => {
+        const { imageUrl, thumbnailUrl, key } = await storeImage(await png(400, 400), { folder: 'users/7' });
+        await removeImage(key);
+
+        expect(fs.existsSync(stored(imageUrl))).toBe(false);
+        expect(fs.existsSync(stored(thumbnailUrl))).toBe(false);
+    });
+
+    it('does nothing without a key or for files already gone', async() => {
+        await expect(removeImage(null)).resolves.toBeUndefined();
+        await expect(removeImage('drinks/3/gone')).resolves.toBeUndefined();
+    });
+});
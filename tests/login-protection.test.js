@@ -0,0 +1,105 @@
+const {
+    countIpFailures, lockMinutesRemaining, recordFailedLogin, resetLoginAttempts
+} = require('../utils/login-protection.service');
+const { LOGIN_PROTECTION } = require('../utils/constants');
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60000);
+
+// Keeps login_attempts and the users' counters in memory
+const fakeDb = () => {
+    const attempts = [];
+    const users = { 7: { failed_login_attempts: 0, lock_until: null } };
+
+    return {
+        attempts,
+        users,
+        query: async(sql, params) => {
+            if (sql.includes('INSERT INTO login_attempts')) {
+                const [userId, identifier, ip] = params;
+                attempts.push({ user_id: userId, identifier, ip_address: ip });
+                return { rows: [] };
+            }
+            if (sql.includes('FROM login_attempts')) {
+                return { rows: [{ count: String(attempts.filter(row => row.ip_address === params[0]).length) }] };
+            }
+            const user = users[params[0]];
+            if (sql.includes('SET failed_login_attempts = CASE')) {
+                if (!user) return { rows: [] };
+                if (user.lock_until && user.lock_until < new Date()) {
+                    user.failed_login_attempts = 1;
+                    user.lock_until = null;
+                } else {
+                    user.failed_login_attempts += 1;
+                }
+                return { rows: [{ failed_login_attempts: user.failed_login_attempts }] };
+            }
+            if (sql.includes('SET lock_until = NOW()')) {
+                user.lock_until = minutesFromNow(parseInt(params[1]));
+                return { rows: [] };
+            }
+            if (sql.includes('SET failed_login_attempts = 0')) {
+                user.failed_login_attempts = 0;
+                user.lock_until = null;
+                return { rows: [] };
+            }
+            throw new Error(`Unexpected query: ${sql}`);
+        }
+    };
+};
+
+const fail = (db, userId = 7, ip = '10.0.0.1') => recordFailedLogin(db, { userId, identifier: 'ama', ip });
+
+describe('recordFailedLogin', () => {
+    it(`locks the account on the ${LOGIN_PROTECTION.MAX_ACCOUNT_ATTEMPTS}th failure`, async() => {
+        const db = fakeDb();
+
+        for (let attempt = 1; attempt < LOGIN_PROTECTION.MAX_ACCOUNT_ATTEMPTS; attempt++) {
+            expect(await fail(db)).toEqual({ attempts: attempt, locked: false });
+        }
+        expect(await fail(db)).toEqual({ attempts: LOGIN_PROTECTION.MAX_ACCOUNT_ATTEMPTS, locked: true });
+        expect(lockMinutesRemaining(db.users[7])).toBe(LOGIN_PROTECTION.LOCK_MINUTES);
+    });
+
+    it('starts counting again at 1 once a lock has run out', async() => {
+        const db = fakeDb();
+        db.users[7] = { failed_login_attempts: LOGIN_PROTECTION.MAX_ACCOUNT_ATTEMPTS, lock_until: minutesFromNow(-1) };
+
+        expect(await fail(db)).toEqual({ attempts: 1, locked: false });
+        expect(db.users[7].lock_until).toBeNull();
+    });
+
+    it('records unknown accounts against the IP only', async() => {
+        const db = fakeDb();
+
+        expect(await fail(db, null)).toEqual({ attempts: 0, locked: false });
+        await fail(db, 7);
+        await fail(db, 7, '10.0.0.2');
+
+        expect(db.attempts[0]).toEqual({ user_id: null, identifier: 'ama', ip_address: '10.0.0.1' });
+        expect(await countIpFailures(db, '10.0.0.1')).toBe(2);
+    });
+
+    it('keeps what was typed, cut to the column length', async() => {
+        const db = fakeDb();
+        await recordFailedLogin(db, { userId: null, identifier: 'a'.repeat(500), ip: '10.0.0.1' });
+
+        expect(db.attempts[0].identifier).toHaveLength(LOGIN_PROTECTION.IDENTIFIER_MAX_LENGTH);
+    });
+
+    it('clears the counters on reset', async() => {
+        const db = fakeDb();
+        for (let attempt = 0; attempt < LOGIN_PROTECTION.MAX_ACCOUNT_ATTEMPTS; attempt++) await fail(db);
+
+        await resetLoginAttempts(db, 7);
+        expect(db.users[7]).toEqual({ failed_login_attempts: 0, lock_until: null });
+        expect(lockMinutesRemaining(db.users[7])).toBe(0);
+    });
+});
+
+describe('lockMinutesRemaining', () => {
+    it('rounds the time left up to whole minutes', () => {
+        expect(lockMinutesRemaining({ lock_until: minutesFromNow(4.2) })).toBe(5);
+        expect(lockMinutesRemaining({ lock_until: minutesFromNow(-0.1) })).toBe(0);
+        expect(lockMinutesRemaining({ lock_until: null })).toBe(0);
+    });
+});
@@ -0,0 +1,201 @@
+const { parseMenuFile, writeMenuFile, menuFileFormat } = require('../utils/menu-file.service');
+const { planMenuImport } = require('../utils/menu-import.service');
+
+const csv = (text) => Buffer.from(text, 'utf8');
+
+describe('parseMenuFile', () => {
+    it('reads a CSV file into rows keyed by column', async() => {
+        const rows = await parseMenuFile(csv('Name,Category,Price\r\nCastel,Beer,800\r\nMojito,Cocktail,3500\r\n'), 'csv');
+
+        expect(rows).toEqual([
+            { rowNumber: 2, values: { name: 'Castel', category: 'Beer', price: '800' } },
+            { rowNumber: 3, values: { name: 'Mojito', category: 'Cocktail', price: '3500' } }
+        ]);
+    });
+
+    it('matches headers loosely and ignores unknown columns', async() => {
+        const rows = await parseMenuFile(csv('NAME,variant_price,Alcohol,Supplier\nCastel,900,5,Brasseries\n'), 'csv');
+
+        expect(rows[0].values).toEqual({ name: 'Castel', variantPrice: '900', alcoholContent: '5' });
+    });
+
+    it('uses ";" when the header line has more of them than commas', async() => {
+        const rows = await parseMenuFile(csv('Name;Price;Description\nCastel;1500,5;Cold, light\n'), 'csv');
+
+        expect(rows[0].values).toEqual({ name: 'Castel', price: '1500,5', description: 'Cold, light' });
+    });
+
+    it('handles quoted fields, escaped quotes and line breaks inside quotes', async() => {
+        const rows = await parseMenuFile(csv('Name,Description\n"Gin, Tonic","The ""house"" one\nwith lime"\n'), 'csv');
+
+        expect(rows[0].values).toEqual({ name: 'Gin, Tonic', description: 'The "house" one\nwith lime' });
+    });
+
+    it('strips the BOM, trims cells and skips blank rows', async() => {
+        const rows = await parseMenuFile(csv('﻿Name,Price\n  Castel  , 800 \n,\n\nMojito,3500'), 'csv');
+
+        expect(rows).toEqual([
+            { rowNumber: 2, values: { name: 'Castel', price: '800' } },
+            { rowNumber: 5, values: { name: 'Mojito', price: '3500' } }
+        ]);
+    });
+
+    it('removes the apostrophe the export puts before formula characters', async() => {
+        const rows = await parseMenuFile(csv("Name,Description\nCastel,'=cold\n"), 'csv');
+
+        expect(rows[0].values.description).toBe('=cold');
+    });
+
+    it('rejects a file without a Name or SKU header', async() => {
+        await expect(parseMenuFile(csv('Price,Category\n800,Beer\n'), 'csv'))
+            .rejects.toMatchObject({ invalidFile: true, message: expect.stringContaining('Name or SKU') });
+    });
+
+    it('rejects an XLSX file it cannot read', async() => {
+        await expect(parseMenuFile(csv('not a workbook'), 'xlsx'))
+            .rejects.toMatchObject({ invalidFile: true, message: 'Could not read the XLSX file' });
+    });
+
+    it('reads back the files writeMenuFile builds', async() => {
+        const menu = [
+            { name: 'Castel', category: 'Beer', price: 800, variant: 'Large', variantPrice: 1200, sku: 'CAS-65' },
+            { name: '=Mojito', category: 'Cocktail', price: 3500, description: 'Mint; lime, "fresh"' }
+        ];
+
+        for (const format of ['csv', 'xlsx']) {
+            const rows = await parseMenuFile(await writeMenuFile(menu, format), format);
+            expect(rows.map(row => row.values)).toEqual([
+                { name: 'Castel', category: 'Beer', price: '800', variant: 'Large', variantPrice: '1200', sku: 'CAS-65' },
+                { name: '=Mojito', category: 'Cocktail', price: '3500', description: 'Mint; lime, "fresh"' }
+            ]);
+        }
+    });
+
+    it('knows the format from the file name', () => {
+        expect(menuFileFormat('menu.CSV')).toBe('csv');
+        expect(menuFileFormat('menu.final.xlsx')).toBe('xlsx');
+        expect(menuFileFormat('menu.xls')).toBeNull();
+    });
+});
+
+// A company catalog as loadCatalog reads it, fresh for each test
+const fakeCatalogDb = () => {
+    const categories = [
+        { id: 1, name: 'Beer', default_price: '800', archived_at: null },
+        { id: 2, name: 'Old', default_price: '500', archived_at: new Date() }
+    ];
+    const drinks = [
+        { id: 10, name: 'Castel', price: '800', category_id: 1, description: null, tags: [], alcohol_content: '5', volume: '650', unit: 'ml' }
+    ];
+    const variants = [
+        { id: 100, drink_id: 10, name: 'Large', size: '1', unit: 'l', price: '1200', cost: '700', sku: 'CAS-1L' }
+    ];
+
+    return {
+        query: async(sql) => {
+            if (sql.includes('SELECT 1 FROM drink_categories')) return { rows: [{ '?column?': 1 }] };
+            if (sql.includes('FROM drink_categories')) return { rows: categories };
+            if (sql.includes('FROM drinks')) return { rows: drinks };
+            if (sql.includes('FROM drink_variants')) return { rows: variants };
+            throw new Error(`Unexpected query: ${sql}`);
+        }
+    };
+};
+
+const plan = (rows, canEditPrice = true) => planMenuImport(
+    fakeCatalogDb(), 1, rows.map((values, index) => ({ rowNumber: index + 2, values })), { canEditPrice }
+);
+
+describe('planMenuImport', () => {
+    it('creates new drinks and categories', async() => {
+        const { operations, summary, rows } = await plan([{ name: 'Mojito', category: 'Cocktail', price: '3500' }]);
+
+        expect(operations.map(operation => operation.type)).toEqual(['createCategory', 'createDrink']);
+        expect(operations[1].target).toMatchObject({ name: 'Mojito', price: 3500, category: { name: 'Cocktail' } });
+        expect(summary).toMatchObject({ categoriesCreated: 1, drinksCreated: 1, errors: 0 });
+        expect(rows[0]).toMatchObject({ row: 2, status: 'create', errors: [] });
+    });
+
+    it('leaves a row that changes nothing alone', async() => {
+        const { operations, summary, rows } = await plan([{ name: 'Castel', category: 'beer', price: '800' }]);
+
+        expect(operations).toEqual([]);
+        expect(summary.unchanged).toBe(1);
+        expect(rows[0].status).toBe('unchanged');
+    });
+
+    it('updates the drink matched by name with only what changed', async() => {
+        const { operations, rows } = await plan([{ name: 'Castel', price: '1 000', description: 'Local lager' }]);
+
+        expect(operations).toHaveLength(1);
+        expect(operations[0]).toMatchObject({ type: 'updateDrink', changes: { price: 1000, description: 'Local lager' } });
+        expect(rows[0].changes).toEqual(['price', 'description']);
+    });
+
+    it('matches a variant by SKU before the name', async() => {
+        const { operations } = await plan([{ name: 'Castel', variant: 'Litre', sku: 'CAS-1L' }]);
+
+        expect(operations).toEqual([expect.objectContaining({ type: 'updateVariant', changes: { name: 'Litre' } })]);
+        expect(operations[0].target.id).toBe(100);
+    });
+
+    it('adds a variant to an existing drink', async() => {
+        const { operations, summary } = await plan([{ name: 'Castel', variant: 'Small', variantSize: '33', variantUnit: 'cl', variantPrice: '600', sku: 'CAS-33' }]);
+
+        expect(operations).toHaveLength(1);
+        expect(operations[0].target).toMatchObject({ id: null, name: 'Small', size: 33, unit: 'cl', price: 600, sku: 'CAS-33' });
+        expect(operations[0].target.drink.id).toBe(10);
+        expect(summary.variantsCreated).toBe(1);
+    });
+
+    it('refuses price changes without drinks.edit_price', async() => {
+        const { operations, rows } = await plan([{ name: 'Castel', price: '900' }], false);
+
+        expect(operations).toEqual([]);
+        expect(rows[0].status).toBe('error');
+        expect(rows[0].errors).toContain('Changing prices needs the drinks.edit_price permission');
+    });
+
+    it('lets a new drink be priced without drinks.edit_price', async() => {
+        const { summary } = await plan([{ name: 'Mojito', category: 'Beer', price: '3500' }], false);
+
+        expect(summary).toMatchObject({ drinksCreated: 1, errors: 0 });
+    });
+
+    it('reports bad cells and rows it cannot place', async() => {
+        const { operations, summary, rows } = await plan([
+            { name: 'Mojito', category: 'Cocktail', price: 'free', unit: 'pint' },
+            { name: 'Gin' },
+            { sku: 'NOPE-1' },
+            { name: 'Palm wine', category: 'Old' },
+            { name: 'Castel', variantPrice: '900' }
+        ]);
+
+        expect(operations).toEqual([]);
+        expect(summary.errors).toBe(5);
+        expect(rows[0].errors).toEqual(['Price must be a positive number', 'Unit must be one of ml, cl, l, oz']);
+        expect(rows[1].errors).toEqual(['Category is required for a new drink']);
+        expect(rows[2].errors).toContain('No drink has the SKU NOPE-1');
+        expect(rows[3].errors).toEqual(['Category Old is archived']);
+        expect(rows[4].errors).toEqual(['Variant columns need a Variant name']);
+    });
+
+    it('renames a drink matched by SKU', async() => {
+        const { operations } = await plan([{ name: 'Castel Beer', sku: 'CAS-1L' }]);
+
+        expect(operations).toEqual([expect.objectContaining({ type: 'updateDrink', changes: { name: 'Castel Beer' } })]);
+    });
+
+    it('builds on earlier rows of the same file', async() => {
+        const { operations, summary } = await plan([
+            { name: 'Mojito', category: 'Cocktail', price: '3500', variant: 'Regular' },
+            { name: 'Mojito', variant: 'Jug', variantPrice: '9000' },
+            { name: 'Daiquiri', category: 'cocktail', price: '3000' }
+        ]);
+
+        expect(operations.map(operation => operation.type)).toEqual(['createCategory', 'createDrink', 'createVariant', 'createVariant', 'createDrink']);
+        expect(operations[3].target.drink).toBe(operations[1].target);
+        expect(operations[4].target.category).toBe(operations[0].target);
+        expect(summary).toMatchObject({ categoriesCreated: 1, drinksCreated: 2, variantsCreated: 2 });
+    });
+});
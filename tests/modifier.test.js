@@ -0,0 +1,61 @@
+const { validateModifierSelection } = require('../utils/modifier.service');
+
+// Groups as loadDrinkModifierGroups returns them
+const groups = [{
+    id: 1,
+    name: 'Temperature',
+    minSelect: 1,
+    maxSelect: 1,
+    modifiers: [
+        { id: 10, name: 'Cold', surcharge: 0 },
+        { id: 11, name: 'Room temperature', surcharge: 0 }
+    ]
+}, {
+    id: 2,
+    name: 'Extras',
+    minSelect: 0,
+    maxSelect: null,
+    modifiers: [
+        { id: 20, name: 'Lemon', surcharge: 100 },
+        { id: 21, name: 'Extra shot', surcharge: 500 }
+    ]
+}];
+
+describe('validateModifierSelection', () => {
+    it('returns the picked modifiers and their surcharge per unit', () => {
+        const selection = validateModifierSelection(groups, [10, 20, 21]);
+
+        expect(selection.error).toBeUndefined();
+        expect(selection.surcharge).toBe(600);
+        expect(selection.modifiers).toEqual([
+            { modifierId: 10, name: 'Cold', group: 'Temperature', surcharge: 0 },
+            { modifierId: 20, name: 'Lemon', group: 'Extras', surcharge: 100 },
+            { modifierId: 21, name: 'Extra shot', group: 'Extras', surcharge: 500 }
+        ]);
+    });
+
+    it('accepts ids sent as strings and ignores repeats', () => {
+        const selection = validateModifierSelection(groups, ['11', 20, '20']);
+
+        expect(selection.modifiers.map(modifier => modifier.modifierId)).toEqual([11, 20]);
+        expect(selection.surcharge).toBe(100);
+    });
+
+    it('requires the minimum of a group', () => {
+        expect(validateModifierSelection(groups, [20])).toEqual({ error: 'Choose at least 1 from Temperature' });
+        expect(validateModifierSelection(groups, undefined)).toEqual({ error: 'Choose at least 1 from Temperature' });
+    });
+
+    it('refuses more than the maximum of a group', () => {
+        expect(validateModifierSelection(groups, [10, 11])).toEqual({ error: 'Choose at most 1 from Temperature' });
+    });
+
+    it('refuses modifiers that are not in the drink groups', () => {
+        expect(validateModifierSelection(groups, [10, 99])).toEqual({ error: 'Some modifiers are not available for this drink' });
+    });
+
+    it('needs nothing for a drink without groups', () => {
+        expect(validateModifierSelection([], [])).toEqual({ modifiers: [], surcharge: 0 });
+        expect(validateModifierSelection([], [10]).error).toBeDefined();
+    });
+});
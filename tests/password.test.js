@@ -0,0 +1,43 @@
+const bcrypt = require('bcryptjs');
+const { hashPassword, isPasswordHashed, verifyPassword } = require('../utils/helpers');
+
+describe('hashPassword', () => {
+    it('stores a bcrypt hash, never the password', async() => {
+        const hash = await hashPassword('Secret123!');
+
+        expect(hash).not.toContain('Secret123!');
+        expect(isPasswordHashed(hash)).toBe(true);
+        expect(await bcrypt.compare('Secret123!', hash)).toBe(true);
+    });
+});
+
+describe('isPasswordHashed', () => {
+    it('tells bcrypt hashes from legacy plaintext', () => {
+        expect(isPasswordHashed(bcrypt.hashSync('x', 4))).toBe(true);
+        expect(isPasswordHashed('$2b$10$tooShort')).toBe(false);
+        expect(isPasswordHashed('Secret123!')).toBe(false);
+        expect(isPasswordHashed(null)).toBe(false);
+    });
+});
+
+describe('verifyPassword', () => {
+    it('checks a password against its hash', async() => {
+        const hash = await hashPassword('Secret123!');
+
+        expect(await verifyPassword('Secret123!', hash)).toEqual({ match: true, needsRehash: false });
+        expect(await verifyPassword('secret123!', hash)).toEqual({ match: false, needsRehash: false });
+    });
+
+    it('matches legacy plaintext rows and asks for them to be rehashed', async() => {
+        expect(await verifyPassword('Secret123!', 'Secret123!')).toEqual({ match: true, needsRehash: true });
+        expect(await verifyPassword('Secret123', 'Secret123!')).toEqual({ match: false, needsRehash: false });
+    });
+
+    it('refuses missing passwords', async() => {
+        const hash = await hashPassword('Secret123!');
+
+        expect((await verifyPassword('', hash)).match).toBe(false);
+        expect((await verifyPassword(undefined, 'Secret123!')).match).toBe(false);
+        expect((await verifyPassword('Secret123!', null)).match).toBe(false);
+    });
+});
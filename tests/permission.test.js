@@ -0,0 +1,87 @@
+const { ALL_PERMISSIONS, checkPermissionList, getUserPermissions, hasPermission } = require('../utils/permission.service');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../utils/constants');
+
+// Answers the company_roles lookups of getUserPermissions and counts them
+const fakeDb = (roles) => {
+    const db = {
+        queries: 0,
+        query: async(sql, params) => {
+            db.queries += 1;
+            const [companyId, key] = sql.includes('WHERE id = $1') ? [params[1], params[0]] : params;
+            const found = roles.filter(role => role.company_id === companyId && (role.id === key || (role.is_system && role.name === key)));
+            return { rows: found.map(role => ({ permissions: role.permissions })) };
+        }
+    };
+    return db;
+};
+
+const roles = [
+    { id: 1, company_id: 3, name: 'Staff', is_system: true, permissions: [PERMISSIONS.ORDERS_CREATE] },
+    { id: 2, company_id: 3, name: 'Senior Bartender', is_system: false, permissions: [PERMISSIONS.ORDERS_CREATE, PERMISSIONS.ORDERS_VOID] },
+    { id: 9, company_id: 4, name: 'Cashier', is_system: false, permissions: [PERMISSIONS.PAYMENTS_CREATE] }
+];
+
+describe('checkPermissionList', () => {
+    const manager = DEFAULT_ROLE_PERMISSIONS.Manager;
+
+    it('accepts permissions the caller holds', () => {
+        expect(checkPermissionList([PERMISSIONS.ORDERS_CREATE, PERMISSIONS.DRINKS_EDIT_PRICE], manager)).toBeNull();
+        expect(checkPermissionList([], [])).toBeNull();
+    });
+
+    it('refuses anything but an array', () => {
+        expect(checkPermissionList('orders.create', manager)).toBe('permissions must be an array');
+    });
+
+    it('names the unknown permissions', () => {
+        expect(checkPermissionList(['orders.create', 'bar.open', 'admin.all'], manager))
+            .toBe('Unknown permission(s): bar.open, admin.all');
+    });
+
+    it('refuses to hand out permissions the caller does not hold', () => {
+        const staff = [PERMISSIONS.ORDERS_CREATE];
+
+        expect(checkPermissionList([PERMISSIONS.ORDERS_CREATE, PERMISSIONS.ROLES_MANAGE], staff))
+            .toBe(`You cannot grant permission(s) you do not hold: ${PERMISSIONS.ROLES_MANAGE}`);
+    });
+});
+
+describe('getUserPermissions', () => {
+    it('gives Administrators every permission', async() => {
+        expect(await getUserPermissions(fakeDb(roles), { role: 'Administrator', company_id: 3 })).toEqual(ALL_PERMISSIONS);
+    });
+
+    it('uses the edited bundle of the company system role', async() => {
+        const permissions = await getUserPermissions(fakeDb(roles), { role: 'Staff', company_id: 3, company_role_id: null });
+
+        expect(permissions).toEqual([PERMISSIONS.ORDERS_CREATE]);
+    });
+
+    it('lets a custom role replace the base role bundle', async() => {
+        const permissions = await getUserPermissions(fakeDb(roles), { role: 'Staff', company_id: 3, company_role_id: 2 });
+
+        expect(permissions).toContain(PERMISSIONS.ORDERS_VOID);
+    });
+
+    it('ignores a custom role of another company', async() => {
+        const permissions = await getUserPermissions(fakeDb(roles), { role: 'Staff', company_id: 3, company_role_id: 9 });
+
+        expect(permissions).toEqual(DEFAULT_ROLE_PERMISSIONS.Staff);
+    });
+
+    it('falls back to the default bundle without a company or a role row', async() => {
+        expect(await getUserPermissions(fakeDb([]), { role: 'Manager', company_id: 5 })).toEqual(DEFAULT_ROLE_PERMISSIONS.Manager);
+        expect(await getUserPermissions(fakeDb([]), { role: 'Customer', company_id: null })).toEqual([]);
+    });
+});
+
+describe('hasPermission', () => {
+    it('loads the permissions once per user object', async() => {
+        const db = fakeDb(roles);
+        const user = { role: 'Staff', company_id: 3, company_role_id: 2 };
+
+        expect(await hasPermission(db, user, PERMISSIONS.ORDERS_VOID)).toBe(true);
+        expect(await hasPermission(db, user, PERMISSIONS.DRINKS_MANAGE)).toBe(false);
+        expect(db.queries).toBe(1);
+    });
+});
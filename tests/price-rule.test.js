@@ -0,0 +1,168 @@
+const { validatePriceRule, loadLiveRules, priceLine } = require('../utils/price-rule.service');
+
+// Friday 16 October 2026, times in UTC (the company's timezone below)
+const at = (time, date = '2026-10-16') => new Date(`${date}T${time}:00Z`);
+
+// Answers the two queries loadLiveRules makes: the company timezone and its rules
+const fakeDb = (rules, timezone = 'UTC') => ({
+    query: async(sql) => {
+        if (sql.includes('FROM companies')) {
+            return { rows: [{ timezone }] };
+        }
+        return { rows: rules };
+    }
+});
+
+const rule = (fields) => ({
+    id: 1,
+    outlet_id: null,
+    target_type: 'all',
+    target_id: null,
+    adjustment_type: 'percent',
+    value: '-20',
+    priority: 0,
+    days: null,
+    start_time: null,
+    end_time: null,
+    starts_on: null,
+    ends_on: null,
+    ...fields
+});
+
+const liveIds = async(rules, when) => {
+    const live = await loadLiveRules(fakeDb(rules), { companyId: 1, at: when });
+    return live.map(r => r.id);
+};
+
+describe('price rule windows', () => {
+    it('keeps a rule without days, times or dates live all the time', async() => {
+        expect(await liveIds([rule({})], at('03:15'))).toEqual([1]);
+    });
+
+    it('applies a happy hour only between its start and end time', async() => {
+        const happyHour = rule({ start_time: '17:00:00', end_time: '19:00:00' });
+
+        expect(await liveIds([happyHour], at('16:59'))).toEqual([]);
+        expect(await liveIds([happyHour], at('17:00'))).toEqual([1]);
+        expect(await liveIds([happyHour], at('18:59'))).toEqual([1]);
+        expect(await liveIds([happyHour], at('19:00'))).toEqual([]);
+    });
+
+    it('runs a window ending before it starts past midnight into the next day', async() => {
+        // Friday night 22:00 to 02:00
+        const lateNight = rule({ days: [5], start_time: '22:00:00', end_time: '02:00:00' });
+
+        expect(await liveIds([lateNight], at('23:30'))).toEqual([1]);
+        expect(await liveIds([lateNight], at('01:30', '2026-10-17'))).toEqual([1]);
+        expect(await liveIds([lateNight], at('02:00', '2026-10-17'))).toEqual([]);
+        // Early Friday morning belongs to Thursday night
+        expect(await liveIds([lateNight], at('01:30'))).toEqual([]);
+    });
+
+    it('checks the date range against the day a window past midnight started', async() => {
+        // Ends on Friday: its Friday night runs on into Saturday morning
+        const lastNight = rule({ start_time: '22:00:00', end_time: '02:00:00', ends_on: '2026-10-16' });
+        // Starts on Saturday: Friday night's tail is not part of it
+        const firstNight = rule({ id: 2, start_time: '22:00:00', end_time: '02:00:00', starts_on: '2026-10-17' });
+
+        expect(await liveIds([lastNight, firstNight], at('01:30', '2026-10-17'))).toEqual([1]);
+        expect(await liveIds([lastNight, firstNight], at('22:30', '2026-10-17'))).toEqual([2]);
+        expect(await liveIds([lastNight, firstNight], at('01:30', '2026-10-18'))).toEqual([2]);
+    });
+
+    it('only applies on the rule days', async() => {
+        const weekend = rule({ days: [0, 6] });
+
+        expect(await liveIds([weekend], at('12:00'))).toEqual([]);
+        expect(await liveIds([weekend], at('12:00', '2026-10-17'))).toEqual([1]);
+    });
+
+    it('only applies within its date range, both days included', async() => {
+        const festival = rule({ starts_on: '2026-10-16', ends_on: new Date(2026, 9, 18) });
+
+        expect(await liveIds([festival], at('12:00', '2026-10-15'))).toEqual([]);
+        expect(await liveIds([festival], at('00:00'))).toEqual([1]);
+        expect(await liveIds([festival], at('23:59', '2026-10-18'))).toEqual([1]);
+        expect(await liveIds([festival], at('00:00', '2026-10-19'))).toEqual([]);
+    });
+
+    it('reads the time in the company timezone', async() => {
+        const happyHour = rule({ start_time: '17:00:00', end_time: '19:00:00' });
+
+        // 16:30 UTC is 17:30 in Douala (UTC+1)
+        const live = await loadLiveRules(fakeDb([happyHour], 'Africa/Douala'), { companyId: 1, at: at('16:30') });
+        expect(live).toHaveLength(1);
+    });
+});
+
+describe('priceLine', () => {
+    it('keeps the base price when no rule matches', () => {
+        expect(priceLine([], { basePrice: 1000, drinkId: 3 })).toEqual({ basePrice: 1000, price: 1000, rule: null });
+    });
+
+    it('prefers the most specific target over the priority', () => {
+        const everything = rule({ id: 1, priority: 10, value: '-50' });
+        const drink = rule({ id: 2, target_type: 'drink', target_id: 3, value: '-10' });
+
+        const priced = priceLine([everything, drink], { basePrice: 1000, drinkId: 3 });
+        expect(priced.rule.id).toBe(2);
+        expect(priced.price).toBe(900);
+    });
+
+    it('prefers an outlet rule over a company one, then the higher priority', () => {
+        const company = rule({ id: 1, priority: 5, value: '-50' });
+        const outlet = rule({ id: 2, outlet_id: 7, value: '-10' });
+        const outletHigher = rule({ id: 3, outlet_id: 7, priority: 1, value: '-30' });
+
+        expect(priceLine([company, outlet], { basePrice: 1000, drinkId: 3 }).rule.id).toBe(2);
+        expect(priceLine([company, outlet, outletHigher], { basePrice: 1000, drinkId: 3 }).price).toBe(700);
+    });
+
+    it('does not apply a fixed drink price to the drink variants', () => {
+        const fixed = rule({ target_type: 'drink', target_id: 3, adjustment_type: 'fixed', value: '500' });
+
+        expect(priceLine([fixed], { basePrice: 1000, drinkId: 3 }).price).toBe(500);
+        expect(priceLine([fixed], { basePrice: 1500, drinkId: 3, variantId: 8 }).rule).toBeNull();
+    });
+
+    it('applies a fixed category price to the drinks of the category, under drink rules', () => {
+        const everything = rule({ id: 1, priority: 10, value: '-50' });
+        const cocktails = rule({ id: 2, target_type: 'category', target_id: 4, adjustment_type: 'fixed', value: '5000' });
+        const mojito = rule({ id: 3, target_type: 'drink', target_id: 3, value: '-10' });
+
+        const daiquiri = priceLine([everything, cocktails, mojito], { basePrice: 6000, drinkId: 5, categoryId: 4 });
+        expect(daiquiri).toMatchObject({ price: 5000, rule: { id: 2 } });
+
+        const mojitoLine = priceLine([everything, cocktails, mojito], { basePrice: 6000, drinkId: 3, categoryId: 4 });
+        expect(mojitoLine).toMatchObject({ price: 5400, rule: { id: 3 } });
+
+        // Not the bottle of the same cocktail: the next rule that matches applies
+        const jug = priceLine([everything, cocktails], { basePrice: 15000, drinkId: 5, variantId: 9, categoryId: 4 });
+        expect(jug).toMatchObject({ price: 7500, rule: { id: 1 } });
+    });
+
+    it('never goes below zero', () => {
+        const free = rule({ value: '-100' });
+        expect(priceLine([free], { basePrice: 999.99, drinkId: 3 }).price).toBe(0);
+    });
+});
+
+describe('validatePriceRule', () => {
+    const input = (fields) => ({ name: 'Happy hour', targetType: 'all', targetId: null, adjustmentType: 'percent', value: -20, ...fields });
+
+    it('takes fixed prices for a category, a drink or a variant', () => {
+        for (const targetType of ['category', 'drink', 'variant']) {
+            expect(validatePriceRule(input({ targetType, targetId: 4, adjustmentType: 'fixed', value: 5000 }))).toBeNull();
+        }
+    });
+
+    it('refuses a fixed price for the whole menu', () => {
+        expect(validatePriceRule(input({ adjustmentType: 'fixed', value: 5000 })))
+            .toBe('A fixed price can only target a category, a drink or a variant');
+    });
+
+    it('refuses half a time window and impossible dates', () => {
+        expect(validatePriceRule(input({ startTime: '17:00' }))).toBe('startTime and endTime go together');
+        expect(validatePriceRule(input({ startsOn: '2026-10-18', endsOn: '2026-10-16' }))).toBe('startsOn must be before endsOn');
+    });
+});
@@ -0,0 +1,150 @@
+const {
+    TERMINAL_EVENTS, isTerminalToken, generateTerminalToken, recordFailedPin, setActiveOperator
+} = require('../utils/terminal.service');
+const { verifySession } = require('../middleware/session.middleware');
+const { TERMINAL } = require('../utils/constants');
+
+// One terminal row, its operator log and the queries the service and verifySession make
+const fakeDb = (fields = {}) => {
+    const terminal = {
+        id: 1, name: 'Bar tablet', company_id: 3, outlet_id: 2, device_id: 'tab-1',
+        active_operator_id: null, operator_is_active: true, idle_expired: false,
+        failed_pin_attempts: 0, pin_locked_until: null,
+        ...fields
+    };
+    const log = [];
+
+    return {
+        terminal,
+        log,
+        query: async(sql, params) => {
+            if (sql.includes('FROM terminals t')) {
+                return {
+                    rows: [{
+                        ...terminal, operator_username: 'kofi', operator_email: null, operator_role: 'Staff',
+                        operator_company_role_id: null
+                    }]
+                };
+            }
+            if (sql.includes('INSERT INTO terminal_operator_log')) {
+                log.push({ userId: params[1], event: params[2] });
+                return { rows: [] };
+            }
+            if (sql.includes('SET failed_pin_attempts = failed_pin_attempts + 1')) {
+                terminal.failed_pin_attempts += 1;
+                if (terminal.failed_pin_attempts >= params[1]) {
+                    terminal.pin_locked_until = new Date(Date.now() + params[2] * 60000);
+                }
+                return { rows: [{ failed_pin_attempts: terminal.failed_pin_attempts }] };
+            }
+            if (sql.includes('SET failed_pin_attempts = 0')) {
+                terminal.failed_pin_attempts = 0;
+                return { rows: [] };
+            }
+            if (sql.includes('SET active_operator_id = $1')) {
+                Object.assign(terminal, { active_operator_id: params[0], failed_pin_attempts: 0, pin_locked_until: null });
+                return { rows: [] };
+            }
+            if (sql.includes('SET active_operator_id = NULL')) {
+                terminal.active_operator_id = null;
+                return { rows: [] };
+            }
+            if (sql.includes('SET last_activity_at = CURRENT_TIMESTAMP, last_ip')) {
+                return { rows: [] };
+            }
+            throw new Error(`Unexpected query: ${sql}`);
+        }
+    };
+};
+
+describe('generateTerminalToken', () => {
+    it('makes a dqt_ token that is not taken for an API key', () => {
+        const { token, hash } = generateTerminalToken();
+
+        expect(token).toMatch(/^dqt_[0-9a-f]{64}$/);
+        expect(hash).not.toContain(token.slice(4));
+        expect(isTerminalToken(token)).toBe(true);
+        expect(isTerminalToken('dq_abc')).toBe(false);
+    });
+});
+
+describe('recordFailedPin', () => {
+    it(`locks the PIN pad after ${TERMINAL.PIN_MAX_ATTEMPTS} wrong PINs`, async() => {
+        const db = fakeDb();
+
+        for (let left = TERMINAL.PIN_MAX_ATTEMPTS - 1; left > 0; left--) {
+            expect(await recordFailedPin(db, db.terminal, 7)).toEqual({ locked: false, attemptsLeft: left });
+        }
+        expect(await recordFailedPin(db, db.terminal, 7)).toEqual({ locked: true, attemptsLeft: 0 });
+
+        expect(db.terminal.pin_locked_until.getTime()).toBeGreaterThan(Date.now());
+        // The lock does the waiting; the next round starts from zero
+        expect(db.terminal.failed_pin_attempts).toBe(0);
+        expect(db.log).toHaveLength(TERMINAL.PIN_MAX_ATTEMPTS);
+        expect(db.log.every(entry => entry.event === TERMINAL_EVENTS.PIN_FAILED)).toBe(true);
+    });
+
+    it('is cleared by a successful unlock', async() => {
+        const db = fakeDb();
+        await recordFailedPin(db, db.terminal, null);
+        await recordFailedPin(db, db.terminal, 7);
+
+        await setActiveOperator(db, db.terminal, 7);
+        expect(db.terminal).toMatchObject({ active_operator_id: 7, failed_pin_attempts: 0, pin_locked_until: null });
+        expect(db.log[2]).toEqual({ userId: 7, event: TERMINAL_EVENTS.UNLOCK });
+    });
+});
+
+describe('verifySession with a terminal token', () => {
+    const { token } = generateTerminalToken();
+
+    const run = async(db, url = '/api/orders') => {
+        const headers = { 'x-terminal-token': token };
+        const req = { db, ip: '10.0.0.1', originalUrl: url, headers, get: (name) => headers[name.toLowerCase()] };
+        const res = {
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; }
+        };
+        let reached = false;
+        await verifySession(req, res, () => { reached = true; });
+        return { req, res, reached };
+    };
+
+    it('acts as the operator who unlocked the terminal', async() => {
+        const { req, reached } = await run(fakeDb({ active_operator_id: 7 }));
+
+        expect(reached).toBe(true);
+        expect(req.user).toMatchObject({ id: 7, username: 'kofi', role: 'Staff', company_id: 3 });
+        expect(req.terminal).toEqual({ id: 1, name: 'Bar tablet', outletId: 2 });
+    });
+
+    it('answers 423 while nobody has unlocked it', async() => {
+        const { res, reached } = await run(fakeDb());
+
+        expect(reached).toBe(false);
+        expect(res.statusCode).toBe(423);
+        expect(res.body.code).toBe('TERMINAL_LOCKED');
+    });
+
+    it('locks itself once the operator has been idle too long', async() => {
+        const db = fakeDb({ active_operator_id: 7, idle_expired: true });
+        const { res } = await run(db);
+
+        expect(res.statusCode).toBe(423);
+        expect(db.terminal.active_operator_id).toBeNull();
+        expect(db.log).toEqual([{ userId: 7, event: TERMINAL_EVENTS.IDLE_LOCK }]);
+    });
+
+    it('locks itself when the operator was blocked since unlocking', async() => {
+        const { res } = await run(fakeDb({ active_operator_id: 7, operator_is_active: false }));
+
+        expect(res.statusCode).toBe(423);
+    });
+
+    it('stays off the routes a terminal has no business on', async() => {
+        const { res } = await run(fakeDb({ active_operator_id: 7 }), '/api/roles');
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body.code).toBe('TERMINAL_NOT_ALLOWED');
+    });
+});
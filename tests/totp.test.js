@@ -0,0 +1,67 @@
+const { base32Encode, base32Decode, generateTotpSecret, generateTotp, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+
+// RFC 6238 appendix B secret ("12345678901234567890"), base32 encoded
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const at = (seconds) => seconds * 1000;
+
+describe('TOTP', () => {
+    it('matches the RFC 6238 SHA-1 test vectors (last 6 digits)', () => {
+        expect(generateTotp(SECRET, at(59))).toBe('287082');
+        expect(generateTotp(SECRET, at(1111111109))).toBe('081804');
+        expect(generateTotp(SECRET, at(1234567890))).toBe('005924');
+        expect(generateTotp(SECRET, at(2000000000))).toBe('279037');
+    });
+
+    it('round-trips secrets through base32', () => {
+        const bytes = Buffer.from('12345678901234567890');
+        expect(base32Encode(bytes)).toBe(SECRET);
+        expect(base32Decode(SECRET.toLowerCase())).toEqual(bytes);
+        expect(() => base32Decode('NOT-BASE32')).toThrow('Invalid base32 character');
+    });
+
+    it('generates 160-bit secrets', () => {
+        const secret = generateTotpSecret();
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(base32Decode(secret)).toHaveLength(20);
+    });
+});
+
+describe('verifyTotp', () => {
+    const now = at(1234567890);
+
+    it('accepts the current code, with spaces as typed from the app', () => {
+        expect(verifyTotp(SECRET, '005924', 1, now)).toBe(true);
+        expect(verifyTotp(SECRET, '005 924', 1, now)).toBe(true);
+    });
+
+    it('accepts codes one step either side for clock drift, not further', () => {
+        const previous = generateTotp(SECRET, now - 30000);
+        const next = generateTotp(SECRET, now + 30000);
+        const tooOld = generateTotp(SECRET, now - 60000);
+
+        expect(verifyTotp(SECRET, previous, 1, now)).toBe(true);
+        expect(verifyTotp(SECRET, next, 1, now)).toBe(true);
+        expect(verifyTotp(SECRET, tooOld, 1, now)).toBe(false);
+        expect(verifyTotp(SECRET, previous, 0, now)).toBe(false);
+    });
+
+    it('refuses wrong, malformed or missing codes', () => {
+        expect(verifyTotp(SECRET, '005925', 1, now)).toBe(false);
+        expect(verifyTotp(SECRET, '05924', 1, now)).toBe(false);
+        expect(verifyTotp(SECRET, '0059245', 1, now)).toBe(false);
+        expect(verifyTotp(SECRET, 'abcdef', 1, now)).toBe(false);
+        expect(verifyTotp(SECRET, '', 1, now)).toBe(false);
+        expect(verifyTotp(null, '005924', 1, now)).toBe(false);
+    });
+});
+
+describe('buildOtpauthUri', () => {
+    it('builds the URI authenticator apps scan', () => {
+        const uri = buildOtpauthUri({ secret: SECRET, accountName: 'manager@bar.cm' });
+
+        expect(uri).toBe(
+            'otpauth://totp/Drink%20Quick%20Cal%3Amanager%40bar.cm' +
+            `?secret=${SECRET}&issuer=Drink+Quick+Cal&algorithm=SHA1&digits=6&period=30`
+        );
+    });
+});
@@ -0,0 +1,67 @@
+const { generateRecoveryCodes, verifySecondFactor, isTwoFactorRequired } = require('../utils/two-factor.service');
+const { generateTotp } = require('../utils/totp');
+const { hashToken } = require('../utils/helpers');
+
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// A user row with its recovery code hashes, and the query that removes one
+const fakeDb = (codes) => {
+    const user = { id: 7, totp_secret: SECRET, totp_recovery_codes: codes.map(code => hashToken(code)) };
+
+    return {
+        user,
+        query: async(sql, params) => {
+            if (!sql.includes('array_remove(totp_recovery_codes')) throw new Error(`Unexpected query: ${sql}`);
+            const [hash, userId] = params;
+            if (userId !== user.id || !user.totp_recovery_codes.includes(hash)) return { rows: [] };
+            user.totp_recovery_codes = user.totp_recovery_codes.filter(stored => stored !== hash);
+            return { rows: [{ id: user.id }] };
+        }
+    };
+};
+
+describe('generateRecoveryCodes', () => {
+    it('returns ten distinct codes and only their hashes to store', () => {
+        const { codes, hashes } = generateRecoveryCodes();
+
+        expect(codes).toHaveLength(10);
+        expect(new Set(codes).size).toBe(10);
+        codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}$/));
+        expect(hashes).toEqual(codes.map(code => hashToken(code)));
+    });
+});
+
+describe('verifySecondFactor', () => {
+    it('accepts the current TOTP code', async() => {
+        const db = fakeDb([]);
+
+        expect(await verifySecondFactor(db, db.user, { totpCode: generateTotp(SECRET) }))
+            .toEqual({ valid: true, method: 'totp' });
+    });
+
+    it('accepts a recovery code once, however it is typed', async() => {
+        const db = fakeDb(['9f2c-41ab', '0d1e-77c3']);
+
+        expect(await verifySecondFactor(db, db.user, { recoveryCode: ' 9F2C-41AB ' }))
+            .toEqual({ valid: true, method: 'recovery_code' });
+        expect(await verifySecondFactor(db, db.user, { recoveryCode: '9f2c-41ab' })).toEqual({ valid: false });
+        expect(db.user.totp_recovery_codes).toEqual([hashToken('0d1e-77c3')]);
+    });
+
+    it('refuses a wrong or missing second factor', async() => {
+        const db = fakeDb(['9f2c-41ab']);
+
+        expect(await verifySecondFactor(db, db.user, { totpCode: '000000', recoveryCode: '0000-0000' })).toEqual({ valid: false });
+        expect(await verifySecondFactor(db, db.user, {})).toEqual({ valid: false });
+    });
+});
+
+describe('isTwoFactorRequired', () => {
+    const db = { query: async() => ({ rows: [{ require_manager_2fa: true }] }) };
+
+    it('follows the company policy for managers only', async() => {
+        expect(await isTwoFactorRequired(db, { role: 'Manager', company_id: 1 })).toBe(true);
+        expect(await isTwoFactorRequired(db, { role: 'Staff', company_id: 1 })).toBe(false);
+        expect(await isTwoFactorRequired(db, { role: 'Manager', company_id: null })).toBe(false);
+    });
+});
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { hashToken } = require('./helpers');
+
+// Keys look like "dq_3f9a1c...". The prefix lets verifySession tell them
+// apart from session JWTs; only the SHA-256 of the whole key is stored.
+const API_KEY_PREFIX = 'dq_';
+
+// How many characters are kept in clear so a key can be recognised in lists
+const DISPLAY_PREFIX_LENGTH = 10;
+
+const isApiKey = (value) => typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+
+const generateApiKey = () => {
+    const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+    return {
+        key,
+        prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+        hash: hashToken(key)
+    };
+};
+
+// Active (not revoked, not expired) key with its company, or null
+const findActiveApiKey = async(db, rawKey) => {
+    const result = await db.query(
+        `SELECT k.id, k.name, k.company_id, k.scopes, k.expires_at
+         FROM api_keys k
+         JOIN companies c ON k.company_id = c.id
+         WHERE k.key_hash = $1 AND k.revoked_at IS NULL
+           AND (k.expires_at IS NULL OR k.expires_at > NOW())
+           AND c.is_active = true`, [hashToken(rawKey)]
+    );
+    return result.rows[0] || null;
+};
+
+const touchApiKey = async(db, id, ipAddress) => {
+    await db.query(
+        'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2 WHERE id = $1', [id, ipAddress]
+    );
+};
+
+module.exports = {
+    API_KEY_PREFIX,
+    isApiKey,
+    generateApiKey,
+    findActiveApiKey,
+    touchApiKey
+};
@@ -0,0 +1,223 @@
+// Per-company rules deciding what happens when a Staff member logs in.
+//
+// A policy is an ordered list of rules; the first rule whose condition
+// matches decides. When none matches, the legacy behaviour applies: ask a
+// manager if the staff member already has a session elsewhere, otherwise
+// let them in.
+
+const POLICY_CONDITIONS = {
+    TRUSTED_DEVICE: 'trusted_device', // device registered by a manager
+    KNOWN_DEVICE: 'known_device', // device this staff member used before
+    UNKNOWN_DEVICE: 'unknown_device', // neither trusted nor used before
+    IN_SHIFT: 'in_shift', // inside the staff member's scheduled shift
+    OUTSIDE_SHIFT: 'outside_shift',
+    OUTSIDE_BUSINESS_HOURS: 'outside_business_hours',
+    HAS_ACTIVE_SESSION: 'has_active_session',
+    ANY: 'any'
+};
+
+const POLICY_ACTIONS = {
+    AUTO_APPROVE: 'auto_approve',
+    REQUIRE_APPROVAL: 'require_approval',
+    BLOCK: 'block'
+};
+
+const DEFAULT_RULE = 'default';
+const DEFAULT_TIMEZONE = 'Africa/Douala';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DEFAULT_POLICY = {
+    rules: [],
+    businessHours: null, // e.g. { days: [1, 2, 3, 4, 5, 6], start: '16:00', end: '02:00' }
+    timezone: DEFAULT_TIMEZONE
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Returns an error message, or null when the policy is valid
+const validatePolicy = (policy) => {
+    if (!policy || typeof policy !== 'object') return 'Policy must be an object';
+
+    if (!Array.isArray(policy.rules)) return 'rules must be an array';
+    for (const rule of policy.rules) {
+        if (!rule || typeof rule !== 'object') return 'Each rule needs a condition and an action';
+        if (!Object.values(POLICY_CONDITIONS).includes(rule.condition)) {
+            return `Unknown condition: ${rule.condition}`;
+        }
+        if (!Object.values(POLICY_ACTIONS).includes(rule.action)) {
+            return `Unknown action: ${rule.action}`;
+        }
+    }
+
+    if (policy.businessHours) {
+        const { days, start, end } = policy.businessHours;
+        if (!Array.isArray(days) || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+            return 'businessHours.days must be weekday numbers (0 = Sunday)';
+        }
+        if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+            return 'businessHours.start and end must be HH:MM';
+        }
+    }
+
+    if (policy.timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: policy.timezone });
+        } catch (error) {
+            return `Unknown timezone: ${policy.timezone}`;
+        }
+    }
+
+    return null;
+};
+
+// Weekday (0 = Sunday) and minutes since midnight in the company's timezone
+const localTime = (date, timezone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || DEFAULT_TIMEZONE,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false
+    }).formatToParts(date);
+
+    const get = (type) => parts.find(p => p.type === type).value;
+    return {
+        day: WEEKDAYS.indexOf(get('weekday')),
+        minutes: (parseInt(get('hour')) % 24) * 60 + parseInt(get('minute'))
+    };
+};
+
+const toMinutes = (time) => {
+    const [h, m] = String(time).split(':');
+    return parseInt(h) * 60 + parseInt(m);
+};
+
+// Is `now` inside a window that starts on `day`? Windows ending before they
+// start run past midnight into the next day.
+const inWindow = (now, day, start, end) => {
+    const startMin = toMinutes(start);
+    const endMin = toMinutes(end);
+
+    if (startMin <= endMin) {
+        return now.day === day && now.minutes >= startMin && now.minutes < endMin;
+    }
+    return (now.day === day && now.minutes >= startMin) ||
+        (now.day === (day + 1) % 7 && now.minutes < endMin);
+};
+
+const isWithinBusinessHours = (businessHours, now) => {
+    if (!businessHours) return true;
+    return businessHours.days.some(day => inWindow(now, day, businessHours.start, businessHours.end));
+};
+
+const loadPolicy = async(db, companyId) => {
+    if (!companyId) return DEFAULT_POLICY;
+    const result = await db.query('SELECT login_approval_policy FROM companies WHERE id = $1', [companyId]);
+    const stored = result.rows[0] && result.rows[0].login_approval_policy;
+    return stored ? { ...DEFAULT_POLICY, ...stored } : DEFAULT_POLICY;
+};
+
+// Gather only the facts the policy's rules actually need
+const collectFacts = async(db, { user, deviceId, hasActiveSession, policy, now }) => {
+    const needed = new Set(policy.rules.map(rule => rule.condition));
+    const facts = { hasActiveSession };
+
+    if (needed.has(POLICY_CONDITIONS.TRUSTED_DEVICE) || needed.has(POLICY_CONDITIONS.UNKNOWN_DEVICE)) {
+        const trusted = await db.query(
+            `SELECT id FROM trusted_devices
+             WHERE company_id = $1 AND device_id = $2 AND revoked_at IS NULL
+               AND (user_id IS NULL OR user_id = $3)
+             LIMIT 1`, [user.company_id, deviceId, user.id]
+        );
+        facts.trustedDevice = trusted.rows.length > 0;
+    }
+
+    if (needed.has(POLICY_CONDITIONS.KNOWN_DEVICE) || needed.has(POLICY_CONDITIONS.UNKNOWN_DEVICE)) {
+        const used = await db.query(
+            'SELECT id FROM user_sessions WHERE user_id = $1 AND device_id = $2 LIMIT 1', [user.id, deviceId]
+        );
+        facts.knownDevice = used.rows.length > 0;
+    }
+
+    if (needed.has(POLICY_CONDITIONS.IN_SHIFT) || needed.has(POLICY_CONDITIONS.OUTSIDE_SHIFT)) {
+        const shifts = await db.query(
+            'SELECT day_of_week, start_time, end_time FROM staff_shifts WHERE user_id = $1', [user.id]
+        );
+        facts.inShift = shifts.rows.some(shift => inWindow(now, shift.day_of_week, shift.start_time, shift.end_time));
+    }
+
+    facts.withinBusinessHours = isWithinBusinessHours(policy.businessHours, now);
+    return facts;
+};
+
+const conditionMatches = (condition, facts) => {
+    switch (condition) {
+        case POLICY_CONDITIONS.TRUSTED_DEVICE:
+            return facts.trustedDevice;
+        case POLICY_CONDITIONS.KNOWN_DEVICE:
+            return facts.knownDevice;
+        case POLICY_CONDITIONS.UNKNOWN_DEVICE:
+            return !facts.trustedDevice && !facts.knownDevice;
+        case POLICY_CONDITIONS.IN_SHIFT:
+            return facts.inShift;
+        case POLICY_CONDITIONS.OUTSIDE_SHIFT:
+            return !facts.inShift;
+        case POLICY_CONDITIONS.OUTSIDE_BUSINESS_HOURS:
+            return !facts.withinBusinessHours;
+        case POLICY_CONDITIONS.HAS_ACTIVE_SESSION:
+            return facts.hasActiveSession;
+        case POLICY_CONDITIONS.ANY:
+            return true;
+        default:
+            return false;
+    }
+};
+
+// Decide a Staff login. Resolves to { action, rule } where rule is the
+// condition of the deciding rule, or 'default'.
+const evaluateLoginPolicy = async(db, { user, deviceId, hasActiveSession, now = new Date() }) => {
+    const policy = await loadPolicy(db, user.company_id);
+    const local = localTime(now, policy.timezone);
+    const facts = await collectFacts(db, { user, deviceId, hasActiveSession, policy, now: local });
+
+    for (const rule of policy.rules) {
+        if (conditionMatches(rule.condition, facts)) {
+            return { action: rule.action, rule: rule.condition };
+        }
+    }
+
+    return {
+        action: hasActiveSession ? POLICY_ACTIONS.REQUIRE_APPROVAL : POLICY_ACTIONS.AUTO_APPROVE,
+        rule: DEFAULT_RULE
+    };
+};
+
+// Write an automatic decision to approval_logs (manager_id stays NULL)
+const recordPolicyDecision = async(db, { user, deviceName, action, rule, requestToken = null }) => {
+    const label = action === POLICY_ACTIONS.BLOCK ? 'blocked' : 'auto_approved';
+    await db.query(
+        `INSERT INTO approval_logs (request_token, manager_id, staff_id, staff_name, device_name, action, rule, details, timestamp)
+         VALUES ($1, NULL, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)`, [
+            requestToken,
+            user.id,
+            user.username,
+            deviceName,
+            label,
+            rule,
+            `${label === 'blocked' ? '⛔ Blocked' : '✅ Auto-approved'} by policy rule "${rule}" - Staff ${user.username} on ${deviceName}`
+        ]
+    );
+};
+
+module.exports = {
+    POLICY_CONDITIONS,
+    POLICY_ACTIONS,
+    DEFAULT_POLICY,
+    TIME_PATTERN,
+    localTime,
+    inWindow,
+    validatePolicy,
+    loadPolicy,
+    evaluateLoginPolicy,
+    recordPolicyDecision
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { hashToken } = require('./helpers');
+const { AUTH_CODE_MAX_ATTEMPTS } = require('./constants');
+
+// 6-digit code for email verification and password reset
+const generateCode = () => crypto.randomInt(100000, 1000000).toString();
+
+// Create a new code for (user, purpose). Older unused codes for the same
+// purpose are retired, codes of other purposes are left alone.
+const issueAuthCode = async(db, { userId, email, purpose, ttlMinutes }) => {
+    const code = generateCode();
+
+    await db.query(
+        `UPDATE auth_codes SET consumed = true, consumed_at = NOW()
+         WHERE user_id = $1 AND purpose = $2 AND consumed = false`, [userId, purpose]
+    );
+
+    await db.query(
+        `INSERT INTO auth_codes (user_id, email, purpose, code_hash, expires_at)
+         VALUES ($1, $2, $3, $4, NOW() + ($5 || ' minutes')::INTERVAL)`, [userId, email, purpose, hashToken(code), String(ttlMinutes)]
+    );
+
+    return code;
+};
+
+// Check a code against the latest open code for (email, purpose).
+// Every check counts towards AUTH_CODE_MAX_ATTEMPTS; once reached with a
+// wrong guess the code is burnt and a new one must be requested.
+// Resolves to { valid, reason, userId, attemptsLeft }.
+const checkAuthCode = async(db, { email, purpose, code, consume = false }) => {
+    const result = await db.query(
+        `SELECT id, user_id, code_hash, attempts, expires_at
+         FROM auth_codes
+         WHERE email = $1 AND purpose = $2 AND consumed = false
+         ORDER BY created_at DESC
+         LIMIT 1`, [email, purpose]
+    );
+
+    if (result.rows.length === 0) {
+        return { valid: false, reason: 'not_found' };
+    }
+
+    const stored = result.rows[0];
+
+    if (new Date(stored.expires_at) < new Date()) {
+        await db.query('UPDATE auth_codes SET consumed = true, consumed_at = NOW() WHERE id = $1', [stored.id]);
+        return { valid: false, reason: 'expired' };
+    }
+
+    // Reserve the attempt before comparing so parallel guesses cannot
+    // get past the limit
+    const reserved = await db.query(
+        `UPDATE auth_codes SET attempts = attempts + 1
+         WHERE id = $1 AND consumed = false AND attempts < $2
+         RETURNING attempts`, [stored.id, AUTH_CODE_MAX_ATTEMPTS]
+    );
+
+    if (reserved.rows.length === 0) {
+        return { valid: false, reason: 'too_many_attempts', attemptsLeft: 0 };
+    }
+
+    const attemptsLeft = AUTH_CODE_MAX_ATTEMPTS - reserved.rows[0].attempts;
+    const given = Buffer.from(hashToken(String(code)));
+    const expected = Buffer.from(stored.code_hash);
+    const matches = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+
+    if (!matches) {
+        if (attemptsLeft === 0) {
+            await db.query('UPDATE auth_codes SET consumed = true, consumed_at = NOW() WHERE id = $1', [stored.id]);
+            return { valid: false, reason: 'too_many_attempts', attemptsLeft };
+        }
+        return { valid: false, reason: 'invalid', attemptsLeft };
+    }
+
+    if (consume) {
+        await db.query('UPDATE auth_codes SET consumed = true, consumed_at = NOW() WHERE id = $1', [stored.id]);
+    }
+
+    return { valid: true, userId: stored.user_id };
+};
+
+// Human readable message for a failed checkAuthCode result
+const authCodeErrorMessage = (check) => {
+    switch (check.reason) {
+        case 'not_found':
+            return 'No active code found. Please request a new one.';
+        case 'expired':
+            return 'Code expired. Please request a new one.';
+        case 'too_many_attempts':
+            return 'Too many incorrect attempts. Please request a new code.';
+        default:
+            return `Invalid code. ${check.attemptsLeft} attempt(s) left.`;
+    }
+};
+
+module.exports = {
+    issueAuthCode,
+    checkAuthCode,
+    authCodeErrorMessage
+};
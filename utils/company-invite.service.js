@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { ROLES } = require('./constants');
+
+// Roles an invite may grant. Administrators are never invited.
+const INVITE_ROLES = [ROLES.STAFF, ROLES.MANAGER];
+
+// No 0/O or 1/I, codes get read out loud across the bar
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+const generateInviteCode = () => {
+    let code = '';
+    for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+        code += INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)];
+    }
+    return code;
+};
+
+const normalizeInviteCode = (code) => String(code || '').trim().toUpperCase();
+
+const createInvite = async(db, { companyId, role = ROLES.STAFF, maxUses = null, expiresAt = null, createdBy = null }) => {
+    const result = await db.query(
+        `INSERT INTO company_invites (company_id, code, role, max_uses, expires_at, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`, [companyId, generateInviteCode(), role, maxUses, expiresAt, createdBy]
+    );
+    return result.rows[0];
+};
+
+const USABLE_INVITE_SQL = `
+    i.code = $1
+    AND i.revoked_at IS NULL
+    AND (i.expires_at IS NULL OR i.expires_at > NOW())
+    AND (i.max_uses IS NULL OR i.use_count < i.max_uses)
+    AND c.is_active = true`;
+
+// Look an invite up without using it (for the join screen)
+const findUsableInvite = async(db, code) => {
+    const result = await db.query(
+        `SELECT i.*, c.name AS company_name, c.code AS company_code
+         FROM company_invites i
+         JOIN companies c ON i.company_id = c.id
+         WHERE ${USABLE_INVITE_SQL}`, [normalizeInviteCode(code)]
+    );
+    return result.rows[0] || null;
+};
+
+// Count one use atomically so max_uses cannot be overrun by parallel sign-ups.
+// Resolves to { company_id, role } or null.
+const redeemInvite = async(db, code) => {
+    const result = await db.query(
+        `UPDATE company_invites i
+         SET use_count = i.use_count + 1, last_used_at = CURRENT_TIMESTAMP
+         FROM companies c
+         WHERE i.company_id = c.id AND ${USABLE_INVITE_SQL}
+         RETURNING i.id, i.company_id, i.role`, [normalizeInviteCode(code)]
+    );
+    return result.rows[0] || null;
+};
+
+module.exports = {
+    INVITE_ROLES,
+    generateInviteCode,
+    createInvite,
+    findUsableInvite,
+    redeemInvite
+};
@@ -6,8 +6,6 @@ module.exports = {
         CUSTOMER: 'Customer'
     },
 
-    DRINK_CATEGORIES: ['Beer', 'Wine', 'Cocktail', 'Soft Drink', 'Other'],
-
     ORDER_STATUS: {
         PENDING: 'pending',
         COMPLETED: 'completed',
@@ -19,12 +17,35 @@ module.exports = {
 
     DEFAULT_DRINK_IMAGE: 'https://via.placeholder.com/150/667EEA/FFFFFF?text=Drink',
 
-    DEFAULT_PRICES: {
-        'Beer': 800,
-        'Wine': 3000,
-        'Cocktail': 3500,
-        'Soft Drink': 700,
-        'Other': 1000
+    // Categories a company starts with; each company renames, reorders,
+    // archives or adds to them (drink_categories table)
+    STARTER_DRINK_CATEGORIES: [
+        { name: 'Beer', defaultPrice: 800, icon: '🍺', color: '#F6AD55' },
+        { name: 'Wine', defaultPrice: 3000, icon: '🍷', color: '#9B2C2C' },
+        { name: 'Cocktail', defaultPrice: 3500, icon: '🍹', color: '#ED64A6' },
+        { name: 'Soft Drink', defaultPrice: 700, icon: '🥤', color: '#4299E1' },
+        { name: 'Other', defaultPrice: 1000, icon: '🍽️', color: '#718096' }
+    ],
+
+    // Drink and profile images: accepted uploads and the sizes they are stored at
+    IMAGE_UPLOAD: {
+        MAX_SIZE: 5 * 1024 * 1024,
+        ALLOWED_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+        FULL_SIZE: 1024,
+        THUMBNAIL_SIZE: 200
+    },
+
+    // Menu spreadsheets (import and export of the drinks catalog)
+    MENU_FILE: {
+        MAX_SIZE: 2 * 1024 * 1024,
+        MAX_ROWS: 2000,
+        FORMATS: ['csv', 'xlsx']
+    },
+
+    DRINK_CATEGORY: {
+        NAME_MAX_LENGTH: 50,
+        ICON_MAX_LENGTH: 16,
+        COLOR_PATTERN: /^#[0-9A-Fa-f]{6}$/
     },
 
     SECURITY_QUESTIONS: [
@@ -46,6 +67,75 @@ module.exports = {
         CONFLICT: 'conflict'
     },
 
+    AUTH_CODE_PURPOSES: {
+        VERIFY_EMAIL: 'verify_email',
+        PASSWORD_RESET: 'password_reset'
+    },
+
+    AUTH_CODE_MAX_ATTEMPTS: 5,
+
+    // How long the acceptance link in a staff invitation email stays valid
+    STAFF_INVITATION_HOURS: 72,
+
+    LOGIN_PROTECTION: {
+        MAX_ACCOUNT_ATTEMPTS: 5,
+        MAX_IP_ATTEMPTS: 20,
+        WINDOW_MINUTES: 15,
+        LOCK_MINUTES: 15,
+        MAX_DELAY_MS: 8000,
+        // login_attempts.identifier is VARCHAR(100)
+        IDENTIFIER_MAX_LENGTH: 100
+    },
+
+    // Shared bar terminals: operators unlock with a PIN, the terminal locks itself when idle
+    TERMINAL: {
+        PIN_PATTERN: /^\d{4,6}$/,
+        PIN_MAX_ATTEMPTS: 5,
+        PIN_LOCK_MINUTES: 5,
+        DEFAULT_IDLE_LOCK_MINUTES: 5,
+        MAX_IDLE_LOCK_MINUTES: 120
+    },
+
+    // Named permissions checked by requirePermission(). Roles are per-company
+    // bundles of these; Administrators always hold all of them.
+    PERMISSIONS: {
+        ORDERS_CREATE: 'orders.create',
+        ORDERS_VIEW_ALL: 'orders.view_all',
+        ORDERS_VOID: 'orders.void',
+        DRINKS_VIEW: 'drinks.view',
+        DRINKS_MANAGE: 'drinks.manage',
+        DRINKS_EDIT_PRICE: 'drinks.edit_price',
+        PAYMENTS_CREATE: 'payments.create',
+        PAYMENTS_VIEW_HISTORY: 'payments.view_history',
+        PAYMENTS_VIEW_STATS: 'payments.view_stats',
+        PAYMENTS_CONFIGURE: 'payments.configure',
+        STAFF_VIEW: 'staff.view',
+        STAFF_MANAGE: 'staff.manage',
+        STAFF_MANAGE_SESSIONS: 'staff.manage_sessions',
+        STAFF_APPROVE_LOGIN: 'staff.approve_login',
+        STAFF_SHIFT_LEAD: 'staff.shift_lead',
+        AUDIT_VIEW: 'audit.view',
+        COMPANY_SETTINGS: 'company.settings',
+        OUTLETS_MANAGE: 'outlets.manage',
+        ROLES_MANAGE: 'roles.manage',
+        API_KEYS_MANAGE: 'api_keys.manage',
+        TERMINALS_MANAGE: 'terminals.manage'
+    },
+
+    // Bundles a company starts with before it edits them
+    DEFAULT_ROLE_PERMISSIONS: {
+        Manager: [
+            'orders.create', 'orders.view_all', 'orders.void',
+            'drinks.view', 'drinks.manage', 'drinks.edit_price',
+            'payments.create', 'payments.view_history', 'payments.view_stats', 'payments.configure',
+            'staff.view', 'staff.manage', 'staff.manage_sessions', 'staff.approve_login',
+            'audit.view', 'company.settings', 'outlets.manage', 'roles.manage', 'api_keys.manage',
+            'terminals.manage'
+        ],
+        Staff: ['orders.create', 'drinks.view', 'payments.create'],
+        Customer: []
+    },
+
     EMAIL_TEMPLATES: {
         PASSWORD_RESET: 'password_reset',
         WELCOME: 'welcome',
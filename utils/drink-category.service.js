@@ -0,0 +1,46 @@
+const { STARTER_DRINK_CATEGORIES } = require('./constants');
+
+// Give a company the starter categories the first time it needs any.
+// Companies that already have categories (even all archived) are left alone.
+const ensureDefaultCategories = async(db, companyId) => {
+    const existing = await db.query('SELECT 1 FROM drink_categories WHERE company_id = $1 LIMIT 1', [companyId]);
+    if (existing.rows.length > 0) return;
+
+    for (const [index, category] of STARTER_DRINK_CATEGORIES.entries()) {
+        await db.query(
+            `INSERT INTO drink_categories (company_id, name, default_price, icon, color, sort_order)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT DO NOTHING`, [companyId, category.name, category.defaultPrice, category.icon, category.color, index]
+        );
+    }
+};
+
+// Active (not archived) category of the company, by id or by name, or null
+const findActiveCategory = async(db, companyId, { id, name }) => {
+    const result = id ?
+        await db.query(
+            'SELECT * FROM drink_categories WHERE id = $1 AND company_id = $2 AND archived_at IS NULL', [parseInt(id), companyId]
+        ) :
+        await db.query(
+            'SELECT * FROM drink_categories WHERE LOWER(name) = LOWER($1) AND company_id = $2 AND archived_at IS NULL', [String(name).trim(), companyId]
+        );
+    return result.rows[0] || null;
+};
+
+// Category a drink request points at: categoryId, or the category name older
+// app versions send. Resolves to { category } or { error }.
+const resolveDrinkCategory = async(db, companyId, { categoryId, category }) => {
+    if (!categoryId && !category) {
+        return { error: 'Category is required' };
+    }
+
+    await ensureDefaultCategories(db, companyId);
+    const found = await findActiveCategory(db, companyId, categoryId ? { id: categoryId } : { name: category });
+    return found ? { category: found } : { error: 'Category not found or archived' };
+};
+
+module.exports = {
+    ensureDefaultCategories,
+    findActiveCategory,
+    resolveDrinkCategory
+};
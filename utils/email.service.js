@@ -92,4 +92,55 @@ const sendVerificationEmail = async (userEmail, code, username) => {
   return await sendEmail(userEmail, '✅ Verify Your Email - Drink Quick Cal', html);
 };
 
-module.exports = { sendResetCodeEmail, sendWelcomeEmail, sendVerificationEmail };
+// ============================================================
+// ACCOUNT LOCKED NOTICE
+// ============================================================
+const sendAccountLockedEmail = async (userEmail, username, minutes) => {
+  const html = `
+    <div style="font-family:Arial;max-width:500px;margin:0 auto;background:white;border-radius:15px;overflow:hidden;box-shadow:0 4px 15px rgba(0,0,0,0.1);">
+      <div style="background:linear-gradient(135deg,#E53935,#B71C1C);padding:30px;text-align:center;">
+        <h1 style="color:white;margin:0;">🍹 Drink Quick Cal</h1>
+        <p style="color:rgba(255,255,255,0.8);">Account Temporarily Locked</p>
+      </div>
+      <div style="padding:30px;">
+        <h2>Hello ${username || 'there'}!</h2>
+        <p>We noticed several failed login attempts on your account, so we locked it for <strong>${minutes} minutes</strong>.</p>
+        <p>You can try again after that, reset your password, or ask your manager to unlock you.</p>
+        <div style="background:#FFF8E1;border-left:4px solid #FFA000;padding:12px;border-radius:5px;font-size:12px;color:#8B6914;">
+          ⚠️ If this wasn't you, reset your password as soon as the lock ends.
+        </div>
+      </div>
+    </div>`;
+  return await sendEmail(userEmail, '🔒 Account Locked - Drink Quick Cal', html);
+};
+
+// ============================================================
+// STAFF INVITATION (link to set their own password)
+// ============================================================
+const sendStaffInvitationEmail = async (userEmail, token, { companyName, inviterName, hours }) => {
+  const acceptUrl = `https://drink-quick-cal-kja1.onrender.com/accept-invite.html?token=${token}`;
+  
+  const html = `
+    <div style="font-family:Arial;max-width:500px;margin:0 auto;background:white;border-radius:15px;overflow:hidden;box-shadow:0 4px 15px rgba(0,0,0,0.1);">
+      <div style="background:linear-gradient(135deg,#667EEA,#764BA2);padding:30px;text-align:center;">
+        <h1 style="color:white;margin:0;">🍹 Drink Quick Cal</h1>
+        <p style="color:rgba(255,255,255,0.8);">You're Invited</p>
+      </div>
+      <div style="padding:30px;">
+        <h2>Hello! 👋</h2>
+        <p>${inviterName || 'Your manager'} invited you to join <strong>${companyName}</strong> on Drink Quick Cal.</p>
+        <p>Click the button below to choose your username and password:</p>
+        <div style="text-align:center;margin:30px 0;">
+          <a href="${acceptUrl}" style="background:#667EEA;color:white;padding:15px 40px;border-radius:10px;text-decoration:none;font-weight:bold;font-size:16px;display:inline-block;">🎉 Accept Invitation</a>
+        </div>
+        <p style="color:#888;font-size:12px;">This link expires in ${hours} hours.</p>
+        <div style="background:#FFF8E1;border-left:4px solid #FFA000;padding:12px;border-radius:5px;font-size:12px;color:#8B6914;">
+          ⚠️ If you weren't expecting this invitation, please ignore this email.
+        </div>
+      </div>
+    </div>`;
+  
+  return await sendEmail(userEmail, `🎉 Join ${companyName} on Drink Quick Cal`, html);
+};
+
+module.exports = { sendResetCodeEmail, sendWelcomeEmail, sendVerificationEmail, sendAccountLockedEmail, sendStaffInvitationEmail };
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 
 // Generate random string
 const generateRandomString = (length = 10) => {
@@ -145,6 +146,33 @@ const validatePasswordStrength = (password) => {
     return { isValid: password.length >= minLength, message, level };
 };
 
+// Hash password (same cost factor as the User model)
+const hashPassword = async(password) => {
+    const salt = await bcrypt.genSalt(10);
+    return await bcrypt.hash(password, salt);
+};
+
+// Check whether a stored password is already a bcrypt hash
+const isPasswordHashed = (stored) => {
+    return typeof stored === 'string' && /^\$2[aby]\$\d{2}\$.{53}$/.test(stored);
+};
+
+// Compare a candidate password with a stored one.
+// Legacy rows hold the raw password, so those are compared in constant time
+// and reported with needsRehash so the caller can upgrade them.
+const verifyPassword = async(candidate, stored) => {
+    if (!candidate || !stored) return { match: false, needsRehash: false };
+
+    if (isPasswordHashed(stored)) {
+        return { match: await bcrypt.compare(candidate, stored), needsRehash: false };
+    }
+
+    const a = Buffer.from(String(candidate));
+    const b = Buffer.from(String(stored));
+    const match = a.length === b.length && crypto.timingSafeEqual(a, b);
+    return { match, needsRehash: match };
+};
+
 // Format date
 const formatDate = (date, format = 'DD/MM/YYYY HH:mm') => {
     const d = new Date(date);
@@ -181,5 +209,8 @@ module.exports = {
     hashToken,
     isValidEmail,
     validatePasswordStrength,
+    hashPassword,
+    isPasswordHashed,
+    verifyPassword,
     formatDate
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { IMAGE_UPLOAD } = require('./constants');
+const { getStorage } = require('./storage.service');
+
+// An uploaded image is stored twice from one base key: "<key>.webp" at most
+// FULL_SIZE px wide/high and "<key>_thumb.webp", a THUMBNAIL_SIZE px square.
+// Rows keep the base key so both files can be replaced or removed together.
+
+const THUMBNAIL_SUFFIX = '_thumb';
+
+// Resolves to { imageUrl, thumbnailUrl, key }. Rejects with error.invalidImage
+// set when the bytes are not an image sharp can read.
+const storeImage = async(buffer, { folder }) => {
+    let full;
+    let thumbnail;
+    try {
+        // rotate() applies the EXIF orientation phones write instead of turning the pixels
+        full = await sharp(buffer)
+            .rotate()
+            .resize(IMAGE_UPLOAD.FULL_SIZE, IMAGE_UPLOAD.FULL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 82 })
+            .toBuffer();
+        thumbnail = await sharp(buffer)
+            .rotate()
+            .resize(IMAGE_UPLOAD.THUMBNAIL_SIZE, IMAGE_UPLOAD.THUMBNAIL_SIZE, { fit: 'cover' })
+            .webp({ quality: 75 })
+            .toBuffer();
+    } catch (error) {
+        error.invalidImage = true;
+        throw error;
+    }
+
+    const key = `${folder}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const storage = getStorage();
+
+    const imageUrl = await storage.save(`${key}.webp`, full, 'image/webp');
+    const thumbnailUrl = await storage.save(`${key}${THUMBNAIL_SUFFIX}.webp`, thumbnail, 'image/webp');
+
+    return { imageUrl, thumbnailUrl, key };
+};
+
+// Best effort: a file we cannot delete only wastes space
+const removeImage = async(key) => {
+    if (!key) return;
+
+    const storage = getStorage();
+    try {
+        await storage.remove(`${key}.webp`);
+        await storage.remove(`${key}${THUMBNAIL_SUFFIX}.webp`);
+    } catch (error) {
+        console.error(`⚠️ Could not remove image ${key} from ${storage.name} storage:`, error.message);
+    }
+};
+
+module.exports = {
+    storeImage,
+    removeImage
+};
@@ -0,0 +1,126 @@
+const { ROLES, PERMISSIONS } = require('./constants');
+const { notifyUser } = require('./realtime.service');
+const { hasPermission, findUsersWithPermission } = require('./permission.service');
+
+// Who may answer a pending Staff login request. A request starts with the
+// company's managers and, if nobody answers, is offered to shift leads
+// (holders of staff.shift_lead) after escalate_to_deputy_after minutes and pushed to Administrators after
+// escalate_to_admin_after minutes. Both settings are per company; NULL
+// disables that step.
+const ESCALATION_LEVELS = {
+    MANAGERS: 0,
+    DEPUTIES: 1,
+    ADMINISTRATORS: 2
+};
+
+const ESCALATION_INTERVAL_MS = 30 * 1000;
+
+// Users holding an approval delegation that covers right now
+const findActiveDelegateIds = async(db, companyId) => {
+    const result = await db.query(
+        `SELECT DISTINCT delegate_id FROM approval_delegations
+         WHERE company_id = $1 AND revoked_at IS NULL AND starts_at <= NOW() AND ends_at > NOW()`, [companyId]
+    );
+    return result.rows.map(row => row.delegate_id);
+};
+
+// Lowest escalation level of requests this user may answer, or null when
+// they cannot approve logins at all
+const getApprovalLevel = async(db, user) => {
+    if (!user.company_id) return null;
+    if (await hasPermission(db, user, PERMISSIONS.STAFF_APPROVE_LOGIN)) return ESCALATION_LEVELS.MANAGERS;
+
+    const delegates = await findActiveDelegateIds(db, user.company_id);
+    if (delegates.includes(user.id)) return ESCALATION_LEVELS.MANAGERS;
+
+    if (await hasPermission(db, user, PERMISSIONS.STAFF_SHIFT_LEAD)) return ESCALATION_LEVELS.DEPUTIES;
+
+    return null;
+};
+
+// Shift leads who do not approve logins already; those saw the request when it came in
+const findShiftLeads = async(db, companyId) => {
+    const approvers = await findUsersWithPermission(db, companyId, PERMISSIONS.STAFF_APPROVE_LOGIN);
+    const approverIds = approvers.map(user => user.id);
+    const shiftLeads = await findUsersWithPermission(db, companyId, PERMISSIONS.STAFF_SHIFT_LEAD);
+    return shiftLeads.filter(user => !approverIds.includes(user.id));
+};
+
+// Delegates are not in the managers room, so new requests reach them here
+const notifyDelegates = async(db, companyId, event, payload) => {
+    const delegates = await findActiveDelegateIds(db, companyId);
+    delegates.forEach(id => notifyUser(id, event, payload));
+};
+
+const escalateTo = async(db, { level, afterColumn, findRecipients }) => {
+    const escalated = await db.query(
+        `UPDATE login_requests lr
+         SET escalation_level = $1, escalated_at = NOW()
+         FROM users u, companies c
+         WHERE lr.user_id = u.id AND u.company_id = c.id
+           AND lr.status = 'pending' AND lr.expires_at > NOW()
+           AND lr.escalation_level < $1
+           AND c.${afterColumn} IS NOT NULL
+           AND lr.request_time <= NOW() - (c.${afterColumn} * INTERVAL '1 minute')
+         RETURNING lr.request_token, lr.device_name, lr.request_time, lr.expires_at,
+                   u.id AS staff_id, u.username AS staff_username, u.company_id`, [level]
+    );
+
+    for (const request of escalated.rows) {
+        const recipients = await findRecipients(db, request.company_id);
+        const payload = {
+            requestToken: request.request_token,
+            staffId: request.staff_id,
+            staffUsername: request.staff_username,
+            deviceName: request.device_name,
+            requestTime: request.request_time,
+            expiresAt: request.expires_at,
+            escalationLevel: level
+        };
+        recipients.forEach(row => notifyUser(row.id, 'login-request:escalated', payload));
+        console.log(`⏫ Login request from ${request.staff_username} escalated to level ${level} (${recipients.length} recipient(s))`);
+    }
+
+    return escalated.rowCount;
+};
+
+// Move unanswered requests up the chain. Administrators are checked first
+// so a request past both thresholds lands at the top in one pass.
+const escalatePendingRequests = async(db) => {
+    const toAdmins = await escalateTo(db, {
+        level: ESCALATION_LEVELS.ADMINISTRATORS,
+        afterColumn: 'escalate_to_admin_after',
+        findRecipients: async(db, companyId) => {
+            const result = await db.query(
+                'SELECT id FROM users WHERE company_id = $1 AND role = $2 AND is_active = true', [companyId, ROLES.ADMIN]
+            );
+            return result.rows;
+        }
+    });
+    const toDeputies = await escalateTo(db, {
+        level: ESCALATION_LEVELS.DEPUTIES,
+        afterColumn: 'escalate_to_deputy_after',
+        findRecipients: findShiftLeads
+    });
+    return toAdmins + toDeputies;
+};
+
+const startEscalationJob = (db, intervalMs = ESCALATION_INTERVAL_MS) => {
+    const timer = setInterval(() => {
+        escalatePendingRequests(db).catch(error => {
+            console.error('❌ Login escalation error:', error.message);
+        });
+    }, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    ESCALATION_LEVELS,
+    findActiveDelegateIds,
+    findShiftLeads,
+    getApprovalLevel,
+    notifyDelegates,
+    escalatePendingRequests,
+    startEscalationJob
+};
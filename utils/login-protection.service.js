@@ -0,0 +1,77 @@
+const { LOGIN_PROTECTION } = require('./constants');
+
+// Failed logins from this IP inside the current window
+const countIpFailures = async(db, ip) => {
+    const result = await db.query(
+        `SELECT COUNT(*) FROM login_attempts
+         WHERE ip_address = $1 AND created_at > NOW() - ($2 || ' minutes')::INTERVAL`, [ip, String(LOGIN_PROTECTION.WINDOW_MINUTES)]
+    );
+    return parseInt(result.rows[0].count);
+};
+
+// Minutes left on an account lock, or 0 when the account is not locked
+const lockMinutesRemaining = (user) => {
+    if (!user.lock_until) return 0;
+    const remaining = new Date(user.lock_until).getTime() - Date.now();
+    return remaining > 0 ? Math.ceil(remaining / 60000) : 0;
+};
+
+// Delay grows with each failure: 0, 0, 500ms, 1s, 2s ... capped at MAX_DELAY_MS
+const progressiveDelay = (failures) => {
+    if (failures < 2) return Promise.resolve();
+    const ms = Math.min(250 * Math.pow(2, failures - 1), LOGIN_PROTECTION.MAX_DELAY_MS);
+    return new Promise(resolve => setTimeout(resolve, ms));
+};
+
+// Record a failed login for the IP and, when known, the account.
+// Resolves to { attempts, locked } for the account (attempts is 0 when unknown).
+const recordFailedLogin = async(db, { userId, identifier, ip }) => {
+    // Whatever was typed as the email/username is kept, cut to fit the column
+    const typed = identifier ? String(identifier).slice(0, LOGIN_PROTECTION.IDENTIFIER_MAX_LENGTH) : null;
+    await db.query(
+        'INSERT INTO login_attempts (user_id, identifier, ip_address) VALUES ($1, $2, $3)', [userId || null, typed, ip]
+    );
+
+    if (!userId) return { attempts: 0, locked: false };
+
+    // An expired lock starts the count again at 1
+    const result = await db.query(
+        `UPDATE users
+         SET failed_login_attempts = CASE
+               WHEN lock_until IS NOT NULL AND lock_until < NOW() THEN 1
+               ELSE COALESCE(failed_login_attempts, 0) + 1
+             END,
+             lock_until = CASE
+               WHEN lock_until IS NOT NULL AND lock_until < NOW() THEN NULL
+               ELSE lock_until
+             END
+         WHERE id = $1
+         RETURNING failed_login_attempts`, [userId]
+    );
+
+    const attempts = result.rows[0] ? result.rows[0].failed_login_attempts : 0;
+
+    if (attempts >= LOGIN_PROTECTION.MAX_ACCOUNT_ATTEMPTS) {
+        await db.query(
+            `UPDATE users SET lock_until = NOW() + ($2 || ' minutes')::INTERVAL WHERE id = $1`, [userId, String(LOGIN_PROTECTION.LOCK_MINUTES)]
+        );
+        return { attempts, locked: true };
+    }
+
+    return { attempts, locked: false };
+};
+
+// Clear the account counters after a successful login or a manager unlock
+const resetLoginAttempts = async(db, userId) => {
+    await db.query(
+        'UPDATE users SET failed_login_attempts = 0, lock_until = NULL WHERE id = $1', [userId]
+    );
+};
+
+module.exports = {
+    countIpFailures,
+    lockMinutesRemaining,
+    progressiveDelay,
+    recordFailedLogin,
+    resetLoginAttempts
+};
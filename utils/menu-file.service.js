@@ -0,0 +1,179 @@
+const ExcelJS = require('exceljs');
+const { MENU_FILE } = require('./constants');
+
+// Reading and writing menu spreadsheets. A menu file has one row per drink,
+// or one row per variant for drinks sold in several sizes (the drink columns
+// are then repeated on each of its rows). Headers are matched loosely:
+// "Variant Price", "variant_price" and "variantprice" are the same column.
+
+const MENU_COLUMNS = [
+    { key: 'name', header: 'Name' },
+    { key: 'category', header: 'Category' },
+    { key: 'price', header: 'Price' },
+    { key: 'description', header: 'Description' },
+    { key: 'tags', header: 'Tags' },
+    { key: 'alcoholContent', header: 'Alcohol %' },
+    { key: 'volume', header: 'Volume' },
+    { key: 'unit', header: 'Unit' },
+    { key: 'variant', header: 'Variant' },
+    { key: 'variantSize', header: 'Variant Size' },
+    { key: 'variantUnit', header: 'Variant Unit' },
+    { key: 'variantPrice', header: 'Variant Price' },
+    { key: 'cost', header: 'Cost' },
+    { key: 'sku', header: 'SKU' }
+];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const HEADER_KEYS = MENU_COLUMNS.reduce((keys, column) => {
+    keys[normalizeHeader(column.header)] = column.key;
+    keys[normalizeHeader(column.key)] = column.key;
+    return keys;
+}, { alcohol: 'alcoholContent' });
+
+// "csv" or "xlsx" from a file name, or null
+const menuFileFormat = (filename) => {
+    const extension = String(filename || '').split('.').pop().toLowerCase();
+    return MENU_FILE.FORMATS.includes(extension) ? extension : null;
+};
+
+// Rows of a CSV text. Separator is "," or ";" (what spreadsheets use where
+// the decimal mark is a comma), whichever the header line has more of.
+const parseCsv = (text) => {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+const readXlsx = async(buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        const cells = [];
+        for (let column = 1; column <= sheet.columnCount; column++) {
+            cells.push(row.getCell(column).text);
+        }
+        rows[rowNumber - 1] = cells;
+    });
+    return Array.from(rows, cells => cells || []);
+};
+
+// Parse an uploaded menu file into [{ rowNumber, values: { name, price, ... } }]
+// (values are trimmed strings, blank cells left out; rowNumber is the
+// spreadsheet line, header = 1). Rejects with error.invalidFile set and a
+// message for the user when the file cannot be used.
+const parseMenuFile = async(buffer, format) => {
+    const invalid = (message) => Object.assign(new Error(message), { invalidFile: true });
+
+    let table;
+    try {
+        table = format === 'xlsx' ? await readXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+    } catch (error) {
+        throw invalid(`Could not read the ${format.toUpperCase()} file`);
+    }
+
+    const headers = (table[0] || []).map(header => HEADER_KEYS[normalizeHeader(header)] || null);
+    if (!headers.includes('name') && !headers.includes('sku')) {
+        throw invalid('The first row must hold the column headers, with at least a Name or SKU column');
+    }
+
+    const rows = [];
+    for (let index = 1; index < table.length; index++) {
+        const values = {};
+        headers.forEach((key, column) => {
+            // A leading apostrophe is how our CSV export keeps text from being read as a formula
+            const value = String(table[index][column] || '').trim().replace(/^'(?=[=+\-@])/, '');
+            if (key && value !== '') values[key] = value;
+        });
+        if (Object.keys(values).length === 0) continue;
+
+        rows.push({ rowNumber: index + 1, values });
+    }
+
+    if (rows.length > MENU_FILE.MAX_ROWS) {
+        throw invalid(`A menu file can have at most ${MENU_FILE.MAX_ROWS} rows`);
+    }
+    return rows;
+};
+
+const csvField = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Spreadsheets run cells starting with these as formulas
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a menu file from rows keyed like MENU_COLUMNS. Resolves to a Buffer.
+const writeMenuFile = async(rows, format) => {
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Menu');
+        sheet.columns = MENU_COLUMNS.map(column => ({ header: column.header, key: column.key, width: column.key === 'description' ? 40 : 16 }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.addRows(rows);
+        return Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+
+    const lines = [MENU_COLUMNS.map(column => column.header).join(',')];
+    for (const row of rows) {
+        lines.push(MENU_COLUMNS.map(column => csvField(row[column.key])).join(','));
+    }
+    // The BOM makes Excel open the file as UTF-8
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+};
+
+module.exports = {
+    MENU_COLUMNS,
+    CONTENT_TYPES,
+    menuFileFormat,
+    parseMenuFile,
+    writeMenuFile
+};
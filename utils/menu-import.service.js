@@ -0,0 +1,420 @@
+const { DEFAULT_DRINK_IMAGE } = require('./constants');
+const { ensureDefaultCategories } = require('./drink-category.service');
+
+// Menu import works in two steps so the same code gives the dry-run preview
+// and the real import:
+//   planMenuImport()  reads the catalog, checks every row and lists what it
+//                     would create or change (nothing is written)
+//   applyMenuImport() runs that list, inside the caller's transaction
+// A row updates an existing drink when its SKU belongs to one of the drink's
+// variants or, failing that, when a drink has the same name. Unknown
+// category names become new categories.
+
+const UNITS = ['ml', 'cl', 'l', 'oz'];
+
+const lower = (text) => String(text).trim().toLowerCase();
+
+// Spreadsheets write "1 500", "1500,5" or "1500.5" depending on the locale
+const parseNumber = (text) => Number(String(text).replace(/\s/g, '').replace(',', '.'));
+
+const splitTags = (text) => [...new Set(String(text).split(/[,;|]/).map(tag => tag.trim()).filter(Boolean))];
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// Check the cells of one row. Returns { errors, drink, variant, sku } with
+// only the fields the row fills in.
+const readRow = (values) => {
+    const errors = [];
+    const drink = {};
+    const variant = {};
+
+    const text = (key, label, maxLength) => {
+        if (values[key] === undefined) return undefined;
+        if (values[key].length > maxLength) errors.push(`${label} cannot exceed ${maxLength} characters`);
+        return values[key];
+    };
+    const number = (key, label, { min = 0, max = Infinity } = {}) => {
+        if (values[key] === undefined) return undefined;
+        const value = parseNumber(values[key]);
+        if (isNaN(value) || value < min || value > max) {
+            errors.push(max === Infinity ? `${label} must be a positive number` : `${label} must be between ${min} and ${max}`);
+        }
+        return value;
+    };
+    const unit = (key, label) => {
+        if (values[key] === undefined) return undefined;
+        const value = values[key].toLowerCase();
+        if (!UNITS.includes(value)) errors.push(`${label} must be one of ${UNITS.join(', ')}`);
+        return value;
+    };
+
+    drink.name = text('name', 'Name', 100);
+    drink.category = text('category', 'Category', 50);
+    drink.price = number('price', 'Price');
+    drink.description = text('description', 'Description', 500);
+    drink.tags = values.tags !== undefined ? splitTags(values.tags) : undefined;
+    drink.alcoholContent = number('alcoholContent', 'Alcohol %', { min: 0, max: 100 });
+    drink.volume = number('volume', 'Volume');
+    drink.unit = unit('unit', 'Unit');
+
+    variant.name = text('variant', 'Variant', 50);
+    variant.size = number('variantSize', 'Variant size');
+    variant.unit = unit('variantUnit', 'Variant unit');
+    variant.price = number('variantPrice', 'Variant price');
+    variant.cost = number('cost', 'Cost');
+    const sku = text('sku', 'SKU', 64);
+
+    if (drink.name === undefined && sku === undefined) {
+        errors.push('Name or SKU is required');
+    }
+    if (variant.name === undefined && [variant.size, variant.unit, variant.price, variant.cost].some(value => value !== undefined)) {
+        errors.push('Variant columns need a Variant name');
+    }
+
+    return { errors, drink, variant, sku };
+};
+
+// Fields of `fields` that differ from `current` (column → new value).
+// `columns` maps row field → [column, how to compare].
+const diff = (current, fields, columns) => {
+    const changes = {};
+    for (const [field, [column, same]] of Object.entries(columns)) {
+        if (fields[field] === undefined) continue;
+        if (!same(current[column], fields[field])) changes[column] = fields[field];
+    }
+    return changes;
+};
+
+const sameText = (a, b) => (a || '') === (b || '');
+const sameNumber = (a, b) => toNumber(a) === toNumber(b);
+const sameTags = (a, b) => (a || []).join('\n') === (b || []).join('\n');
+
+const DRINK_COLUMNS = {
+    name: ['name', sameText],
+    price: ['price', sameNumber],
+    description: ['description', sameText],
+    tags: ['tags', sameTags],
+    alcoholContent: ['alcohol_content', sameNumber],
+    volume: ['volume', sameNumber],
+    unit: ['unit', sameText],
+};
+
+const VARIANT_COLUMNS = {
+    name: ['name', sameText],
+    size: ['size', sameNumber],
+    unit: ['unit', sameText],
+    price: ['price', sameNumber],
+    cost: ['cost', sameNumber],
+    sku: ['sku', sameText],
+};
+
+const PRICE_COLUMNS = ['price', 'cost'];
+
+// Load the company's categories, active drinks and variants as linked objects
+// the plan can add to as it goes
+const loadCatalog = async(db, companyId) => {
+    await ensureDefaultCategories(db, companyId);
+
+    const categories = await db.query('SELECT * FROM drink_categories WHERE company_id = $1', [companyId]);
+    const drinks = await db.query('SELECT * FROM drinks WHERE company_id = $1 AND is_active = true', [companyId]);
+    const variants = await db.query(
+        'SELECT * FROM drink_variants WHERE company_id = $1 AND is_active = true ORDER BY sort_order, id', [companyId]
+    );
+
+    const catalog = { categoriesByName: new Map(), drinksByName: new Map(), variantsBySku: new Map() };
+    const categoriesById = new Map();
+    const drinksById = new Map();
+
+    for (const category of categories.rows) {
+        categoriesById.set(category.id, category);
+        catalog.categoriesByName.set(lower(category.name), category);
+    }
+    for (const drink of drinks.rows) {
+        drink.category = categoriesById.get(drink.category_id) || null;
+        drink.variants = [];
+        drinksById.set(drink.id, drink);
+        catalog.drinksByName.set(lower(drink.name), drink);
+    }
+    for (const variant of variants.rows) {
+        const drink = drinksById.get(variant.drink_id);
+        if (!drink) continue;
+        variant.drink = drink;
+        drink.variants.push(variant);
+        if (variant.sku) catalog.variantsBySku.set(lower(variant.sku), variant);
+    }
+    return catalog;
+};
+
+// Check parsed rows against the catalog. Resolves to
+//   { operations, summary, rows: [{ row, name, variant, status, changes, errors }] }
+// status is create | update | unchanged | error. Price and cost changes to
+// existing drinks are row errors unless canEditPrice.
+const planMenuImport = async(db, companyId, rows, { canEditPrice }) => {
+    const { categoriesByName, drinksByName, variantsBySku } = await loadCatalog(db, companyId);
+
+    const operations = [];
+    const report = [];
+    const summary = {
+        rows: rows.length,
+        categoriesCreated: 0,
+        drinksCreated: 0,
+        drinksUpdated: 0,
+        variantsCreated: 0,
+        variantsUpdated: 0,
+        unchanged: 0,
+        errors: 0
+    };
+
+    for (const { rowNumber, values } of rows) {
+        const { errors, drink: drinkFields, variant: variantFields, sku } = readRow(values);
+        const result = {
+            row: rowNumber,
+            name: drinkFields.name || null,
+            variant: variantFields.name || null,
+            status: 'unchanged',
+            changes: [],
+            errors
+        };
+        report.push(result);
+
+        if (errors.length === 0) {
+            // Match on SKU first, then on name
+            let variant = sku ? variantsBySku.get(lower(sku)) || null : null;
+            let drink = variant ? variant.drink : null;
+            if (!drink && drinkFields.name !== undefined) drink = drinksByName.get(lower(drinkFields.name)) || null;
+
+            if (!drink && drinkFields.name === undefined) {
+                errors.push(`No drink has the SKU ${sku}`);
+            }
+            if (drink && drinkFields.name !== undefined) {
+                const namesake = drinksByName.get(lower(drinkFields.name));
+                if (namesake && namesake !== drink) errors.push(`Another drink is already called ${drinkFields.name}`);
+            }
+
+            let category = null;
+            let newCategory = false;
+            if (drinkFields.category !== undefined) {
+                category = categoriesByName.get(lower(drinkFields.category)) || null;
+                if (category && category.archived_at) {
+                    errors.push(`Category ${category.name} is archived`);
+                } else if (!category) {
+                    newCategory = true;
+                    category = { id: null, name: drinkFields.category, default_price: drinkFields.price !== undefined ? drinkFields.price : 0 };
+                }
+            } else if (!drink) {
+                errors.push('Category is required for a new drink');
+            }
+
+            if (!variant && drink && variantFields.name !== undefined) {
+                variant = drink.variants.find(existing => lower(existing.name) === lower(variantFields.name)) || null;
+            }
+            if (variant && variantFields.name !== undefined && lower(variant.name) !== lower(variantFields.name)
+                && variant.drink.variants.some(existing => existing !== variant && lower(existing.name) === lower(variantFields.name))) {
+                errors.push(`${variant.drink.name} already has a variant called ${variantFields.name}`);
+            }
+            if (sku && !variant && variantFields.name === undefined) {
+                errors.push('A new SKU needs a Variant name');
+            }
+            if (sku && variantsBySku.has(lower(sku)) && variantsBySku.get(lower(sku)) !== variant) {
+                errors.push(`SKU ${sku} is already used by ${variantsBySku.get(lower(sku)).drink.name}`);
+            }
+
+            const drinkChanges = drink ? diff(drink, drinkFields, DRINK_COLUMNS) : {};
+            if (drink && category && category !== drink.category) {
+                drinkChanges.category_id = category;
+            }
+            const variantChanges = variant ? diff(variant, { ...variantFields, sku }, VARIANT_COLUMNS) : {};
+
+            const priceChanged = (drink && drink.id && drinkChanges.price !== undefined)
+                || (variant && variant.id && PRICE_COLUMNS.some(column => variantChanges[column] !== undefined));
+            if (priceChanged && !canEditPrice) {
+                errors.push('Changing prices needs the drinks.edit_price permission');
+            }
+
+            if (errors.length === 0) {
+                if (newCategory) {
+                    categoriesByName.set(lower(category.name), category);
+                    operations.push({ type: 'createCategory', target: category });
+                    summary.categoriesCreated++;
+                    result.changes.push(`new category ${category.name}`);
+                }
+
+                if (!drink) {
+                    drink = {
+                        id: null,
+                        name: drinkFields.name,
+                        price: drinkFields.price !== undefined ? drinkFields.price : variantFields.price !== undefined ? variantFields.price : category.default_price,
+                        category,
+                        description: drinkFields.description || null,
+                        tags: drinkFields.tags || [],
+                        alcohol_content: drinkFields.alcoholContent || 0,
+                        volume: drinkFields.volume !== undefined ? drinkFields.volume : null,
+                        unit: drinkFields.unit || 'ml',
+                        variants: []
+                    };
+                    drinksByName.set(lower(drink.name), drink);
+                    operations.push({ type: 'createDrink', target: drink });
+                    summary.drinksCreated++;
+                    result.status = 'create';
+                } else if (Object.keys(drinkChanges).length > 0) {
+                    if (drinkChanges.name !== undefined) {
+                        drinksByName.delete(lower(drink.name));
+                        drinksByName.set(lower(drinkChanges.name), drink);
+                    }
+                    Object.assign(drink, drinkChanges);
+                    if (drinkChanges.category_id) drink.category = category;
+                    // A drink added by an earlier row is simply created with the new values
+                    if (drink.id) {
+                        operations.push({ type: 'updateDrink', target: drink, changes: drinkChanges });
+                        summary.drinksUpdated++;
+                    }
+                    result.status = 'update';
+                    result.changes.push(...Object.keys(drinkChanges).map(column => column.replace(/_id$/, '')));
+                }
+
+                if (!variant && variantFields.name !== undefined) {
+                    variant = {
+                        id: null,
+                        drink,
+                        name: variantFields.name,
+                        size: variantFields.size !== undefined ? variantFields.size : null,
+                        unit: variantFields.unit || drink.unit,
+                        price: variantFields.price !== undefined ? variantFields.price : drink.price,
+                        cost: variantFields.cost !== undefined ? variantFields.cost : null,
+                        sku: sku || null
+                    };
+                    drink.variants.push(variant);
+                    if (sku) variantsBySku.set(lower(sku), variant);
+                    operations.push({ type: 'createVariant', target: variant });
+                    summary.variantsCreated++;
+                    result.status = 'create';
+                    result.changes.push(`new variant ${variant.name}`);
+                } else if (variant && Object.keys(variantChanges).length > 0) {
+                    if (variantChanges.sku !== undefined) {
+                        if (variant.sku) variantsBySku.delete(lower(variant.sku));
+                        variantsBySku.set(lower(variantChanges.sku), variant);
+                    }
+                    Object.assign(variant, variantChanges);
+                    if (variant.id) {
+                        operations.push({ type: 'updateVariant', target: variant, changes: variantChanges });
+                        summary.variantsUpdated++;
+                    }
+                    if (result.status === 'unchanged') result.status = 'update';
+                    result.changes.push(...Object.keys(variantChanges).map(column => `variant ${column}`));
+                }
+            }
+        }
+
+        if (errors.length > 0) {
+            result.status = 'error';
+            summary.errors++;
+        } else if (result.status === 'unchanged') {
+            summary.unchanged++;
+        }
+    }
+
+    return { operations, summary, rows: report };
+};
+
+const updateRow = async(db, table, id, changes) => {
+    const sets = [];
+    const params = [];
+    for (const [column, value] of Object.entries(changes)) {
+        // category_id holds the category object, which may have been created earlier in this import
+        params.push(column === 'category_id' ? value.id : value);
+        sets.push(`${column} = $${params.length}`);
+    }
+    params.push(id);
+    await db.query(
+        `UPDATE ${table} SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${params.length}`, params
+    );
+};
+
+// Write a plan. db must be a client inside a transaction: a failing row
+// leaves the catalog half imported otherwise.
+const applyMenuImport = async(db, { companyId, userId }, operations) => {
+    for (const { type, target, changes } of operations) {
+        if (type === 'createCategory') {
+            const result = await db.query(
+                `INSERT INTO drink_categories (company_id, name, default_price, sort_order, created_by)
+                 VALUES ($1, $2, $3, (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM drink_categories WHERE company_id = $1), $4)
+                 RETURNING id`, [companyId, target.name, target.default_price, userId]
+            );
+            target.id = result.rows[0].id;
+        } else if (type === 'createDrink') {
+            const result = await db.query(
+                `INSERT INTO drinks (company_id, name, price, category_id, image_url, description, tags, alcohol_content, volume, unit, created_by)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                 RETURNING id`, [companyId, target.name, target.price, target.category.id, DEFAULT_DRINK_IMAGE, target.description,
+                    target.tags, target.alcohol_content, target.volume, target.unit, userId
+                ]
+            );
+            target.id = result.rows[0].id;
+        } else if (type === 'updateDrink') {
+            await updateRow(db, 'drinks', target.id, changes);
+        } else if (type === 'createVariant') {
+            const result = await db.query(
+                `INSERT INTO drink_variants (drink_id, company_id, name, size, unit, price, cost, sku, sort_order)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+                         (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM drink_variants WHERE drink_id = $1 AND is_active = true))
+                 RETURNING id`, [target.drink.id, companyId, target.name, target.size, target.unit, target.price, target.cost, target.sku]
+            );
+            target.id = result.rows[0].id;
+        } else if (type === 'updateVariant') {
+            await updateRow(db, 'drink_variants', target.id, changes);
+        }
+    }
+};
+
+// The active catalog as menu file rows (see MENU_COLUMNS): one row per
+// variant, or one row for a drink without variants
+const loadMenuRows = async(db, companyId) => {
+    const drinks = await db.query(
+        `SELECT d.*, c.name AS category_name
+         FROM drinks d
+         LEFT JOIN drink_categories c ON c.id = d.category_id
+         WHERE d.company_id = $1 AND d.is_active = true
+         ORDER BY c.sort_order NULLS LAST, d.name`, [companyId]
+    );
+    const variants = await db.query(
+        'SELECT * FROM drink_variants WHERE company_id = $1 AND is_active = true ORDER BY sort_order, price, id', [companyId]
+    );
+
+    const rows = [];
+    for (const drink of drinks.rows) {
+        const drinkColumns = {
+            name: drink.name,
+            category: drink.category_name || '',
+            price: toNumber(drink.price),
+            description: drink.description || '',
+            tags: (drink.tags || []).join(', '),
+            alcoholContent: toNumber(drink.alcohol_content),
+            volume: toNumber(drink.volume),
+            unit: drink.unit
+        };
+
+        const drinkVariants = variants.rows.filter(variant => variant.drink_id === drink.id);
+        if (drinkVariants.length === 0) {
+            rows.push(drinkColumns);
+            continue;
+        }
+        for (const variant of drinkVariants) {
+            rows.push({
+                ...drinkColumns,
+                variant: variant.name,
+                variantSize: toNumber(variant.size),
+                variantUnit: variant.unit,
+                variantPrice: toNumber(variant.price),
+                cost: toNumber(variant.cost),
+                sku: variant.sku
+            });
+        }
+    }
+    return rows;
+};
+
+module.exports = {
+    planMenuImport,
+    applyMenuImport,
+    loadMenuRows
+};
@@ -0,0 +1,81 @@
+// Modifiers are the options asked for on an order line ("with ice", "cold",
+// "extra shot"). They come in groups attached to drinks or to whole
+// categories; a group says how many of its options must / may be picked
+// (min_select, max_select - NULL for no limit), and an option may cost extra.
+//
+// Groups are loaded as plain objects so the selection check can be run on
+// them without a database:
+//   { id, name, minSelect, maxSelect, modifiers: [{ id, name, surcharge }] }
+
+const formatModifierGroup = (group, modifiers) => ({
+    id: group.id,
+    name: group.name,
+    minSelect: group.min_select,
+    maxSelect: group.max_select,
+    sortOrder: group.sort_order,
+    modifiers: modifiers
+        .filter(modifier => modifier.group_id === group.id)
+        .map(modifier => ({
+            id: modifier.id,
+            name: modifier.name,
+            surcharge: parseFloat(modifier.surcharge),
+            sortOrder: modifier.sort_order
+        }))
+});
+
+// Active groups attached to the drink or to its category, in menu order
+const loadDrinkModifierGroups = async(db, { companyId, drinkId, categoryId = null }) => {
+    const groups = await db.query(
+        `SELECT DISTINCT g.*
+         FROM modifier_groups g
+         JOIN modifier_group_targets t ON t.group_id = g.id
+         WHERE g.company_id = $1 AND g.is_active = true
+           AND (t.drink_id = $2 OR ($3::int IS NOT NULL AND t.category_id = $3))
+         ORDER BY g.sort_order, g.name`, [companyId, drinkId, categoryId]
+    );
+    if (groups.rows.length === 0) return [];
+
+    const modifiers = await db.query(
+        `SELECT * FROM modifiers
+         WHERE group_id = ANY($1::int[]) AND is_active = true
+         ORDER BY sort_order, name`, [groups.rows.map(group => group.id)]
+    );
+    return groups.rows.map(group => formatModifierGroup(group, modifiers.rows));
+};
+
+// Check the options picked for one line against its groups.
+// Resolves to { modifiers, surcharge } (surcharge per unit) or { error }.
+const validateModifierSelection = (groups, selectedIds = []) => {
+    const selected = [...new Set((selectedIds || []).map(String))];
+    const modifiers = [];
+
+    for (const group of groups) {
+        const picked = group.modifiers.filter(modifier => selected.includes(String(modifier.id)));
+
+        if (picked.length < (group.minSelect || 0)) {
+            return { error: `Choose at least ${group.minSelect} from ${group.name}` };
+        }
+        if (group.maxSelect !== null && group.maxSelect !== undefined && picked.length > group.maxSelect) {
+            return { error: `Choose at most ${group.maxSelect} from ${group.name}` };
+        }
+
+        for (const modifier of picked) {
+            modifiers.push({ modifierId: modifier.id, name: modifier.name, group: group.name, surcharge: modifier.surcharge });
+        }
+    }
+
+    if (modifiers.length !== selected.length) {
+        return { error: 'Some modifiers are not available for this drink' };
+    }
+
+    return {
+        modifiers,
+        surcharge: modifiers.reduce((sum, modifier) => sum + modifier.surcharge, 0)
+    };
+};
+
+module.exports = {
+    formatModifierGroup,
+    loadDrinkModifierGroups,
+    validateModifierSelection
+};
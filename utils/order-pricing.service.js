@@ -0,0 +1,76 @@
+const { loadLiveRules, priceLine } = require('./price-rule.service');
+const { loadDrinkModifierGroups, validateModifierSelection } = require('./modifier.service');
+
+// Prices order lines the way an order charges them: the outlet's price of
+// the drink (or the variant's own price), through the price rule live for
+// the line, plus the surcharges of the modifiers picked. The quote endpoint
+// and order creation both price here, so a quote is what the order charges.
+
+// items: [{ drinkId, variantId?, modifierIds?, quantity }], already checked for shape.
+// Resolves to { lines } or, for the first line that cannot be sold, { status, error }.
+const priceOrderLines = async(db, { companyId, outletId = null, items, at = new Date() }) => {
+    const rules = await loadLiveRules(db, { companyId, outletId, at });
+    const lines = [];
+
+    for (const item of items) {
+        const drink = await db.query(
+            `SELECT d.id, d.name, d.price, d.category_id, od.price AS outlet_price, od.stock AS outlet_stock
+             FROM drinks d
+             LEFT JOIN outlet_drinks od ON od.drink_id = d.id AND od.outlet_id = $3
+             WHERE d.id = $1 AND d.company_id = $2 AND d.is_active = true AND COALESCE(od.is_available, true) = true`, [parseInt(item.drinkId), companyId, outletId]
+        );
+        if (drink.rows.length === 0) {
+            return { status: 404, error: `Drink with ID ${item.drinkId} not found` };
+        }
+        const row = drink.rows[0];
+
+        let variant = null;
+        if (item.variantId) {
+            const found = await db.query(
+                'SELECT * FROM drink_variants WHERE id = $1 AND drink_id = $2 AND is_active = true', [parseInt(item.variantId), row.id]
+            );
+            variant = found.rows[0];
+            if (!variant) {
+                return { status: 404, error: `Variant ${item.variantId} of ${row.name} not found` };
+            }
+        }
+
+        const groups = await loadDrinkModifierGroups(db, { companyId, drinkId: row.id, categoryId: row.category_id });
+        const selection = validateModifierSelection(groups, item.modifierIds);
+        if (selection.error) {
+            return { status: 400, error: `${row.name}: ${selection.error}` };
+        }
+
+        const priced = priceLine(rules, {
+            drinkId: row.id,
+            variantId: variant ? variant.id : null,
+            categoryId: row.category_id,
+            basePrice: parseFloat(variant ? variant.price : (row.outlet_price !== null ? row.outlet_price : row.price))
+        });
+        const quantity = parseInt(item.quantity);
+
+        lines.push({
+            drinkId: row.id,
+            drinkName: row.name,
+            variantId: variant ? variant.id : null,
+            variantName: variant ? variant.name : null,
+            sku: variant ? variant.sku : null,
+            unitCost: variant ? variant.cost : null,
+            quantity,
+            basePrice: priced.basePrice,
+            pricePerUnit: priced.price,
+            rule: priced.rule,
+            modifiers: selection.modifiers,
+            modifierSurcharge: selection.surcharge,
+            totalPrice: Math.round((priced.price + selection.surcharge) * quantity * 100) / 100,
+            // Stock left at the outlet, null when it does not track it
+            outletStock: row.outlet_stock
+        });
+    }
+
+    return { lines };
+};
+
+module.exports = {
+    priceOrderLines
+};
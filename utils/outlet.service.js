@@ -0,0 +1,64 @@
+const { PERMISSIONS } = require('./constants');
+const { hasPermission } = require('./permission.service');
+
+// Outlets are the bars/branches of a company. Whoever holds outlets.manage
+// works in every outlet of the company; everyone else only in the outlets
+// they are assigned to through outlet_staff.
+
+// Active outlets the user may work in
+const getAccessibleOutlets = async(db, user) => {
+    if (!user.company_id) return [];
+
+    if (await hasPermission(db, user, PERMISSIONS.OUTLETS_MANAGE)) {
+        const result = await db.query(
+            'SELECT * FROM outlets WHERE company_id = $1 AND is_active = true ORDER BY name', [user.company_id]
+        );
+        return result.rows;
+    }
+
+    const result = await db.query(
+        `SELECT o.* FROM outlets o
+         JOIN outlet_staff os ON os.outlet_id = o.id
+         WHERE os.user_id = $1 AND o.company_id = $2 AND o.is_active = true
+         ORDER BY o.name`, [user.id, user.company_id]
+    );
+    return result.rows;
+};
+
+const canUseOutlet = async(db, user, outletId) => {
+    const outlets = await getAccessibleOutlets(db, user);
+    return outlets.some(outlet => outlet.id === parseInt(outletId));
+};
+
+// Outlet for a new session: the requested one if allowed, otherwise the
+// only outlet the user has. Resolves to { outletId } or { error }.
+const resolveSessionOutlet = async(db, user, requestedOutletId) => {
+    const outlets = await getAccessibleOutlets(db, user);
+
+    if (requestedOutletId) {
+        const outlet = outlets.find(o => o.id === parseInt(requestedOutletId));
+        return outlet ? { outletId: outlet.id } : { error: 'You are not assigned to this outlet' };
+    }
+
+    return { outletId: outlets.length === 1 ? outlets[0].id : null };
+};
+
+// Outlet a request works in: the one it names (checked; API keys may name
+// any outlet of their company) or the session's. Resolves to { outletId } or { error }.
+const resolveRequestOutlet = async(req, requestedOutletId) => {
+    if (requestedOutletId) {
+        const outletId = parseInt(requestedOutletId);
+        const allowed = req.apiKey ?
+            (await req.db.query('SELECT id FROM outlets WHERE id = $1 AND company_id = $2', [outletId, req.user.company_id])).rows.length > 0 :
+            await canUseOutlet(req.db, req.user, outletId);
+        return allowed ? { outletId } : { error: 'You cannot view this outlet' };
+    }
+    return { outletId: req.session ? req.session.outletId || null : null };
+};
+
+module.exports = {
+    getAccessibleOutlets,
+    canUseOutlet,
+    resolveSessionOutlet,
+    resolveRequestOutlet
+};
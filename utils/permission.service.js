@@ -0,0 +1,88 @@
+const { ROLES, PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('./constants');
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Roles every company has. Their bundles are editable (except Administrator,
+// which always holds everything); custom roles are assigned on top of one.
+const SYSTEM_ROLES = [ROLES.MANAGER, ROLES.STAFF];
+
+const isKnownPermission = (permission) => ALL_PERMISSIONS.includes(permission);
+
+// Returns an error message, or null. Nobody may hand out permissions they
+// do not hold themselves.
+const checkPermissionList = (permissions, callerPermissions) => {
+    if (!Array.isArray(permissions)) return 'permissions must be an array';
+
+    const unknown = permissions.filter(p => !isKnownPermission(p));
+    if (unknown.length) return `Unknown permission(s): ${unknown.join(', ')}`;
+
+    const notHeld = permissions.filter(p => !callerPermissions.includes(p));
+    if (notHeld.length) return `You cannot grant permission(s) you do not hold: ${notHeld.join(', ')}`;
+
+    return null;
+};
+
+// Create the company's editable system roles from the defaults, once
+const ensureSystemRoles = async(db, companyId) => {
+    for (const name of SYSTEM_ROLES) {
+        await db.query(
+            `INSERT INTO company_roles (company_id, name, permissions, is_system)
+             VALUES ($1, $2, $3, true)
+             ON CONFLICT (company_id, name) DO NOTHING`, [companyId, name, DEFAULT_ROLE_PERMISSIONS[name]]
+        );
+    }
+};
+
+// Effective permissions of a user row (role, company_id, company_role_id).
+// A custom role replaces the bundle of the user's base role.
+const getUserPermissions = async(db, user) => {
+    if (user.role === ROLES.ADMIN) return ALL_PERMISSIONS;
+    if (!user.company_id) return DEFAULT_ROLE_PERMISSIONS[user.role] || [];
+
+    const result = user.company_role_id ?
+        await db.query(
+            'SELECT permissions FROM company_roles WHERE id = $1 AND company_id = $2', [user.company_role_id, user.company_id]
+        ) :
+        await db.query(
+            'SELECT permissions FROM company_roles WHERE company_id = $1 AND name = $2 AND is_system = true', [user.company_id, user.role]
+        );
+
+    if (result.rows.length > 0) return result.rows[0].permissions;
+    return DEFAULT_ROLE_PERMISSIONS[user.role] || [];
+};
+
+// Cached on the user object, so repeated checks in one request cost one query
+const hasPermission = async(db, user, permission) => {
+    if (!user.permissions) {
+        user.permissions = await getUserPermissions(db, user);
+    }
+    return user.permissions.includes(permission);
+};
+
+// Active users of a company holding a permission, resolved like getUserPermissions
+const findUsersWithPermission = async(db, companyId, permission) => {
+    const defaultRoles = Object.keys(DEFAULT_ROLE_PERMISSIONS)
+        .filter(role => DEFAULT_ROLE_PERMISSIONS[role].includes(permission));
+
+    const result = await db.query(
+        `SELECT u.id, u.username, u.email, u.role
+         FROM users u
+         LEFT JOIN company_roles r ON r.company_id = u.company_id
+              AND (u.company_role_id = r.id OR (r.is_system AND u.company_role_id IS NULL AND u.role = r.name))
+         WHERE u.company_id = $1 AND u.is_active = true
+           AND (u.role = $2 OR $3 = ANY(r.permissions) OR (r.id IS NULL AND u.role = ANY($4)))
+         ORDER BY u.username`, [companyId, ROLES.ADMIN, permission, defaultRoles]
+    );
+    return result.rows;
+};
+
+module.exports = {
+    ALL_PERMISSIONS,
+    SYSTEM_ROLES,
+    isKnownPermission,
+    checkPermissionList,
+    ensureSystemRoles,
+    getUserPermissions,
+    hasPermission,
+    findUsersWithPermission
+};
@@ -0,0 +1,176 @@
+// Time-based prices: happy hours, weekend prices, event nights.
+//
+// A rule changes the price of everything, a category, a drink or one variant,
+// for the whole company or one outlet. It is live on its days of the week
+// (none = every day) between start and end time (none = all day; an end
+// before the start runs past midnight), within an optional date range, all
+// in the company's timezone (companies.timezone, set on the company profile).
+// A window running past midnight belongs to the date it started on.
+//
+// When several live rules match a line, the most specific target wins
+// (variant, drink, category, all), then an outlet rule over a company one,
+// then the higher priority, then the newest rule.
+const { TIME_PATTERN, localTime, inWindow } = require('./approval-policy.service');
+
+const PRICE_RULE_TARGETS = {
+    ALL: 'all',
+    CATEGORY: 'category',
+    DRINK: 'drink',
+    VARIANT: 'variant'
+};
+
+const PRICE_RULE_ADJUSTMENTS = {
+    PERCENT: 'percent', // value = % change, -20 is 20% off
+    FIXED: 'fixed' // value = the price itself
+};
+
+const TARGET_SPECIFICITY = { all: 0, category: 1, drink: 2, variant: 3 };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Returns an error message, or null when the rule is valid
+const validatePriceRule = (rule) => {
+    if (!rule.name || !String(rule.name).trim()) return 'Rule name is required';
+
+    if (!Object.values(PRICE_RULE_TARGETS).includes(rule.targetType)) {
+        return `targetType must be one of: ${Object.values(PRICE_RULE_TARGETS).join(', ')}`;
+    }
+    if (rule.targetType !== PRICE_RULE_TARGETS.ALL && !Number.isInteger(rule.targetId)) {
+        return `targetId is required for a ${rule.targetType} rule`;
+    }
+
+    if (!Object.values(PRICE_RULE_ADJUSTMENTS).includes(rule.adjustmentType)) {
+        return `adjustmentType must be one of: ${Object.values(PRICE_RULE_ADJUSTMENTS).join(', ')}`;
+    }
+    const value = parseFloat(rule.value);
+    if (isNaN(value)) return 'value must be a number';
+    if (rule.adjustmentType === PRICE_RULE_ADJUSTMENTS.PERCENT && value < -100) {
+        return 'A percentage cannot take more than 100% off';
+    }
+    if (rule.adjustmentType === PRICE_RULE_ADJUSTMENTS.FIXED) {
+        if (value < 0) return 'A fixed price cannot be negative';
+        // A fixed price for everything makes no sense; a fixed drink or category price
+        // applies to the drinks themselves, not to their sizes (see ruleMatches)
+        if (rule.targetType === PRICE_RULE_TARGETS.ALL) {
+            return 'A fixed price can only target a category, a drink or a variant';
+        }
+    }
+
+    if (rule.days !== undefined && rule.days !== null &&
+        (!Array.isArray(rule.days) || rule.days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+        return 'days must be weekday numbers (0 = Sunday)';
+    }
+    if (!!rule.startTime !== !!rule.endTime) return 'startTime and endTime go together';
+    if (rule.startTime && (!TIME_PATTERN.test(rule.startTime) || !TIME_PATTERN.test(rule.endTime))) {
+        return 'startTime and endTime must be HH:MM';
+    }
+    if ((rule.startsOn && !DATE_PATTERN.test(rule.startsOn)) || (rule.endsOn && !DATE_PATTERN.test(rule.endsOn))) {
+        return 'startsOn and endsOn must be YYYY-MM-DD';
+    }
+    if (rule.startsOn && rule.endsOn && rule.startsOn > rule.endsOn) {
+        return 'startsOn must be before endsOn';
+    }
+
+    return null;
+};
+
+// Calendar date (YYYY-MM-DD) of `date` in the timezone
+const localDate = (date, timezone) => new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+}).format(date);
+
+const toDateString = (value) => {
+    if (!value) return null;
+    if (typeof value === 'string') return value.slice(0, 10);
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+};
+
+// The calendar date before a YYYY-MM-DD date
+const previousDate = (date) => {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - 1);
+    return day.toISOString().slice(0, 10);
+};
+
+const inDateRange = (rule, date) => {
+    const startsOn = toDateString(rule.starts_on);
+    const endsOn = toDateString(rule.ends_on);
+    return !(startsOn && date < startsOn) && !(endsOn && date > endsOn);
+};
+
+const isLive = (rule, now, today) => {
+    const days = rule.days && rule.days.length > 0 ? rule.days : [0, 1, 2, 3, 4, 5, 6];
+    if (!rule.start_time) return days.includes(now.day) && inDateRange(rule, today);
+
+    // After midnight, a window started the day before is checked against that day
+    return days.some(day => inWindow(now, day, rule.start_time, rule.end_time) &&
+        inDateRange(rule, day === now.day ? today : previousDate(today)));
+};
+
+// Rules of the company (and outlet) that are live at `at`
+const loadLiveRules = async(db, { companyId, outletId = null, at = new Date() }) => {
+    const company = await db.query('SELECT timezone FROM companies WHERE id = $1', [companyId]);
+    const { timezone } = company.rows[0];
+    const result = await db.query(
+        `SELECT * FROM price_rules
+         WHERE company_id = $1 AND is_active = true AND (outlet_id IS NULL OR outlet_id = $2)`, [companyId, outletId]
+    );
+
+    const now = localTime(at, timezone);
+    const today = localDate(at, timezone);
+    return result.rows.filter(rule => isLive(rule, now, today));
+};
+
+const fixedOnVariant = (rule, variantId) => variantId !== null && rule.adjustment_type === PRICE_RULE_ADJUSTMENTS.FIXED;
+
+const ruleMatches = (rule, { drinkId, variantId, categoryId }) => {
+    switch (rule.target_type) {
+        case PRICE_RULE_TARGETS.VARIANT:
+            return variantId !== null && rule.target_id === variantId;
+        case PRICE_RULE_TARGETS.DRINK:
+            // A fixed drink price is the price of the drink itself, not of its sizes
+            return rule.target_id === drinkId && !fixedOnVariant(rule, variantId);
+        case PRICE_RULE_TARGETS.CATEGORY:
+            // Likewise "all cocktails at 5000" prices the cocktails, not each bottle size
+            return rule.target_id === categoryId && !fixedOnVariant(rule, variantId);
+        case PRICE_RULE_TARGETS.ALL:
+            return true;
+        default:
+            return false;
+    }
+};
+
+const compareRules = (a, b) => (
+    TARGET_SPECIFICITY[b.target_type] - TARGET_SPECIFICITY[a.target_type] ||
+    (b.outlet_id ? 1 : 0) - (a.outlet_id ? 1 : 0) ||
+    b.priority - a.priority ||
+    b.id - a.id
+);
+
+const applyAdjustment = (price, rule) => {
+    const value = parseFloat(rule.value);
+    const adjusted = rule.adjustment_type === PRICE_RULE_ADJUSTMENTS.FIXED ? value : price * (1 + value / 100);
+    return Math.max(0, Math.round(adjusted * 100) / 100);
+};
+
+// Price one line from live rules. basePrice is what it costs without a rule
+// (variant price, or the outlet's or catalog price of the drink).
+// Resolves to { price, basePrice, rule } where rule is null when none applies.
+const priceLine = (rules, { basePrice, drinkId, variantId = null, categoryId = null }) => {
+    const rule = rules.filter(r => ruleMatches(r, { drinkId, variantId, categoryId })).sort(compareRules)[0] || null;
+    return {
+        basePrice,
+        price: rule ? applyAdjustment(basePrice, rule) : basePrice,
+        rule
+    };
+};
+
+module.exports = {
+    PRICE_RULE_TARGETS,
+    PRICE_RULE_ADJUSTMENTS,
+    validatePriceRule,
+    loadLiveRules,
+    priceLine
+};
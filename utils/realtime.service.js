@@ -0,0 +1,133 @@
+const { Server } = require('socket.io');
+const { findActiveSession } = require('../middleware/session.middleware');
+const { hasPermission } = require('./permission.service');
+const { PERMISSIONS } = require('./constants');
+
+// Socket.IO rooms:
+//   company:<id>:managers   everyone holding staff.approve_login in a company
+//   user:<id>               every signed-in device of a user
+//   session:<id>            the sockets of one session, dropped when it ends
+//   login-request:<token>   a staff device waiting for approval (no session yet)
+
+let io = null;
+
+const managersRoom = (companyId) => `company:${companyId}:managers`;
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+const loginRequestRoom = (requestToken) => `login-request:${requestToken}`;
+
+// A socket authenticates either with a session token or, for a device that
+// is waiting for approval, with its pending login request token.
+const authenticateSocket = (db) => async(socket, next) => {
+    try {
+        const { token, requestToken } = socket.handshake.auth || {};
+
+        if (token) {
+            const session = await findActiveSession(db, token);
+            if (!session || !session.is_active) {
+                return next(new Error('Session expired or terminated'));
+            }
+            // A session that still has to enrol in 2FA may only reach the enrolment routes
+            if (session.mfa_setup_required) {
+                return next(new Error('Two-factor setup required'));
+            }
+            socket.data.sessionId = session.session_id;
+            socket.data.expiresAt = session.expires_at;
+            socket.data.user = {
+                id: session.id,
+                username: session.username,
+                role: session.role,
+                company_id: session.company_id,
+                company_role_id: session.company_role_id
+            };
+            socket.data.canApprove = await hasPermission(db, socket.data.user, PERMISSIONS.STAFF_APPROVE_LOGIN);
+            return next();
+        }
+
+        if (requestToken) {
+            const result = await db.query(
+                `SELECT request_token FROM login_requests
+                 WHERE request_token = $1 AND status = 'pending' AND expires_at > NOW()`, [requestToken]
+            );
+            if (result.rows.length === 0) {
+                return next(new Error('Login request not found or expired'));
+            }
+            socket.data.requestToken = requestToken;
+            return next();
+        }
+
+        next(new Error('Not authorized'));
+    } catch (error) {
+        console.error('❌ Socket auth error:', error.message);
+        next(new Error('Not authorized'));
+    }
+};
+
+const initRealtime = (httpServer, db) => {
+    io = new Server(httpServer, {
+        cors: { origin: '*' }
+    });
+
+    io.use(authenticateSocket(db));
+
+    io.on('connection', (socket) => {
+        const { user, requestToken, sessionId, expiresAt } = socket.data;
+
+        if (user) {
+            socket.join(userRoom(user.id));
+            socket.join(sessionRoom(sessionId));
+            if (user.company_id && socket.data.canApprove) {
+                socket.join(managersRoom(user.company_id));
+            }
+
+            // Nothing re-checks the session after the handshake: leave when it runs out
+            const expiry = setTimeout(() => socket.disconnect(true), new Date(expiresAt).getTime() - Date.now());
+            socket.on('disconnect', () => clearTimeout(expiry));
+            console.log(`🔌 Socket connected: ${user.username} (${user.role})`);
+        } else if (requestToken) {
+            socket.join(loginRequestRoom(requestToken));
+            console.log('🔌 Socket connected: device waiting for approval');
+        }
+    });
+
+    console.log('✅ Socket.IO ready');
+    return io;
+};
+
+// Emit helpers are no-ops until initRealtime has run, so routes can call
+// them unconditionally.
+const notifyCompanyManagers = (companyId, event, payload) => {
+    if (io && companyId) io.to(managersRoom(companyId)).emit(event, payload);
+};
+
+const notifyUser = (userId, event, payload) => {
+    if (io && userId) io.to(userRoom(userId)).emit(event, payload);
+};
+
+const notifyLoginRequest = (requestToken, event, payload) => {
+    if (io && requestToken) io.to(loginRequestRoom(requestToken)).emit(event, payload);
+};
+
+// Drop the sockets of sessions that were just terminated (user_sessions ids)
+const disconnectSessions = (sessionIds) => {
+    if (!io) return;
+    for (const sessionId of sessionIds) {
+        io.in(sessionRoom(sessionId)).disconnectSockets();
+    }
+};
+
+// Number of sockets currently in a company's manager room
+const countOnlineManagers = async(companyId) => {
+    if (!io || !companyId) return 0;
+    const sockets = await io.in(managersRoom(companyId)).fetchSockets();
+    return new Set(sockets.map(s => s.data.user.id)).size;
+};
+
+module.exports = {
+    initRealtime,
+    notifyCompanyManagers,
+    notifyUser,
+    notifyLoginRequest,
+    disconnectSessions,
+    countOnlineManagers
+};
@@ -0,0 +1,71 @@
+const { STAFF_INVITATION_HOURS } = require('./constants');
+const { generateResetToken, hashToken } = require('./helpers');
+const { sendStaffInvitationEmail } = require('./email.service');
+
+// Staff are invited by email and choose their own password through the link.
+// Only the SHA-256 of the link token is stored; resending issues a new token,
+// so older emails stop working.
+
+const invitationExpiry = () => new Date(Date.now() + STAFF_INVITATION_HOURS * 60 * 60 * 1000);
+
+// A failed email does not undo the invitation; the manager can resend it
+const deliverInvitation = async(email, token, { companyName, inviterName }) => {
+    try {
+        await sendStaffInvitationEmail(email, token, { companyName, inviterName, hours: STAFF_INVITATION_HOURS });
+        console.log(`📧 Staff invitation sent to ${email}`);
+        return true;
+    } catch (e) {
+        console.log('⚠️ Staff invitation email failed:', e.message);
+        return false;
+    }
+};
+
+// Resolves to { invitation, emailSent }
+const createInvitation = async(db, { companyId, email, role, outletId = null, invitedBy, companyName, inviterName }) => {
+    const token = generateResetToken();
+
+    const result = await db.query(
+        `INSERT INTO staff_invitations (company_id, email, role, outlet_id, token_hash, invited_by, expires_at, sent_count, last_sent_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 1, CURRENT_TIMESTAMP)
+         RETURNING *`, [companyId, email, role, outletId, hashToken(token), invitedBy, invitationExpiry()]
+    );
+
+    const emailSent = await deliverInvitation(email, token, { companyName, inviterName });
+    return { invitation: result.rows[0], emailSent };
+};
+
+// New token and a fresh expiry window. Resolves to { invitation, emailSent }
+const resendInvitation = async(db, invitation, { companyName, inviterName }) => {
+    const token = generateResetToken();
+
+    const result = await db.query(
+        `UPDATE staff_invitations
+         SET token_hash = $1, expires_at = $2, sent_count = sent_count + 1, last_sent_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING *`, [hashToken(token), invitationExpiry(), invitation.id]
+    );
+
+    const emailSent = await deliverInvitation(invitation.email, token, { companyName, inviterName });
+    return { invitation: result.rows[0], emailSent };
+};
+
+// Pending (not accepted, not revoked, not expired) invitation with its company, or null
+const findPendingInvitation = async(db, token) => {
+    if (!token) return null;
+
+    const result = await db.query(
+        `SELECT i.*, c.name AS company_name, u.username AS invited_by_name
+         FROM staff_invitations i
+         JOIN companies c ON i.company_id = c.id
+         LEFT JOIN users u ON i.invited_by = u.id
+         WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+           AND i.expires_at > NOW() AND c.is_active = true`, [hashToken(String(token))]
+    );
+    return result.rows[0] || null;
+};
+
+module.exports = {
+    createInvitation,
+    resendInvitation,
+    findPendingInvitation
+};
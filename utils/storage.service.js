@@ -0,0 +1,72 @@
+const fs = require('fs/promises');
+const path = require('path');
+const cloudinary = require('cloudinary').v2;
+
+// Where uploaded files live. Every backend has the same interface:
+//   save(key, buffer, contentType) -> public URL of the file
+//   remove(key)                   -> deletes it (missing files are not an error)
+// Keys look like "drinks/12/1718000000000-ab12cd.webp".
+//
+// STORAGE_DRIVER picks the backend: "local" (files on disk, served under
+// /uploads - for offline and dev use) or "cloudinary" (production).
+// Without it, Cloudinary is used when CLOUDINARY_URL is set.
+
+const LOCAL_UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+const LOCAL_PUBLIC_PATH = '/uploads';
+
+const createLocalStorage = ({ directory = LOCAL_UPLOAD_DIR, baseUrl = process.env.PUBLIC_BASE_URL || '' } = {}) => ({
+    name: 'local',
+    directory,
+
+    save: async(key, buffer) => {
+        const filePath = path.join(directory, key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+        return `${baseUrl}${LOCAL_PUBLIC_PATH}/${key}`;
+    },
+
+    remove: async(key) => {
+        await fs.rm(path.join(directory, key), { force: true });
+    }
+});
+
+// Cloudinary public ids carry no extension; it keeps the format itself
+const toPublicId = (key) => key.replace(/\.[^/.]+$/, '');
+
+const createCloudinaryStorage = ({ folder = process.env.CLOUDINARY_FOLDER || 'drink-quick-cal' } = {}) => ({
+    name: 'cloudinary',
+
+    save: (key, buffer) => new Promise((resolve, reject) => {
+        const upload = cloudinary.uploader.upload_stream({
+                public_id: `${folder}/${toPublicId(key)}`,
+                resource_type: 'image',
+                overwrite: true
+            },
+            (error, result) => (error ? reject(error) : resolve(result.secure_url))
+        );
+        upload.end(buffer);
+    }),
+
+    remove: async(key) => {
+        await cloudinary.uploader.destroy(`${folder}/${toPublicId(key)}`, { resource_type: 'image' });
+    }
+});
+
+let storage = null;
+
+// The configured backend, created on first use
+const getStorage = () => {
+    if (!storage) {
+        const driver = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_URL ? 'cloudinary' : 'local');
+        storage = driver === 'cloudinary' ? createCloudinaryStorage() : createLocalStorage();
+    }
+    return storage;
+};
+
+module.exports = {
+    LOCAL_UPLOAD_DIR,
+    LOCAL_PUBLIC_PATH,
+    createLocalStorage,
+    createCloudinaryStorage,
+    getStorage
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { TERMINAL } = require('./constants');
+const { hashToken } = require('./helpers');
+
+// A terminal is a shared device (usually a bar tablet) registered once by a
+// manager. It holds a long-lived "dqt_..." token; people working on it do not
+// log in but unlock it with their PIN, which makes them the active operator.
+// Requests from the terminal then act as that operator until someone else
+// unlocks it, it is locked by hand, or it sits idle too long.
+const TERMINAL_TOKEN_PREFIX = 'dqt_';
+
+// What every terminal action is recorded as in terminal_operator_log
+const TERMINAL_EVENTS = {
+    UNLOCK: 'unlock',
+    LOCK: 'lock',
+    IDLE_LOCK: 'idle_lock',
+    PIN_FAILED: 'pin_failed'
+};
+
+const isTerminalToken = (value) => typeof value === 'string' && value.startsWith(TERMINAL_TOKEN_PREFIX);
+
+const generateTerminalToken = () => {
+    const token = TERMINAL_TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+    return { token, hash: hashToken(token) };
+};
+
+// Active terminal with its current operator (if any), or null
+const findTerminal = async(db, rawToken) => {
+    const result = await db.query(
+        `SELECT t.*,
+                u.username AS operator_username, u.email AS operator_email, u.role AS operator_role,
+                u.company_role_id AS operator_company_role_id, u.is_active AS operator_is_active,
+                (t.active_operator_id IS NOT NULL
+                 AND t.last_activity_at < NOW() - make_interval(mins => t.idle_lock_minutes)) AS idle_expired
+         FROM terminals t
+         JOIN companies c ON t.company_id = c.id
+         LEFT JOIN users u ON t.active_operator_id = u.id
+         WHERE t.token_hash = $1 AND t.revoked_at IS NULL AND c.is_active = true`, [hashToken(rawToken)]
+    );
+    return result.rows[0] || null;
+};
+
+const logTerminalEvent = async(db, { terminalId, userId = null, event }) => {
+    await db.query(
+        'INSERT INTO terminal_operator_log (terminal_id, user_id, event) VALUES ($1, $2, $3)', [terminalId, userId, event]
+    );
+};
+
+// Clear the active operator. event tells why (manual lock or idle timeout).
+const lockTerminal = async(db, terminal, event = TERMINAL_EVENTS.LOCK) => {
+    if (!terminal.active_operator_id) return;
+
+    await db.query(
+        'UPDATE terminals SET active_operator_id = NULL, operator_since = NULL WHERE id = $1', [terminal.id]
+    );
+    await logTerminalEvent(db, { terminalId: terminal.id, userId: terminal.active_operator_id, event });
+};
+
+// Lock a terminal whose operator went idle or was blocked since unlocking.
+// Mutates terminal.active_operator_id so callers can go on with the row.
+const expireIdleOperator = async(db, terminal) => {
+    if (terminal.idle_expired || (terminal.active_operator_id && !terminal.operator_is_active)) {
+        await lockTerminal(db, terminal, TERMINAL_EVENTS.IDLE_LOCK);
+        terminal.active_operator_id = null;
+    }
+};
+
+const setActiveOperator = async(db, terminal, userId) => {
+    await db.query(
+        `UPDATE terminals
+         SET active_operator_id = $1, operator_since = CURRENT_TIMESTAMP, last_activity_at = CURRENT_TIMESTAMP,
+             failed_pin_attempts = 0, pin_locked_until = NULL
+         WHERE id = $2`, [userId, terminal.id]
+    );
+    await logTerminalEvent(db, { terminalId: terminal.id, userId, event: TERMINAL_EVENTS.UNLOCK });
+};
+
+// Count a wrong PIN on the terminal. Resolves to { locked, attemptsLeft }.
+const recordFailedPin = async(db, terminal, userId) => {
+    const result = await db.query(
+        `UPDATE terminals
+         SET failed_pin_attempts = failed_pin_attempts + 1,
+             pin_locked_until = CASE WHEN failed_pin_attempts + 1 >= $2
+                                     THEN NOW() + make_interval(mins => $3) ELSE pin_locked_until END
+         WHERE id = $1
+         RETURNING failed_pin_attempts`, [terminal.id, TERMINAL.PIN_MAX_ATTEMPTS, TERMINAL.PIN_LOCK_MINUTES]
+    );
+    await logTerminalEvent(db, { terminalId: terminal.id, userId, event: TERMINAL_EVENTS.PIN_FAILED });
+
+    const attempts = result.rows[0].failed_pin_attempts;
+    if (attempts >= TERMINAL.PIN_MAX_ATTEMPTS) {
+        await db.query('UPDATE terminals SET failed_pin_attempts = 0 WHERE id = $1', [terminal.id]);
+        return { locked: true, attemptsLeft: 0 };
+    }
+    return { locked: false, attemptsLeft: TERMINAL.PIN_MAX_ATTEMPTS - attempts };
+};
+
+const touchTerminal = async(db, terminalId, ipAddress) => {
+    await db.query(
+        'UPDATE terminals SET last_activity_at = CURRENT_TIMESTAMP, last_ip = $2 WHERE id = $1', [terminalId, ipAddress]
+    );
+};
+
+module.exports = {
+    TERMINAL_TOKEN_PREFIX,
+    TERMINAL_EVENTS,
+    isTerminalToken,
+    generateTerminalToken,
+    findTerminal,
+    logTerminalEvent,
+    lockTerminal,
+    expireIdleOperator,
+    setActiveOperator,
+    recordFailedPin,
+    touchTerminal
+};
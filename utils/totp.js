@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second step),
+// compatible with Google Authenticator, Authy and similar apps.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// New random secret, base32 encoded (160 bits as recommended by RFC 4226)
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for a counter
+const hotp = (secret, counter) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return String(code % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+const generateTotp = (secret, timestamp = Date.now()) => {
+    return hotp(secret, Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS));
+};
+
+// Accepts the current code and `window` steps either side for clock drift
+const verifyTotp = (secret, token, window = 1, timestamp = Date.now()) => {
+    if (!secret || !token) return false;
+
+    const given = String(token).replace(/\s/g, '');
+    if (!/^\d{6}$/.test(given)) return false;
+
+    const counter = Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+    for (let i = -window; i <= window; i++) {
+        const expected = hotp(secret, counter + i);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) {
+            return true;
+        }
+    }
+    return false;
+};
+
+// otpauth:// URI for authenticator apps; render it as a QR code on the client
+const buildOtpauthUri = ({ secret, accountName, issuer = 'Drink Quick Cal' }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateTotpSecret,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri
+};
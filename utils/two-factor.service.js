@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { hashToken } = require('./helpers');
+const { verifyTotp } = require('./totp');
+const { ROLES } = require('./constants');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles that may (and by company policy must) protect their login with TOTP
+const TWO_FACTOR_ROLES = [ROLES.ADMIN, ROLES.MANAGER];
+
+// Plain codes like "9f2c-41ab" are returned once; only their hashes are stored
+const generateRecoveryCodes = () => {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(4).toString('hex');
+        codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+    }
+    return {
+        codes,
+        hashes: codes.map(code => hashToken(code))
+    };
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').trim().toLowerCase();
+
+// Remove a recovery code atomically so it can only be used once
+const consumeRecoveryCode = async(db, userId, code) => {
+    const result = await db.query(
+        `UPDATE users
+         SET totp_recovery_codes = array_remove(totp_recovery_codes, $1)
+         WHERE id = $2 AND $1 = ANY(totp_recovery_codes)
+         RETURNING id`, [hashToken(normalizeRecoveryCode(code)), userId]
+    );
+    return result.rows.length > 0;
+};
+
+// Check the second factor for a user row holding totp_secret.
+// Accepts either a current TOTP code or an unused recovery code.
+const verifySecondFactor = async(db, user, { totpCode, recoveryCode }) => {
+    if (totpCode && verifyTotp(user.totp_secret, totpCode)) {
+        return { valid: true, method: 'totp' };
+    }
+    if (recoveryCode && await consumeRecoveryCode(db, user.id, recoveryCode)) {
+        return { valid: true, method: 'recovery_code' };
+    }
+    return { valid: false };
+};
+
+// Whether the user's company forces managers to enrol in 2FA
+const isTwoFactorRequired = async(db, user) => {
+    if (!TWO_FACTOR_ROLES.includes(user.role) || !user.company_id) return false;
+
+    const result = await db.query(
+        'SELECT require_manager_2fa FROM companies WHERE id = $1', [user.company_id]
+    );
+    return !!(result.rows[0] && result.rows[0].require_manager_2fa);
+};
+
+module.exports = {
+    TWO_FACTOR_ROLES,
+    generateRecoveryCodes,
+    consumeRecoveryCode,
+    verifySecondFactor,
+    isTwoFactorRequired
+};
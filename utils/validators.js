@@ -65,12 +65,20 @@ const drinkValidation = [
     .notEmpty().withMessage('Drink name is required')
     .isLength({ max: 100 }).withMessage('Drink name cannot exceed 100 characters'),
 
+    // Falls back to the category's default price
     body('price')
+    .optional()
     .isFloat({ min: 0 }).withMessage('Price must be a positive number'),
 
+    // Company categories: categoryId, or the category name older apps send
+    body('categoryId')
+    .if(body('category').not().exists())
+    .isInt({ min: 1 }).withMessage('Category is required'),
+
     body('category')
-    .isIn(['Beer', 'Wine', 'Cocktail', 'Soft Drink', 'Other'])
-    .withMessage('Invalid category'),
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Invalid category'),
 
     body('description')
     .optional()
@@ -87,15 +95,148 @@ const drinkValidation = [
     body('unit')
     .optional()
     .isIn(['ml', 'cl', 'l', 'oz'])
-    .withMessage('Invalid unit')
+    .withMessage('Invalid unit'),
+
+    body('tags')
+    .optional()
+    .isArray().withMessage('Tags must be an array')
+];
+
+// Partial update: every field optional, same rules when present
+const drinkUpdateValidation = [
+    body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Drink name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Drink name cannot exceed 100 characters'),
+
+    body('price')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+
+    body('categoryId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Invalid category'),
+
+    body('category')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Invalid category'),
+
+    body('description')
+    .optional({ values: 'null' })
+    .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+
+    body('alcoholContent')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 100 }).withMessage('Alcohol content must be between 0 and 100'),
+
+    body('volume')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Volume cannot be negative'),
+
+    body('unit')
+    .optional()
+    .isIn(['ml', 'cl', 'l', 'oz'])
+    .withMessage('Invalid unit'),
+
+    body('tags')
+    .optional()
+    .isArray().withMessage('Tags must be an array'),
+
+    // An uploaded image is set through POST /:id/image; this takes a plain link
+    body('imageUrl')
+    .optional()
+    .isString().withMessage('Image URL must be an http(s) link').bail()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Image URL must be an http(s) link'),
+
+    body('isActive')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('isActive must be true or false')
+];
+
+const drinkVariantValidation = [
+    body('name')
+    .trim()
+    .notEmpty().withMessage('Variant name is required')
+    .isLength({ max: 50 }).withMessage('Variant name cannot exceed 50 characters'),
+
+    body('price')
+    .isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+
+    body('cost')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Cost must be a positive number'),
+
+    body('size')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Size cannot be negative'),
+
+    body('unit')
+    .optional({ values: 'null' })
+    .isIn(['ml', 'cl', 'l', 'oz'])
+    .withMessage('Invalid unit'),
+
+    body('sku')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 1, max: 64 }).withMessage('SKU must be 1 to 64 characters'),
+
+    body('sortOrder')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Sort order must be a whole number')
+];
+
+// Partial update: every field optional, same rules when present
+const drinkVariantUpdateValidation = [
+    body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Variant name cannot be empty')
+    .isLength({ max: 50 }).withMessage('Variant name cannot exceed 50 characters'),
+
+    body('price')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+
+    body('cost')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Cost must be a positive number'),
+
+    body('size')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Size cannot be negative'),
+
+    body('unit')
+    .optional({ values: 'null' })
+    .isIn(['ml', 'cl', 'l', 'oz'])
+    .withMessage('Invalid unit'),
+
+    body('sku')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 1, max: 64 }).withMessage('SKU must be 1 to 64 characters'),
+
+    body('sortOrder')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Sort order must be a whole number')
 ];
 
 const orderValidation = [
     body('items')
     .isArray({ min: 1 }).withMessage('Order must have at least one item'),
 
-    body('items.*.drink')
-    .notEmpty().withMessage('Drink ID is required'),
+    body('items.*.drinkId')
+    .isInt({ min: 1 }).withMessage('Drink ID is required'),
+
+    body('items.*.variantId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Invalid variant ID'),
+
+    body('items.*.modifierIds')
+    .optional()
+    .isArray().withMessage('Modifiers must be an array of modifier IDs'),
 
     body('items.*.quantity')
     .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
@@ -244,6 +385,9 @@ module.exports = {
     registerValidation,
     loginValidation,
     drinkValidation,
+    drinkUpdateValidation,
+    drinkVariantValidation,
+    drinkVariantUpdateValidation,
     orderValidation,
     passwordResetValidation,
     changePasswordValidation,